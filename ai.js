@@ -1,126 +1,72 @@
 // ai.js 
-const { GoogleGenAI } = require("@google/genai"); // Use GoogleGenAI
+const { createAiProvider } = require('./aiProviders/index.js');
+const { analyzeGame, parseScore } = require('./gamePhase.js');
+const { DEFAULT_LANGUAGE, t } = require('./i18n.js');
+const { getStatsForPrompt } = require('./stats.js');
 
-// The client gets the API key from the environment variable `GEMINI_API_KEY`.
-const genAI = new GoogleGenAI(process.env.GEMINI_API_KEY); // Use GoogleGenerAI
+// Used when no persona is passed (e.g. by older callers): the commentator style of the original prompt
+const DEFAULT_PERSONA = { favoriteTeam: null, tone: 'sarcastic', length: 'short', playerJokes: [] };
 
-/**
- * NEW: Helper function to find the top scorer(s) from a lineup array.
- * @param {Array} lineup - The lineup array (e.g., gameData.lineup.home).
- * @returns {string} - Formatted string of top scorer(s) (e.g., "Hauke Frahm (4 Tore)").
- */
-function findTopScorer(lineup) {
-    if (!lineup || lineup.length === 0) return "Niemand";
-
-    let topScore = 0;
-    lineup.forEach(player => {
-        if (player.goals > topScore) {
-            topScore = player.goals;
-        }
-    });
-
-    if (topScore === 0) return "Niemand";
-
-    const topScorers = lineup
-        .filter(player => player.goals === topScore)
-        .map(player => `${player.firstname} ${player.lastname}`);
-
-    return `${topScorers.join(' & ')} (${topScore} Tore)`;
-}
+// --- AI PROVIDERS (Initialized by app.js) ---
+// Tried in order until one returns a text. Without initializeAi only Gemini is used,
+// which needs the environment variable `GEMINI_API_KEY`.
+let aiProviders = [createAiProvider('gemini')];
+let timeoutMs = 60000;
 
 /**
- * NEW: Generates the stats object needed for the prompt.
- * @param {object} lineupData - The `gameData.lineup` object.
- * @returns {object} - An object with stats (topScorers, penalties, sevenMeters).
+ * Sets the AI providers and the timeout per request.
+ * @param {Array<object>} providers - The providers in fallback order (see aiProviders/index.js).
+ * @param {number} [requestTimeoutMs=60000] - Milliseconds after which a provider counts as failed.
  */
-function getStatsForPrompt(lineupData, teamNames) {
-    const stats = {
-        home: { name: teamNames.home, penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0 },
-        guest: { name: teamNames.guest, penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0 }
-    };
-
-    lineupData.home.forEach(p => {
-        stats.home.penalties += p.penalties;
-        stats.home.sevenMetersMade += p.penaltyGoals;
-        stats.home.sevenMetersMissed += p.penaltyMissed;
-    });
-    lineupData.away.forEach(p => {
-        stats.guest.penalties += p.penalties;
-        stats.guest.sevenMetersMade += p.penaltyGoals;
-        stats.guest.sevenMetersMissed += p.penaltyMissed;
-    });
-
-    return {
-        homeTopScorer: findTopScorer(lineupData.home),
-        guestTopScorer: findTopScorer(lineupData.away),
-        homePenalties: stats.home.penalties,
-        guestPenalties: stats.guest.penalties,
-        homeSevenMeters: `${stats.home.sevenMetersMade} von ${stats.home.sevenMetersMade + stats.home.sevenMetersMissed}`,
-        guestSevenMeters: `${stats.guest.sevenMetersMade} von ${stats.guest.sevenMetersMade + stats.guest.sevenMetersMissed}`
-    };
+function initializeAi(providers, requestTimeoutMs = 60000) {
+    aiProviders = providers;
+    timeoutMs = requestTimeoutMs;
 }
 
-
 /**
- * REWRITTEN: Extracts game stats from the `lineup` object and returns a formatted string.
- * This is called by polling.js to send the final stats message.
+ * Formats the game stats from the `lineup` object (top scorers, 7m and suspensions per team).
+ * Used by polling.js for the final stats message and the halftime report.
  * @param {object} lineupData - The `gameData.lineup` object (contains .home and .away arrays).
  * @param {object} teamNames - The team names object.
+ * @param {string} [language] - The language code of the chat.
+ * @param {string} [titleKey='stats.title'] - The message key of the headline.
  * @returns {string} - A formatted WhatsApp message string with game stats.
  */
-async function extractGameStats(lineupData, teamNames) {
+async function extractGameStats(lineupData, teamNames, language = DEFAULT_LANGUAGE, titleKey = 'stats.title') {
     if (!lineupData || !lineupData.home || !lineupData.away) {
         console.log("Lineup-Daten für Statistiken nicht gefunden.");
         return "";
     }
 
-    // Use the new helper function to get stats
-    const gameStats = getStatsForPrompt(lineupData, teamNames);
+    // The same per-team numbers the AI prompts use
+    const gameStats = getStatsForPrompt(lineupData, teamNames, language);
 
     // Format the stats into a string message
-    const statsMessage = `📊 *Statistiken zum Spiel:*\n` +
+    const statsMessage = `${t(language, titleKey)}\n` +
                          `-----------------------------------\n` +
-                         `Topscorer (${teamNames.home}):* ${gameStats.homeTopScorer}\n` +
-                         `Topscorer (${teamNames.guest}):* ${gameStats.guestTopScorer}\n` +
-                         `7-Meter (${teamNames.home}):* ${gameStats.homeSevenMeters}\n` +
-                         `7-Meter (${teamNames.guest}):* ${gameStats.guestSevenMeters}\n` +
-                         `Zeitstrafen (${teamNames.home}):* ${gameStats.homePenalties}\n` +
-                         `Zeitstrafen (${teamNames.guest}):* ${gameStats.guestPenalties}`;
+                         `${t(language, 'stats.topScorer', { team: teamNames.home, value: gameStats.homeTopScorer })}\n` +
+                         `${t(language, 'stats.topScorer', { team: teamNames.guest, value: gameStats.guestTopScorer })}\n` +
+                         `${t(language, 'stats.sevenMeters', { team: teamNames.home, value: gameStats.homeSevenMeters })}\n` +
+                         `${t(language, 'stats.sevenMeters', { team: teamNames.guest, value: gameStats.guestSevenMeters })}\n` +
+                         `${t(language, 'stats.penalties', { team: teamNames.home, value: gameStats.homePenalties })}\n` +
+                         `${t(language, 'stats.penalties', { team: teamNames.guest, value: gameStats.guestPenalties })}`;
     
     return statsMessage;
 }
 
 
 /**
- * REWRITTEN: Generates the AI game summary.
- * No longer needs `halftimeLength`.
- * Now requires `lineupData` to be passed from polling.js.
- * @param {Array} events - The chronological (reversed) list of events.
- * @param {object} teamNames - The team names object.
- * @param {string} groupName - The name of the WhatsApp group.
- * @param {object} lineupData - The `gameData.lineup` object.
- * @returns {string} - The formatted AI summary message.
+ * Builds the score progression for the AI prompt, based on 10-minute intervals.
+ * @param {Array} events - The chronological list of events.
+ * @param {number} minutes - The match time covered (e.g. 30 at halftime).
+ * @returns {string} - E.g. "Start: 0:0, 10min: 2:1, 20min: 3:1".
  */
-async function generateGameSummary(events, teamNames, groupName, lineupData) {
-    if (!process.env.GEMINI_API_KEY) {
-        console.log("GEMINI_API_KEY nicht gefunden. KI-Zusammenfassung wird übersprungen.");
-        return "";
-    }
-
-    // Find final and halftime scores from the event list
-    const finalEvent = events.find(e => e.type === "StopPeriod" && parseInt(e.time.split(':')[0], 10) > 30);
-    const halftimeEvent = events.find(e => e.type === "StopPeriod" && parseInt(e.time.split(':')[0], 10) <= 30);
-
-    const finalScore = finalEvent ? finalEvent.score.replace('-', ':') : "N/A";
-    const halftimeScore = halftimeEvent ? halftimeEvent.score.replace('-', ':') : "N/A";
-    const gameDurationMinutes = finalEvent ? parseInt(finalEvent.time.split(':')[0], 10) : 60;
-
-    // Score-Progression based on 10-minute intervals
+function buildScoreProgression(events, minutes) {
     let scoreProgression = "Start: 0:0";
-    for (let minute = 10; minute <= gameDurationMinutes; minute += 10) {
+    for (let minute = 10; minute <= minutes; minute += 10) {
         // Find the last event *before or at* this minute
         const eventAtTime = [...events].reverse().find(e => {
-            const evMinute = parseInt(e.time.split(':')[0], 10);
+            const evMinute = e.time ? parseInt(e.time.split(':')[0], 10) : Infinity;
             return evMinute <= minute && e.score;
         });
         
@@ -128,52 +74,221 @@ async function generateGameSummary(events, teamNames, groupName, lineupData) {
             scoreProgression += `, ${minute}min: ${eventAtTime.score.replace('-', ':')}`;
         }
     }
+    return scoreProgression;
+}
 
-    // 2. Detaillierte Statistiken extrahieren (using new helper)
-    const gameStats = getStatsForPrompt(lineupData, teamNames);
+/**
+ * Finds the biggest lead of the game, for the template summary.
+ * @param {Array} events - The chronological list of events.
+ * @param {object} teamNames - The team names object.
+ * @returns {object|null} - { team, lead }, or null if no team led by more than one goal.
+ */
+function findBiggestLead(events, teamNames) {
+    let biggestLead = null;
+    for (const ev of events) {
+        const score = parseScore(ev);
+        if (!score) continue;
+        const lead = Math.abs(score[0] - score[1]);
+        if (lead > 1 && (!biggestLead || lead > biggestLead.lead)) {
+            biggestLead = { team: score[0] > score[1] ? teamNames.home : teamNames.guest, lead };
+        }
+    }
+    return biggestLead;
+}
 
-    // 3. & 4. Neuer, kreativer und parteiischer Prompt (halftimeLength entfernt)
-    const prompt = `Du bist ein witziger, leicht sarkastischer und fachkundiger deutscher Handball-Kommentator.
-    Deine Aufgabe ist es, eine kurze, unterhaltsame Zusammenfassung (ca. 2-4 Sätze) für ein gerade beendetes Spiel zu schreiben.
+/**
+ * Builds the prompt parts that come from the group's commentator persona (see settings.getAiPersona).
+ * In-jokes are only included for players who are in the lineup, so the AI doesn't mention
+ * players who didn't play.
+ * @param {object} persona - { favoriteTeam, tone, length, playerJokes }.
+ * @param {string} groupName - The name of the WhatsApp group.
+ * @param {object} lineupData - The `gameData.lineup` object.
+ * @param {string} language - The language code of the chat.
+ * @returns {object} - The prompt parameters { persona, team, tone, length, playerJokes }.
+ */
+function buildPersonaParams(persona, groupName, lineupData, language) {
+    const players = lineupData ? [...(lineupData.home || []), ...(lineupData.away || [])] : [];
+    const names = new Set();
+    for (const player of players) {
+        names.add(`${player.firstname} ${player.lastname}`.toLowerCase());
+        names.add(String(player.lastname).toLowerCase());
+    }
+    const jokes = (persona.playerJokes || []).filter(entry => names.has(entry.player.toLowerCase()));
 
-    WICHTIG: Die WhatsApp-Gruppe, in der du postest, heißt "${groupName}". Analysiere diesen Namen, um herauszufinden, welches Team du unterstützen sollst. 
-    Falls der Gruppenname NICHT EINDEUTIG einem Team zuzuordnen ist, sei neutral und ignoriere den Grußennamen. Falls sich die Gruppe aber DEFINITIV einem Team zuordnen lässt, unterstütze das Team mit Herzblut und roaste auch gerne das gegnerische Team.
-    
-    Hier sind die Spieldaten:
-    - Heimmannschaft: ${teamNames.home}
-    - Gastmannschaft: ${teamNames.guest}
-    - Halbzeitstand: ${halftimeScore}
-    - Endstand: ${finalScore}
-    - Spiellänge: ${gameDurationMinutes} Minuten
-    - Spielverlauf (ausgewählte Spielstände): ${scoreProgression}, Ende: ${finalScore}
-    - Topscorer ${teamNames.home}: ${gameStats.homeTopScorer}
-    - Topscorer ${teamNames.guest}: ${gameStats.guestTopScorer}
-    - Zeitstrafen ${teamNames.home}: ${gameStats.homePenalties}
-    - Zeitstrafen ${teamNames.guest}: ${gameStats.guestPenalties}
-    - 7-Meter ${teamNames.home}: ${gameStats.homeSevenMeters}
-    - 7-Meter ${teamNames.guest}: ${gameStats.guestSevenMeters}
-
-    Anweisungen:
-    1.  Gib deiner Zusammenfassung eine kreative, reißerische Überschrift in Fett (z.B. *Herzschlagfinale in der Halle West!* oder *Eine Lehrstunde in Sachen Abwehrschlacht.*).
-    2.  Verwende die Statistiken für spitze Kommentare. (z.B. "Mit ${gameStats.guestPenalties} Zeitstrafen hat sich Team Gast das Leben selbst schwer gemacht." oder "Am Ende hat die Kaltschnäuzigkeit vom 7-Meter-Punkt den Unterschied gemacht."). Verwende die Statistiken nur, wenn sie auch sinnvoll oder wichtig für das Spiel waren.
-    3.  Sei kreativ, vermeide Standardfloskeln. Gib dem Kommentar Persönlichkeit! Vermeide Sachen aus den Daten zu interpretieren die nicht daraus zu erschließen sind, bleibe lieber bei den Fakten als eine "zu offensive Abwehr" zu erfinden. 
-    4.  Falls Julian Langschwert, Tiard Brinkmann und/oder Simon Goßmann gespielt hat, lobe ihn sarkastisch bis in den Himmel.
-
-    Deine Zusammenfassung (nur Überschrift und Text, ohne "Zusammenfassung:"):`;
-
-    try {
-        //const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-        //const result = await model.generateContent(prompt);
-        const response = await genAI.models.generateContent({
-            model: "gemini-2.5-pro",
-            contents: prompt,
-        });
-        
-        return `🤖 *KI-Analyse zum Spiel:*\n\n${response.text}`;
-    } catch (error) {
-        console.error("Fehler bei der AI-Zusammenfassung:", error);
+    return {
+        persona: t(language, `ai.persona.${persona.tone}`),
+        team: persona.favoriteTeam
+            ? t(language, 'ai.team.favorite', { groupName, team: persona.favoriteTeam })
+            : t(language, 'ai.team.guess', { groupName }),
+        tone: t(language, `ai.tone.${persona.tone}`),
+        length: t(language, `ai.length.${persona.length}`),
+        playerJokes: jokes.length > 0
+            ? t(language, 'ai.playerJokes', { jokes: jokes.map(entry => `      - ${entry.player}: ${entry.joke}`).join('\n') })
+            : ''
+    };
+}
+
+/**
+ * Rejects if a promise doesn't settle in time.
+ * @param {Promise} promise - The promise.
+ * @param {number} ms - The time limit in milliseconds.
+ * @returns {Promise} - The promise's result.
+ */
+function withTimeout(promise, ms) {
+    let timeout;
+    const timer = new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error(`Zeitüberschreitung nach ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timer]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Asks the AI providers in order and returns the first text. A provider that isn't configured,
+ * fails, times out or returns nothing is skipped.
+ * @param {object} request - { task, prompt, data, language } (see aiProviders/index.js).
+ * @param {Array<object>} [providers] - The providers to ask (default: all configured providers).
+ * @returns {Promise<object|null>} - { text, provider }, or null if no provider returned a text.
+ */
+async function generateText(request, providers = aiProviders) {
+    for (const provider of providers) {
+        if (!provider.isAvailable()) continue;
+        try {
+            const text = await withTimeout(provider.generateText({ ...request, timeoutMs }), timeoutMs);
+            if (text && text.trim()) return { text: text.trim(), provider };
+            console.warn(`KI-Anbieter "${provider.name}" hat keinen Text geliefert.`);
+        } catch (error) {
+            console.error(`Fehler beim KI-Anbieter "${provider.name}":`, error.message);
+        }
+    }
+    return null;
+}
+
+/**
+ * Generates the AI game summary from the score progression, the player stats and the game analysis.
+ * @param {Array} events - The chronological (reversed) list of events.
+ * @param {object} teamNames - The team names object.
+ * @param {string} groupName - The name of the WhatsApp group.
+ * @param {object} lineupData - The `gameData.lineup` object.
+ * @param {object} [analysis] - The game analysis from `gamePhase.analyzeGame` (computed from `events` if missing).
+ * @param {string} [language] - The language code of the chat; the summary is written in this language.
+ * @param {string} [halftimeTalk] - What the AI said at halftime (see generateHalftimeTalk), so the summary can refer to it.
+ * @param {object} [persona] - The group's commentator persona (see settings.getAiPersona).
+ * @returns {string} - The formatted AI summary message (from the first provider that answers, see initializeAi).
+ */
+async function generateGameSummary(events, teamNames, groupName, lineupData, analysis = analyzeGame(events), language = DEFAULT_LANGUAGE, halftimeTalk = null, persona = DEFAULT_PERSONA) {
+    if (!aiProviders.some(provider => provider.isAvailable())) {
+        console.log("Kein KI-Anbieter verfügbar. KI-Zusammenfassung wird übersprungen.");
+        return "";
+    }
+
+    // Final and halftime scores come from the period analysis (handles youth halves and overtime)
+    const finalScore = analysis.finalScore ? analysis.finalScore.replace('-', ':') : "N/A";
+    const halftimeScore = analysis.halftimeScore ? analysis.halftimeScore.replace('-', ':') : "N/A";
+    const gameDurationMinutes = analysis.playedMinutes;
+    const decision = t(language, `decision.${analysis.decision || 'regular'}`);
+
+    // Score-Progression based on 10-minute intervals
+    const scoreProgression = buildScoreProgression(events, gameDurationMinutes);
+
+    // Top scorers, 7m and suspensions per team
+    const gameStats = getStatsForPrompt(lineupData, teamNames, language);
+
+    // The prompt is assembled in the group's language from the game facts and the group's persona
+    // (favourite team, tone, length and in-jokes about players in the lineup)
+    const facts = {
+        groupName,
+        home: teamNames.home,
+        guest: teamNames.guest,
+        halftimeScore,
+        finalScore,
+        duration: gameDurationMinutes,
+        regulation: analysis.regulationMinutes,
+        decision,
+        progression: scoreProgression,
+        ...gameStats
+    };
+    const prompt = t(language, 'ai.prompt', {
+        ...facts,
+        ...buildPersonaParams(persona, groupName, lineupData, language),
+        halftimeReference: halftimeTalk ? t(language, 'ai.halftimeReference', { talk: halftimeTalk }) : ''
+    });
+    // The template provider writes its summary from the facts instead of the prompt
+    const data = {
+        ...facts,
+        decision: analysis.decision ? decision : null,
+        biggestLead: findBiggestLead(events, teamNames)
+    };
+
+    const result = await generateText({ task: 'summary', prompt, data, language });
+    if (!result) {
+        console.error("Fehler bei der AI-Zusammenfassung: Kein KI-Anbieter hat einen Text geliefert.");
         return "";
     }
+    return `${t(language, result.provider.isAi ? 'ai.title' : 'template.title')}\n\n${result.text}`;
+}
+
+/**
+ * Generates the AI "Halbzeitansprache": a short look back at the first half and ahead to the second.
+ * With the template provider, it's a plain summary of the first half.
+ * @param {Array} events - The chronological list of events up to the halftime whistle.
+ * @param {object} teamNames - The team names object.
+ * @param {string} groupName - The name of the WhatsApp group.
+ * @param {object} lineupData - The `gameData.lineup` object at halftime (first-half stats).
+ * @param {object} analysis - The game analysis from `gamePhase.analyzeGame`.
+ * @param {Array<string>} keyMoments - The key moments of the first half (see gameFlow.getKeyMoments).
+ * @param {string} [language] - The language code of the chat; the text is written in this language.
+ * @param {object} [persona] - The group's commentator persona (see settings.getAiPersona).
+ * @returns {Promise<object|null>} - { text, title (fits the provider), isAi }, or null if no provider returned a text.
+ */
+async function generateHalftimeTalk(events, teamNames, groupName, lineupData, analysis, keyMoments, language = DEFAULT_LANGUAGE, persona = DEFAULT_PERSONA) {
+    if (!aiProviders.some(provider => provider.isAvailable())) {
+        console.log("Kein KI-Anbieter verfügbar. KI-Halbzeitansprache wird übersprungen.");
+        return null;
+    }
+
+    const data = {
+        groupName,
+        home: teamNames.home,
+        guest: teamNames.guest,
+        halftimeScore: analysis.halftimeScore ? analysis.halftimeScore.replace('-', ':') : "N/A",
+        progression: buildScoreProgression(events, analysis.halfMinutes),
+        keyMoments,
+        ...getStatsForPrompt(lineupData, teamNames, language)
+    };
+    const prompt = t(language, 'ai.halftimePrompt', {
+        ...data,
+        ...buildPersonaParams(persona, groupName, lineupData, language),
+        keyMoments: keyMoments.length > 0 ? keyMoments.join('; ') : '-'
+    });
+
+    const result = await generateText({ task: 'halftime', prompt, data, language });
+    if (!result) {
+        console.error("Fehler bei der KI-Halbzeitansprache: Kein KI-Anbieter hat einen Text geliefert.");
+        return null;
+    }
+    const { isAi } = result.provider;
+    return { text: result.text, title: t(language, isAi ? 'ai.halftimeTitle' : 'template.halftimeTitle'), isAi };
+}
+
+/**
+ * Answers a member's question about the game (!frag), grounded in the game data.
+ * Only language models are asked: the template provider can't answer free questions.
+ * @param {string} question - The question.
+ * @param {object} context - The game data as text (see questions.js `buildGameContext`).
+ * @param {string} [language] - The language code of the chat; the answer is written in this language.
+ * @returns {Promise<string|null>} - The answer, or null if no language model is available or answered.
+ */
+async function answerGameQuestion(question, context, language = DEFAULT_LANGUAGE) {
+    const providers = aiProviders.filter(provider => provider.isAi && provider.isAvailable());
+    if (providers.length === 0) return null;
+
+    const prompt = t(language, 'ai.questionPrompt', { ...context, question });
+    const result = await generateText({ task: 'question', prompt, data: { ...context, question }, language }, providers);
+    if (!result) {
+        console.error("Fehler bei der Antwort auf eine Frage: Kein KI-Anbieter hat einen Text geliefert.");
+        return null;
+    }
+    return result.text;
 }
 
-module.exports = { generateGameSummary, extractGameStats };
\ No newline at end of file
+module.exports = { initializeAi, generateGameSummary, generateHalftimeTalk, answerGameQuestion, extractGameStats };
\ No newline at end of file
@@ -0,0 +1,31 @@
+// aiProviders/gemini.js
+const { GoogleGenAI } = require("@google/genai");
+
+const DEFAULT_MODEL = "gemini-2.5-pro";
+
+/**
+ * Creates the provider for Google's Gemini models.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - The API key (default: the environment variable `GEMINI_API_KEY`).
+ * @param {string} [options.model='gemini-2.5-pro'] - The model name.
+ * @returns {object} - An AI provider ({ name, isAi, isAvailable, generateText }).
+ */
+function createGeminiProvider(options = {}) {
+    const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    const model = options.model || DEFAULT_MODEL;
+    // The client is created on first use, so the bot (and the tests) can run without a key
+    let genAI = null;
+
+    return {
+        name: 'gemini',
+        isAi: true,
+        isAvailable: () => Boolean(apiKey),
+        generateText: async ({ prompt }) => {
+            if (!genAI) genAI = new GoogleGenAI({ apiKey });
+            const response = await genAI.models.generateContent({ model, contents: prompt });
+            return response.text;
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
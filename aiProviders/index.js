@@ -0,0 +1,39 @@
+// aiProviders/index.js
+const { createGeminiProvider } = require('./gemini.js');
+const { createOpenAiProvider } = require('./openai.js');
+const { createTemplateProvider } = require('./template.js');
+
+/*
+ * An AI provider is an object with:
+ *   name                                  - A short identifier for logs.
+ *   isAi                                  - False for providers that don't use a language model
+ *                                           (their texts get a neutral headline instead of "KI-Analyse").
+ *   isAvailable()                         - Whether the provider is configured (e.g. has an API key).
+ *   generateText(request)                 - Resolves to the generated text. `request` is
+ *                                           { task ('summary' | 'halftime' | 'question'), prompt, data, language, timeoutMs };
+ *                                           `data` holds the facts the prompt was built from (see ai.js).
+ *
+ * ai.js tries the configured providers in order and falls back to the next one if a
+ * provider is unavailable, fails, times out or returns no text.
+ */
+const AI_PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiProvider,
+    template: createTemplateProvider
+};
+
+/**
+ * Creates an AI provider by name.
+ * @param {string} name - The provider name ('gemini', 'openai' or 'template').
+ * @param {object} [options] - Provider specific options (see the individual factories).
+ * @returns {object} - The AI provider.
+ */
+function createAiProvider(name, options = {}) {
+    const factory = AI_PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unbekannter KI-Anbieter "${name}". Verfügbar: ${Object.keys(AI_PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createAiProvider };
@@ -0,0 +1,41 @@
+// aiProviders/openai.js
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Creates the provider for any endpoint that speaks the OpenAI chat completions API: OpenAI
+ * itself or a locally hosted model server (e.g. Ollama at http://localhost:11434/v1, llama.cpp,
+ * vLLM or LM Studio). Local servers usually don't need an API key.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl='https://api.openai.com/v1'] - The API base URL (without /chat/completions).
+ * @param {string} [options.apiKey] - The API key, sent as bearer token if set.
+ * @param {string} [options.model='gpt-4o-mini'] - The model name.
+ * @returns {object} - An AI provider ({ name, isAi, isAvailable, generateText }).
+ */
+function createOpenAiProvider(options = {}) {
+    const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const { apiKey } = options;
+    const model = options.model || DEFAULT_MODEL;
+
+    return {
+        name: 'openai',
+        isAi: true,
+        // The public API needs a key, a custom (local) endpoint may not
+        isAvailable: () => Boolean(apiKey) || baseUrl !== DEFAULT_BASE_URL,
+        generateText: async ({ prompt, timeoutMs }) => {
+            const response = await axios.post(`${baseUrl}/chat/completions`, {
+                model,
+                messages: [{ role: 'user', content: prompt }]
+            }, {
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                timeout: timeoutMs
+            });
+            const choice = response.data && response.data.choices && response.data.choices[0];
+            return choice && choice.message ? choice.message.content : '';
+        }
+    };
+}
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,75 @@
+// aiProviders/template.js
+const { t } = require('../i18n.js');
+
+/**
+ * Parses a score like "5:3".
+ * @param {string} score - The score (or "N/A").
+ * @returns {Array<number>|null} - [home, guest] or null.
+ */
+function parseScore(score) {
+    const match = /^(\d+):(\d+)$/.exec(score || '');
+    return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+/**
+ * Writes the game summary from the facts, without a language model.
+ * @param {object} data - The facts of the game (see ai.js `generateGameSummary`).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The summary: a bold headline and a few sentences.
+ */
+function writeSummary(data, language) {
+    const score = parseScore(data.finalScore);
+    const sentences = [];
+    if (data.halftimeScore !== 'N/A') sentences.push(t(language, 'template.halftimeScore', { score: data.halftimeScore }));
+    if (data.decision) sentences.push(t(language, 'template.decision', { decision: data.decision }));
+    if (data.biggestLead) sentences.push(t(language, 'template.biggestLead', data.biggestLead));
+    sentences.push(t(language, 'template.topScorers', data));
+    sentences.push(t(language, 'template.penalties', data));
+
+    let headline = '';
+    if (score && score[0] !== score[1]) {
+        const [winner, loser] = score[0] > score[1] ? [data.home, data.guest] : [data.guest, data.home];
+        headline = t(language, 'template.win', { winner, loser, score: data.finalScore });
+    } else if (score) {
+        headline = t(language, 'template.draw', { home: data.home, guest: data.guest, score: data.finalScore });
+    }
+    return headline ? `${headline}\n${sentences.join(' ')}` : sentences.join(' ');
+}
+
+/**
+ * Writes the halftime text from the facts of the first half, without a language model.
+ * @param {object} data - The facts of the first half (see ai.js `generateHalftimeTalk`).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - A few sentences.
+ */
+function writeHalftimeTalk(data, language) {
+    const score = parseScore(data.halftimeScore);
+    const sentences = [];
+    if (score && score[0] !== score[1]) {
+        sentences.push(t(language, 'template.halftimeLead', { leader: score[0] > score[1] ? data.home : data.guest, score: data.halftimeScore }));
+    } else if (score) {
+        sentences.push(t(language, 'template.halftimeDraw', { score: data.halftimeScore }));
+    }
+    if (data.keyMoments.length > 0) sentences.push(t(language, 'template.keyMoments', { moments: data.keyMoments.join('; ') }));
+    sentences.push(t(language, 'template.topScorers', data));
+    sentences.push(t(language, 'template.secondHalf'));
+    return sentences.join(' ');
+}
+
+/**
+ * Creates the template provider: a deterministic summary built from the score progression and
+ * the stats. It needs no API and never fails, so it works as the last fallback.
+ * @returns {object} - An AI provider ({ name, isAi, isAvailable, generateText }).
+ */
+function createTemplateProvider() {
+    return {
+        name: 'template',
+        isAi: false,
+        isAvailable: () => true,
+        generateText: async ({ task, data, language }) => (task === 'halftime'
+            ? writeHalftimeTalk(data, language)
+            : writeSummary(data, language))
+    };
+}
+
+module.exports = { createTemplateProvider };
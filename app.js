@@ -2,111 +2,154 @@
 
 require('dotenv').config();
 const path = require('path');
-const qrcode = require('qrcode-terminal');
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const { loadSeenTickers, saveSeenTickers, loadScheduledTickers, saveScheduledTickers } = require('./utils.js');
+const { createTransport } = require('./transports/index.js');
+const { createDataProvider } = require('./providers/index.js');
+const { createAiProvider } = require('./aiProviders/index.js');
+const { openStore, openArchive, saveTickers } = require('./store.js');
 // Import simplified polling functions (no getGameIdFromUrl)
-const { initializePolling, masterScheduler, dispatcherLoop, startPolling, beginActualPolling } = require('./polling.js');
+const { initializePolling, masterScheduler, dispatcherLoop, startPolling, startReplay, restoreTickers, clearTickerTimers, stopTicker, loadMissingGameData, applyGroupSettings } = require('./polling.js');
+const { getGroupSettings, setGroupSetting, resetGroupSettings, formatGroupSettings } = require('./settings.js');
+const { DEFAULT_LANGUAGE, t } = require('./i18n.js');
+const { formatScoreboard, formatScorers } = require('./stats.js');
+const { answerQuestion } = require('./questions.js');
+const { formatSeason, formatPlayerSeason } = require('./archive.js');
+const { initializeLeague, formatLeagueTable } = require('./league.js');
+const { isBotOwner, isControlCommand, canControlTicker } = require('./permissions.js');
+const { initializeOwner, handleOwnerCommand } = require('./owner.js');
+const { instrumentTransport } = require('./metrics.js');
+const { initializeOutbox, enqueueMessage, flushOutbox } = require('./outbox.js');
+const { initializeImages, closeImages } = require('./images.js');
+const { initializeAi } = require('./ai.js');
+const { initializeStatusServer, startStatusServer } = require('./statusServer.js');
+const { initializeDashboard, startDashboard } = require('./dashboard.js');
+const { initializeFollowing, followTeam, unfollowTeam, getFollowedTeams, skipFollowedGame, checkFollowedTeams } = require('./following.js');
 
 // --- GLOBAL STATE ---
 const activeTickers = new Map();
 const jobQueue = [];
-const SEEN_FILE = path.resolve(__dirname, 'seen_tickers.json');
-const SCHEDULE_FILE = path.resolve(__dirname, 'scheduled_tickers.json');
+const STATE_FILE = path.resolve(__dirname, 'ticker_state.json');
+// Finished games per group, for !saison and !spieler
+const ARCHIVE_FILE = path.resolve(__dirname, 'ticker_archive.json');
+// Files used before the state store existed; imported once on the first start
+const LEGACY_FILES = {
+    seenFile: path.resolve(__dirname, 'seen_tickers.json'),
+    scheduleFile: path.resolve(__dirname, 'scheduled_tickers.json'),
+    followFile: path.resolve(__dirname, 'followed_teams.json')
+};
+const FOLLOW_CHECK_INTERVAL_MINUTES = 30;
+const DEFAULT_REPLAY_SPEED = 10;
+const MAX_REPLAY_SPEED = 600;
 
-// --- WHATSAPP CLIENT INITIALIZATION ---
-const client = new Client({
-    authStrategy: new LocalAuth(),
-    puppeteer: {
-        headless: true, 
-        args: ['--no-sandbox', '--disable-setuid-sandbox'], 
-        executablePath: '/usr/bin/chromium' 
-    }
+// --- MESSAGING TRANSPORT INITIALIZATION ---
+// 'whatsapp' (default), 'console' (stdin/stdout for local development) or 'telegram'
+const transport = createTransport(process.env.TRANSPORT, {
+    executablePath: process.env.CHROMIUM_PATH,
+    token: process.env.TELEGRAM_BOT_TOKEN,
+    chatName: process.env.CONSOLE_GROUP_NAME
+});
+// Counts sent messages and follows the connection state for /metrics
+instrumentTransport(transport);
+
+// --- GAME DATA PROVIDER ---
+// 'handballnet' (default), 'snapshots' (recorded JSON) or 'fake' (scripted local server)
+const dataProvider = createDataProvider(process.env.DATA_PROVIDER, {
+    baseUrl: process.env.HANDBALL_NET_BASE_URL,
+    directory: process.env.DATA_SNAPSHOT_DIR,
+    scriptFile: process.env.DATA_FAKE_SCRIPT
 });
+console.log(`Datenanbieter: ${dataProvider.name}`);
+
+// --- AI PROVIDERS ---
+// Tried in this order for the AI summary and the halftime talk: 'gemini', 'openai' (any OpenAI-compatible
+// endpoint, e.g. a local model server via OPENAI_BASE_URL) and 'template' (no AI, built from the stats)
+const AI_PROVIDER_OPTIONS = {
+    gemini: { apiKey: process.env.GEMINI_API_KEY, model: process.env.GEMINI_MODEL },
+    openai: { baseUrl: process.env.OPENAI_BASE_URL, apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL },
+    template: {}
+};
+const aiProviders = (process.env.AI_PROVIDERS || 'gemini,template')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => createAiProvider(name, AI_PROVIDER_OPTIONS[name]));
+console.log(`KI-Anbieter: ${aiProviders.map(provider => provider.name).join(' -> ')}`);
 
 // --- INITIALIZE MODULES ---
-initializePolling(activeTickers, jobQueue, client, SEEN_FILE, SCHEDULE_FILE);
+openStore(STATE_FILE, LEGACY_FILES);
+openArchive(ARCHIVE_FILE);
+initializeOutbox(transport);
+initializePolling(activeTickers, jobQueue, dataProvider);
+initializeFollowing(activeTickers, startPolling, dataProvider);
+initializeLeague(dataProvider);
+// Bot owners (BOT_OWNER_IDS, comma-separated sender IDs or phone numbers) get global commands in direct messages
+initializeOwner(activeTickers);
+initializeStatusServer(activeTickers, jobQueue);
+initializeDashboard(activeTickers, transport);
+initializeAi(aiProviders, Number(process.env.AI_TIMEOUT_MS) || 60000);
+// Scoreboard images at halftime and full time, rendered with a headless Chromium (RENDER_IMAGES=false turns them off)
+if (process.env.RENDER_IMAGES !== 'false') initializeImages(process.env.CHROMIUM_PATH);
 
-// --- WHATSAPP CLIENT EVENT HANDLERS ---
+// --- TRANSPORT EVENT HANDLERS ---
 
-client.on('qr', qr => {
-    qrcode.generate(qr, { small: true });
-    console.log('QR-Code generiert. Scannen Sie diesen mit WhatsApp.');
-});
+transport.on('ready', () => {
+    console.log(`Transport "${transport.name}" ist bereit!`);
+    // Resume running tickers and reschedule planned ones from the state store
+    restoreTickers();
 
-client.on('ready', () => {
-    console.log('WhatsApp-Client ist bereit!');
-    loadSeenTickers(activeTickers, SEEN_FILE);
-
-    const scheduledTickersData = loadScheduledTickers(SCHEDULE_FILE);
-    const now = Date.now();
-    let rescheduledCount = 0;
-
-    for (const chatId in scheduledTickersData) {
-        const scheduleData = scheduledTickersData[chatId];
-        const startTime = new Date(scheduleData.startTime);
-        const delay = startTime.getTime() - now;
-
-        // --- SIMPLIFIED ---
-        // We no longer need to extract gameId here
-        // --- END SIMPLIFIED ---
-
-        const tickerState = activeTickers.get(chatId) || { seen: new Set() };
-        tickerState.meetingPageUrl = scheduleData.meetingPageUrl;
-        // tickerState.gameId = gameId; // --- REMOVED! ---
-        tickerState.groupName = scheduleData.groupName;
-        tickerState.mode = scheduleData.mode; 
-        tickerState.recapEvents = []; 
-        tickerState.isPolling = false; 
-        activeTickers.set(chatId, tickerState); 
-
-        if (delay > 0) {
-            console.log(`[${chatId}] Lade geplante Aufgabe. Startet in ${Math.round(delay / 60000)} Minuten.`);
-            tickerState.isScheduled = true;
-            tickerState.scheduleTimeout = setTimeout(() => {
-                beginActualPolling(chatId);
-            }, delay);
-            rescheduledCount++;
-        } else {
-            console.log(`[${chatId}] Geplante Startzeit verpasst. Starte Polling sofort.`);
-            beginActualPolling(chatId); 
-        }
-    }
-    if (rescheduledCount > 0) {
-        console.log(`${rescheduledCount} Ticker erfolgreich neu geplant.`);
-    }
+    // Pick up fixtures of followed teams that were added or moved while the bot was offline
+    checkFollowedTeams();
 });
 
-client.on('disconnected', (reason) => {
+transport.on('disconnected', (reason) => {
     console.log('Client getrennt:', reason);
+    // Save before pausing, so the tickers are resumed on the next 'ready'
+    saveTickers(activeTickers);
     activeTickers.forEach(ticker => {
         ticker.isPolling = false;
         ticker.isScheduled = false; 
-        if (ticker.scheduleTimeout) clearTimeout(ticker.scheduleTimeout); 
-        if (ticker.recapIntervalId) clearInterval(ticker.recapIntervalId);
+        clearTickerTimers(ticker);
      });
-    saveSeenTickers(activeTickers, SEEN_FILE); 
 });
 
 // --- MESSAGE LISTENER ---
-client.on('message', async msg => {
+/**
+ * Answers a command through the outbox: the reply counts towards the rate limit
+ * and is sent after the ticker messages already queued for the chat.
+ * @param {object} msg - The normalized message from the transport.
+ * @param {string} text - The reply.
+ */
+function replyTo(msg, text) {
+    enqueueMessage(msg.chatId, text);
+}
+
+transport.on('message', async msg => {
     if (!msg.body.startsWith('!')) return;
 
-    const chat = await msg.getChat();
-    if (!chat.isGroup) {
-        await msg.reply('Fehler: Befehle funktionieren nur in Gruppen.');
+    if (!msg.isGroup) {
+        if (isBotOwner(msg.senderId)) {
+            await handleOwnerCommand(msg);
+        } else {
+            replyTo(msg, t(DEFAULT_LANGUAGE, 'error.groupsOnly'));
+        }
         return;
     }
 
-    const chatId = chat.id._serialized; 
+    const chatId = msg.chatId; 
     const args = msg.body.split(' ');   
     const command = args[0].toLowerCase(); 
-    const groupName = chat.name;          
+    const groupName = msg.chatName;          
+    const { language } = getGroupSettings(chatId);
+
+    // Starting, stopping and configuring tickers is reserved for admins (see permissions.js)
+    if (isControlCommand(command, args) && !canControlTicker(msg)) {
+        replyTo(msg, t(language, 'error.notAllowed'));
+        return;
+    }
 
     // --- !start Command ---
     if (command === '!start1' && args.length >= 2) {
         if (activeTickers.has(chatId) && (activeTickers.get(chatId).isPolling || activeTickers.get(chatId).isScheduled)) {
-            await msg.reply('In dieser Gruppe läuft oder ist bereits ein Live-Ticker geplant. Stoppen oder resetten Sie ihn zuerst.');
+            replyTo(msg, t(language, 'error.tickerActive'));
             return;
         }
         const meetingPageUrl = args[1]; 
@@ -116,40 +159,22 @@ client.on('message', async msg => {
             await startPolling(meetingPageUrl, chatId, groupName, mode);
         } catch (error) {
             console.error(`[${chatId}] Kritischer Fehler beim Starten des Tickers:`, error);
-            await msg.reply('Ein kritischer Fehler ist aufgetreten und der Ticker konnte nicht gestartet werden.');
+            replyTo(msg, t(language, 'error.startFailed'));
             activeTickers.delete(chatId); 
         }
     }
     // --- !stop Command ---
     else if (command === '!stop1') {
         const tickerState = activeTickers.get(chatId);
-        let wasStopped = false; 
-
-        if (tickerState) {
-            if (tickerState.isScheduled && tickerState.scheduleTimeout) {
-                clearTimeout(tickerState.scheduleTimeout);
-                tickerState.isScheduled = false;
-                const currentSchedule = loadScheduledTickers(SCHEDULE_FILE);
-                if (currentSchedule[chatId]) {
-                    delete currentSchedule[chatId];
-                    saveScheduledTickers(currentSchedule, SCHEDULE_FILE);
-                }
-                wasStopped = true;
-            }
-            if (tickerState.isPolling) {
-                tickerState.isPolling = false;
-                if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
-                wasStopped = true;
-            }
-            const index = jobQueue.findIndex(job => job.chatId === chatId);
-            if (index > -1) jobQueue.splice(index, 1);
-        }
+        const wasStopped = stopTicker(chatId);
 
         if (wasStopped) {
-            await client.sendMessage(chatId, 'Laufender/geplanter Live-Ticker in dieser Gruppe gestoppt.');
+            // Don't let the follow checker reschedule the game that was just stopped
+            if (!tickerState.isReplay) skipFollowedGame(chatId, tickerState.meetingPageUrl);
+            enqueueMessage(chatId, t(language, 'ticker.stopped'));
             console.log(`Live-Ticker für Gruppe "${groupName}" (${chatId}) gestoppt.`);
         } else {
-            await msg.reply('In dieser Gruppe läuft derzeit kein Live-Ticker.');
+            replyTo(msg, t(language, 'error.noTicker'));
         }
     }
     // --- !reset Command ---
@@ -157,8 +182,7 @@ client.on('message', async msg => {
         const tickerState = activeTickers.get(chatId);
 
         if (tickerState) {
-            if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
-            if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+            clearTickerTimers(tickerState);
             tickerState.isPolling = false;
             tickerState.isScheduled = false;
             const index = jobQueue.findIndex(job => job.chatId === chatId);
@@ -166,38 +190,167 @@ client.on('message', async msg => {
         }
 
         activeTickers.delete(chatId);
-        saveSeenTickers(activeTickers, SEEN_FILE);
+        saveTickers(activeTickers);
 
-        const currentSchedule = loadScheduledTickers(SCHEDULE_FILE);
-        if (currentSchedule[chatId]) {
-            delete currentSchedule[chatId];
-            saveScheduledTickers(currentSchedule, SCHEDULE_FILE);
+        replyTo(msg, t(language, 'ticker.reset'));
+        console.log(`Ticker-Daten für Gruppe "${groupName}" (${chatId}) wurden manuell zurückgesetzt.`);
+    }
+    // --- !replay Command ---
+    else if (command === '!replay' && args.length >= 2) {
+        if (activeTickers.has(chatId) && (activeTickers.get(chatId).isPolling || activeTickers.get(chatId).isScheduled)) {
+            replyTo(msg, t(language, 'error.tickerActive'));
+            return;
         }
+        const meetingPageUrl = args[1];
+        const options = args.slice(2).map(arg => arg.toLowerCase());
+        const mode = options.includes('recap') ? 'recap' : 'live';
+        const speedArg = options.find(arg => arg !== 'recap');
+        const speed = speedArg ? parseFloat(speedArg.replace(/x$/, '')) : DEFAULT_REPLAY_SPEED;
 
-        await msg.reply('Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.');
-        console.log(`Ticker-Daten für Gruppe "${groupName}" (${chatId}) wurden manuell zurückgesetzt.`);
+        if (!(speed >= 1 && speed <= MAX_REPLAY_SPEED)) {
+            replyTo(msg, t(language, 'error.replaySpeed', { max: MAX_REPLAY_SPEED }));
+            return;
+        }
+        try {
+            new URL(meetingPageUrl);
+        } catch (e) {
+            replyTo(msg, t(language, 'error.invalidUrl'));
+            return;
+        }
+        await startReplay(meetingPageUrl, chatId, groupName, mode, speed);
+    }
+    // --- !follow Command ---
+    else if (command === '!follow' && args.length >= 2) {
+        const teamPageUrl = args[1];
+        const mode = (args[2] && args[2].toLowerCase() === 'recap') ? 'recap' : 'live';
+        try {
+            new URL(teamPageUrl);
+        } catch (e) {
+            replyTo(msg, t(language, 'error.invalidUrl'));
+            return;
+        }
+        await followTeam(teamPageUrl, chatId, groupName, mode);
+    }
+    // --- !follow Command without a URL: list followed teams ---
+    else if (command === '!follow' || command === '!following') {
+        const teams = getFollowedTeams(chatId);
+        if (teams.length === 0) {
+            replyTo(msg, t(language, 'follow.none'));
+            return;
+        }
+        const teamLines = teams.map(team => `• *${team.teamName}*\n  ${team.teamUrl}`).join('\n');
+        replyTo(msg, t(language, 'follow.list', { teams: teamLines }));
+    }
+    // --- !unfollow Command ---
+    else if (command === '!unfollow') {
+        const removedTeams = unfollowTeam(chatId, args[1]);
+        if (removedTeams.length === 0) {
+            replyTo(msg, t(language, 'follow.notFollowing'));
+            return;
+        }
+        replyTo(msg, t(language, 'follow.removed', { teams: removedTeams.join(', ') }));
+        console.log(`Gruppe "${groupName}" (${chatId}) folgt nicht mehr: ${removedTeams.join(', ')}`);
+    }
+    // --- !config Command: show, set or reset the group's settings ---
+    else if (command === '!config') {
+        const key = args[1] ? args[1].toLowerCase() : null;
+        try {
+            if (!key) {
+                replyTo(msg, formatGroupSettings(chatId));
+            } else if (key === 'reset') {
+                const { language: newLanguage } = resetGroupSettings(chatId, args[2]);
+                applyGroupSettings(chatId);
+                replyTo(msg, args[2] ? t(newLanguage, 'settings.reset', { key: args[2] }) : t(newLanguage, 'settings.resetAll'));
+            } else if (args.length < 3) {
+                replyTo(msg, t(language, 'settings.missingValue'));
+            } else {
+                // Confirm in the new language if the language itself was changed
+                const { language: newLanguage } = setGroupSetting(chatId, key, args.slice(2).join(' '));
+                applyGroupSettings(chatId);
+                console.log(`Gruppe "${groupName}" (${chatId}) hat "${key}" geändert.`);
+                replyTo(msg, t(newLanguage, 'settings.saved', { settings: formatGroupSettings(chatId) }));
+            }
+        } catch (error) {
+            replyTo(msg, t(language, 'error.generic', { message: error.message }));
+        }
+    }
+    // --- !stand / !torschützen Commands: answered from the last fetched game data ---
+    else if (command === '!stand' || command === '!torschützen' || command === '!torschuetzen') {
+        const tickerState = await loadMissingGameData(chatId);
+        if (!tickerState) {
+            replyTo(msg, t(language, 'error.noTicker'));
+            return;
+        }
+        replyTo(msg, command === '!stand' ? formatScoreboard(tickerState, language) : formatScorers(tickerState, language));
+    }
+    // --- !frag Command: answers a question about the game from the last fetched game data ---
+    else if (command === '!frag' || command === '!frage') {
+        const question = args.slice(1).join(' ').trim();
+        if (!question) {
+            replyTo(msg, t(language, 'question.missing'));
+            return;
+        }
+        const tickerState = await loadMissingGameData(chatId);
+        if (!tickerState) {
+            replyTo(msg, t(language, 'error.noTicker'));
+            return;
+        }
+        replyTo(msg, await answerQuestion(tickerState, question, language));
+    }
+    // --- !saison / !spieler Commands: season totals from the game archive ---
+    else if (command === '!saison') {
+        replyTo(msg, formatSeason(chatId, args.slice(1).join(' ').trim() || null, language));
+    }
+    else if (command === '!spieler') {
+        const name = args.slice(1).join(' ').trim();
+        replyTo(msg, name ? formatPlayerSeason(chatId, name, language) : t(language, 'season.missingName'));
+    }
+    // --- !tabelle Command: the league table of the ticker's (or the last archived) game ---
+    else if (command === '!tabelle') {
+        replyTo(msg, await formatLeagueTable(chatId, await loadMissingGameData(chatId), language));
     }
     // --- Handle !start command without a URL ---
     else if (command === '!start1') {
-        await msg.reply(`Fehler: Bitte geben Sie eine gültige URL an. Format:\n\n!start <URL> [recap]`);
+        replyTo(msg, t(language, 'error.missingUrl'));
     }
 });
 
 // --- MAIN EXECUTION ---
-setInterval(masterScheduler, 20000); // Check every 20 seconds
+setInterval(masterScheduler, 1000); // Check every second, each ticker has its own poll interval
 setInterval(dispatcherLoop, 500); // Check every 0.5 seconds
-client.initialize();
+setInterval(checkFollowedTeams, FOLLOW_CHECK_INTERVAL_MINUTES * 60000);
+// Without a connection (e.g. a missing Telegram token) the bot can't do anything, so it exits
+transport.initialize().catch(error => {
+    console.error(`Transport "${transport.name}" konnte nicht gestartet werden:`, error.message);
+    process.exit(1);
+});
+
+// Optional local status API (JSON at /status, Prometheus at /metrics), e.g. STATUS_PORT=9464
+if (process.env.STATUS_PORT) {
+    startStatusServer(Number(process.env.STATUS_PORT), process.env.STATUS_HOST)
+        .catch(error => console.error('Status-Server konnte nicht gestartet werden:', error.message));
+}
+// Optional web dashboard for starting and stopping tickers (HTTP basic auth with DASHBOARD_USER/DASHBOARD_PASSWORD)
+if (process.env.DASHBOARD_PORT) {
+    startDashboard(Number(process.env.DASHBOARD_PORT), process.env.DASHBOARD_HOST, {
+        user: process.env.DASHBOARD_USER || 'admin',
+        password: process.env.DASHBOARD_PASSWORD
+    }).catch(error => console.error('Dashboard konnte nicht gestartet werden:', error.message));
+}
 
 // --- GRACEFUL SHUTDOWN HANDLER ---
 process.on('SIGINT', async () => {
     console.log('(SIGINT) Empfangen. Bot wird heruntergefahren...');
+    // Save first: running and scheduled tickers are resumed on the next start
+    saveTickers(activeTickers);
     activeTickers.forEach(ticker => {
         ticker.isPolling = false;
         ticker.isScheduled = false;
-        if (ticker.scheduleTimeout) clearTimeout(ticker.scheduleTimeout);
-        if (ticker.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+        clearTickerTimers(ticker);
      });
-    saveSeenTickers(activeTickers, SEEN_FILE); 
-    if (client) await client.destroy(); 
+    // Messages queued within the last second aren't written to the store yet
+    flushOutbox();
+    await closeImages();
+    if (transport) await transport.destroy(); 
     process.exit(0); 
 });
\ No newline at end of file
@@ -0,0 +1,243 @@
+// archive.js
+const { loadArchivedGames, saveArchivedGames, loadFollowedTeams } = require('./store.js');
+const { getGroupSettings } = require('./settings.js');
+const { t, formatNumber } = require('./i18n.js');
+
+// Seasons run from July to June, e.g. a game in March 2025 belongs to the season "2024/25"
+const SEASON_START_MONTH = 6; // July (0-based)
+const MAX_SEASON_PLAYERS = 15;
+
+/**
+ * Returns the season of a date.
+ * @param {Date} date - The date.
+ * @returns {string} - E.g. "2024/25".
+ */
+function getSeason(date) {
+    const startYear = date.getUTCMonth() >= SEASON_START_MONTH ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+    return `${startYear}/${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a season argument like "2024/25", "2024/2025" or "2024".
+ * @param {string} value - The argument.
+ * @returns {string|null} - The season (e.g. "2024/25"), or null if it's invalid.
+ */
+function parseSeason(value) {
+    const match = /^(\d{4})(?:\s*[/-]\s*(\d{2}|\d{4}))?$/.exec(String(value).trim());
+    if (!match) return null;
+    const season = getSeason(new Date(Date.UTC(Number(match[1]), SEASON_START_MONTH, 1)));
+    if (match[2] && Number(match[2]) % 100 !== (Number(match[1]) + 1) % 100) return null;
+    return season;
+}
+
+/**
+ * Returns the key a team is identified by across games.
+ * @param {object} team - { id, name }.
+ * @returns {string} - The team ID, or the name for games without IDs.
+ */
+function getTeamKey(team) {
+    return team.id || team.name;
+}
+
+/**
+ * Stores a finished game in the chat's archive: both teams, the league, the final score,
+ * the events and the lineup. A game that is archived again (e.g. after a restart) replaces the old entry.
+ * @param {string} chatId - The chat ID.
+ * @param {object} tickerState - The ticker state (team names and game URL).
+ * @param {object} gameData - The full data object from the API (contains .summary, .events, .lineup).
+ * @param {Array} events - The events in chronological order.
+ * @param {object} analysis - The game analysis from `gamePhase.analyzeGame`.
+ */
+function archiveGame(chatId, tickerState, gameData, events, analysis) {
+    const { summary } = gameData;
+    const teamNames = tickerState.teamNames || { home: summary.homeTeam.name, guest: summary.awayTeam.name };
+    const game = {
+        gameId: summary.id,
+        meetingPageUrl: tickerState.meetingPageUrl,
+        startsAt: summary.startsAt || new Date(tickerState.finishedAt || Date.now()).toISOString(),
+        homeTeam: { id: summary.homeTeam.id, name: teamNames.home },
+        awayTeam: { id: summary.awayTeam.id, name: teamNames.guest },
+        tournament: summary.tournament || null,
+        finalScore: analysis.finalScore || '0-0',
+        halftimeScore: analysis.halftimeScore || null,
+        decision: analysis.decision || null,
+        events,
+        lineup: gameData.lineup || { home: [], away: [] }
+    };
+
+    const games = loadArchivedGames(chatId).filter(archived => archived.gameId !== game.gameId);
+    games.push(game);
+    games.sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    saveArchivedGames(chatId, games);
+    console.log(`[${chatId}] Spiel ${game.gameId} archiviert (${games.length} Spiele im Archiv).`);
+}
+
+/**
+ * Finds the group's own team in its archived games: a followed team, the favourite team
+ * from the settings or, without either, the team that played the most games.
+ * @param {string} chatId - The chat ID.
+ * @param {Array<object>} games - The archived games.
+ * @returns {object|null} - { key, name }, or null if it can't be determined.
+ */
+function findOwnTeam(chatId, games) {
+    const counts = new Map();
+    for (const game of games) {
+        for (const team of [game.homeTeam, game.awayTeam]) {
+            const key = getTeamKey(team);
+            const entry = counts.get(key) || { key, name: team.name, count: 0 };
+            entry.count++;
+            entry.name = team.name;
+            counts.set(key, entry);
+        }
+    }
+    const teams = [...counts.values()].sort((a, b) => b.count - a.count);
+
+    const followed = loadFollowedTeams()[chatId];
+    const followedIds = followed ? followed.teams.map(team => team.teamId) : [];
+    const followedTeam = teams.find(team => followedIds.includes(team.key));
+    if (followedTeam) return followedTeam;
+
+    const { favoriteTeam } = getGroupSettings(chatId);
+    const favorite = favoriteTeam && teams.find(team => team.name.toLowerCase() === favoriteTeam.toLowerCase());
+    if (favorite) return favorite;
+
+    if (teams.length > 0 && (teams.length === 1 || teams[0].count > teams[1].count)) return teams[0];
+    return null;
+}
+
+/**
+ * Loads the chat's archived games of one season together with its own team.
+ * @param {string} chatId - The chat ID.
+ * @param {string} [seasonArg] - The season asked for (default: the season of the latest game).
+ * @param {string} language - The language code of the chat.
+ * @returns {object} - { season, games, team } or { error } with the reply text.
+ */
+function loadSeason(chatId, seasonArg, language) {
+    const allGames = loadArchivedGames(chatId);
+    if (allGames.length === 0) return { error: t(language, 'season.noGames') };
+
+    const season = seasonArg ? parseSeason(seasonArg) : getSeason(new Date(allGames[allGames.length - 1].startsAt));
+    if (!season) return { error: t(language, 'season.invalidSeason') };
+
+    const games = allGames.filter(game => getSeason(new Date(game.startsAt)) === season);
+    if (games.length === 0) return { error: t(language, 'season.noGamesInSeason', { season }) };
+
+    const team = findOwnTeam(chatId, games);
+    if (!team) return { error: t(language, 'season.noTeam') };
+    return { season, games: games.filter(game => [game.homeTeam, game.awayTeam].some(side => getTeamKey(side) === team.key)), team };
+}
+
+/**
+ * Adds up the record of the own team and the stats of its players over a list of games.
+ * @param {Array<object>} games - The archived games (all with the own team).
+ * @param {string} teamKey - The key of the own team (see getTeamKey).
+ * @returns {object} - { record: { games, wins, draws, losses, goalsFor, goalsAgainst }, players: [...] }.
+ */
+function computeSeasonStats(games, teamKey) {
+    const record = { games: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0 };
+    const players = new Map();
+
+    for (const game of games) {
+        const isHome = getTeamKey(game.homeTeam) === teamKey;
+        const [homeGoals, awayGoals] = game.finalScore.split('-').map(Number);
+        const [goalsFor, goalsAgainst] = isHome ? [homeGoals, awayGoals] : [awayGoals, homeGoals];
+        record.games++;
+        record.goalsFor += goalsFor;
+        record.goalsAgainst += goalsAgainst;
+        if (goalsFor > goalsAgainst) record.wins++;
+        else if (goalsFor < goalsAgainst) record.losses++;
+        else record.draws++;
+
+        // Players have no ID in the feed, so they are matched by name across games
+        for (const player of (isHome ? game.lineup.home : game.lineup.away) || []) {
+            const name = `${player.firstname} ${player.lastname}`;
+            const stats = players.get(name) || { name, lastname: player.lastname, games: 0, goals: 0, penaltyGoals: 0, penaltyMissed: 0, penalties: 0 };
+            stats.games++;
+            stats.goals += player.goals || 0;
+            stats.penaltyGoals += player.penaltyGoals || 0;
+            stats.penaltyMissed += player.penaltyMissed || 0;
+            stats.penalties += player.penalties || 0;
+            players.set(name, stats);
+        }
+    }
+
+    return {
+        record,
+        players: [...players.values()].sort((a, b) => b.goals - a.goals || a.name.localeCompare(b.name))
+    };
+}
+
+/**
+ * Formats a player's 7m record with the success rate.
+ * @param {object} stats - The player's season stats.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - E.g. "2 von 3 (67 %)".
+ */
+function formatSevenMeters(stats, language) {
+    const total = stats.penaltyGoals + stats.penaltyMissed;
+    const ratio = t(language, 'stats.ratio', { made: stats.penaltyGoals, total });
+    if (total === 0) return ratio;
+    return t(language, 'season.rate', { ratio, percent: Math.round(stats.penaltyGoals / total * 100) });
+}
+
+/**
+ * Formats the season of a group (!saison): the record of its team and the player totals.
+ * @param {string} chatId - The chat ID.
+ * @param {string} [seasonArg] - The season asked for (e.g. "2024/25"; default: the season of the latest game).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The season message.
+ */
+function formatSeason(chatId, seasonArg, language) {
+    const { error, season, games, team } = loadSeason(chatId, seasonArg, language);
+    if (error) return error;
+
+    const { record, players } = computeSeasonStats(games, team.key);
+    const lines = players
+        .filter(player => player.goals > 0 || player.penalties > 0 || player.penaltyGoals + player.penaltyMissed > 0)
+        .slice(0, MAX_SEASON_PLAYERS)
+        .map(player => {
+            const details = [
+                t(language, player.goals === 1 ? 'scorers.goal' : 'stats.goals', { count: player.goals }),
+                t(language, player.games === 1 ? 'season.game' : 'season.games', { count: player.games })
+            ];
+            if (player.penaltyGoals + player.penaltyMissed > 0) {
+                details.push(t(language, 'scorers.sevenMeters', { value: formatSevenMeters(player, language) }));
+            }
+            if (player.penalties > 0) details.push(t(language, 'scorers.penalties', { count: player.penalties }));
+            return `• ${player.name}: ${details.join(', ')}`;
+        });
+
+    return `${t(language, 'season.title', { season, team: team.name })}\n` +
+           `${t(language, 'season.record', record)}\n\n` +
+           `${t(language, 'season.playersTitle')}\n${lines.length > 0 ? lines.join('\n') : t(language, 'stats.nobody')}`;
+}
+
+/**
+ * Formats the season totals of one player of the group's team (!spieler).
+ * @param {string} chatId - The chat ID.
+ * @param {string} name - The player's last name or full name (case-insensitive).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The player message.
+ */
+function formatPlayerSeason(chatId, name, language) {
+    const { error, season, games, team } = loadSeason(chatId, null, language);
+    if (error) return error;
+
+    const query = name.trim().toLowerCase();
+    const { players } = computeSeasonStats(games, team.key);
+    const exact = players.filter(player => player.name.toLowerCase() === query || player.lastname.toLowerCase() === query);
+    const matches = exact.length > 0 ? exact : players.filter(player => player.name.toLowerCase().includes(query));
+    if (matches.length === 0) return t(language, 'season.playerNotFound', { name: name.trim(), season });
+    if (matches.length > 1) {
+        return t(language, 'season.ambiguousPlayer', { name: name.trim(), players: matches.map(player => player.name).join(', ') });
+    }
+
+    const [player] = matches;
+    return `${t(language, 'season.playerTitle', { name: player.name, team: team.name, season })}\n` +
+           `${t(language, 'season.playerGames', { count: player.games })}\n` +
+           `${t(language, 'season.playerGoals', { goals: player.goals, average: formatNumber(language, player.goals / player.games) })}\n` +
+           `${t(language, 'season.playerSevenMeters', { value: formatSevenMeters(player, language) })}\n` +
+           `${t(language, 'season.playerPenalties', { count: player.penalties })}`;
+}
+
+module.exports = { archiveGame, formatSeason, formatPlayerSeason };
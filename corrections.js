@@ -0,0 +1,98 @@
+// corrections.js
+const { EVENT_MAP } = require('./config.js');
+const { t, getEventLabel, translateFeedMessage } = require('./i18n.js');
+
+/**
+ * Builds the fingerprint of an event: the fields whose later change is worth a correction.
+ * @param {object} ev - The event object from the API.
+ * @returns {object} - The fingerprint ({ type, time, score, team, message }).
+ */
+function getEventFingerprint(ev) {
+    return {
+        type: ev.type,
+        time: ev.time || null,
+        score: ev.score || null,
+        team: ev.team || null,
+        message: ev.message || null
+    };
+}
+
+/**
+ * Compares the fingerprints of already processed events with the current event list.
+ * @param {object} fingerprints - The stored fingerprints (event ID -> fingerprint).
+ * @param {Array} events - The current events from the API.
+ * @returns {{changed: Array, removed: Array}} - Changed events ({ id, before, after }) and removed ones ({ id, before }).
+ */
+function findCorrections(fingerprints, events) {
+    const changed = [];
+    const removed = [];
+    // An empty list is more likely a feed glitch than every event being deleted
+    if (!fingerprints || events.length === 0) return { changed, removed };
+
+    const currentEvents = new Map(events.map(ev => [ev.id, ev]));
+    for (const [id, before] of Object.entries(fingerprints)) {
+        const ev = currentEvents.get(id) || currentEvents.get(Number(id));
+        if (!ev) {
+            removed.push({ id, before });
+            continue;
+        }
+        const after = getEventFingerprint(ev);
+        if (JSON.stringify(after) !== JSON.stringify(before)) {
+            changed.push({ id, before, after });
+        }
+    }
+    return { changed, removed };
+}
+
+/**
+ * Formats a fingerprint as a single, compact event line.
+ * @param {object} fingerprint - The event fingerprint.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - E.g. "🤾‍♀️ Tor durch Max Mustermann (7.) | 5:4".
+ */
+function formatFingerprintLine(fingerprint, language) {
+    const eventInfo = EVENT_MAP[fingerprint.type] || EVENT_MAP["default"];
+    const score = fingerprint.score ? ` | ${fingerprint.score.replace('-', ':')}` : '';
+    const detail = translateFeedMessage(language, fingerprint.message) || getEventLabel(language, fingerprint.type);
+    return `${eventInfo.emoji} ${detail}${score}`;
+}
+
+/**
+ * Formats all corrections of one update into a single message. If a score was affected,
+ * the corrected current score is appended.
+ * @param {{changed: Array, removed: Array}} corrections - The corrections to announce.
+ * @param {Array} events - The current events from the API (newest first).
+ * @param {object} tickerState - The state object for the ticker (contains team names and language).
+ * @returns {string} - The correction message.
+ */
+function formatCorrectionMessage(corrections, events, tickerState) {
+    const language = tickerState.language;
+    const blocks = [];
+    for (const { before, after } of corrections.changed) {
+        blocks.push([
+            t(language, 'correction.title', { time: after.time || before.time || '--:--' }),
+            t(language, 'correction.before', { line: formatFingerprintLine(before, language) }),
+            t(language, 'correction.after', { line: formatFingerprintLine(after, language) })
+        ].join('\n'));
+    }
+    for (const { before } of corrections.removed) {
+        blocks.push([
+            t(language, 'correction.title', { time: before.time || '--:--' }),
+            t(language, 'correction.removed', { line: formatFingerprintLine(before, language) })
+        ].join('\n'));
+    }
+
+    const scoreAffected = corrections.removed.some(({ before }) => before.score) ||
+        corrections.changed.some(({ before, after }) => before.score !== after.score);
+    const latestScoredEvent = events.find(ev => ev.score);
+    if (scoreAffected && latestScoredEvent) {
+        const [homeScore, guestScore] = latestScoredEvent.score.split('-');
+        const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : t(language, 'team.home');
+        const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : t(language, 'team.guest');
+        blocks.push(`${t(language, 'correction.score')}\n${homeTeamName}  *${homeScore}:${guestScore}* ${guestTeamName}`);
+    }
+
+    return blocks.join('\n\n');
+}
+
+module.exports = { getEventFingerprint, findCorrections, formatCorrectionMessage };
@@ -0,0 +1,397 @@
+// dashboard.js - Optional web dashboard to start, stop and follow tickers from a browser
+const http = require('http');
+const crypto = require('crypto');
+const { loadFollowedTeams, loadGroupSettings } = require('./store.js');
+const { startPolling, beginActualPolling, stopTicker } = require('./polling.js');
+const { skipFollowedGame } = require('./following.js');
+const { getGroupSettings } = require('./settings.js');
+const { describeTicker } = require('./statusServer.js');
+const { t } = require('./i18n.js');
+const { enqueueMessage } = require('./outbox.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let activeTickers, transport;
+
+const MESSAGE_LOG_SIZE = 50;       // Sent messages kept per chat for the preview
+const MAX_BODY_BYTES = 10 * 1024;
+const sentMessages = new Map();    // chatId -> [{ text, isMedia, sentAt }], oldest first
+
+/**
+ * Initializes the dashboard module with shared state variables from app.js and starts
+ * recording the messages sent through the transport for the preview.
+ * @param {Map} tickers - The map of active tickers (chatId -> ticker state).
+ * @param {EventEmitter} messagingTransport - The messaging transport.
+ */
+function initializeDashboard(tickers, messagingTransport) {
+    activeTickers = tickers;
+    transport = messagingTransport;
+
+    for (const [method, isMedia] of [['sendMessage', false], ['sendMedia', true]]) {
+        const send = transport[method];
+        transport[method] = async (chatId, ...args) => {
+            const result = await send(chatId, ...args);
+            const text = isMedia ? (args[1] || '') : args[0];
+            const log = sentMessages.get(chatId) || [];
+            log.push({ text, isMedia, sentAt: new Date().toISOString() });
+            if (log.length > MESSAGE_LOG_SIZE) log.shift();
+            sentMessages.set(chatId, log);
+            return result;
+        };
+    }
+}
+
+/**
+ * Lists the groups the bot is in (if the transport can tell) plus all groups it knows from
+ * tickers, followed teams and settings, each with its current ticker.
+ * @returns {Promise<Array<object>>} - [{ chatId, name, ticker (see describeTicker) or null }], sorted by name.
+ */
+async function listGroups() {
+    const groups = new Map();
+    for (const [chatId, entry] of Object.entries(loadFollowedTeams())) groups.set(chatId, entry.groupName || chatId);
+    for (const chatId of Object.keys(loadGroupSettings())) if (!groups.has(chatId)) groups.set(chatId, chatId);
+    for (const [chatId, tickerState] of activeTickers) groups.set(chatId, tickerState.groupName || groups.get(chatId) || chatId);
+
+    if (transport.getGroups) {
+        try {
+            for (const group of await transport.getGroups()) groups.set(group.chatId, group.name || group.chatId);
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Gruppen:', error.message);
+        }
+    }
+
+    return [...groups.entries()]
+        .map(([chatId, name]) => ({
+            chatId,
+            name,
+            ticker: activeTickers.has(chatId) ? describeTicker(chatId, activeTickers.get(chatId)) : null
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks the HTTP basic auth credentials of a request in constant time.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {object} credentials - { user, password }.
+ * @returns {boolean} - True if the request is authorized.
+ */
+function isAuthorized(req, credentials) {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) return false;
+    const given = Buffer.from(encoded, 'base64').toString('utf8');
+    const expected = `${credentials.user}:${credentials.password}`;
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Reads and parses the JSON body of a request.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<object>} - The parsed body ({} if it's empty).
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                // Stop reading, so an oversized request doesn't keep filling memory
+                reject(new Error('Anfrage zu groß.'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('Ungültiges JSON.'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {object} body - The response body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// --- ACTIONS ---
+
+/**
+ * Schedules a ticker for a group, like `!start1 <URL> [recap]`.
+ * @param {string} chatId - The chat ID of the group.
+ * @param {object} body - { url, mode ('live' | 'recap') }.
+ * @returns {Promise<Array>} - [HTTP status, response body].
+ */
+async function handleStart(chatId, body) {
+    const tickerState = activeTickers.get(chatId);
+    if (tickerState && (tickerState.isPolling || tickerState.isScheduled || tickerState.isScheduling)) {
+        return [409, { error: 'In dieser Gruppe läuft bereits ein Ticker oder ist geplant.' }];
+    }
+    try {
+        new URL(body.url);
+    } catch (e) {
+        return [400, { error: 'Die angegebene URL ist ungültig.' }];
+    }
+    const group = (await listGroups()).find(entry => entry.chatId === chatId);
+    const mode = body.mode === 'recap' ? 'recap' : 'live';
+    await startPolling(body.url, chatId, group ? group.name : chatId, mode);
+    console.log(`[${chatId}] Ticker über das Dashboard geplant.`);
+    return [202, { ok: true }];
+}
+
+/**
+ * Starts polling a scheduled ticker right away instead of waiting for its start time.
+ * @param {string} chatId - The chat ID of the group.
+ * @returns {Promise<Array>} - [HTTP status, response body].
+ */
+async function handleStartNow(chatId) {
+    const tickerState = activeTickers.get(chatId);
+    if (!tickerState || !tickerState.isScheduled) {
+        return [409, { error: 'In dieser Gruppe ist kein Ticker geplant.' }];
+    }
+    if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+    await beginActualPolling(chatId);
+    console.log(`[${chatId}] Ticker über das Dashboard sofort gestartet.`);
+    return [200, { ok: true }];
+}
+
+/**
+ * Stops the running or scheduled ticker of a group, like `!stop1`.
+ * @param {string} chatId - The chat ID of the group.
+ * @returns {Promise<Array>} - [HTTP status, response body].
+ */
+async function handleStop(chatId) {
+    const tickerState = activeTickers.get(chatId);
+    if (!stopTicker(chatId)) {
+        return [409, { error: 'In dieser Gruppe läuft kein Ticker.' }];
+    }
+    if (!tickerState.isReplay) skipFollowedGame(chatId, tickerState.meetingPageUrl);
+    enqueueMessage(chatId, t(getGroupSettings(chatId).language, 'ticker.stopped'));
+    console.log(`[${chatId}] Ticker über das Dashboard gestoppt.`);
+    return [200, { ok: true }];
+}
+
+/**
+ * Routes an authorized request.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(DASHBOARD_PAGE);
+        return;
+    }
+    if (req.method === 'GET' && pathname === '/api/groups') {
+        sendJson(res, 200, await listGroups());
+        return;
+    }
+
+    const match = pathname.match(/^\/api\/groups\/([^/]+)\/(messages|start|start-now|stop)$/);
+    if (!match) {
+        sendJson(res, 404, { error: 'Nicht gefunden.' });
+        return;
+    }
+    const chatId = decodeURIComponent(match[1]);
+    const action = match[2];
+
+    if (action === 'messages') {
+        if (req.method === 'GET') sendJson(res, 200, sentMessages.get(chatId) || []);
+        else sendJson(res, 405, { error: 'Methode nicht erlaubt.' });
+        return;
+    }
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Methode nicht erlaubt.' });
+        return;
+    }
+    // Browsers resend basic auth on their own, so a foreign page could submit a form here.
+    // Forms can't send JSON, and cross-origin JSON requests need a preflight the server never allows.
+    if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+        sendJson(res, 415, { error: 'Nur JSON-Anfragen sind erlaubt.' });
+        return;
+    }
+
+    let status, body;
+    if (action === 'start') [status, body] = await handleStart(chatId, await readJsonBody(req));
+    else if (action === 'start-now') [status, body] = await handleStartNow(chatId);
+    else [status, body] = await handleStop(chatId);
+    sendJson(res, status, body);
+}
+
+/**
+ * Starts the dashboard server. Every request needs HTTP basic auth.
+ * @param {number} port - The port (0 picks a free one).
+ * @param {string} [host='127.0.0.1'] - The interface to listen on (only local by default).
+ * @param {object} credentials - { user, password }.
+ * @returns {Promise<http.Server>} - The listening server.
+ */
+function startDashboard(port, host = '127.0.0.1', credentials) {
+    if (!credentials || !credentials.password) {
+        return Promise.reject(new Error('DASHBOARD_PASSWORD ist nicht gesetzt.'));
+    }
+
+    const server = http.createServer((req, res) => {
+        if (!isAuthorized(req, credentials)) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Liveticker", charset="UTF-8"', 'Content-Type': 'text/plain' });
+            res.end('Anmeldung erforderlich.');
+            return;
+        }
+        handleRequest(req, res).catch(error => {
+            console.error('Fehler im Dashboard:', error);
+            if (!res.headersSent) sendJson(res, 500, { error: error.message });
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            server.on('error', error => console.error('Fehler im Dashboard-Server:', error.message));
+            console.log(`Dashboard läuft auf http://${host}:${server.address().port}/`);
+            resolve(server);
+        });
+    });
+}
+
+// --- PAGE ---
+// A single page without build step; it talks to the JSON API above and refreshes itself.
+const DASHBOARD_PAGE = `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Liveticker-Dashboard</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 0; display: flex; height: 100vh; color: #222; }
+    #groups { width: 55%; overflow-y: auto; padding: 1rem; box-sizing: border-box; }
+    #preview { flex: 1; overflow-y: auto; padding: 1rem; background: #e5ddd5; box-sizing: border-box; }
+    .group { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: .75rem; margin-bottom: .75rem; cursor: pointer; }
+    .group.selected { border-color: #128c7e; box-shadow: 0 0 0 2px #128c7e33; }
+    .state { font-size: .85rem; color: #555; margin: .25rem 0 .5rem; }
+    .error { color: #b00020; }
+    form { display: flex; gap: .5rem; flex-wrap: wrap; }
+    input[type=url] { flex: 1; min-width: 12rem; }
+    .message { background: #fff; border-radius: 6px; padding: .5rem .75rem; margin-bottom: .5rem; white-space: pre-wrap; max-width: 40rem; }
+    .message time { display: block; font-size: .75rem; color: #888; text-align: right; }
+</style>
+</head>
+<body>
+<section id="groups"><h1>Liveticker</h1><p id="status"></p><div id="list"></div></section>
+<section id="preview"><h2>Vorschau</h2><p>Gruppe auswählen, um die gesendeten Nachrichten zu sehen.</p></section>
+<script>
+const STATES = { polling: 'läuft', replay: 'Wiederholung', scheduled: 'geplant', scheduling: 'wird geplant', finished: 'beendet' };
+let selectedChatId = null;
+
+async function api(path, options) {
+    const res = await fetch(path, options);
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || res.statusText);
+    return body;
+}
+
+// The API only accepts JSON posts
+function post(path, body) {
+    return api(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+function describe(ticker) {
+    if (!ticker) return 'Kein Ticker';
+    const teams = ticker.teams ? ticker.teams.home + ' vs ' + ticker.teams.guest : ticker.meetingPageUrl;
+    const start = ticker.startsAt ? ' · Anwurf ' + new Date(ticker.startsAt).toLocaleString('de-DE') : '';
+    const errors = ticker.consecutiveErrors ? ' · ' + ticker.consecutiveErrors + ' Fehler in Folge' : '';
+    return teams + ' · ' + STATES[ticker.state] + ' (' + ticker.mode + ')' + start + errors;
+}
+
+function button(label, onClick) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = label;
+    element.onclick = event => { event.stopPropagation(); onClick(); };
+    return element;
+}
+
+async function run(action) {
+    document.getElementById('status').textContent = '';
+    try {
+        await action();
+    } catch (error) {
+        document.getElementById('status').textContent = error.message;
+        document.getElementById('status').className = 'error';
+    }
+    await refresh();
+}
+
+function renderGroup(group) {
+    const path = '/api/groups/' + encodeURIComponent(group.chatId);
+    const element = document.createElement('div');
+    element.className = 'group' + (group.chatId === selectedChatId ? ' selected' : '');
+    element.onclick = () => { selectedChatId = group.chatId; refresh(); };
+
+    const title = document.createElement('strong');
+    title.textContent = group.name;
+    const state = document.createElement('div');
+    state.className = 'state';
+    state.textContent = describe(group.ticker);
+    element.append(title, state);
+
+    const isActive = group.ticker && ['polling', 'replay', 'scheduled', 'scheduling'].includes(group.ticker.state);
+    if (isActive) {
+        if (group.ticker.state === 'scheduled') {
+            element.append(button('Jetzt starten', () => run(() => post(path + '/start-now', {}))));
+        }
+        element.append(button('Stoppen', () => run(() => post(path + '/stop', {}))));
+    } else {
+        const form = document.createElement('form');
+        form.innerHTML = '<input type="url" required placeholder="https://www.handball.net/spiele/..."><select><option value="live">Live</option><option value="recap">Recap</option></select><button>Planen</button>';
+        form.onclick = event => event.stopPropagation();
+        form.onsubmit = event => {
+            event.preventDefault();
+            const body = { url: form.querySelector('input').value, mode: form.querySelector('select').value };
+            run(() => post(path + '/start', body));
+        };
+        element.append(form);
+    }
+    return element;
+}
+
+async function refresh() {
+    const list = document.getElementById('list');
+    // Don't rebuild the list while a URL is being typed
+    if (list.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+    const groups = await api('/api/groups');
+    list.replaceChildren(...groups.map(renderGroup));
+
+    if (!selectedChatId) return;
+    const group = groups.find(entry => entry.chatId === selectedChatId);
+    const messages = await api('/api/groups/' + encodeURIComponent(selectedChatId) + '/messages');
+    const preview = document.getElementById('preview');
+    const heading = document.createElement('h2');
+    heading.textContent = 'Vorschau: ' + (group ? group.name : selectedChatId);
+    preview.replaceChildren(heading, ...messages.map(message => {
+        const element = document.createElement('div');
+        element.className = 'message';
+        element.textContent = (message.isMedia ? '🖼️ ' : '') + message.text;
+        const time = document.createElement('time');
+        time.textContent = new Date(message.sentAt).toLocaleTimeString('de-DE');
+        element.append(time);
+        return element;
+    }));
+    preview.scrollTop = preview.scrollHeight;
+}
+
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
+
+module.exports = { initializeDashboard, listGroups, startDashboard };
@@ -0,0 +1,241 @@
+// following.js
+const { loadFollowedTeams, saveFollowedTeams, saveTickers } = require('./store.js');
+const { parseTeamUrl } = require('./providers/urls.js');
+const { getGroupSettings } = require('./settings.js');
+const { t } = require('./i18n.js');
+const { enqueueMessage } = require('./outbox.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let activeTickers, queueTickerScheduling, dataProvider;
+
+// A game that started less than this long ago may still be running (halftime, timeouts, overtime)
+const GAME_IN_PROGRESS_MINUTES = 120;
+
+/**
+ * Initializes the following module with shared state variables from app.js.
+ * @param {Map} tickers - The map storing active ticker states.
+ * @param {Function} scheduleTicker - The polling module's `queueTickerScheduling` function.
+ * @param {object} provider - The game data provider (see providers/index.js).
+ */
+function initializeFollowing(tickers, scheduleTicker, provider) {
+    activeTickers = tickers;
+    queueTickerScheduling = scheduleTicker;
+    dataProvider = provider;
+}
+
+/**
+ * Picks the team's display name from its fixture list.
+ * @param {Array} fixtures - The fixtures returned by the data provider.
+ * @param {string} teamId - The handball.net team ID.
+ * @returns {string|null} - The team name, or null if it can't be determined.
+ */
+function findTeamName(fixtures, teamId) {
+    for (const game of fixtures) {
+        if (game.homeTeam && game.homeTeam.id === teamId) return game.homeTeam.name;
+        if (game.awayTeam && game.awayTeam.id === teamId) return game.awayTeam.name;
+    }
+    return null;
+}
+
+/**
+ * Adds a team to the chat's followed teams and immediately schedules its next game.
+ * @param {string} teamPageUrl - The user-facing team URL.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {string} groupName - The name of the WhatsApp group.
+ * @param {('live'|'recap')} mode - The ticker mode used for all of the team's games.
+ */
+async function followTeam(teamPageUrl, chatId, groupName, mode) {
+    const { language } = getGroupSettings(chatId);
+    let teamId, fixtures;
+    try {
+        teamId = parseTeamUrl(teamPageUrl).id;
+        fixtures = await dataProvider.fetchTeamFixtures(teamPageUrl);
+    } catch (error) {
+        console.error(`[${chatId}] Fehler beim Laden des Spielplans:`, error.message);
+        enqueueMessage(chatId, t(language, 'follow.fixturesFailed'));
+        return;
+    }
+
+    const followedTeams = loadFollowedTeams();
+    const entry = followedTeams[chatId] || { teams: [], skippedGames: [] };
+    if (entry.teams.some(team => team.teamId === teamId)) {
+        enqueueMessage(chatId, t(language, 'follow.alreadyFollowing'));
+        return;
+    }
+
+    const teamName = findTeamName(fixtures, teamId) || teamId;
+    entry.groupName = groupName;
+    entry.mode = mode;
+    entry.teams.push({ teamUrl: teamPageUrl, teamId, teamName });
+    followedTeams[chatId] = entry;
+    saveFollowedTeams(followedTeams);
+
+    const upcomingCount = fixtures.filter(game => new Date(game.startsAt).getTime() > Date.now()).length;
+    console.log(`[${chatId}] Folge jetzt Team "${teamName}" (${upcomingCount} kommende Spiele).`);
+    enqueueMessage(chatId, t(language, 'follow.added', { team: teamName, count: upcomingCount }));
+
+    await checkFollowedTeamsForChat(chatId, followedTeams[chatId]);
+}
+
+/**
+ * Removes one (or all) followed teams of a chat.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {string} [teamPageUrl] - The team URL to unfollow. If omitted, all teams are unfollowed.
+ * @returns {Array<string>} - The names of the teams that were removed.
+ */
+function unfollowTeam(chatId, teamPageUrl) {
+    const followedTeams = loadFollowedTeams();
+    const entry = followedTeams[chatId];
+    if (!entry) return [];
+
+    let removed;
+    if (teamPageUrl) {
+        let teamId;
+        try {
+            teamId = parseTeamUrl(teamPageUrl).id;
+        } catch (e) {
+            return [];
+        }
+        removed = entry.teams.filter(team => team.teamId === teamId);
+        entry.teams = entry.teams.filter(team => team.teamId !== teamId);
+    } else {
+        removed = entry.teams;
+        entry.teams = [];
+    }
+
+    if (entry.teams.length === 0) {
+        delete followedTeams[chatId];
+    }
+    saveFollowedTeams(followedTeams);
+    return removed.map(team => team.teamName);
+}
+
+/**
+ * Returns the teams followed in a chat.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @returns {Array<object>} - The followed team entries ({ teamUrl, teamId, teamName }).
+ */
+function getFollowedTeams(chatId) {
+    const entry = loadFollowedTeams()[chatId];
+    return entry ? entry.teams : [];
+}
+
+/**
+ * Marks a followed game as skipped so it isn't scheduled again (e.g. after `!stop1`).
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {string} meetingPageUrl - The URL of the game that was stopped.
+ */
+function skipFollowedGame(chatId, meetingPageUrl) {
+    const followedTeams = loadFollowedTeams();
+    const entry = followedTeams[chatId];
+    if (!entry || !meetingPageUrl || entry.skippedGames.includes(meetingPageUrl)) return;
+
+    entry.skippedGames.push(meetingPageUrl);
+    saveFollowedTeams(followedTeams);
+}
+
+/**
+ * Cancels a scheduled (not yet running) ticker so it can be rescheduled.
+ * @param {object} tickerState - The state object of the scheduled ticker.
+ */
+function cancelScheduledTicker(tickerState) {
+    if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+    tickerState.isScheduled = false;
+    saveTickers(activeTickers);
+}
+
+/**
+ * Forgets skipped games that are over, so the list doesn't grow with every stopped ticker.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {object} entry - The chat's entry from the followed teams store.
+ * @param {Array} fixtures - The fixtures of all followed teams of the chat.
+ */
+function pruneSkippedGames(chatId, entry, fixtures) {
+    const earliestRunningStart = Date.now() - GAME_IN_PROGRESS_MINUTES * 60000;
+    const skippedGames = entry.skippedGames.filter(meetingPageUrl => fixtures.some(game =>
+        game.meetingPageUrl === meetingPageUrl && new Date(game.startsAt).getTime() > earliestRunningStart));
+    if (skippedGames.length === entry.skippedGames.length) return;
+
+    entry.skippedGames = skippedGames;
+    const followedTeams = loadFollowedTeams();
+    if (!followedTeams[chatId]) return;
+    followedTeams[chatId].skippedGames = skippedGames;
+    saveFollowedTeams(followedTeams);
+}
+
+/**
+ * Checks the fixtures of all teams followed in one chat and schedules the next game: the
+ * earliest one that is still running or upcoming. Only one ticker can run per chat, so the
+ * following ones are picked up by later checks once that game is over.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {object} entry - The chat's entry from the followed teams store.
+ */
+async function checkFollowedTeamsForChat(chatId, entry) {
+    const fixtures = [];
+    let hasAllFixtures = true;
+    for (const team of entry.teams) {
+        try {
+            fixtures.push(...await dataProvider.fetchTeamFixtures(team.teamUrl));
+        } catch (error) {
+            hasAllFixtures = false;
+            console.error(`[${chatId}] Fehler beim Laden des Spielplans von "${team.teamName}":`, error.message);
+        }
+    }
+    // A missing fixture list would make its skipped games look like past ones
+    if (hasAllFixtures) pruneSkippedGames(chatId, entry, fixtures);
+
+    const tickerState = activeTickers.get(chatId);
+    const earliestRunningStart = Date.now() - GAME_IN_PROGRESS_MINUTES * 60000;
+    // Games that started recently are included, so following a team (or restarting the bot) mid-game still starts its ticker
+    const upcoming = fixtures
+        .filter(game => new Date(game.startsAt).getTime() > earliestRunningStart && game.state !== 'post')
+        .filter(game => !entry.skippedGames.includes(game.meetingPageUrl))
+        .filter(game => !(tickerState && tickerState.finishedAt && tickerState.meetingPageUrl === game.meetingPageUrl))
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    const nextGame = upcoming[0];
+    if (!nextGame) return;
+
+    if (tickerState && (tickerState.isPolling || tickerState.isScheduling)) return;
+
+    if (tickerState && tickerState.isScheduled) {
+        const isSameGame = tickerState.meetingPageUrl === nextGame.meetingPageUrl;
+        if (isSameGame && tickerState.startsAt === nextGame.startsAt) return;
+
+        // Never touch tickers that were started manually for a game outside the followed fixtures
+        const isFollowedGame = fixtures.some(game => game.meetingPageUrl === tickerState.meetingPageUrl);
+        if (!isFollowedGame) return;
+
+        console.log(`[${chatId}] Gefolgtes Spiel wurde verlegt oder ein früheres Spiel hinzugefügt. Plane neu.`);
+        cancelScheduledTicker(tickerState);
+        if (isSameGame) {
+            enqueueMessage(chatId, t(getGroupSettings(chatId).language, 'follow.gameMoved'));
+        }
+    }
+
+    await queueTickerScheduling(nextGame.meetingPageUrl, chatId, entry.groupName, entry.mode);
+}
+
+/**
+ * Follow Checker: Runs periodically.
+ * Looks for new or moved fixtures of all followed teams and keeps the schedules up to date.
+ */
+async function checkFollowedTeams() {
+    const followedTeams = loadFollowedTeams();
+    for (const [chatId, entry] of Object.entries(followedTeams)) {
+        try {
+            await checkFollowedTeamsForChat(chatId, entry);
+        } catch (error) {
+            console.error(`[${chatId}] Fehler beim Prüfen der gefolgten Teams:`, error.message);
+        }
+    }
+}
+
+// --- Exports ---
+module.exports = {
+    initializeFollowing,
+    followTeam,
+    unfollowTeam,
+    getFollowedTeams,
+    skipFollowedGame,
+    checkFollowedTeams
+};
@@ -0,0 +1,178 @@
+// gameFlow.js - Notes on the course of the game (runs, lead changes, milestones, power play)
+const { parseMatchTime } = require('./utils.js');
+const { parseScore } = require('./gamePhase.js');
+const { t } = require('./i18n.js');
+
+const GOAL_EVENT_TYPES = ["Goal", "SevenMeterGoal"];
+const RUN_MIN_GOALS = 3;              // Goals in a row without a goal of the opponent before a run is announced
+const BIGGEST_LEAD_MIN = 3;           // Smaller leads are too common to be worth a note
+const COMEBACK_MIN_DEFICIT = 3;       // Deficit a team must have made up for an equalizer to count as a comeback
+const PLAYER_MILESTONES = [3, 5, 10, 15];
+const PENALTY_SECONDS = 2 * 60;
+
+/**
+ * Extracts the player's name from a feed message like "Tor durch Max Mustermann (7.)".
+ * @param {string} message - The event message from the API (always German).
+ * @returns {string|null} - The name without the jersey number, or null if none was found.
+ */
+function getPlayerName(message) {
+    const match = /(?:durch|für|von)\s+(.+?)\s*(?:\(\d+\.?\))?$/.exec(message || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Formats seconds of match time as "MM:SS".
+ * @param {number} seconds - The match time in seconds.
+ * @returns {string} - The match time.
+ */
+function formatMatchTime(seconds) {
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Walks through the events and collects the notes on the course of the game, each with its kind
+ * ('run', 'equalizer', 'comeback', 'leadChange', 'biggestLead', 'milestone' or 'powerPlay').
+ * @param {Array} events - All events in chronological order (oldest first).
+ * @param {object} tickerState - The state object for the ticker (contains team names and language).
+ * @param {object} [analysis] - The game analysis from `gamePhase.analyzeGame` (marks the shootout).
+ * @returns {Array<object>} - [{ ev, kind, team, text }] in chronological order; runs also carry
+ *                           `runStart`, the ID of the run's first goal.
+ */
+function collectGameFlowNotes(events, tickerState, analysis) {
+    const language = tickerState.language;
+    const teamName = team => tickerState.teamNames
+        ? (team === 'Home' ? tickerState.teamNames.home : tickerState.teamNames.guest)
+        : t(language, team === 'Home' ? 'team.home' : 'team.guest');
+    const opponent = team => (team === 'Home' ? 'Away' : 'Home');
+
+    const notes = [];
+    let lastScore = [0, 0];
+    let lastLeader = null;                         // Team that led most recently (ignores level scores)
+    let biggestLead = 0;
+    let run = { team: null, goals: 0, start: null };
+    const deficits = { Home: 0, Away: 0 };         // Biggest deficit since the team last wasn't behind
+    const playerGoals = new Map();                 // "team|name" -> goals
+    const penalties = { Home: [], Away: [] };      // End times (seconds) of the suspensions per team
+
+    for (const ev of events) {
+        if (analysis && analysis.periodEvents[ev.id] === 'shootoutStart') break;
+        const add = (kind, team, text, details) => notes.push({ ev, kind, team, text, ...details });
+
+        if (GOAL_EVENT_TYPES.includes(ev.type) && ev.score && (ev.team === 'Home' || ev.team === 'Away')) {
+            const score = parseScore(ev);
+            const team = ev.team;
+            const difference = score[0] - score[1];
+            const leader = difference > 0 ? 'Home' : (difference < 0 ? 'Away' : null);
+            const lead = Math.abs(difference);
+
+            run = run.team === team ? { ...run, goals: run.goals + 1 } : { team, goals: 1, start: ev.id };
+            if (run.goals >= RUN_MIN_GOALS) {
+                add('run', team, t(language, 'flow.run', { goals: run.goals, team: teamName(team) }), { runStart: run.start });
+            }
+
+            if (leader === null && (lastScore[0] !== lastScore[1])) {
+                if (deficits[team] >= COMEBACK_MIN_DEFICIT) {
+                    add('comeback', team, t(language, 'flow.comeback', { team: teamName(team), deficit: deficits[team] }));
+                } else {
+                    add('equalizer', team, t(language, 'flow.equalizer', { team: teamName(team) }));
+                }
+            } else if (leader && lastLeader && leader !== lastLeader) {
+                add('leadChange', leader, t(language, 'flow.leadChange', { team: teamName(leader) }));
+            }
+
+            if (leader && lead > biggestLead && lead >= BIGGEST_LEAD_MIN) {
+                add('biggestLead', leader, t(language, 'flow.biggestLead', { team: teamName(leader), lead }));
+            }
+            biggestLead = Math.max(biggestLead, lead);
+
+            const playerName = getPlayerName(ev.message);
+            if (playerName) {
+                const key = `${team}|${playerName}`;
+                const goals = (playerGoals.get(key) || 0) + 1;
+                playerGoals.set(key, goals);
+                if (goals === PLAYER_MILESTONES[0]) {
+                    add('milestone', team, t(language, 'flow.hatTrick', { player: playerName }));
+                } else if (PLAYER_MILESTONES.includes(goals)) {
+                    add('milestone', team, t(language, 'flow.milestone', { player: playerName, goals }));
+                }
+            }
+
+            if (leader) {
+                deficits[leader] = 0;
+                deficits[opponent(leader)] = Math.max(deficits[opponent(leader)], lead);
+                lastLeader = leader;
+            } else {
+                deficits.Home = 0;
+                deficits.Away = 0;
+            }
+            lastScore = score;
+        }
+
+        if (ev.type === 'TwoMinutePenalty' && ev.time && (ev.team === 'Home' || ev.team === 'Away')) {
+            const seconds = parseMatchTime(ev.time);
+            const active = penalties[ev.team].filter(end => end > seconds);
+            active.push(seconds + PENALTY_SECONDS);
+            penalties[ev.team] = active;
+            // The advantage lasts until the first of the running suspensions ends
+            const until = formatMatchTime(Math.min(...active));
+            const key = active.length > 1 ? 'flow.doublePowerPlay' : 'flow.powerPlay';
+            add('powerPlay', opponent(ev.team), t(language, key, { team: teamName(opponent(ev.team)), until }));
+        }
+    }
+    return notes;
+}
+
+/**
+ * Derives the notes on the course of the game for every event from the events before it:
+ * runs ("4:0-Lauf"), equalizers and comebacks, lead changes, the biggest lead of the game,
+ * a player's hat-trick or 5th/10th goal, and the power play after a two-minute suspension.
+ * The notes only depend on the event history, so live and recap mode (and a restarted bot)
+ * get the same notes. Events of a 7m shootout get none.
+ * @param {Array} events - All events in chronological order (oldest first).
+ * @param {object} tickerState - The state object for the ticker (contains team names and language).
+ * @param {object} [analysis] - The game analysis from `gamePhase.analyzeGame` (marks the shootout).
+ * @returns {Map<string, Array<string>>} - Event ID -> note lines (only events with notes).
+ */
+function getGameFlowNotes(events, tickerState, analysis) {
+    const notes = new Map();
+    for (const { ev, text } of collectGameFlowNotes(events, tickerState, analysis)) {
+        if (!notes.has(ev.id)) notes.set(ev.id, []);
+        notes.get(ev.id).push(text);
+    }
+    return notes;
+}
+
+/**
+ * Picks the key moments of a game (e.g. for the halftime report): comebacks, lead changes, player
+ * milestones, the longest stage of every run and the biggest lead. Power plays and plain
+ * equalizers are too frequent to count.
+ * @param {Array} events - The events in chronological order (oldest first).
+ * @param {object} tickerState - The state object for the ticker (contains team names and language).
+ * @param {object} [analysis] - The game analysis from `gamePhase.analyzeGame` (marks the shootout).
+ * @returns {Array<string>} - The key moments as "MM:SS note", in chronological order.
+ */
+function getKeyMoments(events, tickerState, analysis) {
+    const moments = [];
+    for (const note of collectGameFlowNotes(events, tickerState, analysis)) {
+        if (note.kind === 'powerPlay' || note.kind === 'equalizer') continue;
+        // Runs are announced with every goal and the biggest lead with every new high; only the last one counts
+        const replaced = moments.findIndex(moment => moment.kind === note.kind &&
+            (note.kind === 'biggestLead' || (note.kind === 'run' && moment.runStart === note.runStart)));
+        if (replaced > -1) moments.splice(replaced, 1);
+        moments.push(note);
+    }
+    return moments.map(moment => `${moment.ev.time} ${moment.text}`);
+}
+
+/**
+ * Appends the notes of an event to its message.
+ * @param {string} text - The formatted event message or line.
+ * @param {Array<string>} [lines] - The notes of the event.
+ * @returns {string} - The text with one note per line.
+ */
+function appendGameFlowNotes(text, lines) {
+    if (!text || !lines || lines.length === 0) return text;
+    return `${text}\n${lines.join('\n')}`;
+}
+
+module.exports = { getGameFlowNotes, getKeyMoments, appendGameFlowNotes };
@@ -0,0 +1,128 @@
+// gamePhase.js
+const { parseMatchTime } = require('./utils.js');
+
+const DEFAULT_HALF_MINUTES = 30;     // Used until the first half has ended (adults)
+const SHOOTOUT_EVENT_TYPES = ["SevenMeterGoal", "SevenMeterMissed"];
+
+/**
+ * Returns the numeric score of an event ("12-10" -> [12, 10]), or null if it has none.
+ * @param {object} ev - The event object from the API.
+ * @returns {Array<number>|null} - [home, guest] or null.
+ */
+function parseScore(ev) {
+    if (!ev || !ev.score) return null;
+    const [home, guest] = ev.score.split('-').map(Number);
+    return [home || 0, guest || 0];
+}
+
+/**
+ * Analyzes the event sequence of a game and determines the current phase, the role of every
+ * period event (halftime, end of regular time, overtime, ...) and whether the game is over.
+ *
+ * Handball periods come in pairs: two regular halves, then (in cup games) pairs of 5-minute
+ * overtime halves, and finally a 7m shootout if the score is still level. The half length
+ * is taken from the first `StopPeriod`, so youth games with 20 or 25 minute halves work too.
+ * A level score after regular time or overtime is only treated as the end of the game once
+ * the feed reports `summary.state === "post"` (league games can end in a draw).
+ *
+ * @param {Array} events - The events in chronological order (oldest first).
+ * @param {object} [summary] - The `summary` object from the API.
+ * @returns {object} - The analysis:
+ *   `phase` ('pre' | 'regular' | 'halftime' | 'regulationEnd' | 'overtime' | 'overtimeBreak' | 'shootout' | 'finished'),
+ *   `periodEvents` (event ID -> 'gameStart' | 'secondHalfStart' | 'overtimeStart' | 'overtimeSecondHalfStart' |
+ *   'halftime' | 'regulationEnd' | 'overtimeHalftime' | 'overtimeEnd' | 'shootoutStart' | 'gameEnd'),
+ *   `halfMinutes`, `regulationMinutes`, `playedMinutes`, `overtimeCount`, `hasShootout`,
+ *   `halftimeScore` and `finalScore` ("h-a" or null), `decision`, `isFinished`.
+ */
+function analyzeGame(events, summary) {
+    const periodEvents = {};
+    let startCount = 0;
+    let stopCount = 0;
+    let halfMinutes = DEFAULT_HALF_MINUTES;
+    let halftimeScore = null;
+    let lastStop = null;
+    let shootoutStarted = false;
+    let phase = 'pre';
+
+    for (const ev of events) {
+        if (ev.type === "StartPeriod") {
+            startCount++;
+            if (startCount === 1) periodEvents[ev.id] = 'gameStart';
+            else if (startCount === 2) periodEvents[ev.id] = 'secondHalfStart';
+            else periodEvents[ev.id] = (startCount % 2 === 1) ? 'overtimeStart' : 'overtimeSecondHalfStart';
+            phase = startCount <= 2 ? 'regular' : 'overtime';
+        } else if (ev.type === "StopPeriod") {
+            stopCount++;
+            lastStop = ev;
+            if (stopCount === 1) {
+                periodEvents[ev.id] = 'halftime';
+                halftimeScore = ev.score || null;
+                const halfSeconds = ev.time ? parseMatchTime(ev.time) : 0;
+                if (halfSeconds > 0) halfMinutes = Math.round(halfSeconds / 60);
+                phase = 'halftime';
+            } else if (stopCount === 2) {
+                periodEvents[ev.id] = 'regulationEnd';
+                phase = 'regulationEnd';
+            } else if (stopCount % 2 === 1) {
+                periodEvents[ev.id] = 'overtimeHalftime';
+                phase = 'overtimeBreak';
+            } else {
+                periodEvents[ev.id] = 'overtimeEnd';
+                phase = 'regulationEnd';
+            }
+        } else if (SHOOTOUT_EVENT_TYPES.includes(ev.type) && phase === 'regulationEnd' && !shootoutStarted) {
+            // 7m throws after a full period pair without a new period: the shootout has begun
+            shootoutStarted = true;
+            periodEvents[ev.id] = 'shootoutStart';
+            phase = 'shootout';
+        }
+    }
+
+    const overtimeCount = Math.max(0, Math.ceil((Math.max(startCount, stopCount) - 2) / 2));
+    const stopScore = parseScore(lastStop);
+    const isDecidedAtStop = phase === 'regulationEnd' && stopScore && stopScore[0] !== stopScore[1];
+    const isFinished = (summary && summary.state === 'post') || Boolean(isDecidedAtStop);
+
+    // The last period end is the end of the game, unless a shootout followed it
+    if (isFinished && !shootoutStarted && lastStop && stopCount >= 2 && stopCount % 2 === 0) {
+        periodEvents[lastStop.id] = 'gameEnd';
+    }
+
+    const lastScoredEvent = [...events].reverse().find(ev => ev.score);
+    const summaryScore = summary && summary.state === 'post' && summary.homeGoals !== undefined && summary.awayGoals !== undefined
+        ? `${summary.homeGoals}-${summary.awayGoals}`
+        : null;
+
+    const regulationMinutes = halfMinutes * 2;
+    const lastTimedEvent = [...events].reverse().find(ev => ev.time);
+    const playedMinutes = Math.max(regulationMinutes, lastTimedEvent ? Math.floor(parseMatchTime(lastTimedEvent.time) / 60) : 0);
+
+    const analysis = {
+        phase: isFinished ? 'finished' : phase,
+        periodEvents,
+        halfMinutes,
+        regulationMinutes,
+        playedMinutes,
+        overtimeCount,
+        hasShootout: shootoutStarted,
+        halftimeScore,
+        finalScore: isFinished ? (summaryScore || (lastScoredEvent ? lastScoredEvent.score : null)) : null,
+        isFinished
+    };
+    analysis.decision = getDecision(analysis);
+    return analysis;
+}
+
+/**
+ * Determines how the game was decided, for messages and the AI prompt (see the 'decision.*' messages).
+ * @param {object} analysis - The result of `analyzeGame`.
+ * @returns {string|null} - 'shootout', 'doubleOvertime', 'overtime', or null for regular time.
+ */
+function getDecision(analysis) {
+    if (analysis.hasShootout) return 'shootout';
+    if (analysis.overtimeCount > 1) return 'doubleOvertime';
+    if (analysis.overtimeCount === 1) return 'overtime';
+    return null;
+}
+
+module.exports = { analyzeGame, parseScore };
@@ -0,0 +1,109 @@
+// i18n.js
+// Message catalogs live in locales/<language>.js. Adding a language only requires a new
+// catalog there; missing keys fall back to German.
+
+const CATALOGS = {
+    de: require('./locales/de.js'),
+    en: require('./locales/en.js')
+};
+const DEFAULT_LANGUAGE = 'de';
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Returns the catalog of a language, falling back to the default language.
+ * @param {string} language - The language code (e.g. 'de', 'en').
+ * @returns {object} - The message catalog.
+ */
+function getCatalog(language) {
+    return CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Translates a message key and fills in its `{placeholders}`.
+ * @param {string} language - The language code.
+ * @param {string} key - The message key (e.g. 'error.invalidUrl').
+ * @param {object} [params] - The values for the placeholders.
+ * @returns {string} - The translated message (the key itself if it's unknown in every catalog).
+ */
+function t(language, key, params = {}) {
+    let text = getCatalog(language).messages[key];
+    if (text === undefined) text = CATALOGS[DEFAULT_LANGUAGE].messages[key];
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * Returns the translated label of an event type.
+ * @param {string} language - The language code.
+ * @param {string} type - The event type (e.g. 'Goal').
+ * @returns {string} - The label (the 'default' label for unknown types).
+ */
+function getEventLabel(language, type) {
+    const events = getCatalog(language).events;
+    return events[type] || events["default"];
+}
+
+/**
+ * Translates an event text from the feed (which handball.net writes in German) where the
+ * catalog knows its pattern. Unknown texts are returned unchanged.
+ * @param {string} language - The language code.
+ * @param {string} message - The event text from the feed (e.g. "Tor durch Max Mustermann (7.)").
+ * @returns {string} - The translated text.
+ */
+function translateFeedMessage(language, message) {
+    if (!message) return message;
+    for (const [pattern, replacement] of getCatalog(language).feedMessages) {
+        if (pattern.test(message)) return message.replace(pattern, replacement);
+    }
+    return message;
+}
+
+/**
+ * Formats a date in the style of the language (e.g. "01.03.2025" or "01/03/2025").
+ * @param {string} language - The language code.
+ * @param {Date} date - The date.
+ * @returns {string} - The formatted date.
+ */
+function formatDate(language, date) {
+    return date.toLocaleDateString(getCatalog(language).locale, { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+/**
+ * Formats a time of day in the style of the language (e.g. "17:55").
+ * @param {string} language - The language code.
+ * @param {Date} date - The date.
+ * @returns {string} - The formatted time.
+ */
+function formatTime(language, date) {
+    return date.toLocaleTimeString(getCatalog(language).locale, { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Formats a number in the style of the language, with at most one decimal (e.g. "2,5" or "2.5").
+ * @param {string} language - The language code.
+ * @param {number} value - The number.
+ * @returns {string} - The formatted number.
+ */
+function formatNumber(language, value) {
+    return value.toLocaleString(getCatalog(language).locale, { maximumFractionDigits: 1 });
+}
+
+/**
+ * Lists the supported languages for help texts.
+ * @returns {string} - E.g. "de (Deutsch), en (English)".
+ */
+function describeLanguages() {
+    return SUPPORTED_LANGUAGES.map(code => `${code} (${CATALOGS[code].name})`).join(', ');
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    t,
+    getEventLabel,
+    translateFeedMessage,
+    formatDate,
+    formatTime,
+    formatNumber,
+    describeLanguages
+};
@@ -0,0 +1,236 @@
+// images.js - Scoreboard card with a chart of the score difference, rendered to PNG with puppeteer
+const puppeteer = require('puppeteer');
+const { parseMatchTime } = require('./utils.js');
+const { t } = require('./i18n.js');
+
+// --- RENDERER STATE (Initialized by app.js) ---
+let isEnabled = false;
+let executablePath = null;
+let browserPromise = null;
+
+const CARD_WIDTH = 800;
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 28;
+const DEFAULT_HALF_MINUTES = 30;
+const TOP_SCORERS_SHOWN = 3;
+const HOME_COLOR = '#1565c0';
+const GUEST_COLOR = '#c62828';
+
+/**
+ * Enables rendering images. Without this call (e.g. in tests), `renderGameImage` returns null.
+ * @param {string} [chromiumPath='/usr/bin/chromium'] - The Chromium binary used by puppeteer.
+ */
+function initializeImages(chromiumPath) {
+    isEnabled = true;
+    executablePath = chromiumPath || '/usr/bin/chromium';
+}
+
+/**
+ * Escapes text for use in HTML and SVG.
+ * @param {string} text - The text (e.g. a team name from the feed).
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the chart of the score difference (home minus guest) over match time as SVG.
+ * Above the zero line the home team leads, below it the guest team.
+ * @param {Array} events - The events in chronological order.
+ * @param {object} teamNames - { home, guest }.
+ * @param {number} [halfMinutes=30] - The length of a half (youth games are shorter), marks the halftime.
+ * @returns {string} - The SVG markup.
+ */
+function buildScoreChartSvg(events, teamNames, halfMinutes = DEFAULT_HALF_MINUTES) {
+    // One point per change of the difference
+    const points = [{ seconds: 0, difference: 0 }];
+    for (const ev of events) {
+        if (!ev.score || !ev.time) continue;
+        const [homeGoals, guestGoals] = ev.score.split('-').map(Number);
+        const difference = homeGoals - guestGoals;
+        if (difference !== points[points.length - 1].difference) {
+            points.push({ seconds: parseMatchTime(ev.time), difference });
+        }
+    }
+
+    const halfSeconds = halfMinutes * 60;
+    const maxSeconds = Math.max(2 * halfSeconds, ...points.map(point => point.seconds));
+    const maxDifference = Math.max(3, ...points.map(point => Math.abs(point.difference)));
+    const innerWidth = CHART_WIDTH - 2 * CHART_PADDING;
+    const innerHeight = CHART_HEIGHT - 2 * CHART_PADDING;
+    const zeroY = CHART_PADDING + innerHeight / 2;
+    const x = seconds => (CHART_PADDING + seconds / maxSeconds * innerWidth).toFixed(1);
+    const y = difference => (zeroY - difference / maxDifference * innerHeight / 2).toFixed(1);
+
+    // Step line: the difference holds until the next goal
+    let line = `M ${x(0)} ${y(0)}`;
+    for (const point of points.slice(1)) {
+        line += ` H ${x(point.seconds)} V ${y(point.difference)}`;
+    }
+    line += ` H ${x(maxSeconds)}`;
+    const area = `${line} V ${zeroY} H ${x(0)} Z`;
+
+    const ticks = [];
+    for (let minute = 0; minute * 60 <= maxSeconds; minute += 10) {
+        ticks.push(`<text x="${x(minute * 60)}" y="${CHART_HEIGHT - 6}" text-anchor="middle">${minute}'</text>`);
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" font-family="sans-serif" font-size="12" fill="#555">
+    <clipPath id="lead-home"><rect x="0" y="0" width="${CHART_WIDTH}" height="${zeroY}"/></clipPath>
+    <clipPath id="lead-guest"><rect x="0" y="${zeroY}" width="${CHART_WIDTH}" height="${CHART_HEIGHT - zeroY}"/></clipPath>
+    <path d="${area}" fill="${HOME_COLOR}" fill-opacity="0.25" clip-path="url(#lead-home)"/>
+    <path d="${area}" fill="${GUEST_COLOR}" fill-opacity="0.25" clip-path="url(#lead-guest)"/>
+    <line x1="${x(0)}" y1="${zeroY}" x2="${x(maxSeconds)}" y2="${zeroY}" stroke="#999"/>
+    <line x1="${x(halfSeconds)}" y1="${CHART_PADDING}" x2="${x(halfSeconds)}" y2="${CHART_HEIGHT - CHART_PADDING}" stroke="#bbb" stroke-dasharray="4 4"/>
+    <path class="score-line" d="${line}" fill="none" stroke="#222" stroke-width="2"/>
+    <text x="${x(0)}" y="${CHART_PADDING - 10}" fill="${HOME_COLOR}">+${maxDifference} ${escapeHtml(teamNames.home)}</text>
+    <text x="${x(0)}" y="${CHART_HEIGHT - CHART_PADDING + 16}" fill="${GUEST_COLOR}">+${maxDifference} ${escapeHtml(teamNames.guest)}</text>
+    ${ticks.join('\n    ')}
+</svg>`;
+}
+
+/**
+ * Builds the HTML of one team's column: the top scorers and the number of suspensions.
+ * @param {string} teamName - The team name.
+ * @param {Array} lineup - The lineup array of the team.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The HTML markup.
+ */
+function buildTeamColumn(teamName, lineup, language) {
+    const players = lineup || [];
+    const scorers = players
+        .filter(player => player.goals > 0)
+        .sort((a, b) => b.goals - a.goals || a.lastname.localeCompare(b.lastname))
+        .slice(0, TOP_SCORERS_SHOWN)
+        .map(player => `<li>${escapeHtml(`${player.firstname} ${player.lastname}`)} <b>${player.goals}</b></li>`);
+    const penalties = players.reduce((sum, player) => sum + (player.penalties || 0), 0);
+
+    return `<div class="team">
+        <h2>${escapeHtml(teamName)}</h2>
+        <h3>${escapeHtml(t(language, 'image.topScorers'))}</h3>
+        <ul>${scorers.length > 0 ? scorers.join('') : `<li>${escapeHtml(t(language, 'stats.nobody'))}</li>`}</ul>
+        <p>${escapeHtml(t(language, 'image.penalties', { count: penalties }))}</p>
+    </div>`;
+}
+
+/**
+ * Builds the HTML page of the scoreboard card.
+ * @param {object} game - The game to show (see renderGameImage).
+ * @returns {string} - The HTML page.
+ */
+function buildGameCardHtml({ occasion, teamNames, score, events, lineup, halfMinutes, language }) {
+    const [homeGoals, guestGoals] = score.split('-');
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="utf-8">
+<style>
+    body { margin: 0; font-family: sans-serif; background: #eceff1; }
+    .card { width: ${CARD_WIDTH}px; box-sizing: border-box; padding: 24px 40px; background: #fff; color: #222; }
+    .occasion { text-align: center; text-transform: uppercase; letter-spacing: 2px; color: #777; margin: 0; }
+    .score { display: flex; align-items: center; justify-content: center; gap: 24px; margin: 12px 0 20px; }
+    .score .name { flex: 1; font-size: 24px; font-weight: bold; }
+    .score .name.home { text-align: right; color: ${HOME_COLOR}; }
+    .score .name.guest { color: ${GUEST_COLOR}; }
+    .score .goals { font-size: 56px; font-weight: bold; }
+    .teams { display: flex; gap: 40px; }
+    .team { flex: 1; }
+    .team h2 { font-size: 16px; margin: 0 0 8px; }
+    .team h3 { font-size: 13px; color: #777; margin: 0; font-weight: normal; }
+    .team ul { margin: 4px 0 8px; padding-left: 18px; }
+    .team p { margin: 0; font-size: 14px; }
+    .chart h3 { font-size: 13px; color: #777; font-weight: normal; margin: 20px 0 4px; }
+</style>
+</head>
+<body>
+<div class="card">
+    <p class="occasion">${escapeHtml(t(language, `image.${occasion}`))}</p>
+    <div class="score">
+        <span class="name home">${escapeHtml(teamNames.home)}</span>
+        <span class="goals">${homeGoals}:${guestGoals}</span>
+        <span class="name guest">${escapeHtml(teamNames.guest)}</span>
+    </div>
+    <div class="teams">
+        ${buildTeamColumn(teamNames.home, lineup && lineup.home, language)}
+        ${buildTeamColumn(teamNames.guest, lineup && lineup.away, language)}
+    </div>
+    <div class="chart">
+        <h3>${escapeHtml(t(language, 'image.chartTitle'))}</h3>
+        ${buildScoreChartSvg(events, teamNames, halfMinutes)}
+    </div>
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Returns the shared headless browser, launching it on first use.
+ * @returns {Promise<object>} - The puppeteer browser.
+ */
+function getBrowser() {
+    if (!browserPromise) {
+        browserPromise = puppeteer.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox'],
+            executablePath
+        }).then(browser => {
+            browser.on('disconnected', () => { browserPromise = null; });
+            return browser;
+        }).catch(error => {
+            browserPromise = null; // Try again with the next image
+            throw error;
+        });
+    }
+    return browserPromise;
+}
+
+/**
+ * Renders the scoreboard card of a game (score, top scorers, suspensions and the chart of the
+ * score difference) as a PNG image.
+ * @param {object} game - The game to show.
+ * @param {('halftime'|'fullTime')} game.occasion - Shown as the headline of the card.
+ * @param {object} game.teamNames - { home, guest }.
+ * @param {string} game.score - The score as "home-guest".
+ * @param {Array} game.events - The events up to this point, in chronological order.
+ * @param {object} game.lineup - The `gameData.lineup` object.
+ * @param {number} [game.halfMinutes=30] - The length of a half (`analysis.halfMinutes`), scales the chart's time axis.
+ * @param {string} game.language - The language code of the chat.
+ * @returns {Promise<object|null>} - The image ({ mimetype, data (base64), filename }), or null if
+ *                                   images are disabled or rendering failed.
+ */
+async function renderGameImage(game) {
+    if (!isEnabled) return null;
+    let page;
+    try {
+        const browser = await getBrowser();
+        page = await browser.newPage();
+        await page.setViewport({ width: CARD_WIDTH, height: 600, deviceScaleFactor: 2 });
+        await page.setContent(buildGameCardHtml(game), { waitUntil: 'load' });
+        const card = await page.$('.card');
+        const data = await card.screenshot({ type: 'png', encoding: 'base64' });
+        return { mimetype: 'image/png', data, filename: `${game.occasion}.png` };
+    } catch (error) {
+        console.error('Fehler beim Erstellen des Spielstand-Bildes:', error.message);
+        return null;
+    } finally {
+        if (page) await page.close().catch(() => {});
+    }
+}
+
+/**
+ * Closes the headless browser (on shutdown).
+ */
+async function closeImages() {
+    if (!browserPromise) return;
+    try {
+        const browser = await browserPromise;
+        await browser.close();
+    } catch (error) {
+        // The browser never started or is already gone
+    }
+    browserPromise = null;
+}
+
+module.exports = { initializeImages, buildScoreChartSvg, buildGameCardHtml, renderGameImage, closeImages };
@@ -0,0 +1,149 @@
+// league.js
+const { buildLeaguePageUrl } = require('./providers/urls.js');
+const { loadArchivedGames } = require('./store.js');
+const { t, formatDate, formatTime } = require('./i18n.js');
+const { enqueueMessage } = require('./outbox.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let dataProvider = null;
+
+// Games of the league that start this close to the ticker's game belong to the same matchday
+const MATCHDAY_WINDOW_DAYS = 3;
+
+/**
+ * Initializes the league module with the game data provider from app.js.
+ * @param {object} provider - The game data provider (see providers/index.js).
+ */
+function initializeLeague(provider) {
+    dataProvider = provider;
+}
+
+/**
+ * Finds the league of a chat's game: from the running ticker's last fetched data or,
+ * without one, from the latest archived game.
+ * @param {string} chatId - The chat ID.
+ * @param {object} [tickerState] - The chat's ticker state, if there is one.
+ * @returns {object|null} - { tournament, leaguePageUrl, teamIds }, or null if the league is unknown.
+ */
+function findLeague(chatId, tickerState) {
+    const summary = tickerState && tickerState.lastGameData && tickerState.lastGameData.summary;
+    if (summary && summary.tournament && tickerState.meetingPageUrl) {
+        return {
+            tournament: summary.tournament,
+            leaguePageUrl: buildLeaguePageUrl(tickerState.meetingPageUrl, summary.tournament.id),
+            teamIds: [summary.homeTeam.id, summary.awayTeam.id]
+        };
+    }
+
+    const archivedGame = loadArchivedGames(chatId).reverse().find(game => game.tournament && game.meetingPageUrl);
+    if (!archivedGame) return null;
+    return {
+        tournament: archivedGame.tournament,
+        leaguePageUrl: buildLeaguePageUrl(archivedGame.meetingPageUrl, archivedGame.tournament.id),
+        teamIds: [archivedGame.homeTeam.id, archivedGame.awayTeam.id]
+    };
+}
+
+/**
+ * Formats one row of the league table. Rows of the teams in `teamIds` are bold.
+ * @param {object} row - A table row from the data provider.
+ * @param {Array<string>} teamIds - The IDs of the teams to highlight.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - E.g. "2. HSV Hamburg · 14 Sp. · 401:365 · 21:7 Pkt.".
+ */
+function formatTableRow(row, teamIds, language) {
+    const text = t(language, 'league.row', {
+        rank: row.rank,
+        team: row.team.name,
+        games: row.games,
+        goals: `${row.goalsFor}:${row.goalsAgainst}`,
+        points: row.pointsAgainst !== undefined ? `${row.points}:${row.pointsAgainst}` : row.points
+    });
+    return teamIds.includes(row.team.id) ? `*${text}*` : text;
+}
+
+/**
+ * Fetches and formats the league table of the chat's game (!tabelle).
+ * @param {string} chatId - The chat ID.
+ * @param {object} [tickerState] - The chat's ticker state, if there is one.
+ * @param {string} language - The language code of the chat.
+ * @returns {Promise<string>} - The table message.
+ */
+async function formatLeagueTable(chatId, tickerState, language) {
+    const league = findLeague(chatId, tickerState);
+    if (!league) return t(language, 'league.unknown');
+
+    let table;
+    try {
+        table = await dataProvider.fetchLeagueTable(league.leaguePageUrl);
+    } catch (error) {
+        console.error(`[${chatId}] Fehler beim Laden der Tabelle:`, error.message);
+        return t(language, 'league.loadFailed');
+    }
+    if (table.length === 0) return t(language, 'league.loadFailed');
+
+    return `${t(language, 'league.title', { league: league.tournament.name })}\n` +
+           table.map(row => formatTableRow(row, league.teamIds, language)).join('\n');
+}
+
+/**
+ * Formats a game of the matchday: the result, or the throw-off of a game that isn't finished.
+ * @param {object} game - A game from the league schedule.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The line.
+ */
+function formatMatchdayGame(game, language) {
+    if (game.state === 'post') {
+        return `${game.homeTeam.name}  ${game.homeGoals}:${game.awayGoals}  ${game.awayTeam.name}`;
+    }
+    const startsAt = new Date(game.startsAt);
+    return t(language, 'league.pendingGame', {
+        home: game.homeTeam.name,
+        guest: game.awayTeam.name,
+        date: formatDate(language, startsAt),
+        time: formatTime(language, startsAt)
+    });
+}
+
+/**
+ * Sends the other results of the matchday and the table positions of both teams after
+ * the final whistle. Skipped if the league is unknown or can't be loaded.
+ * @param {string} chatId - The chat ID.
+ * @param {object} tickerState - The ticker state (uses `lastGameData` and `meetingPageUrl`).
+ * @param {string} language - The language code of the chat.
+ */
+async function sendMatchdayResults(chatId, tickerState, language) {
+    if (!dataProvider) return;
+    const league = findLeague(chatId, tickerState);
+    if (!league) return;
+
+    let table, schedule;
+    try {
+        [table, schedule] = await Promise.all([
+            dataProvider.fetchLeagueTable(league.leaguePageUrl),
+            dataProvider.fetchLeagueSchedule(league.leaguePageUrl)
+        ]);
+    } catch (error) {
+        console.error(`[${chatId}] Fehler beim Laden des Spieltags:`, error.message);
+        return;
+    }
+
+    const { summary } = tickerState.lastGameData;
+    const startsAt = new Date(summary.startsAt).getTime();
+    const matchday = schedule.filter(game => game.id !== summary.id &&
+        Math.abs(new Date(game.startsAt).getTime() - startsAt) <= MATCHDAY_WINDOW_DAYS * 24 * 60 * 60000);
+    const positions = table.filter(row => league.teamIds.includes(row.team.id));
+
+    const sections = [];
+    if (matchday.length > 0) {
+        sections.push(`${t(language, 'league.matchdayTitle', { league: league.tournament.name })}\n` +
+            matchday.map(game => formatMatchdayGame(game, language)).join('\n'));
+    }
+    if (positions.length > 0) {
+        sections.push(`${t(language, 'league.positionsTitle')}\n` +
+            positions.map(row => formatTableRow(row, [], language)).join('\n'));
+    }
+    if (sections.length > 0) enqueueMessage(chatId, sections.join('\n\n'));
+}
+
+module.exports = { initializeLeague, formatLeagueTable, sendMatchdayResults };
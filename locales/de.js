@@ -0,0 +1,355 @@
+// locales/de.js - German message catalog (default language)
+
+module.exports = {
+    name: 'Deutsch',
+    locale: 'de-DE', // Used for dates, times and numbers
+
+    // Labels of the event types from EVENT_MAP
+    events: {
+        "StartPeriod": "Spielbeginn",
+        "StopPeriod": "Periodenende",
+        "Goal": "Tor",
+        "SevenMeterGoal": "7-Meter Tor",
+        "SevenMeterMissed": "7-Meter Fehlwurf",
+        "TwoMinutePenalty": "Zeitstrafe",
+        "Warning": "Gelbe Karte",
+        "Timeout": "Timeout",
+        "Disqualification": "Rote Karte",
+        "DisqualificationWithReport": "Blaue Karte",
+        "default": "Ereignis"
+    },
+
+    // The feed's event texts are German already
+    feedMessages: [],
+
+    messages: {
+        // --- Teams ---
+        'team.home': 'Heim',
+        'team.guest': 'Gast',
+
+        // --- Commands ---
+        'error.groupsOnly': 'Fehler: Befehle funktionieren nur in Gruppen.',
+        'error.tickerActive': 'In dieser Gruppe läuft oder ist bereits ein Live-Ticker geplant. Stoppen oder resetten Sie ihn zuerst.',
+        'error.startFailed': 'Ein kritischer Fehler ist aufgetreten und der Ticker konnte nicht gestartet werden.',
+        'error.noTicker': 'In dieser Gruppe läuft derzeit kein Live-Ticker.',
+        'error.invalidUrl': 'Fehler: Die angegebene URL ist ungültig.',
+        'error.missingUrl': 'Fehler: Bitte geben Sie eine gültige URL an. Format:\n\n!start <URL> [recap]',
+        'error.replaySpeed': 'Fehler: Die Geschwindigkeit muss eine Zahl zwischen 1 und {max} sein. Format:\n\n!replay <URL> [Geschwindigkeit] [recap]',
+        'error.generic': 'Fehler: {message}',
+        'error.notAllowed': 'Diesen Befehl dürfen nur Admins dieser Gruppe verwenden.',
+        'ticker.stopped': 'Laufender/geplanter Live-Ticker in dieser Gruppe gestoppt.',
+        'ticker.reset': 'Alle Ticker-Daten für diese Gruppe wurden zurückgesetzt.',
+
+        // --- Scheduling ---
+        'schedule.pending': '⏳ Ticker-Planung für "{group}" wird bearbeitet...',
+        'schedule.modeRecap': 'im Recap-Modus ({minutes}-Minuten-Zusammenfassungen)',
+        'schedule.modeLive': 'mit Live-Updates',
+        'schedule.planned': '✅ Ticker für *{home}* vs *{guest}* ist geplant ({mode}) und startet automatisch am {date} um ca. {time} Uhr.',
+        'schedule.startNow': '▶️ Ticker für *{home}* vs *{guest}* wird sofort gestartet. ',
+        'schedule.startNowRecap': 'Du erhältst alle {minutes} Minuten eine Zusammenfassung. 📬',
+        'schedule.startNowLive': 'Du erhältst alle Events live! ⚽',
+        'schedule.failed': 'Fehler: Die initiale Planung des Tickers ist fehlgeschlagen. Bitte versuchen Sie es erneut.',
+
+        // --- Recap ---
+        'legend.title': 'ℹ️ *Ticker-Legende:*',
+        'recap.title': '📬 *Recap Minute {from} - {to}*',
+
+        // --- Game phases ---
+        'period.gameStart': '▶️ *Das Spiel hat begonnen!*',
+        'period.secondHalfStart': '▶️ *Die zweite Halbzeit hat begonnen!*',
+        'period.overtimeStart': '▶️ *Die Verlängerung hat begonnen!*',
+        'period.overtimeSecondHalfStart': '▶️ *Die zweite Hälfte der Verlängerung hat begonnen!*',
+        'period.halftime': '⏸️ *Halbzeit*',
+        'period.regulationEnd': '⏸️ *Ende der regulären Spielzeit*',
+        'period.overtimeHalftime': '⏸️ *Halbzeit der Verlängerung*',
+        'period.overtimeEnd': '⏸️ *Ende der Verlängerung*',
+        'period.gameEnd': '🏁 *Spielende*',
+        'period.shootoutStart': '🎯 *Siebenmeterwerfen!*',
+        'decision.overtime': 'nach Verlängerung',
+        'decision.doubleOvertime': 'nach zweimaliger Verlängerung',
+        'decision.shootout': 'nach Siebenmeterwerfen',
+        'decision.regular': 'in der regulären Spielzeit',
+        'game.farewell': 'Vielen Dank fürs Mitfiebern! 🥳\n\nDen Quellcode für diesen Bot könnt ihr hier einsehen:\nhttps://github.com/nambatu/whatsapp-liveticker-bot/',
+
+        // --- Game flow ---
+        'flow.run': '🔥 {goals}:0-Lauf für {team}',
+        'flow.equalizer': '⚖️ Ausgleich durch {team}!',
+        'flow.comeback': '💪 Aufholjagd: {team} hat einen Rückstand von {deficit} Toren wettgemacht!',
+        'flow.leadChange': '🔄 Führungswechsel: {team} liegt jetzt vorne',
+        'flow.biggestLead': '📈 Höchste Führung des Spiels: {team} liegt mit {lead} Toren vorne',
+        'flow.hatTrick': '🎩 Hattrick für {player}!',
+        'flow.milestone': '🎯 {goals}. Tor für {player}!',
+        'flow.powerPlay': '➕ {team} in Überzahl bis {until}',
+        'flow.doublePowerPlay': '➕➕ {team} in doppelter Überzahl bis {until}',
+
+        // --- Corrections ---
+        'correction.title': '✏️ *Korrektur* ({time})',
+        'correction.before': 'Vorher: {line}',
+        'correction.after': 'Jetzt: {line}',
+        'correction.removed': 'Gestrichen: {line}',
+        'correction.score': 'Korrigierter Spielstand:',
+
+        // --- Replay ---
+        'replay.loadFailed': 'Fehler: Das Spiel konnte nicht geladen werden. Bitte prüfen Sie die URL.',
+        'replay.invalidData': 'Fehler: Ungültige Spieldaten empfangen.',
+        'replay.notFinished': 'Fehler: Dieses Spiel ist noch nicht beendet und kann nicht wiederholt werden.',
+        'replay.started': '🔁 Wiederholung von *{home}* vs *{guest}* startet ({speed}-fache Geschwindigkeit). Mit !stop1 kann sie abgebrochen werden.',
+
+        // --- Following ---
+        'follow.fixturesFailed': 'Fehler: Der Spielplan des Teams konnte nicht geladen werden. Bitte prüfen Sie die URL.',
+        'follow.alreadyFollowing': 'Diesem Team wird in dieser Gruppe bereits gefolgt.',
+        'follow.added': '⭐ Diese Gruppe folgt jetzt *{team}*. {count} kommende Spiele werden automatisch geplant.',
+        'follow.gameMoved': '🔁 Das geplante Spiel wurde verlegt. Der Ticker wird neu geplant.',
+        'follow.none': 'Diese Gruppe folgt noch keinem Team. Format:\n\n!follow <Team-URL> [recap]',
+        'follow.list': '⭐ *Gefolgte Teams:*\n{teams}',
+        'follow.notFollowing': 'Diese Gruppe folgt diesem Team nicht.',
+        'follow.removed': 'Gruppe folgt nicht mehr: {teams}. Bereits geplante Ticker bleiben bestehen.',
+
+        // --- Settings ---
+        'settings.title': '⚙️ *Einstellungen dieser Gruppe:*',
+        'settings.help': 'Ändern: !config <Einstellung> <Wert>\nZurücksetzen: !config reset [Einstellung]',
+        'settings.saved': '✅ Einstellung gespeichert.\n\n{settings}',
+        'settings.reset': 'Einstellung "{key}" wurde zurückgesetzt.',
+        'settings.resetAll': 'Alle Einstellungen wurden zurückgesetzt.',
+        'settings.missingValue': 'Fehler: Bitte geben Sie einen Wert an. Format:\n\n!config <Einstellung> <Wert>',
+        'settings.unknownKey': 'Unbekannte Einstellung "{key}". Möglich sind: {keys}.',
+        'settings.invalidMinutes': 'Der Wert muss eine ganze Zahl zwischen {min} und {max} sein.',
+        'settings.invalidToggle': 'Der Wert muss "an" oder "aus" sein.',
+        'settings.invalidLanguage': 'Unbekannte Sprache. Möglich sind: {languages}.',
+        'settings.unknownEvent': 'Unbekanntes Event "{name}". Möglich sind: {known}.',
+        'settings.noEvents': 'Bitte mindestens ein Event angeben (oder "keine").',
+        'settings.noSenders': 'Bitte mindestens eine Nummer oder ID angeben (oder "keine").',
+        'settings.invalidChoice': 'Der Wert muss einer von diesen sein: {choices}.',
+        'settings.textTooLong': 'Der Wert darf höchstens {max} Zeichen lang sein.',
+        'settings.invalidJokes': 'Format: !config insider Name: Insider; Name: Insider (oder "keine").',
+        'settings.tooManyJokes': 'Es sind höchstens {max} Insider möglich.',
+        'settings.choice.aiTone.neutral': 'neutral',
+        'settings.choice.aiTone.enthusiastic': 'begeistert',
+        'settings.choice.aiTone.sarcastic': 'sarkastisch',
+        'settings.choice.aiLength.short': 'kurz',
+        'settings.choice.aiLength.medium': 'mittel',
+        'settings.choice.aiLength.long': 'lang',
+        'settings.on': 'an',
+        'settings.off': 'aus',
+        'settings.none': 'keine',
+        'settings.description.intervall': 'Minuten zwischen zwei Recap-Nachrichten',
+        'settings.description.vorlauf': 'Minuten vor Anpfiff, ab denen der Ticker läuft',
+        'settings.description.ignorieren': 'Events, die nicht gesendet werden',
+        'settings.description.statistik': 'Spielerstatistik nach Spielende',
+        'settings.description.ki': 'KI-Zusammenfassung nach Spielende',
+        'settings.description.abschied': 'Abschlussnachricht nach Spielende',
+        'settings.description.bilder': 'Spielstand-Grafik zur Halbzeit und nach Spielende',
+        'settings.description.halbzeit': 'Halbzeitbericht mit Statistik und KI-Halbzeitansprache',
+        'settings.description.spieltag': 'Ergebnisse des Spieltags und Tabellenplätze nach Spielende',
+        'settings.description.lieblingsteam': 'Team, zu dem die KI hält (sonst geraten aus dem Gruppennamen)',
+        'settings.description.ton': 'Ton der KI: neutral, begeistert oder sarkastisch',
+        'settings.description.laenge': 'Länge der KI-Zusammenfassung: kurz, mittel oder lang',
+        'settings.description.insider': 'Insider zu Spielern für die KI (Name: Insider; ...)',
+        'settings.description.sprache': 'Sprache der Bot-Nachrichten',
+        'settings.description.nuradmins': 'Nur Admins dürfen Ticker starten, stoppen und einstellen',
+        'settings.description.erlaubt': 'Nummern/IDs, die das auch ohne Admin-Rechte dürfen',
+
+        // --- Score (!stand) ---
+        'scoreboard.title': '📣 *Aktueller Spielstand*',
+        'scoreboard.status': '⏱️ {time} · {period}',
+        'scoreboard.noData': 'Für dieses Spiel liegen noch keine Daten vor. Bitte versuchen Sie es gleich noch einmal.',
+        'scoreboard.scheduled': '⏳ *{home}* vs *{guest}* beginnt am {date} um {time} Uhr.',
+        'scoreboard.notStarted': '⏳ *{home}* vs *{guest}* ist noch nicht angepfiffen (Anwurf am {date} um {time} Uhr).',
+        'scoreboard.period.gameStart': '1. Halbzeit',
+        'scoreboard.period.halftime': 'Halbzeitpause',
+        'scoreboard.period.secondHalfStart': '2. Halbzeit',
+        'scoreboard.period.regulationEnd': 'Ende der regulären Spielzeit',
+        'scoreboard.period.overtimeStart': 'Verlängerung, 1. Hälfte',
+        'scoreboard.period.overtimeHalftime': 'Halbzeit der Verlängerung',
+        'scoreboard.period.overtimeSecondHalfStart': 'Verlängerung, 2. Hälfte',
+        'scoreboard.period.overtimeEnd': 'Ende der Verlängerung',
+        'scoreboard.period.shootoutStart': 'Siebenmeterwerfen',
+        'scoreboard.period.gameEnd': 'Spielende',
+
+        // --- Bot owner ---
+        'ticker.stoppedByOwner': 'Der Live-Ticker dieser Gruppe wurde vom Bot-Betreiber gestoppt.',
+        'owner.help': '🛠️ *Befehle für Bot-Betreiber:*\n!status – Alle Ticker und die Auslastung anzeigen\n!stop <Nr. oder Chat-ID> – Einen Ticker stoppen\n!broadcast <Text> – Hinweis an alle Gruppen senden',
+        'owner.status': '🛠️ *Bot-Status*\nWarteschlange: {queue} Jobs · Worker: {workers}/{maxWorkers} · Anfragen (letzte Minute): {requests}/{budget}',
+        'owner.tickers': '*Ticker ({count}):*',
+        'owner.noTickers': 'Es laufen keine Ticker.',
+        'owner.tickerLine': '{number}. *{group}* ({chatId})\n   {game} · {state} ({mode})',
+        'owner.state.polling': 'läuft',
+        'owner.state.replay': 'Wiederholung',
+        'owner.state.scheduled': 'geplant ab {date} {time}',
+        'owner.state.scheduling': 'wird geplant',
+        'owner.state.finished': 'beendet',
+        'owner.unknownTicker': 'Kein Ticker "{ticker}" gefunden. Die Nummern zeigt !status.',
+        'owner.notRunning': 'Der Ticker in "{group}" läuft nicht und ist nicht geplant.',
+        'owner.stopped': 'Ticker in "{group}" gestoppt.',
+        'owner.broadcastTitle': '📢 *Hinweis des Bot-Betreibers:*',
+        'owner.broadcastQueued': 'Hinweis an {count} Gruppen wird gesendet.',
+
+        // --- Stats & AI ---
+        'stats.title': '📊 *Statistiken zum Spiel:*',
+        'stats.topScorer': 'Topscorer ({team}):* {value}',
+        'stats.sevenMeters': '7-Meter ({team}):* {value}',
+        'stats.penalties': 'Zeitstrafen ({team}):* {value}',
+        'stats.nobody': 'Niemand',
+        'stats.goals': '{count} Tore',
+        'stats.ratio': '{made} von {total}',
+        'halftime.title': '📋 *Halbzeitbericht:*',
+        'halftime.keyMoments': '*Schlüsselmomente:*',
+        'scorers.title': '⚽ *Torschützen:*',
+        'scorers.goal': '1 Tor',
+        'scorers.sevenMeters': '7m {value}',
+        'scorers.penalties': '{count}× 2 Min.',
+
+        // --- Questions (!frag) ---
+        'question.missing': 'Bitte stellen Sie eine Frage, z.B. !frag Wie stand es in der 40. Minute?',
+        'question.scoreAtMinute': '⏱️ Stand nach {minute} Minuten:\n{scoreLine}',
+        'question.halftimeScore': '⏸️ Halbzeitstand:\n{scoreLine}',
+        'question.minuteNotPlayed': 'Die {minute}. Minute wurde (noch) nicht gespielt.',
+        'question.leaders.goals': '⚽ *Die meisten Tore:*',
+        'question.leaders.sevenMeters': '🎯 *Die meisten 7-Meter-Tore:*',
+        'question.leaders.penalties': '⏱️ *Die meisten Zeitstrafen:*',
+        'question.nobody.goals': 'Bisher ist noch kein Tor gefallen.',
+        'question.nobody.sevenMeters': 'Bisher gab es noch kein 7-Meter-Tor.',
+        'question.nobody.penalties': 'Bisher gab es noch keine Zeitstrafe.',
+        'question.aiAnswer': '🤖 {answer}',
+        'question.unknown': 'Das kann ich ohne KI leider nicht beantworten. Fragen Sie z.B. nach dem Stand in einer bestimmten Minute oder nach den Toren oder Zeitstrafen eines Spielers.',
+
+        // --- Season archive (!saison, !spieler) ---
+        'season.title': '📅 *Saison {season} · {team}*',
+        'season.record': 'Spiele: {games} · Siege: {wins} · Unentschieden: {draws} · Niederlagen: {losses}\nTore: {goalsFor}:{goalsAgainst}',
+        'season.playersTitle': '*Spieler:*',
+        'season.game': '1 Spiel',
+        'season.games': '{count} Spiele',
+        'season.rate': '{ratio} ({percent} %)',
+        'season.noGames': 'Für diese Gruppe wurden noch keine beendeten Spiele archiviert.',
+        'season.invalidSeason': 'Bitte geben Sie die Saison z.B. als 2024/25 an.',
+        'season.noGamesInSeason': 'Aus der Saison {season} wurden keine Spiele archiviert.',
+        'season.noTeam': 'Ich weiß nicht, welches Team zu dieser Gruppe gehört. Bitte legen Sie es mit !config lieblingsteam <Team> fest.',
+        'season.missingName': 'Bitte geben Sie einen Spielernamen an, z.B. !spieler Mustermann',
+        'season.playerNotFound': 'In der Saison {season} gibt es keinen Spieler "{name}".',
+        'season.ambiguousPlayer': 'Mehrere Spieler passen zu "{name}": {players}. Bitte geben Sie den Namen genauer an.',
+        'season.playerTitle': '👤 *{name}* ({team}) · Saison {season}',
+        'season.playerGames': 'Spiele: {count}',
+        'season.playerGoals': 'Tore: {goals} ({average} pro Spiel)',
+        'season.playerSevenMeters': '7-Meter: {value}',
+        'season.playerPenalties': 'Zeitstrafen: {count}',
+
+        // --- League (!tabelle) ---
+        'league.title': '🏆 *{league}*',
+        'league.row': '{rank}. {team} · {games} Sp. · {goals} · {points} Pkt.',
+        'league.unknown': 'Die Liga ist noch nicht bekannt. Starten Sie zuerst einen Ticker für ein Spiel der Liga.',
+        'league.loadFailed': 'Die Tabelle konnte nicht geladen werden. Bitte versuchen Sie es später noch einmal.',
+        'league.matchdayTitle': '📋 *Spieltag {league}:*',
+        'league.pendingGame': '{home} – {guest} ({date}, {time} Uhr)',
+        'league.positionsTitle': '🏆 *Tabellenplätze:*',
+
+        'image.halftime': 'Halbzeit',
+        'image.fullTime': 'Endstand',
+        'image.halftimeCaption': '📸 Die erste Halbzeit auf einen Blick',
+        'image.fullTimeCaption': '📸 Das Spiel auf einen Blick',
+        'image.topScorers': 'Beste Torschützen',
+        'image.penalties': 'Zeitstrafen: {count}',
+        'image.chartTitle': 'Tordifferenz im Spielverlauf',
+        'template.title': '📝 *Spielbericht:*',
+        'template.halftimeTitle': '📝 *Zur Halbzeit:*',
+        'template.win': '*{winner} gewinnt mit {score} gegen {loser}*',
+        'template.draw': '*{home} und {guest} trennen sich {score} unentschieden*',
+        'template.halftimeScore': 'Zur Halbzeit stand es {score}.',
+        'template.decision': 'Die Entscheidung fiel {decision}.',
+        'template.biggestLead': 'Die höchste Führung hatte {team} mit {lead} Toren.',
+        'template.topScorers': 'Beste Werfer: {homeTopScorer} bei {home}, {guestTopScorer} bei {guest}.',
+        'template.penalties': 'Zeitstrafen: {homePenalties} für {home}, {guestPenalties} für {guest}.',
+        'template.halftimeLead': '{leader} führt zur Pause mit {score}.',
+        'template.halftimeDraw': 'Zur Pause steht es {score} unentschieden.',
+        'template.keyMoments': 'Die wichtigsten Momente: {moments}.',
+        'template.secondHalf': 'Jetzt kommt es auf die zweite Halbzeit an!',
+        'ai.title': '🤖 *KI-Analyse zum Spiel:*',
+        'ai.persona.neutral': 'Du bist ein sachlicher und fachkundiger deutscher Handball-Kommentator.',
+        'ai.persona.enthusiastic': 'Du bist ein begeisterungsfähiger, emotionaler und fachkundiger deutscher Handball-Kommentator.',
+        'ai.persona.sarcastic': 'Du bist ein witziger, leicht sarkastischer und fachkundiger deutscher Handball-Kommentator.',
+        'ai.team.guess': `WICHTIG: Die WhatsApp-Gruppe, in der du postest, heißt "{groupName}". Analysiere diesen Namen, um herauszufinden, welches Team du unterstützen sollst.
+    Falls der Gruppenname NICHT EINDEUTIG einem Team zuzuordnen ist, sei neutral und ignoriere den Gruppennamen. Falls sich die Gruppe aber DEFINITIV einem Team zuordnen lässt, unterstütze dieses Team.`,
+        'ai.team.favorite': 'WICHTIG: Die WhatsApp-Gruppe, in der du postest, heißt "{groupName}" und hält zu {team}. Unterstütze dieses Team.',
+        'ai.tone.neutral': 'Bleibe fair gegenüber beiden Teams und verzichte auf Spott, auch wenn du ein Team unterstützt.',
+        'ai.tone.enthusiastic': 'Feiere dein Team mit Herzblut und Begeisterung, bleibe dem Gegner gegenüber aber respektvoll.',
+        'ai.tone.sarcastic': 'Unterstütze dein Team mit Herzblut und roaste auch gerne das gegnerische Team mit spitzen, sarkastischen Kommentaren.',
+        'ai.length.short': 'ca. 2-4 Sätze',
+        'ai.length.medium': 'ca. 5-7 Sätze',
+        'ai.length.long': 'zwei bis drei kurze Absätze',
+        'ai.playerJokes': `    - Insider zu Spielern, die heute dabei waren (baue sie ein, wo sie passen):
+{jokes}
+`,
+        'ai.prompt': `{persona}
+    Deine Aufgabe ist es, eine unterhaltsame Zusammenfassung ({length}) für ein gerade beendetes Spiel zu schreiben.
+
+    {team}
+
+    Hier sind die Spieldaten:
+    - Heimmannschaft: {home}
+    - Gastmannschaft: {guest}
+    - Halbzeitstand: {halftimeScore}
+    - Endstand: {finalScore}
+    - Spiellänge: {duration} Minuten (reguläre Spielzeit: {regulation} Minuten)
+    - Entschieden: {decision}
+    - Spielverlauf (ausgewählte Spielstände): {progression}, Ende: {finalScore}
+    - Topscorer {home}: {homeTopScorer}
+    - Topscorer {guest}: {guestTopScorer}
+    - Zeitstrafen {home}: {homePenalties}
+    - Zeitstrafen {guest}: {guestPenalties}
+    - 7-Meter {home}: {homeSevenMeters}
+    - 7-Meter {guest}: {guestSevenMeters}
+{halftimeReference}{playerJokes}
+    Anweisungen:
+    1.  Gib deiner Zusammenfassung eine kreative, reißerische Überschrift in Fett (z.B. *Herzschlagfinale in der Halle West!* oder *Eine Lehrstunde in Sachen Abwehrschlacht.*).
+    2.  Verwende die Statistiken für pointierte Kommentare. (z.B. "Mit {guestPenalties} Zeitstrafen hat sich Team Gast das Leben selbst schwer gemacht." oder "Am Ende hat die Kaltschnäuzigkeit vom 7-Meter-Punkt den Unterschied gemacht."). Verwende die Statistiken nur, wenn sie auch sinnvoll oder wichtig für das Spiel waren.
+    3.  {tone}
+    4.  Sei kreativ, vermeide Standardfloskeln. Gib dem Kommentar Persönlichkeit! Vermeide Sachen aus den Daten zu interpretieren die nicht daraus zu erschließen sind, bleibe lieber bei den Fakten als eine "zu offensive Abwehr" zu erfinden.
+
+    Deine Zusammenfassung (nur Überschrift und Text, ohne "Zusammenfassung:"):`,
+        'ai.halftimeReference': `    - Deine Halbzeitansprache: "{talk}"
+      Greife sie kurz auf: Ist eingetreten, was du zur Halbzeit gefordert oder vorhergesagt hast?
+`,
+        'ai.halftimeTitle': '🎙️ *KI-Halbzeitansprache:*',
+        'ai.halftimePrompt': `{persona}
+    Es ist Halbzeit. Deine Aufgabe ist es, eine kurze "Halbzeitansprache" (ca. 2-3 Sätze) zu schreiben: ein Blick zurück auf die erste Halbzeit und einer nach vorn auf die zweite.
+
+    {team} Sprich wie ein Trainer in der Kabine zu diesem Team, falls du eines unterstützt.
+
+    Hier sind die Daten der ersten Halbzeit:
+    - Heimmannschaft: {home}
+    - Gastmannschaft: {guest}
+    - Halbzeitstand: {halftimeScore}
+    - Spielverlauf (ausgewählte Spielstände): {progression}, Halbzeit: {halftimeScore}
+    - Schlüsselmomente: {keyMoments}
+    - Topscorer {home}: {homeTopScorer}
+    - Topscorer {guest}: {guestTopScorer}
+    - Zeitstrafen {home}: {homePenalties}
+    - Zeitstrafen {guest}: {guestPenalties}
+    - 7-Meter {home}: {homeSevenMeters}
+    - 7-Meter {guest}: {guestSevenMeters}
+{playerJokes}
+    Anweisungen:
+    1.  Sag, worauf es in der zweiten Halbzeit ankommt, und wage eine Prognose.
+    2.  {tone}
+    3.  Bleibe bei den Fakten aus den Daten und erfinde keine Spielszenen.
+
+    Deine Halbzeitansprache (nur der Text, ohne Überschrift):`,
+        'ai.questionPrompt': `Du bist der Live-Ticker-Bot einer WhatsApp-Gruppe und beantwortest Fragen der Mitglieder zu einem Handballspiel.
+    Beantworte die Frage kurz (1-3 Sätze) und ausschließlich anhand der folgenden Spieldaten. Lässt sich die Frage mit den Daten nicht beantworten, sag das ehrlich, statt zu raten.
+
+    Aktueller Stand:
+    {scoreboard}
+
+    Spielereignisse, chronologisch (Spielzeit | Stand {home}:{guest} | Art | Meldung):
+    {events}
+
+    Spieler {home} (Tore, 7-Meter, Zeitstrafen):
+    {homePlayers}
+
+    Spieler {guest} (Tore, 7-Meter, Zeitstrafen):
+    {guestPlayers}
+
+    Frage: {question}
+
+    Deine Antwort (nur der Text):`
+    }
+};
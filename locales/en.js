@@ -0,0 +1,366 @@
+// locales/en.js - English message catalog
+
+module.exports = {
+    name: 'English',
+    locale: 'en-GB', // Used for dates, times and numbers
+
+    // Labels of the event types from EVENT_MAP
+    events: {
+        "StartPeriod": "Throw-off",
+        "StopPeriod": "End of period",
+        "Goal": "Goal",
+        "SevenMeterGoal": "7m goal",
+        "SevenMeterMissed": "7m missed",
+        "TwoMinutePenalty": "2-minute suspension",
+        "Warning": "Yellow card",
+        "Timeout": "Timeout",
+        "Disqualification": "Red card",
+        "DisqualificationWithReport": "Blue card",
+        "default": "Event"
+    },
+
+    // handball.net writes its event texts in German; the common ones are translated, others are kept as they are
+    feedMessages: [
+        [/^Tor durch (.+)$/, 'Goal by $1'],
+        [/^7m-Tor durch (.+)$/i, '7m goal by $1'],
+        [/^7m,? (?:KEIN Tor|Fehlwurf) (?:durch|von) (.+)$/i, '7m missed by $1'],
+        [/^2-min(?:uten)?[- ]Strafe für (.+)$/i, '2-minute suspension for $1'],
+        [/^Verwarnung für (.+)$/, 'Warning for $1'],
+        [/^Disqualifikation für (.+)$/, 'Disqualification for $1'],
+        [/^Auszeit(.*)$/, 'Timeout$1'],
+        [/^Spielbeginn$/, 'Throw-off'],
+        [/^Halbzeit$/, 'Halftime'],
+        [/^Spielende$/, 'Full time']
+    ],
+
+    messages: {
+        // --- Teams ---
+        'team.home': 'Home',
+        'team.guest': 'Away',
+
+        // --- Commands ---
+        'error.groupsOnly': 'Error: Commands only work in groups.',
+        'error.tickerActive': 'A live ticker is already running or scheduled in this group. Stop or reset it first.',
+        'error.startFailed': 'A critical error occurred and the ticker could not be started.',
+        'error.noTicker': 'There is no live ticker running in this group.',
+        'error.invalidUrl': 'Error: The URL is invalid.',
+        'error.missingUrl': 'Error: Please provide a valid URL. Format:\n\n!start <URL> [recap]',
+        'error.replaySpeed': 'Error: The speed must be a number between 1 and {max}. Format:\n\n!replay <URL> [speed] [recap]',
+        'error.generic': 'Error: {message}',
+        'error.notAllowed': 'Only admins of this group may use this command.',
+        'ticker.stopped': 'Running/scheduled live ticker in this group stopped.',
+        'ticker.reset': 'All ticker data for this group has been reset.',
+
+        // --- Scheduling ---
+        'schedule.pending': '⏳ Scheduling the ticker for "{group}"...',
+        'schedule.modeRecap': 'in recap mode ({minutes}-minute summaries)',
+        'schedule.modeLive': 'with live updates',
+        'schedule.planned': '✅ Ticker for *{home}* vs *{guest}* is scheduled ({mode}) and starts automatically on {date} at about {time}.',
+        'schedule.startNow': '▶️ Ticker for *{home}* vs *{guest}* starts right away. ',
+        'schedule.startNowRecap': 'You will get a summary every {minutes} minutes. 📬',
+        'schedule.startNowLive': 'You will get every event live! ⚽',
+        'schedule.failed': 'Error: Scheduling the ticker failed. Please try again.',
+
+        // --- Recap ---
+        'legend.title': 'ℹ️ *Ticker legend:*',
+        'recap.title': '📬 *Recap minute {from} - {to}*',
+
+        // --- Game phases ---
+        'period.gameStart': '▶️ *The game has started!*',
+        'period.secondHalfStart': '▶️ *The second half has started!*',
+        'period.overtimeStart': '▶️ *Overtime has started!*',
+        'period.overtimeSecondHalfStart': '▶️ *The second half of overtime has started!*',
+        'period.halftime': '⏸️ *Halftime*',
+        'period.regulationEnd': '⏸️ *End of regular time*',
+        'period.overtimeHalftime': '⏸️ *Overtime halftime*',
+        'period.overtimeEnd': '⏸️ *End of overtime*',
+        'period.gameEnd': '🏁 *Full time*',
+        'period.shootoutStart': '🎯 *Penalty shootout!*',
+        'decision.overtime': 'after overtime',
+        'decision.doubleOvertime': 'after double overtime',
+        'decision.shootout': 'after a penalty shootout',
+        'decision.regular': 'in regular time',
+        'game.farewell': 'Thanks for cheering along! 🥳\n\nThe source code of this bot is available here:\nhttps://github.com/nambatu/whatsapp-liveticker-bot/',
+
+        // --- Game flow ---
+        'flow.run': '🔥 {goals}-0 run for {team}',
+        'flow.equalizer': '⚖️ {team} equalize!',
+        'flow.comeback': '💪 Comeback: {team} have made up a {deficit}-goal deficit!',
+        'flow.leadChange': '🔄 Lead change: {team} are ahead now',
+        'flow.biggestLead': '📈 Biggest lead of the game: {team} are {lead} goals ahead',
+        'flow.hatTrick': '🎩 Hat-trick for {player}!',
+        'flow.milestone': '🎯 Goal number {goals} for {player}!',
+        'flow.powerPlay': '➕ {team} on the power play until {until}',
+        'flow.doublePowerPlay': '➕➕ {team} two players up until {until}',
+
+        // --- Corrections ---
+        'correction.title': '✏️ *Correction* ({time})',
+        'correction.before': 'Before: {line}',
+        'correction.after': 'Now: {line}',
+        'correction.removed': 'Removed: {line}',
+        'correction.score': 'Corrected score:',
+
+        // --- Replay ---
+        'replay.loadFailed': 'Error: The game could not be loaded. Please check the URL.',
+        'replay.invalidData': 'Error: Invalid game data received.',
+        'replay.notFinished': 'Error: This game has not finished yet and cannot be replayed.',
+        'replay.started': '🔁 Replay of *{home}* vs *{guest}* starts ({speed}x speed). Use !stop1 to cancel it.',
+
+        // --- Following ---
+        'follow.fixturesFailed': 'Error: The team\'s fixtures could not be loaded. Please check the URL.',
+        'follow.alreadyFollowing': 'This group already follows this team.',
+        'follow.added': '⭐ This group now follows *{team}*. {count} upcoming games will be scheduled automatically.',
+        'follow.gameMoved': '🔁 The scheduled game has been moved. The ticker is being rescheduled.',
+        'follow.none': 'This group doesn\'t follow any team yet. Format:\n\n!follow <team URL> [recap]',
+        'follow.list': '⭐ *Followed teams:*\n{teams}',
+        'follow.notFollowing': 'This group doesn\'t follow this team.',
+        'follow.removed': 'Group no longer follows: {teams}. Tickers that are already scheduled stay active.',
+
+        // --- Settings ---
+        'settings.title': '⚙️ *Settings of this group:*',
+        'settings.help': 'Change: !config <setting> <value>\nReset: !config reset [setting]',
+        'settings.saved': '✅ Setting saved.\n\n{settings}',
+        'settings.reset': 'Setting "{key}" has been reset.',
+        'settings.resetAll': 'All settings have been reset.',
+        'settings.missingValue': 'Error: Please provide a value. Format:\n\n!config <setting> <value>',
+        'settings.unknownKey': 'Unknown setting "{key}". Available: {keys}.',
+        'settings.invalidMinutes': 'The value must be a whole number between {min} and {max}.',
+        'settings.invalidToggle': 'The value must be "on" or "off".',
+        'settings.invalidLanguage': 'Unknown language. Available: {languages}.',
+        'settings.unknownEvent': 'Unknown event "{name}". Available: {known}.',
+        'settings.noEvents': 'Please name at least one event (or "none").',
+        'settings.noSenders': 'Please name at least one number or ID (or "none").',
+        'settings.invalidChoice': 'The value must be one of: {choices}.',
+        'settings.textTooLong': 'The value may be at most {max} characters long.',
+        'settings.invalidJokes': 'Format: !config insider Name: in-joke; Name: in-joke (or "none").',
+        'settings.tooManyJokes': 'At most {max} in-jokes are possible.',
+        'settings.choice.aiTone.neutral': 'neutral',
+        'settings.choice.aiTone.enthusiastic': 'enthusiastic',
+        'settings.choice.aiTone.sarcastic': 'sarcastic',
+        'settings.choice.aiLength.short': 'short',
+        'settings.choice.aiLength.medium': 'medium',
+        'settings.choice.aiLength.long': 'long',
+        'settings.on': 'on',
+        'settings.off': 'off',
+        'settings.none': 'none',
+        'settings.description.intervall': 'Minutes between two recap messages',
+        'settings.description.vorlauf': 'Minutes before throw-off at which the ticker starts',
+        'settings.description.ignorieren': 'Events that are not sent',
+        'settings.description.statistik': 'Player stats after full time',
+        'settings.description.ki': 'AI summary after full time',
+        'settings.description.abschied': 'Closing message after full time',
+        'settings.description.bilder': 'Score graphic at halftime and after full time',
+        'settings.description.halbzeit': 'Halftime report with stats and an AI halftime talk',
+        'settings.description.spieltag': 'Results of the matchday and table positions after the final whistle',
+        'settings.description.lieblingsteam': 'Team the AI supports (otherwise guessed from the group name)',
+        'settings.description.ton': 'Tone of the AI: neutral, enthusiastic or sarcastic',
+        'settings.description.laenge': 'Length of the AI summary: short, medium or long',
+        'settings.description.insider': 'In-jokes about players for the AI (Name: in-joke; ...)',
+        'settings.description.sprache': 'Language of the bot messages',
+        'settings.description.nuradmins': 'Only admins may start, stop and configure tickers',
+        'settings.description.erlaubt': 'Numbers/IDs that may do so without admin rights',
+
+        // --- Score (!stand) ---
+        'scoreboard.title': '📣 *Current score*',
+        'scoreboard.status': '⏱️ {time} · {period}',
+        'scoreboard.noData': 'There is no data for this game yet. Please try again in a moment.',
+        'scoreboard.scheduled': '⏳ *{home}* vs *{guest}* starts on {date} at {time}.',
+        'scoreboard.notStarted': '⏳ *{home}* vs *{guest}* has not started yet (throw-off on {date} at {time}).',
+        'scoreboard.period.gameStart': '1st half',
+        'scoreboard.period.halftime': 'Halftime break',
+        'scoreboard.period.secondHalfStart': '2nd half',
+        'scoreboard.period.regulationEnd': 'End of regular time',
+        'scoreboard.period.overtimeStart': 'Overtime, 1st half',
+        'scoreboard.period.overtimeHalftime': 'Overtime halftime',
+        'scoreboard.period.overtimeSecondHalfStart': 'Overtime, 2nd half',
+        'scoreboard.period.overtimeEnd': 'End of overtime',
+        'scoreboard.period.shootoutStart': 'Penalty shootout',
+        'scoreboard.period.gameEnd': 'Full time',
+
+        // --- Bot owner ---
+        'ticker.stoppedByOwner': 'The live ticker of this group was stopped by the bot owner.',
+        'owner.help': '🛠️ *Bot owner commands:*\n!status – Show all tickers and the load\n!stop <no. or chat ID> – Stop a ticker\n!broadcast <text> – Send a notice to all groups',
+        'owner.status': '🛠️ *Bot status*\nQueue: {queue} jobs · Workers: {workers}/{maxWorkers} · Requests (last minute): {requests}/{budget}',
+        'owner.tickers': '*Tickers ({count}):*',
+        'owner.noTickers': 'No tickers are running.',
+        'owner.tickerLine': '{number}. *{group}* ({chatId})\n   {game} · {state} ({mode})',
+        'owner.state.polling': 'running',
+        'owner.state.replay': 'replay',
+        'owner.state.scheduled': 'scheduled from {date} {time}',
+        'owner.state.scheduling': 'being scheduled',
+        'owner.state.finished': 'finished',
+        'owner.unknownTicker': 'No ticker "{ticker}" found. !status shows the numbers.',
+        'owner.notRunning': 'The ticker in "{group}" is neither running nor scheduled.',
+        'owner.stopped': 'Ticker in "{group}" stopped.',
+        'owner.broadcastTitle': '📢 *Notice from the bot owner:*',
+        'owner.broadcastQueued': 'Sending the notice to {count} groups.',
+
+        // --- Stats & AI ---
+        'stats.title': '📊 *Game stats:*',
+        'stats.topScorer': 'Top scorer ({team}):* {value}',
+        'stats.sevenMeters': '7m ({team}):* {value}',
+        'stats.penalties': 'Suspensions ({team}):* {value}',
+        'stats.nobody': 'Nobody',
+        'stats.goals': '{count} goals',
+        'stats.ratio': '{made} of {total}',
+        'halftime.title': '📋 *Halftime report:*',
+        'halftime.keyMoments': '*Key moments:*',
+        'scorers.title': '⚽ *Scorers:*',
+        'scorers.goal': '1 goal',
+        'scorers.sevenMeters': '7m {value}',
+        'scorers.penalties': '{count}× 2 min',
+
+        // --- Questions (!frag) ---
+        'question.missing': 'Please ask a question, e.g. !frag What was the score in minute 40?',
+        'question.scoreAtMinute': '⏱️ Score after {minute} minutes:\n{scoreLine}',
+        'question.halftimeScore': '⏸️ Halftime score:\n{scoreLine}',
+        'question.minuteNotPlayed': 'Minute {minute} has not been played (yet).',
+        'question.leaders.goals': '⚽ *Most goals:*',
+        'question.leaders.sevenMeters': '🎯 *Most 7m goals:*',
+        'question.leaders.penalties': '⏱️ *Most suspensions:*',
+        'question.nobody.goals': 'No goal has been scored yet.',
+        'question.nobody.sevenMeters': 'No 7m goal has been scored yet.',
+        'question.nobody.penalties': 'There has been no suspension yet.',
+        'question.aiAnswer': '🤖 {answer}',
+        'question.unknown': 'Sorry, I can\'t answer that without AI. Ask e.g. for the score in a certain minute or for the goals or suspensions of a player.',
+
+        // --- Season archive (!saison, !spieler) ---
+        'season.title': '📅 *Season {season} · {team}*',
+        'season.record': 'Games: {games} · Wins: {wins} · Draws: {draws} · Losses: {losses}\nGoals: {goalsFor}:{goalsAgainst}',
+        'season.playersTitle': '*Players:*',
+        'season.game': '1 game',
+        'season.games': '{count} games',
+        'season.rate': '{ratio} ({percent}%)',
+        'season.noGames': 'No finished games have been archived for this group yet.',
+        'season.invalidSeason': 'Please give the season as e.g. 2024/25.',
+        'season.noGamesInSeason': 'No games of the season {season} have been archived.',
+        'season.noTeam': 'I don\'t know which team this group belongs to. Please set it with !config lieblingsteam <team>.',
+        'season.missingName': 'Please give a player name, e.g. !spieler Mustermann',
+        'season.playerNotFound': 'There is no player "{name}" in the season {season}.',
+        'season.ambiguousPlayer': 'Several players match "{name}": {players}. Please be more specific.',
+        'season.playerTitle': '👤 *{name}* ({team}) · Season {season}',
+        'season.playerGames': 'Games: {count}',
+        'season.playerGoals': 'Goals: {goals} ({average} per game)',
+        'season.playerSevenMeters': '7m: {value}',
+        'season.playerPenalties': '2-minute suspensions: {count}',
+
+        // --- League (!tabelle) ---
+        'league.title': '🏆 *{league}*',
+        'league.row': '{rank}. {team} · {games} GP · {goals} · {points} pts',
+        'league.unknown': 'The league is not known yet. Please start a ticker for a game of the league first.',
+        'league.loadFailed': 'The table could not be loaded. Please try again later.',
+        'league.matchdayTitle': '📋 *Matchday {league}:*',
+        'league.pendingGame': '{home} – {guest} ({date}, {time})',
+        'league.positionsTitle': '🏆 *Table positions:*',
+
+        'image.halftime': 'Halftime',
+        'image.fullTime': 'Full time',
+        'image.halftimeCaption': '📸 The first half at a glance',
+        'image.fullTimeCaption': '📸 The game at a glance',
+        'image.topScorers': 'Top scorers',
+        'image.penalties': 'Suspensions: {count}',
+        'image.chartTitle': 'Goal difference over the game',
+        'template.title': '📝 *Match report:*',
+        'template.halftimeTitle': '📝 *At halftime:*',
+        'template.win': '*{winner} beat {loser} {score}*',
+        'template.draw': '*{home} and {guest} draw {score}*',
+        'template.halftimeScore': 'At halftime it was {score}.',
+        'template.decision': 'The game was decided {decision}.',
+        'template.biggestLead': 'The biggest lead was {lead} goals for {team}.',
+        'template.topScorers': 'Top scorers: {homeTopScorer} for {home}, {guestTopScorer} for {guest}.',
+        'template.penalties': '2-minute suspensions: {homePenalties} for {home}, {guestPenalties} for {guest}.',
+        'template.halftimeLead': '{leader} lead {score} at the break.',
+        'template.halftimeDraw': 'It is {score} at the break.',
+        'template.keyMoments': 'Key moments: {moments}.',
+        'template.secondHalf': 'Now it all comes down to the second half!',
+        'ai.title': '🤖 *AI match analysis:*',
+        'ai.persona.neutral': 'You are a matter-of-fact and knowledgeable handball commentator.',
+        'ai.persona.enthusiastic': 'You are an enthusiastic, emotional and knowledgeable handball commentator.',
+        'ai.persona.sarcastic': 'You are a witty, slightly sarcastic and knowledgeable handball commentator.',
+        'ai.team.guess': `IMPORTANT: The group you are posting in is called "{groupName}". Analyse this name to find out which team you should support.
+    If the group name can NOT CLEARLY be assigned to a team, stay neutral and ignore the group name. If the group DEFINITELY belongs to a team, support that team.`,
+        'ai.team.favorite': 'IMPORTANT: The group you are posting in is called "{groupName}" and supports {team}. Support that team.',
+        'ai.tone.neutral': 'Be fair to both teams and refrain from mockery, even though you support one of them.',
+        'ai.tone.enthusiastic': 'Celebrate your team wholeheartedly and with passion, but stay respectful towards the opponent.',
+        'ai.tone.sarcastic': 'Support your team wholeheartedly and feel free to roast the opponent with pointed, sarcastic remarks.',
+        'ai.length.short': 'about 2-4 sentences',
+        'ai.length.medium': 'about 5-7 sentences',
+        'ai.length.long': 'two to three short paragraphs',
+        'ai.playerJokes': `    - In-jokes about players who played today (work them in where they fit):
+{jokes}
+`,
+        'ai.prompt': `{persona}
+    Your task is to write an entertaining summary ({length}) in English for a game that has just finished.
+
+    {team}
+
+    Here is the game data:
+    - Home team: {home}
+    - Away team: {guest}
+    - Halftime score: {halftimeScore}
+    - Final score: {finalScore}
+    - Game length: {duration} minutes (regular time: {regulation} minutes)
+    - Decided: {decision}
+    - Course of the game (selected scores): {progression}, end: {finalScore}
+    - Top scorer {home}: {homeTopScorer}
+    - Top scorer {guest}: {guestTopScorer}
+    - 2-minute suspensions {home}: {homePenalties}
+    - 2-minute suspensions {guest}: {guestPenalties}
+    - 7m {home}: {homeSevenMeters}
+    - 7m {guest}: {guestSevenMeters}
+{halftimeReference}{playerJokes}
+    Instructions:
+    1.  Give your summary a creative, catchy headline in bold (e.g. *Heart-stopping finish!* or *A masterclass in defending.*).
+    2.  Use the stats for pointed remarks (e.g. "With {guestPenalties} suspensions the away team made life hard for themselves." or "In the end, nerves of steel from the 7m line made the difference."). Only use stats that actually mattered for the game.
+    3.  {tone}
+    4.  Be creative and avoid clichés. Give the commentary personality! Don't read things into the data that it doesn't show; stick to the facts rather than inventing an "overly aggressive defence".
+
+    Your summary (headline and text only, without "Summary:"):`,
+        'ai.halftimeReference': `    - Your halftime talk: "{talk}"
+      Refer back to it briefly: did what you demanded or predicted at halftime come true?
+`,
+        'ai.halftimeTitle': '🎙️ *AI halftime talk:*',
+        'ai.halftimePrompt': `{persona}
+    It's halftime. Your task is to write a short "halftime talk" (about 2-3 sentences) in English: a look back at the first half and ahead to the second.
+
+    {team} If you support a team, talk to it like a coach in the locker room.
+
+    Here is the data of the first half:
+    - Home team: {home}
+    - Away team: {guest}
+    - Halftime score: {halftimeScore}
+    - Course of the game (selected scores): {progression}, halftime: {halftimeScore}
+    - Key moments: {keyMoments}
+    - Top scorer {home}: {homeTopScorer}
+    - Top scorer {guest}: {guestTopScorer}
+    - 2-minute suspensions {home}: {homePenalties}
+    - 2-minute suspensions {guest}: {guestPenalties}
+    - 7m {home}: {homeSevenMeters}
+    - 7m {guest}: {guestSevenMeters}
+{playerJokes}
+    Instructions:
+    1.  Say what the second half will come down to and dare a prediction.
+    2.  {tone}
+    3.  Stick to the facts in the data and don't invent game situations.
+
+    Your halftime talk (text only, without a headline):`,
+        'ai.questionPrompt': `You are the live ticker bot of a group chat and answer the members' questions about a handball game.
+    Answer the question briefly (1-3 sentences) in English and only based on the following game data. If the data doesn't answer the question, say so honestly instead of guessing.
+
+    Current state:
+    {scoreboard}
+
+    Game events, chronological (game time | score {home}:{guest} | type | message):
+    {events}
+
+    Players {home} (goals, 7m, suspensions):
+    {homePlayers}
+
+    Players {guest} (goals, 7m, suspensions):
+    {guestPlayers}
+
+    Question: {question}
+
+    Your answer (text only):`
+    }
+};
@@ -0,0 +1,151 @@
+// metrics.js - Counters for the /metrics endpoint (see statusServer.js)
+
+// Upper bounds (seconds) of the poll latency histogram buckets
+const POLL_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const pollDurations = {};   // job type -> { buckets: [counts], sum, count }
+const fetchFailures = {};   // job type -> count
+const messagesSent = { text: 0, media: 0 };
+const sendFailures = { text: 0, media: 0 };
+const transportState = { name: null, isConnected: false, connectedSince: null };
+
+/**
+ * Records how long fetching the game data took for a job.
+ * @param {('poll'|'schedule')} jobType - The job type.
+ * @param {number} seconds - The duration of the fetch.
+ */
+function recordPollDuration(jobType, seconds) {
+    if (!pollDurations[jobType]) {
+        pollDurations[jobType] = { buckets: POLL_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    }
+    const histogram = pollDurations[jobType];
+    POLL_DURATION_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+/**
+ * Records a failed fetch of the game data (network error or invalid data).
+ * @param {('poll'|'schedule')} jobType - The job type.
+ */
+function recordFetchFailure(jobType) {
+    fetchFailures[jobType] = (fetchFailures[jobType] || 0) + 1;
+}
+
+/**
+ * Counts the messages sent through a transport and follows its connection state.
+ * Must be called before the transport is initialized.
+ * @param {EventEmitter} transport - The messaging transport.
+ * @returns {EventEmitter} - The same transport.
+ */
+function instrumentTransport(transport) {
+    transportState.name = transport.name;
+    transport.on('ready', () => {
+        transportState.isConnected = true;
+        transportState.connectedSince = Date.now();
+    });
+    transport.on('disconnected', () => {
+        transportState.isConnected = false;
+        transportState.connectedSince = null;
+    });
+
+    for (const [method, kind] of [['sendMessage', 'text'], ['sendMedia', 'media']]) {
+        const send = transport[method];
+        transport[method] = async (...args) => {
+            try {
+                const result = await send(...args);
+                messagesSent[kind]++;
+                return result;
+            } catch (error) {
+                sendFailures[kind]++;
+                throw error;
+            }
+        };
+    }
+    return transport;
+}
+
+/**
+ * Returns the connection state of the instrumented transport.
+ * @returns {object} - { name, isConnected, connectedSince (ms timestamp or null) }.
+ */
+function getTransportState() {
+    return { ...transportState };
+}
+
+/**
+ * Formats the labels of a sample ({ job: 'poll' } -> '{job="poll"}').
+ * @param {object} labels - The label names and values.
+ * @returns {string} - The label part of the sample line.
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Formats one metric with its HELP and TYPE lines.
+ * @param {object} metric - { name, help, type, samples: [{ labels, value, suffix }] }.
+ * @returns {string} - The metric in the Prometheus text format.
+ */
+function formatMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    for (const sample of metric.samples) {
+        lines.push(`${metric.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renders the counters of this module plus the given gauges in the Prometheus text format.
+ * @param {Array<object>} gauges - Additional metrics computed from the current state (see formatMetric).
+ * @returns {string} - The response body for /metrics.
+ */
+function renderMetrics(gauges = []) {
+    const durationSamples = [];
+    for (const [job, histogram] of Object.entries(pollDurations)) {
+        POLL_DURATION_BUCKETS.forEach((bound, index) => {
+            durationSamples.push({ suffix: '_bucket', labels: { job, le: bound }, value: histogram.buckets[index] });
+        });
+        durationSamples.push({ suffix: '_bucket', labels: { job, le: '+Inf' }, value: histogram.count });
+        durationSamples.push({ suffix: '_sum', labels: { job }, value: Number(histogram.sum.toFixed(3)) });
+        durationSamples.push({ suffix: '_count', labels: { job }, value: histogram.count });
+    }
+
+    const metrics = [
+        {
+            name: 'liveticker_poll_duration_seconds', help: 'Duration of the game data fetches.', type: 'histogram',
+            samples: durationSamples
+        },
+        {
+            name: 'liveticker_fetch_failures_total', help: 'Failed game data fetches.', type: 'counter',
+            samples: Object.entries(fetchFailures).map(([job, value]) => ({ labels: { job }, value }))
+        },
+        {
+            name: 'liveticker_messages_sent_total', help: 'Messages sent through the transport.', type: 'counter',
+            samples: Object.entries(messagesSent).map(([kind, value]) => ({ labels: { kind }, value }))
+        },
+        {
+            name: 'liveticker_message_failures_total', help: 'Messages the transport failed to send.', type: 'counter',
+            samples: Object.entries(sendFailures).map(([kind, value]) => ({ labels: { kind }, value }))
+        },
+        {
+            name: 'liveticker_transport_connected', help: 'Whether the messaging transport is connected (1) or not (0).', type: 'gauge',
+            samples: [{ labels: { transport: transportState.name || 'none' }, value: transportState.isConnected ? 1 : 0 }]
+        },
+        ...gauges
+    ];
+    return metrics.map(formatMetric).join('\n') + '\n';
+}
+
+module.exports = {
+    recordPollDuration,
+    recordFetchFailure,
+    instrumentTransport,
+    getTransportState,
+    renderMetrics
+};
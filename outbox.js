@@ -0,0 +1,247 @@
+// outbox.js - Queue for outgoing messages: sent in order per chat, rate limited across all chats, retried on failure
+const { loadOutbox, saveOutbox } = require('./store.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let transport;
+
+// --- OUTBOX CONFIG ---
+const MESSAGES_PER_MINUTE = 40;       // Max. messages per minute across all chats (WhatsApp bans bots that spam)
+const MIN_SEND_INTERVAL = 500;        // Min. milliseconds between two messages, spreads out bursts
+const MAX_ATTEMPTS = 8;               // A message that failed this often is dropped
+const RETRY_DELAY_BASE = 2000;        // Milliseconds before the first retry, doubled for every further one
+const RETRY_DELAY_MAX = 5 * 60 * 1000;
+const PERSIST_DELAY = 1000;           // Changes within this many milliseconds are written to the store at once
+
+const pendingMessages = [];           // [{ id, chatId, text | media + caption, attempts, nextAttemptAt }], oldest first
+const deliveryCallbacks = new Map();  // message id -> resolves the promise returned by enqueue()
+const sendTimestamps = [];            // Send times of the messages in the last minute
+let nextMessageId = 1;
+let lastSentAt = 0;
+let isSending = false;
+let isPaused = true;                  // Until the transport reports 'ready'
+let drainTimeout = null;
+let persistTimeout = null;
+
+/**
+ * Initializes the outbox with the messaging transport and restores the messages that
+ * weren't sent before the last shutdown. Nothing is sent before the transport is ready,
+ * and sending pauses while it is disconnected.
+ * @param {EventEmitter} messagingTransport - The messaging transport.
+ */
+function initializeOutbox(messagingTransport) {
+    transport = messagingTransport;
+
+    const restoredMessages = loadOutbox();
+    for (const message of restoredMessages) {
+        pendingMessages.push(message);
+        nextMessageId = Math.max(nextMessageId, message.id + 1);
+    }
+    if (restoredMessages.length > 0) {
+        console.log(`${restoredMessages.length} ungesendete Nachrichten wiederhergestellt.`);
+    }
+
+    transport.on('ready', () => {
+        isPaused = false;
+        drain();
+    });
+    transport.on('disconnected', () => {
+        isPaused = true;
+        clearTimeout(drainTimeout);
+        flushOutbox();
+    });
+}
+
+/**
+ * Queues a text message. Messages to the same chat are sent in the order they were queued.
+ * @param {string} chatId - The chat ID.
+ * @param {string} text - The message text.
+ * @returns {Promise<boolean>} - Resolves once the message was sent (true) or dropped after too many failures (false).
+ */
+function enqueueMessage(chatId, text) {
+    return enqueue({ chatId, text });
+}
+
+/**
+ * Queues a file, e.g. an image (see transports/index.js for the media format). A file that is
+ * still being created (a promise) keeps its place in the chat's order; later messages of that
+ * chat wait for it, other chats don't.
+ * @param {string} chatId - The chat ID.
+ * @param {object|Promise<object|null>} media - The file ({ mimetype, data (base64), filename }), or a
+ *                                              promise for it. A promise for null drops the message.
+ * @param {string} [caption] - The caption.
+ * @returns {Promise<boolean>} - Resolves once the file was sent (true) or dropped after too many failures (false).
+ */
+function enqueueMedia(chatId, media, caption) {
+    return enqueue({ chatId, media, caption });
+}
+
+/**
+ * Adds a message to the outbox, persists it and starts sending.
+ * @param {object} content - The chat ID plus the text or the media and caption.
+ * @returns {Promise<boolean>} - See enqueueMessage.
+ */
+function enqueue(content) {
+    const message = { id: nextMessageId++, ...content, attempts: 0, nextAttemptAt: Date.now() };
+    pendingMessages.push(message);
+    persistOutbox(message);
+
+    const delivered = new Promise(resolve => deliveryCallbacks.set(message.id, resolve));
+    if (message.media instanceof Promise) waitForMedia(message);
+    drain();
+    return delivered;
+}
+
+/**
+ * Holds a queued file back until it is created, then lets it be sent. If it couldn't be
+ * created, the message is dropped and the chat's next message goes out.
+ * @param {object} message - The pending message, its `media` still a promise.
+ */
+function waitForMedia(message) {
+    const mediaPromise = message.media;
+    message.nextAttemptAt = Infinity;
+    mediaPromise
+        .catch(error => {
+            console.error(`[${message.chatId}] Datei konnte nicht erstellt werden:`, error.message);
+            return null;
+        })
+        .then(media => {
+            if (media) {
+                message.media = media;
+                message.nextAttemptAt = Date.now();
+            } else {
+                settle(message, false);
+            }
+            drain();
+        });
+}
+
+/**
+ * Persists the pending text messages after a change. The store is rewritten as a whole, so the
+ * changes of a burst (e.g. a recap of many events) are batched into one write after PERSIST_DELAY.
+ * Files (base64 images) would bloat the store, so they are only kept in memory and lost on a restart.
+ * @param {object} changedMessage - The message that was queued, retried or removed.
+ */
+function persistOutbox(changedMessage) {
+    if (changedMessage.media || persistTimeout) return;
+    persistTimeout = setTimeout(flushOutbox, PERSIST_DELAY);
+}
+
+/**
+ * Writes the pending text messages to the store right away, e.g. before shutting down.
+ */
+function flushOutbox() {
+    clearTimeout(persistTimeout);
+    persistTimeout = null;
+    saveOutbox(pendingMessages.filter(message => !message.media));
+}
+
+/**
+ * Returns the oldest pending message of every chat. Only these may be sent, which keeps the order per chat.
+ * @returns {Array<object>} - The first pending message of each chat.
+ */
+function getChatHeads() {
+    const chatIds = new Set();
+    return pendingMessages.filter(message => {
+        if (chatIds.has(message.chatId)) return false;
+        chatIds.add(message.chatId);
+        return true;
+    });
+}
+
+/**
+ * Calculates how long the rate limit requires to wait before the next message.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {number} - The delay in milliseconds (0 if a message may be sent right away).
+ */
+function getRateLimitDelay(now) {
+    while (sendTimestamps.length > 0 && sendTimestamps[0] <= now - 60000) sendTimestamps.shift();
+    const budgetDelay = sendTimestamps.length >= MESSAGES_PER_MINUTE ? sendTimestamps[0] + 60000 - now : 0;
+    return Math.max(0, lastSentAt + MIN_SEND_INTERVAL - now, budgetDelay);
+}
+
+/**
+ * Sends pending messages one at a time, oldest first, as long as the rate limit allows.
+ * Schedules itself again for the next message that has to wait.
+ */
+async function drain() {
+    if (isSending || isPaused) return;
+    isSending = true;
+    clearTimeout(drainTimeout);
+    try {
+        while (!isPaused) {
+            const now = Date.now();
+            const heads = getChatHeads();
+            if (heads.length === 0) return;
+
+            const message = heads.find(head => head.nextAttemptAt <= now);
+            const delay = message
+                ? getRateLimitDelay(now)
+                : Math.min(...heads.map(head => head.nextAttemptAt)) - now;
+            // Only files that are still being created are left, waitForMedia drains again
+            if (delay === Infinity) return;
+            if (delay > 0) {
+                drainTimeout = setTimeout(drain, delay);
+                return;
+            }
+            await deliver(message);
+        }
+    } finally {
+        isSending = false;
+    }
+}
+
+/**
+ * Sends a single message. On failure it stays at the front of its chat's queue and is retried
+ * with exponential backoff; after MAX_ATTEMPTS it is dropped.
+ * @param {object} message - The pending message.
+ */
+async function deliver(message) {
+    lastSentAt = Date.now();
+    sendTimestamps.push(lastSentAt);
+    try {
+        if (message.media) {
+            await transport.sendMedia(message.chatId, message.media, message.caption);
+        } else {
+            await transport.sendMessage(message.chatId, message.text);
+        }
+        settle(message, true);
+    } catch (error) {
+        message.attempts++;
+        if (message.attempts >= MAX_ATTEMPTS) {
+            console.error(`[${message.chatId}] Nachricht nach ${message.attempts} Fehlversuchen verworfen:`, error.message);
+            settle(message, false);
+            return;
+        }
+        const retryDelay = Math.min(RETRY_DELAY_BASE * Math.pow(2, message.attempts - 1), RETRY_DELAY_MAX);
+        message.nextAttemptAt = Date.now() + retryDelay;
+        persistOutbox(message);
+        console.warn(`[${message.chatId}] Fehler beim Senden (${message.attempts}. Versuch), nächster Versuch in ${Math.round(retryDelay / 1000)}s:`, error.message);
+    }
+}
+
+/**
+ * Removes a message from the outbox and resolves its promise.
+ * @param {object} message - The pending message.
+ * @param {boolean} isSent - Whether the message was sent.
+ */
+function settle(message, isSent) {
+    pendingMessages.splice(pendingMessages.indexOf(message), 1);
+    persistOutbox(message);
+    const resolve = deliveryCallbacks.get(message.id);
+    deliveryCallbacks.delete(message.id);
+    if (resolve) resolve(isSent);
+}
+
+/**
+ * Returns the state of the outbox for the status page.
+ * @returns {object} - { pending, retrying (messages that failed at least once), chats }.
+ */
+function getOutboxStatus() {
+    return {
+        pending: pendingMessages.length,
+        retrying: pendingMessages.filter(message => message.attempts > 0).length,
+        chats: getChatHeads().length
+    };
+}
+
+module.exports = { initializeOutbox, enqueueMessage, enqueueMedia, flushOutbox, getOutboxStatus };
@@ -0,0 +1,128 @@
+// owner.js - Global commands for the bot owners (in direct messages)
+const { loadFollowedTeams, loadGroupSettings } = require('./store.js');
+const { stopTicker, getPollingStatus } = require('./polling.js');
+const { skipFollowedGame } = require('./following.js');
+const { getGroupSettings } = require('./settings.js');
+const { DEFAULT_LANGUAGE, t, formatDate, formatTime } = require('./i18n.js');
+const { enqueueMessage } = require('./outbox.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let activeTickers;
+
+/**
+ * Initializes the owner module with shared state variables from app.js.
+ * @param {Map} tickers - The map of active tickers (chatId -> ticker state).
+ */
+function initializeOwner(tickers) {
+    activeTickers = tickers;
+}
+
+/**
+ * Describes the state of a ticker for the status list.
+ * @param {object} tickerState - The ticker state.
+ * @param {string} language - The language code of the owner chat.
+ * @returns {string} - E.g. "läuft" or "geplant ab 01.03.2025 17:55".
+ */
+function describeTickerState(tickerState, language) {
+    if (tickerState.isPolling) return t(language, tickerState.isReplay ? 'owner.state.replay' : 'owner.state.polling');
+    if (tickerState.isScheduled && tickerState.startTime) {
+        const startTime = new Date(tickerState.startTime);
+        return t(language, 'owner.state.scheduled', { date: formatDate(language, startTime), time: formatTime(language, startTime) });
+    }
+    if (tickerState.isScheduling) return t(language, 'owner.state.scheduling');
+    return t(language, 'owner.state.finished');
+}
+
+/**
+ * Formats the worker pool load and all tickers across groups, numbered for `!stop <Nr.>`.
+ * @param {string} language - The language code of the owner chat.
+ * @returns {string} - The status message.
+ */
+function formatStatus(language) {
+    const status = getPollingStatus();
+    const header = t(language, 'owner.status', {
+        queue: status.queueLength,
+        workers: status.activeWorkers,
+        maxWorkers: status.maxWorkers,
+        requests: status.requestsLastMinute,
+        budget: status.requestBudget
+    });
+    if (activeTickers.size === 0) return `${header}\n\n${t(language, 'owner.noTickers')}`;
+
+    const lines = [...activeTickers.entries()].map(([chatId, tickerState], index) => t(language, 'owner.tickerLine', {
+        number: index + 1,
+        group: tickerState.groupName || chatId,
+        chatId,
+        game: tickerState.teamNames ? `${tickerState.teamNames.home} vs ${tickerState.teamNames.guest}` : tickerState.meetingPageUrl,
+        state: describeTickerState(tickerState, language),
+        mode: tickerState.mode
+    }));
+    return `${header}\n\n${t(language, 'owner.tickers', { count: activeTickers.size })}\n${lines.join('\n')}`;
+}
+
+/**
+ * Stops a ticker of any group and lets the group know.
+ * @param {string} ticker - The number from `!status` or the chat ID.
+ * @param {string} language - The language code of the owner chat.
+ * @returns {Promise<string>} - The reply for the owner.
+ */
+async function forceStopTicker(ticker, language) {
+    const chatIds = [...activeTickers.keys()];
+    const chatId = /^\d+$/.test(ticker) && chatIds[Number(ticker) - 1] ? chatIds[Number(ticker) - 1] : ticker;
+    const tickerState = activeTickers.get(chatId);
+    if (!tickerState) return t(language, 'owner.unknownTicker', { ticker });
+
+    const group = tickerState.groupName || chatId;
+    if (!stopTicker(chatId)) return t(language, 'owner.notRunning', { group });
+
+    if (!tickerState.isReplay) skipFollowedGame(chatId, tickerState.meetingPageUrl);
+    console.log(`Live-Ticker für Gruppe "${group}" (${chatId}) vom Bot-Betreiber gestoppt.`);
+    enqueueMessage(chatId, t(getGroupSettings(chatId).language, 'ticker.stoppedByOwner'));
+    return t(language, 'owner.stopped', { group });
+}
+
+/**
+ * Queues a notice (e.g. planned maintenance) for every group the bot knows: groups with
+ * tickers, followed teams or their own settings. Delivery isn't awaited, as it can take
+ * minutes while the transport is disconnected or the rate limit is reached.
+ * @param {string} text - The notice.
+ * @returns {number} - The number of groups the notice was queued for.
+ */
+function broadcast(text) {
+    const chatIds = new Set([
+        ...activeTickers.keys(),
+        ...Object.keys(loadFollowedTeams()),
+        ...Object.keys(loadGroupSettings())
+    ]);
+    const deliveries = [...chatIds].map(chatId =>
+        enqueueMessage(chatId, `${t(getGroupSettings(chatId).language, 'owner.broadcastTitle')}\n\n${text}`)
+    );
+    Promise.all(deliveries).then(results => {
+        console.log(`Hinweis des Bot-Betreibers an ${results.filter(Boolean).length} von ${chatIds.size} Gruppen gesendet.`);
+    });
+    return chatIds.size;
+}
+
+/**
+ * Handles a command a bot owner sent in a direct message. The replies bypass the outbox,
+ * so !status and !stop still answer while it is backed up with ticker messages.
+ * @param {object} msg - The normalized message from the transport.
+ */
+async function handleOwnerCommand(msg) {
+    const language = DEFAULT_LANGUAGE;
+    const args = msg.body.split(' ');
+    const command = args[0].toLowerCase();
+
+    if (command === '!status') {
+        await msg.reply(formatStatus(language));
+    } else if (command === '!stop' && args.length >= 2) {
+        await msg.reply(await forceStopTicker(args[1], language));
+    } else if (command === '!broadcast' && args.slice(1).join(' ').trim()) {
+        const queuedCount = broadcast(args.slice(1).join(' ').trim());
+        await msg.reply(t(language, 'owner.broadcastQueued', { count: queuedCount }));
+    } else {
+        await msg.reply(t(language, 'owner.help'));
+    }
+}
+
+module.exports = { initializeOwner, handleOwnerCommand };
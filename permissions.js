@@ -0,0 +1,66 @@
+// permissions.js
+const { getGroupSettings } = require('./settings.js');
+
+// Commands that start, stop or change a ticker. Read-only uses (!follow without a URL,
+// !config without arguments) and commands like !stand stay open to every member.
+const CONTROL_COMMANDS = ['!start1', '!stop1', '!reset1', '!replay', '!follow', '!unfollow', '!config'];
+
+/**
+ * Checks whether a sender ID matches an allow-list entry. Entries can be full IDs
+ * ("491701234567@c.us", Telegram user IDs) or phone numbers in any notation ("+49 170 1234567").
+ * @param {string} senderId - The sender ID from the transport.
+ * @param {string} entry - The allow-list entry.
+ * @returns {boolean} - True if they refer to the same sender.
+ */
+function matchesSender(senderId, entry) {
+    if (!senderId || !entry) return false;
+    if (String(senderId) === entry) return true;
+    const senderDigits = String(senderId).split('@')[0].replace(/\D/g, '');
+    const entryDigits = entry.split('@')[0].replace(/\D/g, '');
+    return senderDigits.length > 0 && senderDigits === entryDigits;
+}
+
+/**
+ * Returns the bot owners configured in the environment variable `BOT_OWNER_IDS` (comma-separated).
+ * @returns {Array<string>} - The owner IDs or phone numbers.
+ */
+function getBotOwners() {
+    return (process.env.BOT_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Checks whether a sender is one of the bot owners.
+ * @param {string} senderId - The sender ID from the transport.
+ * @returns {boolean} - True for bot owners.
+ */
+function isBotOwner(senderId) {
+    return getBotOwners().some(entry => matchesSender(senderId, entry));
+}
+
+/**
+ * Checks whether a command changes a ticker or the group's setup.
+ * @param {string} command - The lower-cased command (e.g. '!stop1').
+ * @param {Array<string>} args - The message split by spaces (args[0] is the command).
+ * @returns {boolean} - True if the command needs control rights.
+ */
+function isControlCommand(command, args) {
+    if (!CONTROL_COMMANDS.includes(command)) return false;
+    if ((command === '!follow' || command === '!config') && args.length < 2) return false;
+    return true;
+}
+
+/**
+ * Checks whether the sender of a group message may start, stop or configure tickers:
+ * group admins, bot owners and the group's allow-list, or everyone if the group has
+ * turned off `adminsOnly`.
+ * @param {object} msg - The normalized message from the transport.
+ * @returns {boolean} - True if the sender may control the group's tickers.
+ */
+function canControlTicker(msg) {
+    if (msg.isAdmin || isBotOwner(msg.senderId)) return true;
+    const { adminsOnly, allowedSenders } = getGroupSettings(msg.chatId);
+    if (!adminsOnly) return true;
+    return allowedSenders.some(entry => matchesSender(msg.senderId, entry));
+}
+
+module.exports = { isBotOwner, isControlCommand, canControlTicker };
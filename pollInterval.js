@@ -0,0 +1,60 @@
+// pollInterval.js
+const { parseMatchTime } = require('./utils.js');
+const { analyzeGame } = require('./gamePhase.js');
+
+// --- POLL INTERVALS (seconds) ---
+const POLL_INTERVAL_SLOW = 60;     // Before throw-off and during halftime
+const POLL_INTERVAL_DEFAULT = 20;  // Regular play
+const POLL_INTERVAL_FAST = 10;     // Final minutes or a close score
+const POLL_INTERVAL_FASTEST = 5;   // Final minutes of a close game, overtime and 7m shootouts
+
+const FINAL_MINUTES = 10;          // The last minutes of regular time count as the "final minutes"
+const CLOSE_SCORE_DIFFERENCE = 2;  // Goal difference that counts as a close game
+
+// --- ERROR BACKOFF (seconds) ---
+const BACKOFF_BASE = 20;
+const BACKOFF_MAX = 600;
+
+/**
+ * Determines how long to wait before polling a game again, based on its current state.
+ * @param {object} gameData - The latest data object from the API (contains .summary and .events, newest first).
+ * @returns {number} - The poll interval in milliseconds.
+ */
+function getPollInterval(gameData) {
+    const events = (gameData && gameData.events) || [];
+    const lastEvent = events[0];
+
+    // No events yet: the game hasn't started, nothing will happen soon
+    if (!lastEvent) return POLL_INTERVAL_SLOW * 1000;
+
+    // The last event closed a period and no new one has started: halftime
+    if (lastEvent.type === "StopPeriod") return POLL_INTERVAL_SLOW * 1000;
+
+    // Overtime and shootouts are decided within minutes
+    const analysis = analyzeGame(events.slice().reverse(), gameData.summary);
+    if (analysis.phase === 'overtime' || analysis.phase === 'shootout') return POLL_INTERVAL_FASTEST * 1000;
+
+    const minute = lastEvent.time ? Math.floor(parseMatchTime(lastEvent.time) / 60) : 0;
+    const scoredEvent = events.find(ev => ev.score);
+    const [homeGoals, guestGoals] = scoredEvent ? scoredEvent.score.split('-').map(Number) : [0, 0];
+
+    // The half length is known from halftime on, so youth games get their final minutes too
+    const isFinalMinutes = minute >= analysis.regulationMinutes - FINAL_MINUTES;
+    const isCloseScore = Math.abs(homeGoals - guestGoals) <= CLOSE_SCORE_DIFFERENCE;
+
+    if (isFinalMinutes && isCloseScore) return POLL_INTERVAL_FASTEST * 1000;
+    if (isFinalMinutes || isCloseScore) return POLL_INTERVAL_FAST * 1000;
+    return POLL_INTERVAL_DEFAULT * 1000;
+}
+
+/**
+ * Calculates the delay before retrying a feed that keeps failing (exponential backoff).
+ * @param {number} consecutiveErrors - The number of failed polls in a row (at least 1).
+ * @returns {number} - The delay in milliseconds.
+ */
+function getBackoffDelay(consecutiveErrors) {
+    const delay = BACKOFF_BASE * Math.pow(2, Math.max(0, consecutiveErrors - 1));
+    return Math.min(delay, BACKOFF_MAX) * 1000;
+}
+
+module.exports = { getPollInterval, getBackoffDelay };
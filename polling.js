@@ -1,73 +1,52 @@
 // polling.js
-const axios = require('axios');
-const { saveSeenTickers, formatEvent, saveScheduledTickers, loadScheduledTickers, formatRecapEventLine } = require('./utils.js');
-const { generateGameSummary, extractGameStats } = require('./ai.js');
+const { formatEvent, formatEventBurst, formatRecapEventLine, parseMatchTime } = require('./utils.js');
+const { saveTickers, loadTickers } = require('./store.js');
+const { getPollInterval, getBackoffDelay } = require('./pollInterval.js');
+const { getEventFingerprint, findCorrections, formatCorrectionMessage } = require('./corrections.js');
+const { analyzeGame } = require('./gamePhase.js');
+const { getGameFlowNotes, getKeyMoments, appendGameFlowNotes } = require('./gameFlow.js');
+const { generateGameSummary, generateHalftimeTalk, extractGameStats } = require('./ai.js');
 const { EVENT_MAP } = require('./config.js');
+const { getGroupSettings, getAiPersona } = require('./settings.js');
+const { t, getEventLabel, formatDate, formatTime } = require('./i18n.js');
+const { recordPollDuration, recordFetchFailure } = require('./metrics.js');
+const { enqueueMessage, enqueueMedia } = require('./outbox.js');
+const { renderGameImage } = require('./images.js');
+const { archiveGame } = require('./archive.js');
+const { sendMatchdayResults } = require('./league.js');
+const { parseGameUrl } = require('./providers/urls.js');
 
 // --- SHARED STATE (Initialized by app.js) ---
-let activeTickers, jobQueue, client, seenFilePath, scheduleFilePath;
+let activeTickers, jobQueue, dataProvider;
 
 // --- WORKER POOL CONFIG ---
-let lastPolledIndex = -1; 
 let activeWorkers = 0; 
 const MAX_WORKERS = 2; 
-const PRE_GAME_START_MINUTES = 5; 
-const RECAP_INTERVAL_MINUTES = 5; 
+const REQUEST_BUDGET_PER_MINUTE = 30; // Max. feed requests per minute across all tickers
+const requestTimestamps = []; // Start times of the feed requests in the last minute
+const CLEANUP_DELAY_MINUTES = 60;
 
 /**
  * Initializes the polling module with shared state variables from app.js.
+ * @param {object} provider - The game data provider (see providers/index.js).
  */
-function initializePolling(tickers, queue, whatsappClient, seenFile, scheduleFile) {
+function initializePolling(tickers, queue, provider) {
     activeTickers = tickers;
     jobQueue = queue;
-    client = whatsappClient;
-    seenFilePath = seenFile;
-    scheduleFilePath = scheduleFile;
+    dataProvider = provider;
 }
 
-// --- NEW HELPER FUNCTION ---
-
 /**
- * Transforms a user-facing URL into the correct JSON data URL.
- * Handles /ticker, /info, and base URLs.
- * @param {string} meetingPageUrl - The user-provided URL.
- * @returns {string} - The full API URL.
+ * Checks whether two game URLs point to the same game (e.g. with and without "/ticker").
+ * @param {string} [previousUrl] - The game URL of the chat's previous ticker, if any.
+ * @param {string} meetingPageUrl - The new game URL.
+ * @returns {boolean} - True if both URLs belong to the same game.
  */
-function buildDataUrl(meetingPageUrl) {
-    // 1. Parse the URL
-    const url = new URL(meetingPageUrl);
-    
-    // 2. Get the pathname, e.g., "/spiele/handball4all.hamburg.9126461/ticker"
-    let pathname = url.pathname;
-
-    // 3. Remove trailing slash if it exists
-    if (pathname.endsWith('/')) {
-        pathname = pathname.slice(0, -1);
-    }
-
-    // 4. Split the path into segments
-    const segments = pathname.split('/');
-    
-    // 5. Get the last segment
-    const lastSegment = segments[segments.length - 1];
-
-    // 6. Check if the last segment is a "command" like 'ticker' or 'info'
-    if (lastSegment === 'ticker' || lastSegment === 'info') {
-        // Remove it
-        segments.pop();
-    }
-    
-    // 7. Re-join the path and append /combined
-    const newPathname = segments.join('/') + '/combined';
-    
-    // 8. Return the new URL
-    // url.origin is "https://www.handball.net"
-    return url.origin + newPathname + '?';
+function isSameGame(previousUrl, meetingPageUrl) {
+    if (!previousUrl) return false;
+    return parseGameUrl(previousUrl).id === parseGameUrl(meetingPageUrl).id;
 }
 
-// --- END NEW HELPER FUNCTION ---
-
-
 /**
  * Creates the initial ticker state and adds a 'schedule' job to the queue.
  * @param {string} meetingPageUrl - The URL of the handball.net game webpage.
@@ -76,24 +55,37 @@ function buildDataUrl(meetingPageUrl) {
  * @param {('live'|'recap')} mode - The desired ticker mode ('live' or 'recap').
  */
 async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode) {
-    // We only validate it's a valid URL. buildDataUrl will handle the format.
+    const { language } = getGroupSettings(chatId);
+    // We only validate it's a valid URL. The data provider will handle the format.
     try {
         new URL(meetingPageUrl);
     } catch (e) {
-        await client.sendMessage(chatId, 'Fehler: Die angegebene URL ist ungültig.');
+        enqueueMessage(chatId, t(language, 'error.invalidUrl'));
         return;
     }
 
     // Create initial state in memory
     const tickerState = activeTickers.get(chatId) || { seen: new Set() };
+    // The state may be reused from a previous game or a replay: its events would count as seen or,
+    // missing from the new feed, as removed corrections, and its halftime talk would end up in the summary
+    if (tickerState.isReplay || !isSameGame(tickerState.meetingPageUrl, meetingPageUrl)) {
+        tickerState.seen = new Set();
+        tickerState.fingerprints = {};
+        delete tickerState.lastGameData;
+        delete tickerState.halftimeTalk;
+    }
+    delete tickerState.isReplay;
+    delete tickerState.replaySpeed;
     tickerState.isPolling = false; 
     tickerState.isScheduling = true;
     tickerState.meetingPageUrl = meetingPageUrl; // Store the user-facing URL
-    // tickerState.gameId = gameId; // --- REMOVED! ---
     tickerState.groupName = groupName;
     tickerState.mode = mode;
+    tickerState.language = language;
     tickerState.recapEvents = []; 
+    delete tickerState.finishedAt; // The state may be reused from a previous game
     activeTickers.set(chatId, tickerState); 
+    saveTickers(activeTickers);
 
     // Add a 'schedule' job to the queue
     jobQueue.push({
@@ -106,25 +98,19 @@ async function queueTickerScheduling(meetingPageUrl, chatId, groupName, mode) {
     });
 
     console.log(`[${chatId}] Planungs-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
-    await client.sendMessage(chatId, `⏳ Ticker-Planung für "${groupName}" wird bearbeitet...`);
+    enqueueMessage(chatId, t(language, 'schedule.pending', { group: groupName }));
 }
 
 
 /**
  * Activates the actual polling loop for a ticker.
- * (This function is largely unchanged)
  * @param {string} chatId - The WhatsApp chat ID.
+ * @param {boolean} [isResume=false] - True if a running ticker is resumed after a restart (no legend is sent again).
  */
-async function beginActualPolling(chatId) {
+async function beginActualPolling(chatId, isResume = false) {
     const tickerState = activeTickers.get(chatId);
     if (!tickerState) {
         console.warn(`[${chatId}] Ticker-Status nicht gefunden beim Versuch, das Polling zu starten.`);
-        const currentSchedule = loadScheduledTickers(scheduleFilePath);
-         if (currentSchedule[chatId]) {
-             delete currentSchedule[chatId];
-             saveScheduledTickers(currentSchedule, scheduleFilePath);
-             console.log(`[${chatId}] Überreste aus Planungsdatei entfernt.`);
-         }
         return;
     }
     if (tickerState.isPolling) {
@@ -132,45 +118,25 @@ async function beginActualPolling(chatId) {
         return;
     }
 
-    console.log(`[${chatId}] Aktiviere Polling (Modus: ${tickerState.mode}).`);
+    console.log(`[${chatId}] ${isResume ? 'Setze Polling fort' : 'Aktiviere Polling'} (Modus: ${tickerState.mode}).`);
     tickerState.isPolling = true; 
     tickerState.isScheduled = false;
-
-    // Remove from the schedule file persistence
-    const currentSchedule = loadScheduledTickers(scheduleFilePath);
-    if (currentSchedule[chatId]) {
-        delete currentSchedule[chatId]; 
-        saveScheduledTickers(currentSchedule, scheduleFilePath); 
-        console.log(`[${chatId}] Aus Planungsdatei entfernt.`);
-    }
+    tickerState.language = getGroupSettings(chatId).language;
+    saveTickers(activeTickers);
 
     // Send Emoji Legend (Only in Recap Mode)
-    if (tickerState.mode === 'recap') {
-        try {
-            let legendMessage = "ℹ️ *Ticker-Legende:*\n";
-            for (const key in EVENT_MAP) {
-                if (key === "default" || key === "StartPeriod" || key === "StopPeriod") continue;
-                const eventDetails = EVENT_MAP[key]; 
-                legendMessage += `${eventDetails.emoji} = ${eventDetails.label}\n`;
-            }
-            await client.sendMessage(chatId, legendMessage.trim());
-            console.log(`[${chatId}] Emoji-Legende gesendet (Recap-Modus).`);
-        } catch (error) {
-            console.error(`[${chatId}] Fehler beim Senden der Legende:`, error);
-        }
+    if (tickerState.mode === 'recap' && !isResume) {
+        sendEmojiLegend(chatId);
     }
     
     // Start the recap message timer ONLY if in recap mode
     if (tickerState.mode === 'recap') {
-        if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
-        tickerState.recapIntervalId = setInterval(() => {
-            sendRecapMessage(chatId);
-        }, RECAP_INTERVAL_MINUTES * 60 * 1000); 
-        console.log(`[${chatId}] Recap-Timer gestartet (${RECAP_INTERVAL_MINUTES} min).`);
+        startRecapTimer(chatId, tickerState);
     }
 
     // Add the *first* polling job immediately
     if (!jobQueue.some(job => job.chatId === chatId && job.type === 'poll')) {
+        tickerState.nextPollAt = Infinity; // Set once the poll job has finished
         jobQueue.unshift({
             type: 'poll', 
             chatId,
@@ -181,12 +147,68 @@ async function beginActualPolling(chatId) {
     }
 }
 
+/**
+ * (Re)starts the recap message timer of a ticker with the group's recap interval.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {object} tickerState - The state object for the ticker.
+ * @param {number} [speed] - The replay speed factor; the interval runs on match time.
+ */
+function startRecapTimer(chatId, tickerState, speed = 1) {
+    const { recapIntervalMinutes } = getGroupSettings(chatId);
+    if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+    tickerState.recapIntervalId = setInterval(() => {
+        sendRecapMessage(chatId);
+    }, recapIntervalMinutes * 60 * 1000 / speed); 
+    console.log(`[${chatId}] Recap-Timer gestartet (${recapIntervalMinutes} min).`);
+}
+
+/**
+ * Applies changed group settings to the chat's current ticker: a running recap timer is
+ * restarted with the new interval, a scheduled start is moved to the new lead time and
+ * the language is switched. Ignored events and the end-of-game toggles are read on use.
+ * @param {string} chatId - The WhatsApp chat ID.
+ */
+function applyGroupSettings(chatId) {
+    const tickerState = activeTickers.get(chatId);
+    if (!tickerState) return;
+    tickerState.language = getGroupSettings(chatId).language;
+
+    if (tickerState.isPolling && tickerState.mode === 'recap') {
+        startRecapTimer(chatId, tickerState, tickerState.isReplay ? tickerState.replaySpeed : 1);
+    }
+
+    if (tickerState.isScheduled && tickerState.startsAt) {
+        const { preGameMinutes } = getGroupSettings(chatId);
+        const startTime = new Date(new Date(tickerState.startsAt).getTime() - preGameMinutes * 60000);
+        tickerState.startTime = startTime.toISOString();
+        if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+        tickerState.scheduleTimeout = setTimeout(() => beginActualPolling(chatId), Math.max(0, startTime.getTime() - Date.now()));
+        saveTickers(activeTickers);
+        console.log(`[${chatId}] Geplanter Start auf ${tickerState.startTime} verschoben.`);
+    }
+}
+
+/**
+ * Sends the emoji legend that explains the compact recap lines.
+ * @param {string} chatId - The WhatsApp chat ID.
+ */
+function sendEmojiLegend(chatId) {
+    const { language } = getGroupSettings(chatId);
+    let legendMessage = `${t(language, 'legend.title')}\n`;
+    for (const key in EVENT_MAP) {
+        if (key === "default" || key === "StartPeriod" || key === "StopPeriod") continue;
+        const eventDetails = EVENT_MAP[key]; 
+        legendMessage += `${eventDetails.emoji} = ${getEventLabel(language, key)}\n`;
+    }
+    enqueueMessage(chatId, legendMessage.trim());
+    console.log(`[${chatId}] Emoji-Legende gesendet (Recap-Modus).`);
+}
+
 /**
  * Sends a recap message.
- * (This function is unchanged)
  * @param {string} chatId - The WhatsApp chat ID.
  */
-async function sendRecapMessage(chatId) {
+function sendRecapMessage(chatId) {
     const tickerState = activeTickers.get(chatId);
     if (!tickerState || !tickerState.isPolling || !tickerState.recapEvents || tickerState.recapEvents.length === 0) {
         if (tickerState && tickerState.recapEvents) tickerState.recapEvents = [];
@@ -201,9 +223,13 @@ async function sendRecapMessage(chatId) {
     const lastEventTime = tickerState.recapEvents[tickerState.recapEvents.length - 1].time;
     const startMinute = firstEventTime ? firstEventTime.split(':')[0] : '0';
     const endMinute = lastEventTime ? lastEventTime.split(':')[0] : '??';
-    const timeRangeTitle = `Minute ${startMinute} - ${endMinute}`;
 
-    const recapLines = tickerState.recapEvents.map(ev => formatRecapEventLine(ev, tickerState));
+    // The notes need the whole history, not just the buffered events
+    const history = tickerState.lastGameData && Array.isArray(tickerState.lastGameData.events)
+        ? tickerState.lastGameData.events.slice().reverse()
+        : tickerState.recapEvents;
+    const notes = getGameFlowNotes(history, tickerState, analyzeGame(history, tickerState.lastGameData && tickerState.lastGameData.summary));
+    const recapLines = tickerState.recapEvents.map(ev => appendGameFlowNotes(formatRecapEventLine(ev, tickerState), notes.get(ev.id)));
     const validLines = recapLines.filter(line => line && line.trim() !== '');
 
     if (validLines.length === 0) {
@@ -214,47 +240,74 @@ async function sendRecapMessage(chatId) {
 
     const teamHeader = `*${tickerState.teamNames.home}* : *${tickerState.teamNames.guest}*`;
     const recapBody = validLines.join('\n'); 
-    const finalMessage = `📬 *Recap ${timeRangeTitle}*\n\n${teamHeader}\n${recapBody}`;
+    const recapTitle = t(tickerState.language, 'recap.title', { from: startMinute, to: endMinute });
+    const finalMessage = `${recapTitle}\n\n${teamHeader}\n${recapBody}`;
 
-    try {
-        await client.sendMessage(chatId, finalMessage);
-        tickerState.recapEvents = []; // Clear buffer
-    } catch (error) {
-        console.error(`[${chatId}] Fehler beim Senden der Recap-Nachricht:`, error);
-        tickerState.recapEvents = []; 
-    }
+    enqueueMessage(chatId, finalMessage);
+    tickerState.recapEvents = []; // Clear buffer
+    saveTickers(activeTickers);
 }
 
 /**
- * Master Scheduler: Runs periodically.
- * (Simplified, no gameId)
+ * Master Scheduler: Runs frequently.
+ * Queues a poll job for every ticker whose own next poll time (`nextPollAt`) has come,
+ * most overdue first. Each ticker has at most one poll job in flight.
  */
 function masterScheduler() {
-    const pollingTickers = Array.from(activeTickers.values()).filter(t => t.isPolling);
-    if (pollingTickers.length === 0) return; 
+    const now = Date.now();
+    // Replays are fed by their own timer and never poll the feed
+    const dueTickers = [...activeTickers.entries()]
+        .filter(([, t]) => t.isPolling && !t.isReplay && (t.nextPollAt || 0) <= now)
+        .sort(([, a], [, b]) => (a.nextPollAt || 0) - (b.nextPollAt || 0));
 
-    lastPolledIndex = (lastPolledIndex + 1) % pollingTickers.length;
-    const tickerStateToPoll = pollingTickers[lastPolledIndex];
-    const chatId = [...activeTickers.entries()].find(([key, val]) => val === tickerStateToPoll)?.[0];
+    for (const [chatId, tickerState] of dueTickers) {
+        if (jobQueue.some(job => job.chatId === chatId && job.type === 'poll')) continue;
 
-    if (chatId && tickerStateToPoll.isPolling && !jobQueue.some(job => job.chatId === chatId && job.type === 'poll')) {
+        tickerState.nextPollAt = Infinity; // Set again once the poll job has finished
         jobQueue.push({
              type: 'poll',
              chatId,
-             meetingPageUrl: tickerStateToPoll.meetingPageUrl, // Pass the original URL
-             tickerState: tickerStateToPoll,
+             meetingPageUrl: tickerState.meetingPageUrl, // Pass the original URL
+             tickerState: tickerState,
              jobId: Date.now()
         });
         console.log(`[${chatId}] Poll-Job zur Warteschlange hinzugefügt. Aktuelle Länge: ${jobQueue.length}`);
     }
 }
 
+/**
+ * Checks whether another feed request fits into the global request budget.
+ * @returns {boolean} - True if a request may be started now.
+ */
+function hasRequestBudget() {
+    const oneMinuteAgo = Date.now() - 60000;
+    while (requestTimestamps.length > 0 && requestTimestamps[0] <= oneMinuteAgo) {
+        requestTimestamps.shift();
+    }
+    return requestTimestamps.length < REQUEST_BUDGET_PER_MINUTE;
+}
+
+/**
+ * Returns the load of the job queue and the worker pool (for the bot owner's !status).
+ * @returns {object} - { queueLength, activeWorkers, maxWorkers, requestsLastMinute, requestBudget }.
+ */
+function getPollingStatus() {
+    hasRequestBudget(); // Drops request timestamps older than a minute
+    return {
+        queueLength: jobQueue.length,
+        activeWorkers,
+        maxWorkers: MAX_WORKERS,
+        requestsLastMinute: requestTimestamps.length,
+        requestBudget: REQUEST_BUDGET_PER_MINUTE
+    };
+}
+
 /**
  * Dispatcher Loop: Runs frequently.
- * (This function is unchanged)
+ * Starts the next job if a worker is free and the request budget allows it.
  */
 function dispatcherLoop() {
-    if (jobQueue.length > 0 && activeWorkers < MAX_WORKERS) {
+    if (jobQueue.length > 0 && activeWorkers < MAX_WORKERS && hasRequestBudget()) {
         activeWorkers++; 
         const job = jobQueue.shift(); 
         runWorker(job); 
@@ -262,8 +315,7 @@ function dispatcherLoop() {
 }
 
 /**
- * Executes a single job (either 'schedule' or 'poll') using Axios.
- * (Simplified, no gameId)
+ * Executes a single job (either 'schedule' or 'poll') using the data provider.
  * @param {object} job - The job object from the queue.
  */
 async function runWorker(job) {
@@ -280,55 +332,59 @@ async function runWorker(job) {
     }
 
     console.log(`[${chatId}] Worker startet Job ${jobId} (${type}). Verbleibende Jobs: ${jobQueue.length}. Aktive Worker: ${activeWorkers}`);
+    requestTimestamps.push(Date.now());
+    const fetchStartedAt = Date.now();
+    let isFetched = false;
 
     try {
-        // 1. Build the data URL from the original meeting URL
-        const dataUrl = buildDataUrl(meetingPageUrl);
-
-        // 2. Fetch the data with Axios
-        const metaRes = await axios.get(`${dataUrl}&_=${Date.now()}`, { timeout: 10000 });
-        const gameData = metaRes.data.data; 
-        const gameSummary = gameData.summary;
+        // Fetch the game data for the original meeting URL
+        const gameData = await dataProvider.fetchGameData(meetingPageUrl);
+        const gameSummary = gameData && gameData.summary;
+        recordPollDuration(type, (Date.now() - fetchStartedAt) / 1000);
 
         if (!gameSummary || !gameData.events) {
             throw new Error("Ungültige Datenstruktur von API empfangen.");
         }
+        isFetched = true;
+        // Kept in memory for !stand and !torschützen, which answer without waiting for the next poll
+        tickerState.lastGameData = gameData;
 
         // --- Logic for 'schedule' job ---
         if (type === 'schedule') {
+            const { preGameMinutes, recapIntervalMinutes, language } = getGroupSettings(chatId);
             const scheduledTime = new Date(gameSummary.startsAt);
-            const startTime = new Date(scheduledTime.getTime() - (PRE_GAME_START_MINUTES * 60000));
+            const startTime = new Date(scheduledTime.getTime() - (preGameMinutes * 60000));
             const delay = startTime.getTime() - Date.now();
             const teamNames = { home: gameSummary.homeTeam.name, guest: gameSummary.awayTeam.name };
-            const startTimeLocale = startTime.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-            const startDateLocale = startTime.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
 
             tickerState.teamNames = teamNames;
             tickerState.lastUpdatedAt = gameSummary.updatedAt; 
+            tickerState.startsAt = gameSummary.startsAt;
+            tickerState.startTime = startTime.toISOString();
             tickerState.meetingPageUrl = meetingPageUrl; // Ensure user-facing URL is kept
 
             if (delay > 0) { // Still in future
                 console.log(`[${chatId}] Planungs-Job erfolgreich...`);
-                const modeDescriptionScheduled = (tickerState.mode === 'recap') ? `im Recap-Modus (${RECAP_INTERVAL_MINUTES}-Minuten-Zusammenfassungen)` : "mit Live-Updates";
-                await client.sendMessage(chatId, `✅ Ticker für *${teamNames.home}* vs *${teamNames.guest}* ist geplant (${modeDescriptionScheduled}) und startet automatisch am ${startDateLocale} um ca. ${startTimeLocale} Uhr.`);                
+                const modeDescriptionScheduled = (tickerState.mode === 'recap')
+                    ? t(language, 'schedule.modeRecap', { minutes: recapIntervalMinutes })
+                    : t(language, 'schedule.modeLive');
+                enqueueMessage(chatId, t(language, 'schedule.planned', {
+                    home: teamNames.home,
+                    guest: teamNames.guest,
+                    mode: modeDescriptionScheduled,
+                    date: formatDate(language, startTime),
+                    time: formatTime(language, startTime)
+                }));
                 tickerState.isPolling = false; 
+                tickerState.isScheduling = false;
                 tickerState.isScheduled = true;
-                
-                const currentSchedule = loadScheduledTickers(scheduleFilePath);
-                currentSchedule[chatId] = {
-                    meetingPageUrl: tickerState.meetingPageUrl, // Save user-facing URL
-                    // gameId: gameId, // --- REMOVED! ---
-                    startTime: startTime.toISOString(),
-                    groupName: tickerState.groupName,
-                    mode: tickerState.mode
-                };
-                saveScheduledTickers(currentSchedule, scheduleFilePath);
+                saveTickers(activeTickers);
                 tickerState.scheduleTimeout = setTimeout(() => beginActualPolling(chatId), delay);
             } else { // Already started
                 console.log(`[${chatId}] Planungs-Job erfolgreich. Spiel beginnt sofort...`);
-                let startMessage = `▶️ Ticker für *${teamNames.home}* vs *${teamNames.guest}* wird sofort gestartet. `;
-                startMessage += (tickerState.mode === 'recap') ? `Du erhältst alle ${RECAP_INTERVAL_MINUTES} Minuten eine Zusammenfassung. 📬` : `Du erhältst alle Events live! ⚽`;
-                await client.sendMessage(chatId, startMessage);
+                let startMessage = t(language, 'schedule.startNow', { home: teamNames.home, guest: teamNames.guest });
+                startMessage += (tickerState.mode === 'recap') ? t(language, 'schedule.startNowRecap', { minutes: recapIntervalMinutes }) : t(language, 'schedule.startNowLive');
+                enqueueMessage(chatId, startMessage);
                 tickerState.isScheduling = false;
                 beginActualPolling(chatId); 
             }
@@ -344,23 +400,33 @@ async function runWorker(job) {
                 console.log(`[${chatId}] Neue Version erkannt: ${newUpdatedAt}`);
                 tickerState.lastUpdatedAt = newUpdatedAt;
                 
-                if (await processEvents(gameData, tickerState, chatId)) {
-                    saveSeenTickers(activeTickers, seenFilePath); 
-                }
+                await processEvents(gameData, tickerState, chatId);
+                saveTickers(activeTickers);
             } else {
                  console.log(`[${chatId}] Keine neue Version erkannt (${newUpdatedAt || 'N/A'}).`);
             }
+
+            // Next poll depends on the game state (pre-game, halftime, final minutes, close score)
+            tickerState.lastPolledAt = Date.now();
+            tickerState.consecutiveErrors = 0;
+            tickerState.pollInterval = getPollInterval(gameData);
+            tickerState.nextPollAt = Date.now() + tickerState.pollInterval;
         }
     } catch (error) {
         console.error(`[${chatId}] Fehler im Worker-Job ${jobId} (${type}):`, error.message);
+        if (!isFetched) recordFetchFailure(type);
+        if (type === 'poll') {
+             // Back off exponentially while the feed keeps failing
+             tickerState.consecutiveErrors = (tickerState.consecutiveErrors || 0) + 1;
+             tickerState.errorCount = (tickerState.errorCount || 0) + 1;
+             const backoffDelay = getBackoffDelay(tickerState.consecutiveErrors);
+             tickerState.nextPollAt = Date.now() + backoffDelay;
+             console.log(`[${chatId}] Nächster Versuch in ${Math.round(backoffDelay / 1000)}s (${tickerState.consecutiveErrors}. Fehler in Folge).`);
+        }
         if (type === 'schedule') {
-             await client.sendMessage(chatId, 'Fehler: Die initiale Planung des Tickers ist fehlgeschlagen. Bitte versuchen Sie es erneut.');
+             enqueueMessage(chatId, t(getGroupSettings(chatId).language, 'schedule.failed'));
              activeTickers.delete(chatId);
-             const currentSchedule = loadScheduledTickers(scheduleFilePath);
-             if (currentSchedule[chatId]) {
-                 delete currentSchedule[chatId];
-                 saveScheduledTickers(currentSchedule, scheduleFilePath);
-             }
+             saveTickers(activeTickers);
         }
     } finally {
         console.timeEnd(timerLabel);
@@ -370,7 +436,6 @@ async function runWorker(job) {
 
 /**
  * Processes events, handles modes, calls AI, sends final stats, schedules cleanup.
- * (This function is unchanged, but we must pass gameData.lineup to the AI)
  * @param {object} gameData - The full data object from the API (contains .summary, .events, .lineup).
  * @param {object} tickerState - The state object for the specific ticker.
  * @param {string} chatId - The WhatsApp chat ID.
@@ -382,31 +447,33 @@ async function processEvents(gameData, tickerState, chatId) {
     let newUnseenEventsProcessed = false;
     const gameSummary = gameData.summary; 
     
+    // Announce changes to events that were already processed before handling new ones
+    handleCorrections(gameData, tickerState, chatId);
+
     // API sends events newest-first, so we reverse them
     const events = gameData.events.slice().reverse();
+    // Decides which period events are halftime, overtime or the actual game end
+    const analysis = analyzeGame(events, gameSummary);
+    const { ignoredEvents } = getGroupSettings(chatId);
+    const liveEvents = [];
+    let isEndAnnounced = false;
 
     for (const ev of events) {
         if (tickerState.seen.has(ev.id)) continue; 
 
         tickerState.seen.add(ev.id);
         newUnseenEventsProcessed = true;
-
-        let msg = "";
-        if (tickerState.mode === 'live') {
-            msg = formatEvent(ev, tickerState, gameSummary);
+        // Only events the group gets to see can be corrected later
+        if (!ignoredEvents.includes(ev.type)) {
+            tickerState.fingerprints = tickerState.fingerprints || {};
+            tickerState.fingerprints[ev.id] = getEventFingerprint(ev);
         }
 
-        // Handle Sending / Storing based on mode
-        if (tickerState.mode === 'live' && msg) {
-            try {
-                console.log(`[${chatId}] Sende neues Event (Live):`, msg);
-                await client.sendMessage(chatId, msg);
-            } catch (sendError) {
-                console.error(`[${chatId}] Fehler beim Senden der Nachricht für Event ${ev.id}:`, sendError);
-            }
+        // Handle Sending / Storing based on mode (live events are sent together after the loop)
+        if (tickerState.mode === 'live') {
+            if (!ignoredEvents.includes(ev.type)) liveEvents.push(ev);
         }
         else if (tickerState.mode === 'recap') {
-            const ignoredEvents = [];
             if (!ignoredEvents.includes(ev.type)) {
                 console.log(`[${chatId}] Speichere Event-Objekt für Recap (ID: ${ev.id}, Typ: ${ev.type})`);
                 tickerState.recapEvents = tickerState.recapEvents || [];
@@ -418,69 +485,514 @@ async function processEvents(gameData, tickerState, chatId) {
         const isCriticalEvent = (ev.type === "StopPeriod" || ev.type === "StartPeriod");
         if (isCriticalEvent && tickerState.mode === 'recap') {
             console.log(`[${chatId}] Kritisches Event (${ev.type}) erkannt, sende Recap sofort.`);
-            await sendRecapMessage(chatId); 
+            sendRecapMessage(chatId); 
+            if (analysis.periodEvents[ev.id] === 'halftime') {
+                sendHalftimeImage(ev, events, gameData, analysis, tickerState, chatId);
+                await sendHalftimeReport(ev, events, gameData, analysis, tickerState, chatId);
+            }
         }
 
-        // Handle Game End
-        if (ev.type === "StopPeriod") {
-            const minute = ev.time ? parseInt(ev.time.split(':')[0], 10) : 0;
-            if (minute > 30) { // This means it's game end (e.g., "60:00")
-                console.log(`[${chatId}] Spielende-Event empfangen. Ticker wird gestoppt.`);
-                tickerState.isPolling = false;
-                if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
-
-                const index = jobQueue.findIndex(job => job.chatId === chatId);
-                if (index > -1) jobQueue.splice(index, 1);
-
-                // --- Send Final Stats ---
-                try {
-                    const statsMessage = await extractGameStats(gameData.lineup, tickerState.teamNames);
-                    setTimeout(async () => {
-                         try { await client.sendMessage(chatId, statsMessage); }
-                         catch(e) { console.error(`[${chatId}] Fehler beim Senden der Spielstatistiken:`, e); }
-                    }, 1000); 
-                } catch (e) { console.error(`[${chatId}] Fehler beim Erstellen der Spielstatistiken:`, e); }
-
-                // --- Send AI Summary ---
-                try {
-                    // We must pass gameData.lineup to the AI function
-                    const summary = await generateGameSummary(events, tickerState.teamNames, tickerState.groupName, gameData.lineup);
-                    setTimeout(async () => {
-                         if (summary) {
-                             try { await client.sendMessage(chatId, summary); }
-                             catch(e) { console.error(`[${chatId}] Fehler beim Senden der AI-Zusammenfassung:`, e); }
-                         }
-                    }, 2000); 
-                } catch (e) { console.error(`[${chatId}] Fehler beim Generieren der AI-Zusammenfassung:`, e); }
-
-                // --- Send Final Bot Message ---
-                setTimeout(async () => {
-                    const finalMessage = "Vielen Dank fürs Mitfiebern! 🥳\n\nDen Quellcode für diesen Bot könnt ihr hier einsehen:\nhttps://github.com/nambatu/whatsapp-liveticker-bot/";
-                    try { await client.sendMessage(chatId, finalMessage); }
-                    catch (e) { console.error(`[${chatId}] Fehler beim Senden der Abschlussnachricht: `, e); }
-                }, 4000); 
-
-                // --- Schedule Cleanup ---
-                setTimeout(() => {
-                    if (activeTickers.has(chatId)) {
-                        activeTickers.delete(chatId);
-                        saveSeenTickers(activeTickers, seenFilePath);
-                        console.log(`[${chatId}] Ticker-Daten automatisch bereinigt.`);
-                    }
-                }, 3600000); // 1 hour
-                break; 
-            }
+        // Events after the final whistle are not relevant anymore
+        if (analysis.periodEvents[ev.id] === 'gameEnd') {
+            isEndAnnounced = true;
+            break;
         }
     }
+
+    if (liveEvents.length > 0) await sendLiveEvents(liveEvents, events, gameData, analysis, tickerState, chatId);
+
+    // Handle Game End (only once the game is really over, not at the end of regular time)
+    if (analysis.isFinished && tickerState.isPolling) {
+        await finishGame(gameData, events, analysis, tickerState, chatId, isEndAnnounced);
+    }
     return newUnseenEventsProcessed;
 }
 
+/**
+ * Sends the new events of a poll in live mode. Events that arrived together are bundled into a
+ * single message (see `formatEventBurst`), a single event goes out as usual. Period events like
+ * halftime or the final whistle always get their own message. Goals and suspensions carry notes
+ * on the course of the game (see gameFlow.js).
+ * The outbox retries failed sends, so an event marked as seen is never lost.
+ * @param {Array} newEvents - The new events in chronological order.
+ * @param {Array} events - All events in chronological order.
+ * @param {object} gameData - The full data object from the API (contains .summary, .events, .lineup).
+ * @param {object} analysis - The game analysis from `analyzeGame`.
+ * @param {object} tickerState - The state object for the specific ticker.
+ * @param {string} chatId - The WhatsApp chat ID.
+ */
+async function sendLiveEvents(newEvents, events, gameData, analysis, tickerState, chatId) {
+    const gameSummary = gameData.summary;
+    const notes = getGameFlowNotes(events, tickerState, analysis);
+    let burst = [];
+    const send = msg => {
+        if (!msg) return;
+        console.log(`[${chatId}] Sende neues Event (Live):`, msg);
+        enqueueMessage(chatId, msg);
+    };
+    const sendBurst = () => {
+        if (burst.length === 1) send(appendGameFlowNotes(formatEvent(burst[0], tickerState, gameSummary, analysis), notes.get(burst[0].id)));
+        if (burst.length > 1) send(formatEventBurst(burst, tickerState, notes));
+        burst = [];
+    };
+
+    for (const ev of newEvents) {
+        const isPeriodEvent = ev.type === 'StartPeriod' || ev.type === 'StopPeriod' || Boolean(analysis.periodEvents[ev.id]);
+        if (isPeriodEvent) {
+            sendBurst();
+            send(formatEvent(ev, tickerState, gameSummary, analysis));
+            if (analysis.periodEvents[ev.id] === 'halftime') {
+                sendHalftimeImage(ev, events, gameData, analysis, tickerState, chatId);
+                await sendHalftimeReport(ev, events, gameData, analysis, tickerState, chatId);
+            }
+        } else {
+            burst.push(ev);
+        }
+    }
+    sendBurst();
+}
+
+/**
+ * Sends the scoreboard image (see images.js), if the group wants images. The image is rendered
+ * outside the poll worker; the outbox keeps its place among the chat's messages meanwhile.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {object} tickerState - The state object for the specific ticker.
+ * @param {('halftime'|'fullTime')} occasion - The moment of the game the image is for.
+ * @param {Array} events - The events up to this moment, in chronological order.
+ * @param {object} lineup - The `gameData.lineup` object.
+ * @param {string} score - The score as "home-guest".
+ * @param {number} halfMinutes - The length of a half (from the game analysis), for the chart's time axis.
+ */
+function sendGameImage(chatId, tickerState, occasion, events, lineup, score, halfMinutes) {
+    const { sendImages, language } = getGroupSettings(chatId);
+    if (!sendImages || !tickerState.teamNames) return;
+    const image = renderGameImage({ occasion, teamNames: tickerState.teamNames, score, events, lineup, halfMinutes, language });
+    enqueueMedia(chatId, image, t(language, `image.${occasion}Caption`));
+}
+
+/**
+ * Sends the scoreboard image with the score and the chart up to the halftime whistle.
+ * @param {object} halftimeEvent - The `StopPeriod` event of the halftime.
+ * @param {Array} events - All events in chronological order.
+ * @param {object} gameData - The full data object from the API.
+ * @param {object} analysis - The game analysis from `gamePhase.analyzeGame`.
+ * @param {object} tickerState - The state object for the specific ticker.
+ * @param {string} chatId - The WhatsApp chat ID.
+ */
+function sendHalftimeImage(halftimeEvent, events, gameData, analysis, tickerState, chatId) {
+    const firstHalf = events.slice(0, events.indexOf(halftimeEvent) + 1);
+    sendGameImage(chatId, tickerState, 'halftime', firstHalf, gameData.lineup, halftimeEvent.score || '0-0', analysis.halfMinutes);
+}
+
+/**
+ * Sends the halftime report (first-half stats and key moments) and the AI halftime talk.
+ * The talk is kept in the ticker state, so the final AI summary can refer to it.
+ * The stats come from the lineup, which only holds the first-half numbers while the game is at
+ * halftime, so nothing is sent if the second half has already begun or for replays.
+ * @param {object} halftimeEvent - The `StopPeriod` event of the halftime.
+ * @param {Array} events - All events in chronological order.
+ * @param {object} gameData - The full data object from the API (contains .lineup).
+ * @param {object} analysis - The game analysis from `analyzeGame`.
+ * @param {object} tickerState - The state object for the specific ticker.
+ * @param {string} chatId - The WhatsApp chat ID.
+ */
+async function sendHalftimeReport(halftimeEvent, events, gameData, analysis, tickerState, chatId) {
+    const settings = getGroupSettings(chatId);
+    if (!settings.sendHalftimeReport || !tickerState.teamNames || tickerState.isReplay || analysis.phase !== 'halftime') return;
+
+    const firstHalf = events.slice(0, events.indexOf(halftimeEvent) + 1);
+    const keyMoments = getKeyMoments(firstHalf, tickerState, analysis);
+    try {
+        let report = await extractGameStats(gameData.lineup, tickerState.teamNames, settings.language, 'halftime.title');
+        if (report && keyMoments.length > 0) {
+            report += `\n\n${t(settings.language, 'halftime.keyMoments')}\n${keyMoments.join('\n')}`;
+        }
+        if (report) enqueueMessage(chatId, report);
+    } catch (e) { console.error(`[${chatId}] Fehler beim Erstellen des Halbzeitberichts:`, e); }
+
+    if (settings.sendAiSummary) {
+        const talk = await generateHalftimeTalk(firstHalf, tickerState.teamNames, tickerState.groupName, gameData.lineup, analysis, keyMoments, settings.language, getAiPersona(chatId));
+        if (talk) {
+            // Only a talk of a language model is worth referring to in the final summary
+            if (talk.isAi) {
+                tickerState.halftimeTalk = talk.text;
+                saveTickers(activeTickers);
+            }
+            enqueueMessage(chatId, `${talk.title}\n\n${talk.text}`);
+        }
+    }
+}
+
+/**
+ * Stops a finished game's ticker and sends the scoreboard image, the final stats, the AI summary,
+ * the matchday results and the farewell.
+ * If the end of the game wasn't announced by a period event (7m shootout, or a draw that the
+ * feed only confirms later), a separate final whistle message is sent first.
+ * @param {object} gameData - The full data object from the API (contains .summary, .events, .lineup).
+ * @param {Array} events - The events in chronological order.
+ * @param {object} analysis - The game analysis from `analyzeGame`.
+ * @param {object} tickerState - The state object for the specific ticker.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {boolean} isEndAnnounced - Whether the final `StopPeriod` was just sent as "Spielende".
+ */
+async function finishGame(gameData, events, analysis, tickerState, chatId, isEndAnnounced) {
+    console.log(`[${chatId}] Spielende erkannt. Ticker wird gestoppt.`);
+    const settings = getGroupSettings(chatId);
+    // Flush the recap buffer while the ticker still counts as running
+    if (!isEndAnnounced && tickerState.mode === 'recap') sendRecapMessage(chatId);
+
+    tickerState.isPolling = false;
+    tickerState.finishedAt = Date.now();
+    if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+
+    const index = jobQueue.findIndex(job => job.chatId === chatId);
+    if (index > -1) jobQueue.splice(index, 1);
+
+    if (!isEndAnnounced) {
+        const [homeScore, awayScore] = (analysis.finalScore || '0-0').split('-');
+        const { language } = settings;
+        const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : t(language, 'team.home');
+        const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : t(language, 'team.guest');
+        const decision = analysis.decision ? `\n_${t(language, `decision.${analysis.decision}`)}_` : '';
+        enqueueMessage(chatId, `${t(language, 'period.gameEnd')}\n${homeTeamName}  *${homeScore}:${awayScore}* ${guestTeamName}${decision}`);
+    }
+
+    // Keep the events and the lineup for the season stats (replays don't count)
+    if (!tickerState.isReplay) {
+        try {
+            archiveGame(chatId, tickerState, gameData, events, analysis);
+        } catch (e) { console.error(`[${chatId}] Fehler beim Archivieren des Spiels:`, e); }
+    }
+
+    // The outbox sends the messages below in the order they are queued
+    sendGameImage(chatId, tickerState, 'fullTime', events, gameData.lineup, analysis.finalScore || '0-0', analysis.halfMinutes);
+
+    // --- Send Final Stats ---
+    if (settings.sendStats) {
+        try {
+            const statsMessage = await extractGameStats(gameData.lineup, tickerState.teamNames, settings.language);
+            enqueueMessage(chatId, statsMessage);
+        } catch (e) { console.error(`[${chatId}] Fehler beim Erstellen der Spielstatistiken:`, e); }
+    }
+
+    // --- Send AI Summary ---
+    if (settings.sendAiSummary) {
+        try {
+            // We must pass gameData.lineup to the AI function
+            const summary = await generateGameSummary(events, tickerState.teamNames, tickerState.groupName, gameData.lineup, analysis, settings.language, tickerState.halftimeTalk, getAiPersona(chatId));
+            if (summary) enqueueMessage(chatId, summary);
+        } catch (e) { console.error(`[${chatId}] Fehler beim Generieren der AI-Zusammenfassung:`, e); }
+    }
+
+    // --- Send Matchday Results and Table Positions ---
+    if (settings.sendMatchday && !tickerState.isReplay) {
+        await sendMatchdayResults(chatId, tickerState, settings.language);
+    }
+
+    // --- Send Final Bot Message ---
+    if (settings.sendFarewell) {
+        enqueueMessage(chatId, t(settings.language, 'game.farewell'));
+    }
+
+    // --- Schedule Cleanup ---
+    scheduleCleanup(chatId, tickerState, CLEANUP_DELAY_MINUTES * 60000);
+}
+
+/**
+ * Starts replaying a finished game into a chat. The full event list is fetched once and
+ * fed through `processEvents` step by step, timed by the match clock (`ev.time`) divided by `speed`.
+ * @param {string} meetingPageUrl - The URL of the handball.net game webpage.
+ * @param {string} chatId - The WhatsApp chat ID where the replay runs.
+ * @param {string} groupName - The name of the WhatsApp group (for AI).
+ * @param {('live'|'recap')} mode - The ticker mode used for the replay.
+ * @param {number} speed - The speed factor (e.g. 10 plays a 60-minute game in 6 minutes).
+ */
+async function startReplay(meetingPageUrl, chatId, groupName, mode, speed) {
+    const { language } = getGroupSettings(chatId);
+    let gameData;
+    try {
+        gameData = await dataProvider.fetchGameData(meetingPageUrl);
+    } catch (error) {
+        console.error(`[${chatId}] Fehler beim Laden des Spiels für die Wiederholung:`, error.message);
+        enqueueMessage(chatId, t(language, 'replay.loadFailed'));
+        return;
+    }
+
+    if (!gameData || !gameData.summary || !Array.isArray(gameData.events)) {
+        enqueueMessage(chatId, t(language, 'replay.invalidData'));
+        return;
+    }
+
+    // API sends events newest-first, so we reverse them
+    const events = gameData.events.slice().reverse();
+    if (!analyzeGame(events, gameData.summary).isFinished) {
+        enqueueMessage(chatId, t(language, 'replay.notFinished'));
+        return;
+    }
+
+    const gameSummary = gameData.summary;
+    const tickerState = {
+        seen: new Set(),
+        meetingPageUrl,
+        groupName,
+        mode,
+        language,
+        teamNames: { home: gameSummary.homeTeam.name, guest: gameSummary.awayTeam.name },
+        recapEvents: [],
+        isReplay: true,
+        isPolling: true,
+        replaySpeed: speed
+    };
+    activeTickers.set(chatId, tickerState);
+
+    console.log(`[${chatId}] Starte Wiederholung (${events.length} Events, Modus: ${mode}, Geschwindigkeit: ${speed}x).`);
+    enqueueMessage(chatId, t(language, 'replay.started', { home: tickerState.teamNames.home, guest: tickerState.teamNames.guest, speed }));
+
+    if (mode === 'recap') {
+        sendEmojiLegend(chatId);
+        // The recap interval runs on match time as well
+        startRecapTimer(chatId, tickerState, speed);
+    }
+
+    let revealedCount = 0;
+    let lastMatchSeconds = 0;
+
+    // Reveals all events that share the next match time, then waits for the following one
+    const playNextStep = async () => {
+        if (!tickerState.isPolling || activeTickers.get(chatId) !== tickerState) return;
+
+        const stepSeconds = events[revealedCount].time ? parseMatchTime(events[revealedCount].time) : lastMatchSeconds;
+        while (revealedCount < events.length) {
+            const ev = events[revealedCount];
+            if (ev.time && parseMatchTime(ev.time) !== stepSeconds) break;
+            revealedCount++;
+        }
+        lastMatchSeconds = stepSeconds;
+
+        // Hand processEvents the game as it looked at this point (newest-first, like the API).
+        // The summary only reports the game as over once all events have been revealed.
+        const isLastStep = revealedCount >= events.length;
+        const replayGameData = {
+            ...gameData,
+            summary: { ...gameData.summary, state: isLastStep ? gameData.summary.state : 'live' },
+            events: events.slice(0, revealedCount).reverse()
+        };
+        tickerState.lastGameData = replayGameData;
+        try {
+            await processEvents(replayGameData, tickerState, chatId);
+        } catch (error) {
+            console.error(`[${chatId}] Fehler in der Wiederholung:`, error);
+        }
+
+        if (!tickerState.isPolling || revealedCount >= events.length) {
+            // The state stays marked as a replay: it's never persisted and a later ticker starts from scratch
+            if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+            console.log(`[${chatId}] Wiederholung beendet.`);
+            return;
+        }
+
+        const nextEv = events[revealedCount];
+        const nextSeconds = nextEv.time ? parseMatchTime(nextEv.time) : lastMatchSeconds;
+        const delay = Math.max(0, nextSeconds - lastMatchSeconds) * 1000 / speed;
+        tickerState.replayTimeout = setTimeout(playNextStep, delay);
+    };
+
+    if (events.length > 0) {
+        tickerState.replayTimeout = setTimeout(playNextStep, 0);
+    }
+}
+
+/**
+ * Detects changed or deleted events (e.g. a corrected scorer or a removed phantom goal)
+ * by comparing the stored fingerprints with the current feed. Events still waiting in the
+ * recap buffer are updated silently; for events that were already sent, a correction
+ * message with the corrected score is posted.
+ * @param {object} gameData - The full data object from the API.
+ * @param {object} tickerState - The state object for the specific ticker.
+ * @param {string} chatId - The WhatsApp chat ID.
+ */
+function handleCorrections(gameData, tickerState, chatId) {
+    const { changed, removed } = findCorrections(tickerState.fingerprints, gameData.events);
+    if (changed.length === 0 && removed.length === 0) return;
+
+    const recapEvents = tickerState.recapEvents || [];
+    const isBuffered = id => recapEvents.some(ev => String(ev.id) === id);
+    const toAnnounce = {
+        changed: changed.filter(({ id }) => !isBuffered(id)),
+        removed: removed.filter(({ id }) => !isBuffered(id))
+    };
+
+    for (const { id, after } of changed) {
+        tickerState.fingerprints[id] = after;
+        const index = recapEvents.findIndex(ev => String(ev.id) === id);
+        if (index > -1) recapEvents[index] = gameData.events.find(ev => String(ev.id) === id);
+    }
+    for (const { id } of removed) {
+        delete tickerState.fingerprints[id];
+        tickerState.recapEvents = (tickerState.recapEvents || []).filter(ev => String(ev.id) !== id);
+        // Forget the event, so it is sent again should it come back
+        for (const seenId of tickerState.seen) {
+            if (String(seenId) === id) tickerState.seen.delete(seenId);
+        }
+    }
+    console.log(`[${chatId}] ${changed.length} geänderte und ${removed.length} gelöschte Events erkannt.`);
+
+    if (toAnnounce.changed.length === 0 && toAnnounce.removed.length === 0) return;
+    enqueueMessage(chatId, formatCorrectionMessage(toAnnounce, gameData.events, tickerState));
+}
+
+/**
+ * Removes a finished ticker's data after a delay.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {object} tickerState - The state object of the finished ticker.
+ * @param {number} delay - The delay in milliseconds.
+ */
+function scheduleCleanup(chatId, tickerState, delay) {
+    if (tickerState.cleanupTimeout) clearTimeout(tickerState.cleanupTimeout);
+    tickerState.cleanupTimeout = setTimeout(() => {
+        // Skip the cleanup if the ticker has been reused for a new game in the meantime (e.g. a followed team)
+        if (tickerState.isPolling || tickerState.isScheduled || tickerState.isScheduling) return;
+        if (activeTickers.get(chatId) === tickerState) {
+            activeTickers.delete(chatId);
+            saveTickers(activeTickers);
+            console.log(`[${chatId}] Ticker-Daten automatisch bereinigt.`);
+        }
+    }, delay);
+}
+
+/**
+ * Fetches the game data of a restored ticker once for the chat commands (!stand, !frag, !tabelle).
+ * The last fetched data isn't persisted, so after a restart a stopped or finished ticker
+ * (or a running one before its next poll) would have nothing to answer from.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @returns {Promise<object|undefined>} - The ticker state, if the chat has one.
+ */
+async function loadMissingGameData(chatId) {
+    const tickerState = activeTickers.get(chatId);
+    if (!tickerState || tickerState.lastGameData || !tickerState.meetingPageUrl || tickerState.isReplay) return tickerState;
+    // Commands share the request budget with the polls; without data they answer "no data yet"
+    if (!hasRequestBudget()) {
+        console.log(`[${chatId}] Anfrage-Budget erschöpft, Spieldaten werden nicht nachgeladen.`);
+        return tickerState;
+    }
+
+    requestTimestamps.push(Date.now());
+    try {
+        const gameData = await dataProvider.fetchGameData(tickerState.meetingPageUrl);
+        if (gameData && gameData.summary && Array.isArray(gameData.events) && !tickerState.lastGameData) {
+            tickerState.lastGameData = gameData;
+        }
+    } catch (error) {
+        console.error(`[${chatId}] Spieldaten konnten nicht nachgeladen werden:`, error.message);
+    }
+    return tickerState;
+}
+
+/**
+ * Stops the running or scheduled (or still scheduling) ticker of a chat and removes its pending jobs.
+ * The ticker state is kept (e.g. for `!stand`) until it is reset or replaced.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @returns {boolean} - True if a ticker was running or scheduled.
+ */
+function stopTicker(chatId) {
+    const tickerState = activeTickers.get(chatId);
+    if (!tickerState) return false;
+
+    let wasStopped = false;
+    if (tickerState.isScheduling) {
+        // The pending schedule job skips tickers that are no longer being scheduled
+        tickerState.isScheduling = false;
+        wasStopped = true;
+    }
+    if (tickerState.isScheduled && tickerState.scheduleTimeout) {
+        clearTimeout(tickerState.scheduleTimeout);
+        tickerState.isScheduled = false;
+        wasStopped = true;
+    }
+    if (tickerState.isPolling) {
+        tickerState.isPolling = false;
+        if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+        if (tickerState.replayTimeout) clearTimeout(tickerState.replayTimeout);
+        wasStopped = true;
+    }
+    const index = jobQueue.findIndex(job => job.chatId === chatId);
+    if (index > -1) jobQueue.splice(index, 1);
+    saveTickers(activeTickers);
+    return wasStopped;
+}
+
+/**
+ * Clears all timers and intervals of a ticker (schedule, recap, replay and cleanup).
+ * @param {object} tickerState - The ticker state.
+ */
+function clearTickerTimers(tickerState) {
+    if (tickerState.scheduleTimeout) clearTimeout(tickerState.scheduleTimeout);
+    if (tickerState.recapIntervalId) clearInterval(tickerState.recapIntervalId);
+    if (tickerState.replayTimeout) clearTimeout(tickerState.replayTimeout);
+    if (tickerState.cleanupTimeout) clearTimeout(tickerState.cleanupTimeout);
+}
+
+/**
+ * Restores all persisted tickers after a (re)start: scheduled tickers are scheduled again,
+ * running tickers resume polling where they left off (already seen events are not re-sent),
+ * and finished tickers are cleaned up on time.
+ */
+function restoreTickers() {
+    const savedTickers = loadTickers();
+    const now = Date.now();
+    let rescheduledCount = 0;
+    let resumedCount = 0;
+
+    for (const [chatId, tickerState] of Object.entries(savedTickers)) {
+        const previousState = activeTickers.get(chatId);
+        if (previousState) clearTickerTimers(previousState);
+        activeTickers.set(chatId, tickerState);
+
+        if (tickerState.isPolling) {
+            console.log(`[${chatId}] Laufender Ticker gefunden. Setze fort.`);
+            tickerState.isPolling = false;
+            beginActualPolling(chatId, true);
+            resumedCount++;
+        } else if (tickerState.isScheduled) {
+            const delay = new Date(tickerState.startTime).getTime() - now;
+            if (delay > 0) {
+                console.log(`[${chatId}] Lade geplante Aufgabe. Startet in ${Math.round(delay / 60000)} Minuten.`);
+                tickerState.scheduleTimeout = setTimeout(() => beginActualPolling(chatId), delay);
+                rescheduledCount++;
+            } else {
+                console.log(`[${chatId}] Geplante Startzeit verpasst. Starte Polling sofort.`);
+                beginActualPolling(chatId);
+            }
+        } else if (tickerState.isScheduling) {
+            // The schedule job was still pending when the bot stopped
+            tickerState.isScheduling = false;
+            queueTickerScheduling(tickerState.meetingPageUrl, chatId, tickerState.groupName, tickerState.mode);
+        } else if (tickerState.finishedAt) {
+            const remaining = tickerState.finishedAt + CLEANUP_DELAY_MINUTES * 60000 - now;
+            if (remaining > 0) {
+                scheduleCleanup(chatId, tickerState, remaining);
+            } else {
+                activeTickers.delete(chatId);
+            }
+        }
+    }
+
+    saveTickers(activeTickers);
+    console.log(`${Object.keys(savedTickers).length} Ticker geladen (${resumedCount} fortgesetzt, ${rescheduledCount} neu geplant).`);
+}
+
 // --- Exports ---
 module.exports = {
     initializePolling,
     masterScheduler,
     dispatcherLoop,
     startPolling: queueTickerScheduling,
-    beginActualPolling
-    // We no longer need to export getGameIdFromUrl
+    beginActualPolling,
+    startReplay,
+    restoreTickers,
+    clearTickerTimers,
+    stopTicker,
+    loadMissingGameData,
+    getPollingStatus,
+    applyGroupSettings
 };
\ No newline at end of file
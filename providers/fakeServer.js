@@ -0,0 +1,141 @@
+// providers/fakeServer.js
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createHandballNetProvider } = require('./handballNet.js');
+
+/**
+ * Loads a fake server script. Steps given as strings are paths to recorded JSON
+ * responses, relative to the script file.
+ *
+ * Script format:
+ *   {
+ *     "games": { "<gameId>": [ <step>, <step>, ... ] },
+ *     "teams": { "<teamId>": <schedule response> },
+ *     "leagues": { "<leagueId>": { "table": <table response>, "schedule": <schedule response> } }
+ *   }
+ * A step is either a full `/combined` response, a file path, or `{ "error": <HTTP status> }`
+ * to simulate a failing feed.
+ * @param {string} scriptFilePath - The path to the script JSON file.
+ * @returns {object} - The resolved script.
+ */
+function loadScript(scriptFilePath) {
+    const scriptDir = path.dirname(scriptFilePath);
+    const resolveStep = step => (typeof step === 'string')
+        ? JSON.parse(fs.readFileSync(path.resolve(scriptDir, step), 'utf8'))
+        : step;
+
+    const script = JSON.parse(fs.readFileSync(scriptFilePath, 'utf8'));
+    const games = {};
+    for (const [gameId, steps] of Object.entries(script.games || {})) {
+        games[gameId] = steps.map(resolveStep);
+    }
+    const teams = {};
+    for (const [teamId, schedule] of Object.entries(script.teams || {})) {
+        teams[teamId] = resolveStep(schedule);
+    }
+    const leagues = {};
+    for (const [leagueId, endpoints] of Object.entries(script.leagues || {})) {
+        leagues[leagueId] = { table: resolveStep(endpoints.table), schedule: resolveStep(endpoints.schedule) };
+    }
+    return { games, teams, leagues };
+}
+
+/**
+ * Starts a local HTTP server that mimics the handball.net JSON endpoints
+ * (`/spiele/<gameId>/combined`, `/mannschaften/<teamId>/schedule` and `/ligen/<leagueId>/table|schedule`).
+ * Each request to a game advances its script by one step; the last step is repeated.
+ * @param {object} script - The script ({ games, teams, leagues }), see `loadScript`.
+ * @param {number} [port=0] - The port to listen on (0 picks a free port).
+ * @returns {Promise<{url: string, close: Function}>} - The server's base URL and a function to stop it.
+ */
+function startFakeServer(script, port = 0) {
+    const cursors = new Map();
+
+    const server = http.createServer((req, res) => {
+        const segments = new URL(req.url, 'http://localhost').pathname.split('/').filter(s => s !== '');
+        const [section, id, endpoint] = segments;
+        let body;
+
+        if (section === 'spiele' && endpoint === 'combined' && script.games[id]) {
+            const steps = script.games[id];
+            const index = Math.min(cursors.get(id) || 0, steps.length - 1);
+            cursors.set(id, index + 1);
+            body = steps[index];
+        } else if (section === 'mannschaften' && endpoint === 'schedule' && script.teams[id]) {
+            body = script.teams[id];
+        } else if (section === 'ligen' && (script.leagues || {})[id]) {
+            body = script.leagues[id][endpoint];
+        }
+
+        if (!body || body.error) {
+            res.writeHead(body ? body.error : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Fake server: no data' }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Creates a provider backed by a scripted local fake server. The regular handball.net
+ * HTTP code path is used, only pointed at the fake server instead of the live site.
+ * @param {object} options
+ * @param {string} options.scriptFile - The path to the script JSON file.
+ * @param {number} [options.port] - The port for the fake server.
+ * @returns {object} - A data provider ({ name, fetchGameData, fetchTeamFixtures, fetchLeagueTable, fetchLeagueSchedule, close }).
+ */
+function createFakeServerProvider(options) {
+    const script = loadScript(options.scriptFile);
+    // The server is started with the first request, so a failing start (e.g. the port is
+    // in use) rejects that request instead of an unobserved promise. The next request retries.
+    let serverReady = null;
+    const getHttpProvider = async () => {
+        if (!serverReady) {
+            serverReady = startFakeServer(script, options.port)
+                .then(server => ({ server, httpProvider: createHandballNetProvider({ baseUrl: server.url }) }))
+                .catch(error => {
+                    serverReady = null;
+                    throw error;
+                });
+        }
+        return (await serverReady).httpProvider;
+    };
+
+    return {
+        name: 'fake',
+
+        async fetchGameData(meetingPageUrl) {
+            return (await getHttpProvider()).fetchGameData(meetingPageUrl);
+        },
+
+        async fetchTeamFixtures(teamPageUrl) {
+            return (await getHttpProvider()).fetchTeamFixtures(teamPageUrl);
+        },
+
+        async fetchLeagueTable(leaguePageUrl) {
+            return (await getHttpProvider()).fetchLeagueTable(leaguePageUrl);
+        },
+
+        async fetchLeagueSchedule(leaguePageUrl) {
+            return (await getHttpProvider()).fetchLeagueSchedule(leaguePageUrl);
+        },
+
+        async close() {
+            if (serverReady) await (await serverReady).server.close();
+        }
+    };
+}
+
+module.exports = { createFakeServerProvider, startFakeServer, loadScript };
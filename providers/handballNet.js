@@ -0,0 +1,134 @@
+// providers/handballNet.js
+const axios = require('axios');
+const { parseGameUrl, parseTeamUrl, parseLeagueUrl } = require('./urls.js');
+
+const HANDBALL_NET_ORIGIN = 'https://www.handball.net';
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Transforms a user-facing game URL into the JSON data URL.
+ * Handles /ticker, /info, and base URLs.
+ * @param {string} meetingPageUrl - The user-provided URL.
+ * @param {string} [baseUrl] - Optional origin that replaces the one from the URL (e.g. a fake server).
+ * @returns {string} - The full API URL.
+ */
+function buildDataUrl(meetingPageUrl, baseUrl) {
+    const { origin, path } = parseGameUrl(meetingPageUrl);
+    return (baseUrl || origin) + path + '/combined?';
+}
+
+/**
+ * Transforms a user-facing team URL into the JSON fixture list URL.
+ * @param {string} teamPageUrl - The user-provided team URL.
+ * @param {string} [baseUrl] - Optional origin that replaces the one from the URL.
+ * @returns {string} - The full API URL.
+ */
+function buildScheduleUrl(teamPageUrl, baseUrl) {
+    const { origin, path } = parseTeamUrl(teamPageUrl);
+    return (baseUrl || origin) + path + '/schedule?';
+}
+
+/**
+ * Transforms a user-facing league URL into the URL of one of its JSON endpoints.
+ * @param {string} leaguePageUrl - The league URL (see urls.buildLeaguePageUrl).
+ * @param {('table'|'schedule')} endpoint - The endpoint.
+ * @param {string} [baseUrl] - Optional origin that replaces the one from the URL.
+ * @returns {string} - The full API URL.
+ */
+function buildLeagueUrl(leaguePageUrl, endpoint, baseUrl) {
+    const { origin, path } = parseLeagueUrl(leaguePageUrl);
+    return (baseUrl || origin) + path + `/${endpoint}?`;
+}
+
+/**
+ * Converts the raw game list of a team's fixture response into sorted fixtures.
+ * @param {Array} games - The `data` array of the fixture response.
+ * @param {string} [origin] - The origin used for the game page URLs.
+ * @returns {Array} - The games as { id, meetingPageUrl, startsAt, state, homeTeam, awayTeam, homeGoals, awayGoals }, sorted by start time.
+ */
+function normalizeFixtures(games, origin = HANDBALL_NET_ORIGIN) {
+    if (!Array.isArray(games)) {
+        throw new Error("Ungültige Spielplan-Struktur von API empfangen.");
+    }
+
+    return games
+        .filter(game => game.id && game.startsAt)
+        .map(game => ({
+            id: game.id,
+            meetingPageUrl: `${origin}/spiele/${game.id}`,
+            startsAt: game.startsAt,
+            state: game.state,
+            homeTeam: game.homeTeam,
+            awayTeam: game.awayTeam,
+            homeGoals: game.homeGoals,
+            awayGoals: game.awayGoals
+        }))
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+}
+
+/**
+ * Converts the raw rows of a league table response.
+ * @param {Array} rows - The `data` array of the table response.
+ * @returns {Array} - The rows as { rank, team, games, wins, draws, losses, goalsFor, goalsAgainst, points, pointsAgainst }, sorted by rank.
+ */
+function normalizeTable(rows) {
+    if (!Array.isArray(rows)) {
+        throw new Error("Ungültige Tabellen-Struktur von API empfangen.");
+    }
+
+    return rows
+        .filter(row => row.team && row.rank)
+        .map(row => ({
+            rank: row.rank,
+            team: row.team,
+            games: row.games,
+            wins: row.wins,
+            draws: row.draws,
+            losses: row.losses,
+            goalsFor: row.goals,
+            goalsAgainst: row.goalsAgainst,
+            points: row.points,
+            pointsAgainst: row.pointsAgainst
+        }))
+        .sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Creates the default provider that reads live data from handball.net via HTTP.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Origin to send requests to instead of the one in the page URL.
+ * @returns {object} - A data provider ({ name, fetchGameData, fetchTeamFixtures, fetchLeagueTable, fetchLeagueSchedule }).
+ */
+function createHandballNetProvider(options = {}) {
+    const { baseUrl } = options;
+
+    return {
+        name: 'handballnet',
+
+        async fetchGameData(meetingPageUrl) {
+            const dataUrl = buildDataUrl(meetingPageUrl, baseUrl);
+            const res = await axios.get(`${dataUrl}&_=${Date.now()}`, { timeout: REQUEST_TIMEOUT_MS });
+            return res.data.data;
+        },
+
+        async fetchTeamFixtures(teamPageUrl) {
+            const scheduleUrl = buildScheduleUrl(teamPageUrl, baseUrl);
+            const res = await axios.get(`${scheduleUrl}&_=${Date.now()}`, { timeout: REQUEST_TIMEOUT_MS });
+            return normalizeFixtures(res.data.data, parseTeamUrl(teamPageUrl).origin);
+        },
+
+        async fetchLeagueTable(leaguePageUrl) {
+            const tableUrl = buildLeagueUrl(leaguePageUrl, 'table', baseUrl);
+            const res = await axios.get(`${tableUrl}&_=${Date.now()}`, { timeout: REQUEST_TIMEOUT_MS });
+            return normalizeTable(res.data.data);
+        },
+
+        async fetchLeagueSchedule(leaguePageUrl) {
+            const scheduleUrl = buildLeagueUrl(leaguePageUrl, 'schedule', baseUrl);
+            const res = await axios.get(`${scheduleUrl}&_=${Date.now()}`, { timeout: REQUEST_TIMEOUT_MS });
+            return normalizeFixtures(res.data.data, parseLeagueUrl(leaguePageUrl).origin);
+        }
+    };
+}
+
+module.exports = { createHandballNetProvider, normalizeFixtures, normalizeTable, buildDataUrl, buildScheduleUrl, buildLeagueUrl };
@@ -0,0 +1,38 @@
+// providers/index.js
+const { createHandballNetProvider } = require('./handballNet.js');
+const { createSnapshotProvider } = require('./snapshots.js');
+const { createFakeServerProvider } = require('./fakeServer.js');
+
+/*
+ * A data provider is an object with:
+ *   name                                  - A short identifier for logs.
+ *   fetchGameData(meetingPageUrl)         - Resolves to the game data ({ summary, events, lineup }).
+ *   fetchTeamFixtures(teamPageUrl)        - Resolves to the team's fixtures, sorted by start time.
+ *   fetchLeagueTable(leaguePageUrl)       - Resolves to the league table, sorted by rank.
+ *   fetchLeagueSchedule(leaguePageUrl)    - Resolves to all games of the league (like fixtures, with scores).
+ *   close()                               - Optional, releases resources (servers, sockets).
+ *
+ * To add another data source (e.g. a different federation's feed), implement these
+ * functions and register a factory below.
+ */
+const PROVIDERS = {
+    handballnet: createHandballNetProvider,
+    snapshots: createSnapshotProvider,
+    fake: createFakeServerProvider
+};
+
+/**
+ * Creates a data provider by name.
+ * @param {string} [name='handballnet'] - The provider name ('handballnet', 'snapshots' or 'fake').
+ * @param {object} [options] - Provider specific options (see the individual factories).
+ * @returns {object} - The data provider.
+ */
+function createDataProvider(name = 'handballnet', options = {}) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unbekannter Datenanbieter "${name}". Verfügbar: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createDataProvider };
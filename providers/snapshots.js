@@ -0,0 +1,68 @@
+// providers/snapshots.js
+const fs = require('fs');
+const path = require('path');
+const { parseGameUrl, parseTeamUrl, parseLeagueUrl } = require('./urls.js');
+const { normalizeFixtures, normalizeTable } = require('./handballNet.js');
+
+/**
+ * Reads and parses a recorded JSON response.
+ * @param {string} filePath - The path to the JSON file.
+ * @returns {object} - The parsed response.
+ */
+function readSnapshot(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Creates a provider that replays recorded handball.net responses from a local directory.
+ *
+ * Expected layout:
+ *   <directory>/games/<gameId>/*.json  - `/combined` responses, served in file name order
+ *   <directory>/teams/<teamId>.json    - `/schedule` responses
+ *   <directory>/leagues/<leagueId>/table.json and schedule.json - The league's `/table` and `/schedule` responses
+ *
+ * Every fetch of a game returns the next snapshot; once all snapshots have been
+ * served, the last one is returned again (like a finished game on the live site).
+ * @param {object} options
+ * @param {string} options.directory - The root directory of the recordings.
+ * @returns {object} - A data provider ({ name, fetchGameData, fetchTeamFixtures, fetchLeagueTable, fetchLeagueSchedule }).
+ */
+function createSnapshotProvider(options) {
+    const { directory } = options;
+    const cursors = new Map(); // gameId -> index of the next snapshot
+
+    return {
+        name: 'snapshots',
+
+        async fetchGameData(meetingPageUrl) {
+            const gameId = parseGameUrl(meetingPageUrl).id;
+            const gameDir = path.join(directory, 'games', gameId);
+            const files = fs.readdirSync(gameDir).filter(file => file.endsWith('.json')).sort();
+            if (files.length === 0) {
+                throw new Error(`Keine Snapshots für Spiel ${gameId} gefunden.`);
+            }
+
+            const index = Math.min(cursors.get(gameId) || 0, files.length - 1);
+            cursors.set(gameId, index + 1);
+            return readSnapshot(path.join(gameDir, files[index])).data;
+        },
+
+        async fetchTeamFixtures(teamPageUrl) {
+            const teamId = parseTeamUrl(teamPageUrl).id;
+            const schedule = readSnapshot(path.join(directory, 'teams', `${teamId}.json`));
+            return normalizeFixtures(schedule.data);
+        },
+
+        async fetchLeagueTable(leaguePageUrl) {
+            const leagueId = parseLeagueUrl(leaguePageUrl).id;
+            return normalizeTable(readSnapshot(path.join(directory, 'leagues', leagueId, 'table.json')).data);
+        },
+
+        async fetchLeagueSchedule(leaguePageUrl) {
+            const leagueId = parseLeagueUrl(leaguePageUrl).id;
+            return normalizeFixtures(readSnapshot(path.join(directory, 'leagues', leagueId, 'schedule.json')).data);
+        }
+    };
+}
+
+module.exports = { createSnapshotProvider };
@@ -0,0 +1,69 @@
+// providers/urls.js
+
+// Segments that can trail a game page URL (e.g. ".../spiele/<id>/ticker")
+const GAME_PAGE_SUFFIXES = ['ticker', 'info'];
+// Segments that can trail a team page URL (e.g. ".../mannschaften/<id>/spielplan")
+const TEAM_PAGE_SUFFIXES = ['spielplan', 'info', 'tabelle', 'kader'];
+// Segments that can trail a league page URL (e.g. ".../ligen/<id>/tabelle")
+const LEAGUE_PAGE_SUFFIXES = ['tabelle', 'spielplan', 'info'];
+
+/**
+ * Splits a handball.net page URL into its origin, the entity path and the entity ID.
+ * Trailing sub pages (like /ticker or /spielplan) and slashes are removed.
+ * @param {string} pageUrl - The user-provided URL.
+ * @param {Array<string>} suffixes - The sub page segments to strip.
+ * @returns {{origin: string, path: string, id: string}} - The parsed parts.
+ */
+function parsePageUrl(pageUrl, suffixes) {
+    const url = new URL(pageUrl);
+    const segments = url.pathname.split('/').filter(segment => segment !== '');
+
+    if (suffixes.includes(segments[segments.length - 1])) {
+        segments.pop();
+    }
+
+    return {
+        origin: url.origin,
+        path: '/' + segments.join('/'),
+        id: segments[segments.length - 1]
+    };
+}
+
+/**
+ * Parses a game URL, e.g. "https://www.handball.net/spiele/handball4all.hamburg.9126461/ticker".
+ * @param {string} meetingPageUrl - The user-provided game URL.
+ * @returns {{origin: string, path: string, id: string}} - The parsed parts, `id` is the game ID.
+ */
+function parseGameUrl(meetingPageUrl) {
+    return parsePageUrl(meetingPageUrl, GAME_PAGE_SUFFIXES);
+}
+
+/**
+ * Parses a team URL, e.g. "https://www.handball.net/mannschaften/handball4all.hamburg.1309001/spielplan".
+ * @param {string} teamPageUrl - The user-provided team URL.
+ * @returns {{origin: string, path: string, id: string}} - The parsed parts, `id` is the team ID.
+ */
+function parseTeamUrl(teamPageUrl) {
+    return parsePageUrl(teamPageUrl, TEAM_PAGE_SUFFIXES);
+}
+
+/**
+ * Parses a league URL, e.g. "https://www.handball.net/ligen/handball4all.hamburg.m-ol/tabelle".
+ * @param {string} leaguePageUrl - The league URL.
+ * @returns {{origin: string, path: string, id: string}} - The parsed parts, `id` is the tournament ID.
+ */
+function parseLeagueUrl(leaguePageUrl) {
+    return parsePageUrl(leaguePageUrl, LEAGUE_PAGE_SUFFIXES);
+}
+
+/**
+ * Builds the league page URL of a game's competition.
+ * @param {string} meetingPageUrl - The game URL (gives the origin).
+ * @param {string} tournamentId - The tournament ID from the game summary.
+ * @returns {string} - E.g. "https://www.handball.net/ligen/handball4all.hamburg.m-ol".
+ */
+function buildLeaguePageUrl(meetingPageUrl, tournamentId) {
+    return `${parseGameUrl(meetingPageUrl).origin}/ligen/${tournamentId}`;
+}
+
+module.exports = { parseGameUrl, parseTeamUrl, parseLeagueUrl, buildLeaguePageUrl };
@@ -0,0 +1,186 @@
+// questions.js
+const { answerGameQuestion } = require('./ai.js');
+const { analyzeGame } = require('./gamePhase.js');
+const { t } = require('./i18n.js');
+const { formatScoreboard, formatPlayerStats } = require('./stats.js');
+const { formatScoreLine, parseMatchTime } = require('./utils.js');
+
+// --- QUESTION PATTERNS ---
+// Straightforward questions are answered from the game data; everything else goes to the AI.
+// Without a leading \b, so compounds like "Zwischenstand" or "Halbzeitstand" match as well
+const SCORE_PATTERN = /(stand|stands|score|scoreline)\b/i;
+const MINUTE_PATTERN = /(\d{1,3})\s*\.?\s*(?:spiel)?(?:min(?:ute)?n?\b|')|\bminute\s+(\d{1,3})\b/i;
+const HALFTIME_PATTERN = /\b(halbzeit|pause|halftime|half-time)/i;
+const LEADERS_PATTERN = /\b(meisten|meiste|most)\b/i;
+// Checked in this order: "7-Meter-Tore" are about 7m, not about goals
+const STAT_PATTERNS = [
+    { stat: 'sevenMeters', pattern: /\b(7\s*-?\s*m(?:eter)?|siebenmeter\w*|seven[\s-]?met(?:er|re)s?|penalty throws?)/i },
+    { stat: 'penalties', pattern: /\b(zeitstrafe\w*|strafe\w*|2\s*-?\s*min\w*|zwei minuten|suspensions?|penalt(?:y|ies))\b/i },
+    { stat: 'goals', pattern: /\b(tor|tore|toren|treffer|getroffen|geworfen|goals?|scored?|scorers?)\b/i }
+];
+// The lineup value each stat is ranked by
+const STAT_VALUES = {
+    goals: player => player.goals,
+    sevenMeters: player => player.penaltyGoals,
+    penalties: player => player.penalties
+};
+
+/**
+ * Finds the stat a question asks about.
+ * @param {string} question - The question.
+ * @returns {string|null} - 'goals', 'sevenMeters', 'penalties' or null.
+ */
+function findStat(question) {
+    const match = STAT_PATTERNS.find(({ pattern }) => pattern.test(question));
+    return match ? match.stat : null;
+}
+
+/**
+ * Returns all players of both teams with their team name.
+ * @param {object} lineupData - The `gameData.lineup` object.
+ * @param {object} teamNames - The team names object.
+ * @returns {Array<object>} - [{ player, team }].
+ */
+function getPlayers(lineupData, teamNames) {
+    return [
+        ...(lineupData.home || []).map(player => ({ player, team: teamNames.home })),
+        ...(lineupData.away || []).map(player => ({ player, team: teamNames.guest }))
+    ];
+}
+
+/**
+ * Finds the players a question mentions by last name (or full name, if two players share one).
+ * @param {string} question - The question.
+ * @param {Array<object>} players - The players (see getPlayers).
+ * @returns {Array<object>} - The mentioned players.
+ */
+function findMentionedPlayers(question, players) {
+    const text = question.toLowerCase();
+    const mentions = name => new RegExp(`(^|[^\\p{L}])${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}])`, 'u').test(text);
+    const byLastname = players.filter(({ player }) => player.lastname && mentions(player.lastname));
+    const byFullName = byLastname.filter(({ player }) => mentions(`${player.firstname} ${player.lastname}`));
+    return byFullName.length > 0 ? byFullName : byLastname;
+}
+
+/**
+ * Answers "Wie stand es in der 40. Minute?" from the events.
+ * @param {number} minute - The match minute asked for.
+ * @param {Array} events - The chronological list of events.
+ * @param {object} analysis - The game analysis from `gamePhase.analyzeGame`.
+ * @param {object} tickerState - The ticker state (team names).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The answer.
+ */
+function answerScoreAtMinute(minute, events, analysis, tickerState, language) {
+    const lastTimedEvent = [...events].reverse().find(ev => ev.time);
+    const playedSeconds = lastTimedEvent ? parseMatchTime(lastTimedEvent.time) : 0;
+    if (analysis.phase === 'pre' || minute * 60 > playedSeconds) {
+        return t(language, 'question.minuteNotPlayed', { minute });
+    }
+    const scoredEvent = [...events].reverse().find(ev => ev.score && ev.time && parseMatchTime(ev.time) <= minute * 60);
+    return t(language, 'question.scoreAtMinute', { minute, scoreLine: formatScoreLine(tickerState, scoredEvent ? scoredEvent.score : '0-0') });
+}
+
+/**
+ * Answers "Wer hat die meisten Zeitstrafen?" from the lineup.
+ * @param {string} stat - 'goals', 'sevenMeters' or 'penalties'.
+ * @param {Array<object>} players - The players (see getPlayers).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The answer.
+ */
+function answerLeaders(stat, players, language) {
+    const value = STAT_VALUES[stat];
+    const best = Math.max(0, ...players.map(({ player }) => value(player)));
+    if (best === 0) return t(language, `question.nobody.${stat}`);
+    const leaders = players
+        .filter(({ player }) => value(player) === best)
+        .map(({ player, team }) => `${formatPlayerStats(player, language)} · ${team}`);
+    return `${t(language, `question.leaders.${stat}`)}\n${leaders.join('\n')}`;
+}
+
+/**
+ * Answers the questions that don't need a language model: the score at a minute or at halftime,
+ * a player's goals, 7m or suspensions and who leads one of these stats.
+ * @param {string} question - The question.
+ * @param {object} tickerState - The ticker state (uses `lastGameData` and `teamNames`).
+ * @param {string} language - The language code of the chat.
+ * @returns {string|null} - The answer, or null if the question needs the AI.
+ */
+function answerFromData(question, tickerState, language) {
+    const gameData = tickerState.lastGameData;
+    const events = gameData.events.slice().reverse();
+    const analysis = analyzeGame(events, gameData.summary);
+
+    if (SCORE_PATTERN.test(question)) {
+        const minuteMatch = MINUTE_PATTERN.exec(question);
+        if (minuteMatch) return answerScoreAtMinute(Number(minuteMatch[1] || minuteMatch[2]), events, analysis, tickerState, language);
+        if (HALFTIME_PATTERN.test(question) && analysis.halftimeScore) {
+            return t(language, 'question.halftimeScore', { scoreLine: formatScoreLine(tickerState, analysis.halftimeScore) });
+        }
+    }
+
+    const stat = findStat(question);
+    if (!stat || !gameData.lineup || !gameData.lineup.home || !gameData.lineup.away) return null;
+    const players = getPlayers(gameData.lineup, tickerState.teamNames || {
+        home: gameData.summary.homeTeam.name,
+        guest: gameData.summary.awayTeam.name
+    });
+
+    const mentioned = findMentionedPlayers(question, players);
+    // Comparisons of several players are left to the AI
+    if (mentioned.length === 1) {
+        return `${formatPlayerStats(mentioned[0].player, language)} · ${mentioned[0].team}`;
+    }
+    if (mentioned.length === 0 && LEADERS_PATTERN.test(question)) return answerLeaders(stat, players, language);
+    return null;
+}
+
+/**
+ * Builds the game data the AI answers from: the scoreboard, all events and the player stats.
+ * @param {object} tickerState - The ticker state (uses `lastGameData` and `teamNames`).
+ * @param {string} language - The language code of the chat.
+ * @returns {object} - { scoreboard, events, home, guest, homePlayers, guestPlayers }.
+ */
+function buildGameContext(tickerState, language) {
+    const gameData = tickerState.lastGameData;
+    const teamNames = tickerState.teamNames || { home: gameData.summary.homeTeam.name, guest: gameData.summary.awayTeam.name };
+    const lineup = gameData.lineup || {};
+    const formatLineup = players => (players && players.length > 0
+        ? players.map(player => formatPlayerStats(player, language)).join('\n')
+        : '-');
+
+    return {
+        scoreboard: formatScoreboard(tickerState, language),
+        events: gameData.events.slice().reverse()
+            .map(ev => `${ev.time || '--:--'} | ${ev.score ? ev.score.replace('-', ':') : '-'} | ${ev.type} | ${ev.message || ''}`)
+            .join('\n') || '-',
+        home: teamNames.home,
+        guest: teamNames.guest,
+        homePlayers: formatLineup(lineup.home),
+        guestPlayers: formatLineup(lineup.away)
+    };
+}
+
+/**
+ * Answers a member's question (!frag) about the running or finished game of a ticker.
+ * Straightforward questions are answered from the game data, the others by the AI with
+ * the game data as context.
+ * @param {object} tickerState - The ticker state (uses `lastGameData` and `teamNames`).
+ * @param {string} question - The question.
+ * @param {string} language - The language code of the chat.
+ * @returns {Promise<string>} - The reply.
+ */
+async function answerQuestion(tickerState, question, language) {
+    const gameData = tickerState.lastGameData;
+    if (!gameData || !gameData.summary || !Array.isArray(gameData.events)) {
+        return t(language, 'scoreboard.noData');
+    }
+
+    const answer = answerFromData(question, tickerState, language);
+    if (answer) return answer;
+
+    const aiAnswer = await answerGameQuestion(question, buildGameContext(tickerState, language), language);
+    return aiAnswer ? t(language, 'question.aiAnswer', { answer: aiAnswer }) : t(language, 'question.unknown');
+}
+
+module.exports = { answerQuestion };
@@ -0,0 +1,255 @@
+// settings.js
+const { loadGroupSettings, saveGroupSettings } = require('./store.js');
+const { EVENT_MAP } = require('./config.js');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, t, getEventLabel, describeLanguages } = require('./i18n.js');
+
+// Settings of a group that hasn't changed anything
+const DEFAULT_SETTINGS = {
+    recapIntervalMinutes: 5,   // Minutes between two recap messages
+    preGameMinutes: 5,         // Minutes before throw-off at which polling starts
+    ignoredEvents: [],         // Event types that are neither sent live nor included in recaps
+    sendStats: true,           // Player stats after the final whistle
+    sendAiSummary: true,       // AI summary after the final whistle
+    sendFarewell: true,        // Closing message after the final whistle
+    sendImages: true,          // Scoreboard image at halftime and after the final whistle (see images.js)
+    sendHalftimeReport: true,  // First-half stats, key moments and the AI halftime talk
+    sendMatchday: true,        // Other results of the matchday and the table positions after the final whistle
+    favoriteTeam: null,        // Team the AI supports; without one it guesses from the group name
+    aiTone: 'sarcastic',       // Tone of the AI texts: 'neutral', 'enthusiastic' or 'sarcastic' (roasts the opponent)
+    aiLength: 'short',         // Length of the AI summary: 'short', 'medium' or 'long'
+    playerJokes: [],           // In-jokes about players for the AI ([{ player, joke }])
+    language: DEFAULT_LANGUAGE, // Language of all messages in the group
+    adminsOnly: true,          // Only group admins (and allowedSenders) may start, stop or configure tickers
+    allowedSenders: []         // Sender IDs or phone numbers that may do so without being admins
+};
+
+// Period events drive halftime, game end and the recap flushes, so they can't be ignored
+const IGNORABLE_EVENT_TYPES = Object.keys(EVENT_MAP).filter(type => !["default", "StartPeriod", "StopPeriod"].includes(type));
+
+// The keys users type after !config, mapped to the setting they change (descriptions: 'settings.description.<key>')
+const SETTING_KEYS = {
+    intervall: { field: 'recapIntervalMinutes', type: 'minutes', min: 1, max: 60 },
+    vorlauf: { field: 'preGameMinutes', type: 'minutes', min: 0, max: 60 },
+    ignorieren: { field: 'ignoredEvents', type: 'events' },
+    statistik: { field: 'sendStats', type: 'toggle' },
+    ki: { field: 'sendAiSummary', type: 'toggle' },
+    abschied: { field: 'sendFarewell', type: 'toggle' },
+    bilder: { field: 'sendImages', type: 'toggle' },
+    halbzeit: { field: 'sendHalftimeReport', type: 'toggle' },
+    spieltag: { field: 'sendMatchday', type: 'toggle' },
+    lieblingsteam: { field: 'favoriteTeam', type: 'text', maxLength: 60 },
+    ton: {
+        field: 'aiTone',
+        type: 'choice',
+        choices: { neutral: 'neutral', sachlich: 'neutral', begeistert: 'enthusiastic', enthusiastic: 'enthusiastic', sarkastisch: 'sarcastic', sarcastic: 'sarcastic', roast: 'sarcastic' }
+    },
+    laenge: {
+        field: 'aiLength',
+        type: 'choice',
+        choices: { kurz: 'short', short: 'short', mittel: 'medium', medium: 'medium', lang: 'long', long: 'long' }
+    },
+    insider: { field: 'playerJokes', type: 'jokes', maxEntries: 10 },
+    sprache: { field: 'language', type: 'language' },
+    nuradmins: { field: 'adminsOnly', type: 'toggle' },
+    erlaubt: { field: 'allowedSenders', type: 'senders' }
+};
+
+const TOGGLE_VALUES = { an: true, ein: true, ja: true, on: true, yes: true, aus: false, nein: false, off: false, no: false };
+const EMPTY_LIST_VALUES = ['keine', 'keins', 'none'];
+
+/**
+ * Returns the effective settings of a chat (its own values merged over the defaults).
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @returns {object} - The settings (see DEFAULT_SETTINGS).
+ */
+function getGroupSettings(chatId) {
+    const stored = loadGroupSettings()[chatId] || {};
+    return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+/**
+ * Resolves a user-typed event name (type or label in any language, case-insensitive) to its event type.
+ * @param {string} name - E.g. "Timeout", "zeitstrafe" or "Yellow card".
+ * @returns {string|null} - The event type, or null if it's unknown or can't be ignored.
+ */
+function resolveEventType(name) {
+    const needle = name.trim().toLowerCase();
+    return IGNORABLE_EVENT_TYPES.find(type =>
+        type.toLowerCase() === needle ||
+        SUPPORTED_LANGUAGES.some(language => getEventLabel(language, type).toLowerCase() === needle)
+    ) || null;
+}
+
+/**
+ * Builds the error for an unknown setting key.
+ * @param {string} language - The language code of the chat.
+ * @param {string} key - The key as typed.
+ * @returns {Error} - The error with a translated message.
+ */
+function unknownKeyError(language, key) {
+    return new Error(t(language, 'settings.unknownKey', { key, keys: Object.keys(SETTING_KEYS).join(', ') }));
+}
+
+/**
+ * Returns the label of a choice in the chat's language (e.g. 'sarcastic' -> "sarkastisch").
+ * @param {object} definition - The entry from SETTING_KEYS.
+ * @param {string} value - The stored value.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The label.
+ */
+function describeChoice(definition, value, language) {
+    return t(language, `settings.choice.${definition.field}.${value}`);
+}
+
+/**
+ * Validates a user-typed value and converts it to the stored form.
+ * @param {object} definition - The entry from SETTING_KEYS.
+ * @param {string} rawValue - The value as typed after the key.
+ * @param {string} language - The language code of the chat (for error messages).
+ * @returns {*} - The validated value.
+ * @throws {Error} - With a translated message if the value is invalid.
+ */
+function parseSettingValue(definition, rawValue, language) {
+    const value = rawValue.trim();
+    if (definition.type === 'minutes') {
+        const minutes = Number(value);
+        if (!Number.isInteger(minutes) || minutes < definition.min || minutes > definition.max) {
+            throw new Error(t(language, 'settings.invalidMinutes', { min: definition.min, max: definition.max }));
+        }
+        return minutes;
+    }
+    if (definition.type === 'toggle') {
+        const toggle = TOGGLE_VALUES[value.toLowerCase()];
+        if (toggle === undefined) throw new Error(t(language, 'settings.invalidToggle'));
+        return toggle;
+    }
+    if (definition.type === 'language') {
+        const code = value.toLowerCase();
+        if (!SUPPORTED_LANGUAGES.includes(code)) {
+            throw new Error(t(language, 'settings.invalidLanguage', { languages: describeLanguages() }));
+        }
+        return code;
+    }
+    if (definition.type === 'choice') {
+        const choice = definition.choices[value.toLowerCase()];
+        if (!choice) {
+            const choices = [...new Set(Object.values(definition.choices))].map(option => describeChoice(definition, option, language));
+            throw new Error(t(language, 'settings.invalidChoice', { choices: choices.join(', ') }));
+        }
+        return choice;
+    }
+    if (definition.type === 'text') {
+        if (EMPTY_LIST_VALUES.includes(value.toLowerCase())) return null;
+        if (value.length > definition.maxLength) throw new Error(t(language, 'settings.textTooLong', { max: definition.maxLength }));
+        return value;
+    }
+    // 'events', 'senders' and 'jokes': lists, "keine"/"none" clears them
+    if (EMPTY_LIST_VALUES.includes(value.toLowerCase())) return [];
+    if (definition.type === 'jokes') {
+        // "Name: in-joke; Name: in-joke" (in-jokes may contain commas)
+        const jokes = value.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+            const separator = part.indexOf(':');
+            const player = separator > 0 ? part.slice(0, separator).trim() : '';
+            const joke = separator > 0 ? part.slice(separator + 1).trim() : '';
+            if (!player || !joke) throw new Error(t(language, 'settings.invalidJokes'));
+            return { player, joke };
+        });
+        if (jokes.length === 0) throw new Error(t(language, 'settings.invalidJokes'));
+        if (jokes.length > definition.maxEntries) throw new Error(t(language, 'settings.tooManyJokes', { max: definition.maxEntries }));
+        return jokes;
+    }
+    if (definition.type === 'senders') {
+        const senders = [...new Set(value.split(',').map(part => part.trim()).filter(Boolean))];
+        if (senders.length === 0) throw new Error(t(language, 'settings.noSenders'));
+        return senders;
+    }
+    const eventTypes = [];
+    for (const name of value.split(',').filter(part => part.trim())) {
+        const type = resolveEventType(name);
+        if (!type) {
+            const known = IGNORABLE_EVENT_TYPES.map(eventType => getEventLabel(language, eventType)).join(', ');
+            throw new Error(t(language, 'settings.unknownEvent', { name: name.trim(), known }));
+        }
+        if (!eventTypes.includes(type)) eventTypes.push(type);
+    }
+    if (eventTypes.length === 0) throw new Error(t(language, 'settings.noEvents'));
+    return eventTypes;
+}
+
+/**
+ * Validates and stores one setting of a chat.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {string} key - The user-facing key (see SETTING_KEYS).
+ * @param {string} rawValue - The value as typed.
+ * @returns {object} - The chat's effective settings after the change.
+ * @throws {Error} - With a translated message if the key or value is invalid.
+ */
+function setGroupSetting(chatId, key, rawValue) {
+    const { language } = getGroupSettings(chatId);
+    const definition = SETTING_KEYS[String(key).toLowerCase()];
+    if (!definition) throw unknownKeyError(language, key);
+    const value = parseSettingValue(definition, rawValue || '', language);
+
+    const groupSettings = loadGroupSettings();
+    const stored = groupSettings[chatId] || {};
+    stored[definition.field] = value;
+    groupSettings[chatId] = stored;
+    saveGroupSettings(groupSettings);
+    return getGroupSettings(chatId);
+}
+
+/**
+ * Resets one or all settings of a chat to the defaults.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {string} [key] - The user-facing key to reset. If omitted, all settings are reset.
+ * @returns {object} - The chat's effective settings after the reset.
+ * @throws {Error} - With a translated message if the key is unknown.
+ */
+function resetGroupSettings(chatId, key) {
+    const groupSettings = loadGroupSettings();
+    if (key) {
+        const definition = SETTING_KEYS[key.toLowerCase()];
+        if (!definition) throw unknownKeyError(getGroupSettings(chatId).language, key);
+        if (groupSettings[chatId]) delete groupSettings[chatId][definition.field];
+    } else {
+        delete groupSettings[chatId];
+    }
+    saveGroupSettings(groupSettings);
+    return getGroupSettings(chatId);
+}
+
+/**
+ * Formats a chat's settings as a message, including how to change them.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @returns {string} - The settings overview.
+ */
+function formatGroupSettings(chatId) {
+    const settings = getGroupSettings(chatId);
+    const { language } = settings;
+    const lines = Object.entries(SETTING_KEYS).map(([key, definition]) => {
+        const value = settings[definition.field];
+        let valueText;
+        if (definition.type === 'minutes') valueText = `${value} min`;
+        else if (definition.type === 'toggle') valueText = t(language, value ? 'settings.on' : 'settings.off');
+        else if (definition.type === 'language') valueText = value;
+        else if (definition.type === 'choice') valueText = describeChoice(definition, value, language);
+        else if (definition.type === 'text') valueText = value || t(language, 'settings.none');
+        else if (definition.type === 'senders') valueText = value.length > 0 ? value.join(', ') : t(language, 'settings.none');
+        else if (definition.type === 'jokes') valueText = value.length > 0 ? value.map(({ player, joke }) => `${player}: ${joke}`).join('; ') : t(language, 'settings.none');
+        else valueText = value.length > 0 ? value.map(type => getEventLabel(language, type)).join(', ') : t(language, 'settings.none');
+        return `• *${key}*: ${valueText}\n  _${t(language, `settings.description.${key}`)}_`;
+    });
+    return `${t(language, 'settings.title')}\n${lines.join('\n')}\n\n${t(language, 'settings.help')}`;
+}
+
+/**
+ * Returns how the AI should write for a chat (see ai.js).
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @returns {object} - { favoriteTeam, tone, length, playerJokes }.
+ */
+function getAiPersona(chatId) {
+    const settings = getGroupSettings(chatId);
+    return { favoriteTeam: settings.favoriteTeam, tone: settings.aiTone, length: settings.aiLength, playerJokes: settings.playerJokes };
+}
+
+module.exports = { DEFAULT_SETTINGS, getGroupSettings, getAiPersona, setGroupSetting, resetGroupSettings, formatGroupSettings };
@@ -0,0 +1,174 @@
+// stats.js
+const { analyzeGame } = require('./gamePhase.js');
+const { DEFAULT_LANGUAGE, t, formatDate, formatTime } = require('./i18n.js');
+
+/**
+ * Helper function to find the top scorer(s) from a lineup array.
+ * @param {Array} lineup - The lineup array (e.g., gameData.lineup.home).
+ * @param {string} [language] - The language code of the chat.
+ * @returns {string} - Formatted string of top scorer(s) (e.g., "Hauke Frahm (4 Tore)").
+ */
+function findTopScorer(lineup, language = DEFAULT_LANGUAGE) {
+    if (!lineup || lineup.length === 0) return t(language, 'stats.nobody');
+
+    let topScore = 0;
+    lineup.forEach(player => {
+        if (player.goals > topScore) {
+            topScore = player.goals;
+        }
+    });
+
+    if (topScore === 0) return t(language, 'stats.nobody');
+
+    const topScorers = lineup
+        .filter(player => player.goals === topScore)
+        .map(player => `${player.firstname} ${player.lastname}`);
+
+    return `${topScorers.join(' & ')} (${t(language, 'stats.goals', { count: topScore })})`;
+}
+
+/**
+ * Generates the team stats used by the stats message and the AI prompt.
+ * @param {object} lineupData - The `gameData.lineup` object.
+ * @param {object} teamNames - The team names object.
+ * @param {string} [language] - The language code of the chat.
+ * @returns {object} - An object with stats (topScorers, penalties, sevenMeters).
+ */
+function getStatsForPrompt(lineupData, teamNames, language = DEFAULT_LANGUAGE) {
+    const stats = {
+        home: { name: teamNames.home, penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0 },
+        guest: { name: teamNames.guest, penalties: 0, sevenMetersMade: 0, sevenMetersMissed: 0 }
+    };
+
+    lineupData.home.forEach(p => {
+        stats.home.penalties += p.penalties;
+        stats.home.sevenMetersMade += p.penaltyGoals;
+        stats.home.sevenMetersMissed += p.penaltyMissed;
+    });
+    lineupData.away.forEach(p => {
+        stats.guest.penalties += p.penalties;
+        stats.guest.sevenMetersMade += p.penaltyGoals;
+        stats.guest.sevenMetersMissed += p.penaltyMissed;
+    });
+
+    return {
+        homeTopScorer: findTopScorer(lineupData.home, language),
+        guestTopScorer: findTopScorer(lineupData.away, language),
+        homePenalties: stats.home.penalties,
+        guestPenalties: stats.guest.penalties,
+        homeSevenMeters: t(language, 'stats.ratio', { made: stats.home.sevenMetersMade, total: stats.home.sevenMetersMade + stats.home.sevenMetersMissed }),
+        guestSevenMeters: t(language, 'stats.ratio', { made: stats.guest.sevenMetersMade, total: stats.guest.sevenMetersMade + stats.guest.sevenMetersMissed })
+    };
+}
+
+// --- ON-DEMAND COMMANDS (!stand, !torschützen) ---
+
+/**
+ * Formats the current score, match time and period of a ticker from its last fetched game data.
+ * @param {object} tickerState - The ticker state (uses `lastGameData`, `teamNames`, `startsAt`).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The score message.
+ */
+function formatScoreboard(tickerState, language) {
+    const gameData = tickerState.lastGameData;
+    if (!gameData || !gameData.summary || !Array.isArray(gameData.events)) {
+        // Scheduled tickers only fetch the game again shortly before throw-off
+        if (tickerState.startsAt && tickerState.teamNames) {
+            const startsAt = new Date(tickerState.startsAt);
+            return t(language, 'scoreboard.scheduled', {
+                home: tickerState.teamNames.home,
+                guest: tickerState.teamNames.guest,
+                date: formatDate(language, startsAt),
+                time: formatTime(language, startsAt)
+            });
+        }
+        return t(language, 'scoreboard.noData');
+    }
+
+    const { summary } = gameData;
+    const homeName = tickerState.teamNames ? tickerState.teamNames.home : summary.homeTeam.name;
+    const guestName = tickerState.teamNames ? tickerState.teamNames.guest : summary.awayTeam.name;
+
+    // API sends events newest-first
+    const events = gameData.events.slice().reverse();
+    const analysis = analyzeGame(events, summary);
+    if (analysis.phase === 'pre') {
+        const startsAt = new Date(summary.startsAt);
+        return t(language, 'scoreboard.notStarted', {
+            home: homeName,
+            guest: guestName,
+            date: formatDate(language, startsAt),
+            time: formatTime(language, startsAt)
+        });
+    }
+
+    const lastScoredEvent = gameData.events.find(ev => ev.score);
+    const [homeGoals, guestGoals] = summary.homeGoals !== undefined && summary.awayGoals !== undefined
+        ? [summary.homeGoals, summary.awayGoals]
+        : (lastScoredEvent ? lastScoredEvent.score.split('-') : [0, 0]);
+    const lastTimedEvent = gameData.events.find(ev => ev.time);
+
+    // The period is named after the last period event (e.g. 'halftime' -> "Halbzeitpause")
+    const lastPeriodEvent = [...events].reverse().find(ev => analysis.periodEvents[ev.id]);
+    let period = lastPeriodEvent ? t(language, `scoreboard.period.${analysis.periodEvents[lastPeriodEvent.id]}`) : '';
+    if (analysis.isFinished) {
+        period = t(language, 'scoreboard.period.gameEnd');
+        if (analysis.decision) period += ` (${t(language, `decision.${analysis.decision}`)})`;
+    }
+
+    return `${t(language, 'scoreboard.title')}\n` +
+           `${homeName}  *${homeGoals}:${guestGoals}*  ${guestName}\n` +
+           t(language, 'scoreboard.status', { time: lastTimedEvent ? lastTimedEvent.time : '00:00', period });
+}
+
+/**
+ * Formats the goals, 7m and suspensions of one player.
+ * @param {object} player - A player from the lineup.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - E.g. "• Max Mustermann (7): 3 Tore, 7m 1 von 2".
+ */
+function formatPlayerStats(player, language) {
+    const details = [t(language, player.goals === 1 ? 'scorers.goal' : 'stats.goals', { count: player.goals })];
+    const sevenMeterAttempts = player.penaltyGoals + player.penaltyMissed;
+    if (sevenMeterAttempts > 0) {
+        details.push(t(language, 'scorers.sevenMeters', { value: t(language, 'stats.ratio', { made: player.penaltyGoals, total: sevenMeterAttempts }) }));
+    }
+    if (player.penalties > 0) details.push(t(language, 'scorers.penalties', { count: player.penalties }));
+    const number = player.number !== undefined ? ` (${player.number})` : '';
+    return `• ${player.firstname} ${player.lastname}${number}: ${details.join(', ')}`;
+}
+
+/**
+ * Formats one team's players who scored, took a 7m or got a suspension, best scorers first.
+ * @param {Array} lineup - The lineup array of one team.
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - One line per player, or the 'nobody' text.
+ */
+function formatTeamScorers(lineup, language) {
+    const players = (lineup || [])
+        .filter(player => player.goals > 0 || player.penaltyGoals + player.penaltyMissed > 0 || player.penalties > 0)
+        .sort((a, b) => b.goals - a.goals || a.lastname.localeCompare(b.lastname));
+    if (players.length === 0) return t(language, 'stats.nobody');
+
+    return players.map(player => formatPlayerStats(player, language)).join('\n');
+}
+
+/**
+ * Formats the per-player goals, 7m and suspensions of both teams from the last fetched game data.
+ * @param {object} tickerState - The ticker state (uses `lastGameData` and `teamNames`).
+ * @param {string} language - The language code of the chat.
+ * @returns {string} - The scorers message.
+ */
+function formatScorers(tickerState, language) {
+    const gameData = tickerState.lastGameData;
+    if (!gameData || !gameData.lineup || !gameData.lineup.home || !gameData.lineup.away) {
+        return t(language, 'scoreboard.noData');
+    }
+    const teamNames = tickerState.teamNames || { home: gameData.summary.homeTeam.name, guest: gameData.summary.awayTeam.name };
+
+    return `${t(language, 'scorers.title')}\n` +
+           `*${teamNames.home}*\n${formatTeamScorers(gameData.lineup.home, language)}\n\n` +
+           `*${teamNames.guest}*\n${formatTeamScorers(gameData.lineup.away, language)}`;
+}
+
+module.exports = { findTopScorer, getStatsForPrompt, formatScoreboard, formatScorers, formatPlayerStats };
@@ -0,0 +1,178 @@
+// statusServer.js - Optional local HTTP server with a JSON status (/status) and Prometheus metrics (/metrics)
+const http = require('http');
+const { getPollingStatus } = require('./polling.js');
+const { getTransportState, renderMetrics } = require('./metrics.js');
+const { getOutboxStatus } = require('./outbox.js');
+
+// --- SHARED STATE (Initialized by app.js) ---
+let activeTickers, jobQueue;
+const startedAt = Date.now();
+
+/**
+ * Initializes the status server module with shared state variables from app.js.
+ * @param {Map} tickers - The map of active tickers (chatId -> ticker state).
+ * @param {Array} queue - The job queue.
+ */
+function initializeStatusServer(tickers, queue) {
+    activeTickers = tickers;
+    jobQueue = queue;
+}
+
+/**
+ * Returns the lifecycle state of a ticker.
+ * @param {object} tickerState - The ticker state.
+ * @returns {string} - 'replay', 'polling', 'scheduled', 'scheduling' or 'finished'.
+ */
+function getTickerLifecycle(tickerState) {
+    if (tickerState.isPolling) return tickerState.isReplay ? 'replay' : 'polling';
+    if (tickerState.isScheduled) return 'scheduled';
+    if (tickerState.isScheduling) return 'scheduling';
+    return 'finished';
+}
+
+/**
+ * Converts a millisecond timestamp to an ISO string (null if it isn't set or not finite).
+ * @param {number} timestamp - The timestamp in milliseconds.
+ * @returns {string|null} - The ISO string.
+ */
+function toIsoString(timestamp) {
+    return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Describes a ticker for the JSON status and the dashboard.
+ * @param {string} chatId - The WhatsApp chat ID.
+ * @param {object} tickerState - The ticker state.
+ * @returns {object} - The ticker's state, teams, timestamps and error counts.
+ */
+function describeTicker(chatId, tickerState) {
+    return {
+        chatId,
+        groupName: tickerState.groupName || null,
+        state: getTickerLifecycle(tickerState),
+        mode: tickerState.mode,
+        teams: tickerState.teamNames || null,
+        meetingPageUrl: tickerState.meetingPageUrl,
+        startsAt: tickerState.startsAt || null,
+        lastUpdatedAt: tickerState.lastUpdatedAt || null,
+        lastPolledAt: toIsoString(tickerState.lastPolledAt),
+        nextPollAt: tickerState.isPolling && !tickerState.isReplay ? toIsoString(tickerState.nextPollAt) : null,
+        pollIntervalSeconds: tickerState.pollInterval ? tickerState.pollInterval / 1000 : null,
+        consecutiveErrors: tickerState.consecutiveErrors || 0,
+        errorCount: tickerState.errorCount || 0
+    };
+}
+
+/**
+ * Builds the JSON status of the bot: transport, worker pool, job queue, outbox and all tickers.
+ * @returns {object} - The status object served at /status.
+ */
+function getStatus() {
+    const pollingStatus = getPollingStatus();
+    const transport = getTransportState();
+    return {
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        transport: {
+            name: transport.name,
+            connected: transport.isConnected,
+            connectedSince: toIsoString(transport.connectedSince)
+        },
+        workers: { active: pollingStatus.activeWorkers, max: pollingStatus.maxWorkers },
+        requests: { lastMinute: pollingStatus.requestsLastMinute, budgetPerMinute: pollingStatus.requestBudget },
+        jobQueue: {
+            length: jobQueue.length,
+            jobs: jobQueue.map(job => ({ type: job.type, chatId: job.chatId }))
+        },
+        outbox: getOutboxStatus(),
+        tickers: [...activeTickers.entries()].map(([chatId, tickerState]) => describeTicker(chatId, tickerState))
+    };
+}
+
+/**
+ * Builds the Prometheus metrics: the counters from metrics.js plus gauges of the current state.
+ * `liveticker_ticker_last_poll_timestamp_seconds` allows alerting on tickers that silently stop polling.
+ * @returns {string} - The response body for /metrics.
+ */
+function getMetricsText() {
+    const status = getStatus();
+    const tickerCounts = {};
+    for (const ticker of status.tickers) {
+        tickerCounts[ticker.state] = (tickerCounts[ticker.state] || 0) + 1;
+    }
+    const pollingTickers = status.tickers.filter(ticker => ticker.state === 'polling');
+
+    return renderMetrics([
+        {
+            name: 'liveticker_job_queue_length', help: 'Jobs waiting for a worker.', type: 'gauge',
+            samples: [{ value: status.jobQueue.length }]
+        },
+        {
+            name: 'liveticker_active_workers', help: 'Workers currently fetching game data.', type: 'gauge',
+            samples: [{ value: status.workers.active }]
+        },
+        {
+            name: 'liveticker_requests_last_minute', help: 'Feed requests started in the last minute.', type: 'gauge',
+            samples: [{ value: status.requests.lastMinute }]
+        },
+        {
+            name: 'liveticker_outbox_messages', help: 'Messages waiting to be sent.', type: 'gauge',
+            samples: [{ value: status.outbox.pending }]
+        },
+        {
+            name: 'liveticker_outbox_retrying_messages', help: 'Waiting messages that failed to send at least once.', type: 'gauge',
+            samples: [{ value: status.outbox.retrying }]
+        },
+        {
+            name: 'liveticker_tickers', help: 'Tickers by state.', type: 'gauge',
+            samples: Object.entries(tickerCounts).map(([state, value]) => ({ labels: { state }, value }))
+        },
+        {
+            name: 'liveticker_ticker_last_poll_timestamp_seconds', help: 'Time of the last successful poll of a running ticker.', type: 'gauge',
+            samples: pollingTickers.map(ticker => ({
+                labels: { chat_id: ticker.chatId },
+                value: ticker.lastPolledAt ? Math.round(new Date(ticker.lastPolledAt).getTime() / 1000) : 0
+            }))
+        },
+        {
+            name: 'liveticker_ticker_consecutive_errors', help: 'Failed polls in a row of a running ticker.', type: 'gauge',
+            samples: pollingTickers.map(ticker => ({ labels: { chat_id: ticker.chatId }, value: ticker.consecutiveErrors }))
+        }
+    ]);
+}
+
+/**
+ * Starts the HTTP server.
+ * @param {number} port - The port (0 picks a free one).
+ * @param {string} [host='127.0.0.1'] - The interface to listen on; local only by default.
+ * @returns {Promise<http.Server>} - The listening server.
+ */
+function startStatusServer(port, host = '127.0.0.1') {
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'text/plain' });
+            res.end('Method Not Allowed');
+        } else if (pathname === '/status') {
+            res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify(getStatus(), null, 2));
+        } else if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(getMetricsText());
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            server.on('error', error => console.error('Fehler im Status-Server:', error.message));
+            console.log(`Status-Server läuft auf http://${host}:${server.address().port} (/status, /metrics).`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = { initializeStatusServer, describeTicker, getStatus, getMetricsText, startStatusServer };
@@ -0,0 +1,287 @@
+// store.js
+
+const fs = require('fs');
+
+// --- STORE STATE (Initialized by app.js) ---
+let storeFilePath = null;
+let data = null;
+// The game archive grows with every finished game, so it has its own file instead of being
+// rewritten with every ticker or outbox change. Without openArchive it's only kept in memory.
+let archiveFilePath = null;
+let archive = { version: 1, games: {} };
+
+const STORE_VERSION = 1;
+
+// Ticker state fields that survive a restart. Timers, intervals and replays are runtime-only.
+// The last fetched game data is too large to rewrite on every save; it's fetched again on demand.
+const PERSISTED_TICKER_FIELDS = [
+    'meetingPageUrl', 'groupName', 'mode', 'language', 'teamNames', 'startsAt', 'startTime', 'lastUpdatedAt',
+    'recapEvents', 'fingerprints', 'isPolling', 'isScheduled', 'isScheduling', 'finishedAt', 'halftimeTalk'
+];
+
+/**
+ * Reads a legacy JSON file, returning `fallback` if it doesn't exist or is invalid.
+ * @param {string} filePath - The path to the legacy file.
+ * @param {*} fallback - The value to return on error.
+ * @returns {*} - The parsed file content or `fallback`.
+ */
+function readLegacyFile(filePath, fallback) {
+    if (!filePath || !fs.existsSync(filePath)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        console.error(`Alte Datei ${filePath} konnte nicht gelesen werden:`, e.message);
+        return fallback;
+    }
+}
+
+/**
+ * Schema migrations, applied in order to bring an older store up to `STORE_VERSION`.
+ * Each migration receives the store data and the legacy file paths and returns the migrated data.
+ */
+const MIGRATIONS = [
+    {
+        // v0 -> v1: Import the separate seen_tickers.json, scheduled_tickers.json and followed_teams.json files
+        version: 1,
+        migrate: (oldData, legacyFiles) => {
+            const tickers = {};
+            const seenTickers = readLegacyFile(legacyFiles.seenFile, {});
+            const scheduledTickers = readLegacyFile(legacyFiles.scheduleFile, {});
+
+            for (const [chatId, seenArray] of Object.entries(seenTickers)) {
+                tickers[chatId] = { seen: seenArray };
+            }
+            for (const [chatId, scheduleData] of Object.entries(scheduledTickers)) {
+                tickers[chatId] = {
+                    ...tickers[chatId],
+                    seen: (tickers[chatId] && tickers[chatId].seen) || [],
+                    meetingPageUrl: scheduleData.meetingPageUrl,
+                    groupName: scheduleData.groupName,
+                    mode: scheduleData.mode,
+                    startsAt: scheduleData.startsAt,
+                    startTime: scheduleData.startTime,
+                    isScheduled: true
+                };
+            }
+
+            return {
+                ...oldData,
+                tickers,
+                followedTeams: readLegacyFile(legacyFiles.followFile, {})
+            };
+        }
+    }
+];
+
+/**
+ * Writes a JSON file atomically: the content goes to a temporary file first, which
+ * then replaces the file. A crash mid-write never leaves a half-written file behind.
+ * @param {string} filePath - The path of the file.
+ * @param {object} content - The JSON-compatible content.
+ */
+function writeFileAtomically(filePath, content) {
+    const tmpPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(content, null, 2), null, 'utf8');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Writes the store to disk atomically.
+ */
+function persist() {
+    try {
+        writeFileAtomically(storeFilePath, data);
+    } catch (e) {
+        console.error('Fehler beim Speichern des Ticker-Zustands:', e);
+    }
+}
+
+/**
+ * Opens the state store, migrating it (and any legacy files) to the current schema version.
+ * Must be called once before any other store function.
+ * @param {string} filePath - The path to the 'ticker_state.json' file.
+ * @param {object} [legacyFiles] - Paths of the pre-store files to import ({ seenFile, scheduleFile, followFile }).
+ */
+function openStore(filePath, legacyFiles = {}) {
+    storeFilePath = filePath;
+    data = { version: 0 };
+
+    if (fs.existsSync(storeFilePath)) {
+        try {
+            data = JSON.parse(fs.readFileSync(storeFilePath, 'utf8'));
+        } catch (e) {
+            // Keep the broken file for inspection instead of silently overwriting it
+            const corruptPath = `${storeFilePath}.corrupt-${Date.now()}`;
+            fs.renameSync(storeFilePath, corruptPath);
+            console.error(`Ticker-Zustand konnte nicht gelesen werden, verschoben nach ${corruptPath}. Starte frisch.`);
+            data = { version: 0 };
+        }
+    }
+
+    if (data.version > STORE_VERSION) {
+        throw new Error(`Ticker-Zustand hat Version ${data.version}, unterstützt wird nur bis Version ${STORE_VERSION}.`);
+    }
+
+    const pendingMigrations = MIGRATIONS.filter(migration => migration.version > data.version);
+    for (const migration of pendingMigrations) {
+        data = migration.migrate(data, legacyFiles);
+        data.version = migration.version;
+        console.log(`Ticker-Zustand auf Version ${migration.version} migriert.`);
+    }
+    if (pendingMigrations.length > 0) {
+        persist();
+    }
+}
+
+/**
+ * Opens the game archive (see archive.js). A broken archive file is kept for inspection.
+ * @param {string} filePath - The path to the 'ticker_archive.json' file.
+ */
+function openArchive(filePath) {
+    archiveFilePath = filePath;
+    archive = { version: 1, games: {} };
+    if (!fs.existsSync(archiveFilePath)) return;
+
+    try {
+        archive = JSON.parse(fs.readFileSync(archiveFilePath, 'utf8'));
+    } catch (e) {
+        const corruptPath = `${archiveFilePath}.corrupt-${Date.now()}`;
+        fs.renameSync(archiveFilePath, corruptPath);
+        console.error(`Spielarchiv konnte nicht gelesen werden, verschoben nach ${corruptPath}. Starte mit leerem Archiv.`);
+    }
+}
+
+/**
+ * Converts a ticker state into its persisted form.
+ * @param {object} tickerState - The in-memory ticker state.
+ * @returns {object} - A JSON-compatible copy of the persisted fields.
+ */
+function serializeTicker(tickerState) {
+    const saved = { seen: [...(tickerState.seen || [])] };
+    for (const field of PERSISTED_TICKER_FIELDS) {
+        if (tickerState[field] !== undefined) saved[field] = tickerState[field];
+    }
+    return saved;
+}
+
+/**
+ * Saves the complete state of all tickers. Replays are not persisted.
+ * @param {Map} activeTickers - The map storing active ticker states.
+ */
+function saveTickers(activeTickers) {
+    const tickers = {};
+    for (const [chatId, tickerState] of activeTickers.entries()) {
+        if (tickerState.isReplay) continue;
+        tickers[chatId] = serializeTicker(tickerState);
+    }
+    data.tickers = tickers;
+    persist();
+}
+
+/**
+ * Loads all persisted tickers.
+ * @returns {object} - An object mapping chatId to ticker state (with `seen` as a Set).
+ */
+function loadTickers() {
+    const tickers = {};
+    for (const [chatId, saved] of Object.entries(data.tickers || {})) {
+        tickers[chatId] = { ...saved, seen: new Set(saved.seen || []), recapEvents: saved.recapEvents || [] };
+    }
+    return tickers;
+}
+
+/**
+ * Loads the followed teams (per chat).
+ * @returns {object} - An object mapping chatId to follow details.
+ */
+function loadFollowedTeams() {
+    return JSON.parse(JSON.stringify(data.followedTeams || {}));
+}
+
+/**
+ * Saves the followed teams (per chat).
+ * @param {object} followedTeams - An object mapping chatId to follow details.
+ */
+function saveFollowedTeams(followedTeams) {
+    data.followedTeams = followedTeams;
+    persist();
+}
+
+/**
+ * Loads the settings of all groups (per chat). Only values that differ from the defaults are stored.
+ * @returns {object} - An object mapping chatId to its settings.
+ */
+function loadGroupSettings() {
+    return JSON.parse(JSON.stringify(data.groupSettings || {}));
+}
+
+/**
+ * Saves the settings of all groups (per chat).
+ * @param {object} groupSettings - An object mapping chatId to its settings.
+ */
+function saveGroupSettings(groupSettings) {
+    data.groupSettings = groupSettings;
+    persist();
+}
+
+/**
+ * Loads the messages that were queued but not sent yet (see outbox.js).
+ * @returns {Array<object>} - The pending messages, oldest first.
+ */
+function loadOutbox() {
+    return JSON.parse(JSON.stringify(data.outbox || []));
+}
+
+/**
+ * Saves the messages that were queued but not sent yet.
+ * @param {Array<object>} pendingMessages - The pending messages, oldest first.
+ */
+function saveOutbox(pendingMessages) {
+    data.outbox = pendingMessages;
+    persist();
+}
+
+/**
+ * Loads the archived games of a chat.
+ * @param {string} chatId - The chat ID.
+ * @returns {Array<object>} - The archived games, oldest first.
+ */
+function loadArchivedGames(chatId) {
+    return JSON.parse(JSON.stringify(archive.games[chatId] || []));
+}
+
+/**
+ * Saves the archived games of a chat.
+ * @param {string} chatId - The chat ID.
+ * @param {Array<object>} games - The archived games, oldest first.
+ */
+function saveArchivedGames(chatId, games) {
+    archive.games[chatId] = games;
+    if (!archiveFilePath) return;
+    try {
+        writeFileAtomically(archiveFilePath, archive);
+    } catch (e) {
+        console.error('Fehler beim Speichern des Spielarchivs:', e);
+    }
+}
+
+module.exports = {
+    openStore,
+    openArchive,
+    saveTickers,
+    loadTickers,
+    loadFollowedTeams,
+    saveFollowedTeams,
+    loadGroupSettings,
+    saveGroupSettings,
+    loadOutbox,
+    saveOutbox,
+    loadArchivedGames,
+    saveArchivedGames
+};
@@ -0,0 +1,130 @@
+// test/ai.test.js
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createAiProvider } = require('../aiProviders/index.js');
+const { analyzeGame } = require('../gamePhase.js');
+
+const GAME_DIR = path.join(__dirname, 'fixtures', 'recordings', 'games', 'handball4all.hamburg.8123456');
+const game = JSON.parse(fs.readFileSync(path.join(GAME_DIR, '007.json'), 'utf8')).data;
+const events = game.events.slice().reverse();
+const analysis = analyzeGame(events, game.summary);
+const teamNames = { home: 'HSV Hamburg', guest: 'TuS Esingen' };
+
+describe('AI providers', () => {
+    let ai;
+
+    beforeEach(() => {
+        for (const method of ['log', 'warn', 'error']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        delete process.env.GEMINI_API_KEY;
+        jest.resetModules();
+        ai = require('../ai.js');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * Creates a provider that fails the way a broken backend would.
+     * @param {Function} generateText - The implementation of generateText.
+     * @returns {object} - The AI provider.
+     */
+    const brokenProvider = generateText => ({ name: 'broken', isAi: true, isAvailable: () => true, generateText });
+
+    test('writes a summary from the stats when no AI is configured', async () => {
+        ai.initializeAi([createAiProvider('gemini'), createAiProvider('template')]);
+        const summary = await ai.generateGameSummary(events, teamNames, 'HSV Fans', game.lineup, analysis, 'de');
+        expect(summary).toBe('📝 *Spielbericht:*\n\n' +
+            '*HSV Hamburg gewinnt mit 5:3 gegen TuS Esingen*\n' +
+            'Zur Halbzeit stand es 3:1. Die höchste Führung hatte HSV Hamburg mit 2 Toren. ' +
+            'Beste Werfer: Max Mustermann (3 Tore) bei HSV Hamburg, Jan Beispiel (2 Tore) bei TuS Esingen. ' +
+            'Zeitstrafen: 0 für HSV Hamburg, 1 für TuS Esingen.');
+    });
+
+    test('falls back to the next provider when one fails or times out', async () => {
+        ai.initializeAi([
+            brokenProvider(async () => { throw new Error('Request failed with status code 503'); }),
+            brokenProvider(() => new Promise(() => {})),
+            createAiProvider('template')
+        ], 50);
+
+        const talk = await ai.generateHalftimeTalk(events.slice(0, 9), teamNames, 'HSV Fans', game.lineup, analysis, ['21:45 🎩 Hattrick für Max Mustermann!'], 'en');
+        expect(talk).toEqual({
+            title: '📝 *At halftime:*',
+            text: 'HSV Hamburg lead 3:1 at the break. Key moments: 21:45 🎩 Hattrick für Max Mustermann!. ' +
+                'Top scorers: Max Mustermann (3 goals) for HSV Hamburg, Jan Beispiel (2 goals) for TuS Esingen. ' +
+                'Now it all comes down to the second half!',
+            isAi: false
+        });
+        expect(console.error).toHaveBeenCalledWith('Fehler beim KI-Anbieter "broken":', 'Request failed with status code 503');
+        expect(console.error).toHaveBeenCalledWith('Fehler beim KI-Anbieter "broken":', 'Zeitüberschreitung nach 50 ms');
+    });
+
+    test('talks to an OpenAI-compatible endpoint such as a local model server', async () => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: ' *Ein Krimi bis zum Schluss!* ' } }] }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const local = createAiProvider('openai', { baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, model: 'llama3.1' });
+            ai.initializeAi([local, createAiProvider('template')]);
+            const summary = await ai.generateGameSummary(events, teamNames, 'HSV Fans', game.lineup, analysis, 'de', 'Hinten dicht machen!');
+
+            expect(summary).toBe('🤖 *KI-Analyse zum Spiel:*\n\n*Ein Krimi bis zum Schluss!*');
+            expect(requests).toHaveLength(1);
+            expect(requests[0].url).toBe('/v1/chat/completions');
+            expect(requests[0].headers.authorization).toBeUndefined();
+            expect(requests[0].body.model).toBe('llama3.1');
+            expect(requests[0].body.messages[0].content).toContain('- Endstand: 5:3');
+            expect(requests[0].body.messages[0].content).toContain('- Deine Halbzeitansprache: "Hinten dicht machen!"');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('builds the prompt from the group\'s persona', async () => {
+        const prompts = [];
+        ai.initializeAi([brokenProvider(async ({ prompt }) => { prompts.push(prompt); return 'Text'; })]);
+        const persona = {
+            favoriteTeam: 'TuS Esingen',
+            tone: 'neutral',
+            length: 'medium',
+            playerJokes: [{ player: 'jan beispiel', joke: 'trifft nur sonntags' }, { player: 'Otto Normal', joke: 'war nicht dabei' }]
+        };
+        await ai.generateGameSummary(events, teamNames, 'HSV Fans', game.lineup, analysis, 'de', null, persona);
+        await ai.generateHalftimeTalk(events.slice(0, 9), teamNames, 'HSV Fans', game.lineup, analysis, [], 'de', persona);
+
+        for (const prompt of prompts) {
+            expect(prompt).toContain('"HSV Fans" und hält zu TuS Esingen');
+            expect(prompt).toContain('verzichte auf Spott');
+            expect(prompt).toContain('- jan beispiel: trifft nur sonntags');
+            expect(prompt).not.toContain('Otto Normal');
+            expect(prompt).not.toContain('Analysiere diesen Namen');
+        }
+        expect(prompts[0]).toContain('Zusammenfassung (ca. 5-7 Sätze)');
+
+        // Without a persona the group name decides, with the sarcastic default and no player names
+        await ai.generateGameSummary(events, teamNames, 'HSV Fans', game.lineup, analysis, 'de');
+        expect(prompts[2]).toContain('Analysiere diesen Namen');
+        expect(prompts[2]).toContain('roaste');
+        expect(prompts[2]).not.toContain('Insider');
+        expect(prompts[2]).not.toContain('Langschwert');
+    });
+
+    test('skips the summary if no provider is available', async () => {
+        ai.initializeAi([createAiProvider('gemini'), createAiProvider('openai')]);
+        expect(await ai.generateGameSummary(events, teamNames, 'HSV Fans', game.lineup, analysis, 'de')).toBe('');
+        expect(await ai.generateHalftimeTalk(events, teamNames, 'HSV Fans', game.lineup, analysis, [], 'de')).toBeNull();
+    });
+});
@@ -0,0 +1,113 @@
+// test/archive.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GAME_DIR = path.join(__dirname, 'fixtures', 'recordings', 'games', 'handball4all.hamburg.8123456');
+const CHAT_ID = '12345@g.us';
+
+const finishedGame = JSON.parse(fs.readFileSync(path.join(GAME_DIR, '007.json'), 'utf8')).data;
+const player = (firstname, lastname, stats) => ({ firstname, lastname, goals: 0, penaltyGoals: 0, penaltyMissed: 0, penalties: 0, ...stats });
+// A week later, away at a third team
+const awayGame = {
+    summary: {
+        id: 'handball4all.hamburg.8123460',
+        startsAt: '2025-03-08T17:00:00Z',
+        homeTeam: { id: 'handball4all.hamburg.1309003', name: 'SG Nord' },
+        awayTeam: { id: 'handball4all.hamburg.1309001', name: 'HSV Hamburg' }
+    },
+    events: [],
+    lineup: {
+        home: [player('Tom', 'Gegner', { goals: 7 })],
+        away: [
+            player('Max', 'Mustermann', { goals: 4, penaltyGoals: 2, penaltyMissed: 1, penalties: 1 }),
+            player('Lars', 'Probe', { penaltyMissed: 1 }),
+            player('Nils', 'Neu', { goals: 3 })
+        ]
+    }
+};
+
+describe('season archive', () => {
+    let archive, store, tmpDir;
+
+    const openFiles = () => {
+        jest.resetModules();
+        store = require('../store.js');
+        store.openStore(path.join(tmpDir, 'ticker_state.json'));
+        store.openArchive(path.join(tmpDir, 'ticker_archive.json'));
+        archive = require('../archive.js');
+    };
+    const archiveFinishedGame = () => archive.archiveGame(CHAT_ID, { meetingPageUrl: 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker' },
+        finishedGame, finishedGame.events.slice().reverse(), { finalScore: '5-3', halftimeScore: '3-1', decision: null });
+    const archiveAwayGame = () => archive.archiveGame(CHAT_ID, {}, awayGame, [], { finalScore: '7-7', halftimeScore: '3-3', decision: null });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-archive-'));
+        openFiles();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('keeps finished games with events and lineup across restarts', () => {
+        archiveFinishedGame();
+        archiveAwayGame();
+        // Archiving a game again replaces it
+        archiveFinishedGame();
+
+        openFiles();
+        const games = store.loadArchivedGames(CHAT_ID);
+        expect(games.map(game => game.gameId)).toEqual(['handball4all.hamburg.8123456', 'handball4all.hamburg.8123460']);
+        expect(games[0]).toMatchObject({ finalScore: '5-3', homeTeam: { id: 'handball4all.hamburg.1309001', name: 'HSV Hamburg' } });
+        expect(games[0].events).toHaveLength(16);
+        expect(games[0].lineup.home[0]).toMatchObject({ lastname: 'Mustermann', goals: 3 });
+    });
+
+    test('!saison adds up the record and the player stats of the group\'s team', () => {
+        archiveFinishedGame();
+        archiveAwayGame();
+
+        expect(archive.formatSeason(CHAT_ID, null, 'de')).toBe(
+            '📅 *Saison 2024/25 · HSV Hamburg*\n' +
+            'Spiele: 2 · Siege: 1 · Unentschieden: 1 · Niederlagen: 0\n' +
+            'Tore: 12:10\n\n' +
+            '*Spieler:*\n' +
+            '• Max Mustermann: 7 Tore, 2 Spiele, 7m 2 von 3 (67 %), 1× 2 Min.\n' +
+            '• Nils Neu: 3 Tore, 1 Spiel\n' +
+            '• Lars Probe: 1 Tor, 2 Spiele, 7m 1 von 2 (50 %)\n' +
+            '• Ole Petersen: 1 Tor, 1 Spiel'
+        );
+        expect(archive.formatSeason(CHAT_ID, '2023/24', 'de')).toBe('Aus der Saison 2023/24 wurden keine Spiele archiviert.');
+        expect(archive.formatSeason(CHAT_ID, 'letzte', 'de')).toContain('z.B. als 2024/25');
+    });
+
+    test('!spieler shows the season totals of one player', () => {
+        archiveFinishedGame();
+        archiveAwayGame();
+
+        expect(archive.formatPlayerSeason(CHAT_ID, 'mustermann', 'de')).toBe(
+            '👤 *Max Mustermann* (HSV Hamburg) · Saison 2024/25\n' +
+            'Spiele: 2\n' +
+            'Tore: 7 (3,5 pro Spiel)\n' +
+            '7-Meter: 2 von 3 (67 %)\n' +
+            'Zeitstrafen: 1'
+        );
+        expect(archive.formatPlayerSeason(CHAT_ID, 'Nils Neu', 'en')).toContain('Goals: 3 (3 per game)');
+        expect(archive.formatPlayerSeason(CHAT_ID, 'er', 'de')).toBe('Mehrere Spieler passen zu "er": Max Mustermann, Ole Petersen. Bitte geben Sie den Namen genauer an.');
+        // Players of the opponents don't count
+        expect(archive.formatPlayerSeason(CHAT_ID, 'Beispiel', 'de')).toBe('In der Saison 2024/25 gibt es keinen Spieler "Beispiel".');
+    });
+
+    test('asks for the favourite team if the own team is unclear', () => {
+        expect(archive.formatSeason(CHAT_ID, null, 'de')).toBe('Für diese Gruppe wurden noch keine beendeten Spiele archiviert.');
+
+        archiveFinishedGame();
+        expect(archive.formatSeason(CHAT_ID, null, 'de')).toContain('!config lieblingsteam <Team>');
+
+        require('../settings.js').setGroupSetting(CHAT_ID, 'lieblingsteam', 'tus esingen');
+        expect(archive.formatSeason(CHAT_ID, null, 'de')).toMatch(/^📅 \*Saison 2024\/25 · TuS Esingen\*\nSpiele: 1 · Siege: 0 · Unentschieden: 0 · Niederlagen: 1\nTore: 3:5/);
+    });
+});
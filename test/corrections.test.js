@@ -0,0 +1,156 @@
+// test/corrections.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+const { getEventFingerprint, findCorrections, formatCorrectionMessage } = require('../corrections.js');
+
+const SECOND = 1000;
+
+const goal = (id, time, score, team, message) => ({ id, type: 'Goal', time, score, team, message });
+
+describe('findCorrections', () => {
+    const first = goal('evt-1', '02:10', '1-0', 'Home', 'Tor durch Max Mustermann (7.)');
+    const second = goal('evt-2', '04:40', '2-0', 'Home', 'Tor durch Tim Test (11.)');
+    const fingerprints = { 'evt-1': getEventFingerprint(first), 'evt-2': getEventFingerprint(second) };
+
+    test('finds nothing when the feed is unchanged', () => {
+        expect(findCorrections(fingerprints, [second, first])).toEqual({ changed: [], removed: [] });
+    });
+
+    test('detects a changed scorer and a deleted goal', () => {
+        const fixed = { ...first, message: 'Tor durch Tim Test (11.)' };
+        const { changed, removed } = findCorrections(fingerprints, [fixed]);
+
+        expect(changed).toEqual([{ id: 'evt-1', before: fingerprints['evt-1'], after: getEventFingerprint(fixed) }]);
+        expect(removed).toEqual([{ id: 'evt-2', before: fingerprints['evt-2'] }]);
+    });
+
+    test('ignores an empty event list', () => {
+        expect(findCorrections(fingerprints, [])).toEqual({ changed: [], removed: [] });
+    });
+
+    test('matches numeric event IDs', () => {
+        const numeric = { ...first, id: 1 };
+        expect(findCorrections({ 1: getEventFingerprint(numeric) }, [numeric])).toEqual({ changed: [], removed: [] });
+    });
+});
+
+describe('formatCorrectionMessage', () => {
+    const tickerState = { teamNames: { home: 'HSV Hamburg', guest: 'TuS Esingen' } };
+
+    test('shows before and after and the corrected score', () => {
+        const before = getEventFingerprint(goal('evt-2', '04:40', '2-0', 'Home', 'Tor durch Tim Test (11.)'));
+        const current = [goal('evt-1', '02:10', '1-0', 'Home', 'Tor durch Max Mustermann (7.)')];
+        const message = formatCorrectionMessage({ changed: [], removed: [{ id: 'evt-2', before }] }, current, tickerState);
+
+        expect(message).toContain('✏️ *Korrektur* (04:40)');
+        expect(message).toContain('Gestrichen: 🤾‍♀️ Tor durch Tim Test (11.) | 2:0');
+        expect(message).toContain('HSV Hamburg  *1:0* TuS Esingen');
+    });
+
+    test('leaves out the score when only the scorer changed', () => {
+        const before = getEventFingerprint(goal('evt-1', '02:10', '1-0', 'Home', 'Tor durch Max Mustermann (7.)'));
+        const after = { ...before, message: 'Tor durch Tim Test (11.)' };
+        const message = formatCorrectionMessage({ changed: [{ id: 'evt-1', before, after }], removed: [] }, [], tickerState);
+
+        expect(message).toContain('Vorher: 🤾‍♀️ Tor durch Max Mustermann (7.) | 1:0');
+        expect(message).toContain('Jetzt: 🤾‍♀️ Tor durch Tim Test (11.) | 1:0');
+        expect(message).not.toContain('Spielstand');
+    });
+});
+
+describe('corrections while polling', () => {
+    let polling, activeTickers, transport, tmpDir, intervals, fetchGameData;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T17:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        polling = require('../polling.js');
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-corrections-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+
+        activeTickers = new Map();
+        transport = createFakeTransport();
+        fetchGameData = jest.fn();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, [], { name: 'mock', fetchGameData });
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const feed = (updatedAt, ...events) => ({
+        summary: { updatedAt, homeTeam: { name: 'H' }, awayTeam: { name: 'G' } },
+        events
+    });
+
+    const startTicker = mode => {
+        activeTickers.set('chat', {
+            seen: new Set(), mode, meetingPageUrl: 'https://www.handball.net/spiele/game',
+            teamNames: { home: 'H', guest: 'G' }, recapEvents: []
+        });
+        polling.beginActualPolling('chat');
+    };
+
+    test('announces a corrected scorer and a deleted goal with the corrected score', async () => {
+        const first = goal('evt-1', '02:10', '1-0', 'Home', 'Tor durch Max Mustermann (7.)');
+        const phantom = goal('evt-2', '04:40', '2-0', 'Home', 'Tor durch Tim Test (11.)');
+        fetchGameData.mockResolvedValue(feed('1', phantom, first));
+        startTicker('live');
+        await jest.advanceTimersByTimeAsync(5 * SECOND);
+
+        fetchGameData.mockResolvedValue(feed('2', { ...first, message: 'Tor durch Tim Test (11.)' }));
+        await jest.advanceTimersByTimeAsync(25 * SECOND);
+
+        const corrections = transport.textsFor('chat').filter(text => text.includes('Korrektur'));
+        expect(corrections).toHaveLength(1);
+        expect(corrections[0]).toContain('Jetzt: 🤾‍♀️ Tor durch Tim Test (11.) | 1:0');
+        expect(corrections[0]).toContain('Gestrichen: 🤾‍♀️ Tor durch Tim Test (11.) | 2:0');
+        expect(corrections[0]).toContain('H  *1:0* G');
+        expect([...activeTickers.get('chat').seen]).toEqual(['evt-1']);
+    });
+
+    test('never announces corrections of ignored events, which the group never saw', async () => {
+        require('../settings.js').setGroupSetting('chat', 'ignorieren', 'Timeout');
+        const first = goal('evt-1', '02:10', '1-0', 'Home', 'Tor durch Max Mustermann (7.)');
+        const timeout = { id: 'evt-2', type: 'Timeout', time: '03:00', score: '1-0', message: 'Auszeit H' };
+        fetchGameData.mockResolvedValue(feed('1', timeout, first));
+        startTicker('live');
+        await jest.advanceTimersByTimeAsync(5 * SECOND);
+        expect(transport.textsFor('chat').some(text => text.includes('Auszeit'))).toBe(false);
+
+        // The timeout is first moved, then deleted
+        fetchGameData.mockResolvedValue(feed('2', { ...timeout, time: '03:30' }, first));
+        await jest.advanceTimersByTimeAsync(15 * SECOND);
+        fetchGameData.mockResolvedValue(feed('3', first));
+        await jest.advanceTimersByTimeAsync(15 * SECOND);
+
+        expect(fetchGameData.mock.calls.length).toBeGreaterThanOrEqual(3);
+        expect(transport.textsFor('chat').some(text => text.includes('Korrektur'))).toBe(false);
+    });
+
+    test('fixes buffered recap events silently', async () => {
+        const first = goal('evt-1', '02:10', '1-0', 'Home', 'Tor durch Max Mustermann (7.)');
+        fetchGameData.mockResolvedValue(feed('1', first));
+        startTicker('recap');
+        await jest.advanceTimersByTimeAsync(5 * SECOND);
+
+        fetchGameData.mockResolvedValue(feed('2', { ...first, message: 'Tor durch Tim Test (11.)' }));
+        await jest.advanceTimersByTimeAsync(25 * SECOND);
+
+        expect(transport.textsFor('chat').some(text => text.includes('Korrektur'))).toBe(false);
+        expect(activeTickers.get('chat').recapEvents[0].message).toBe('Tor durch Tim Test (11.)');
+    });
+});
@@ -0,0 +1,125 @@
+// test/dashboard.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+const GAME_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker';
+const CREDENTIALS = { user: 'medien', password: 'geheim' };
+const AUTH_HEADER = { Authorization: `Basic ${Buffer.from('medien:geheim').toString('base64')}` };
+
+describe('web dashboard', () => {
+    let polling, dashboard, activeTickers, jobQueue, transport, tmpDir, server, baseUrl;
+
+    beforeEach(async () => {
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-dashboard-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        polling = require('../polling.js');
+        dashboard = require('../dashboard.js');
+
+        activeTickers = new Map();
+        jobQueue = [];
+        transport = createFakeTransport();
+        transport.getGroups = async () => [{ chatId: 'b@g.us', name: 'TuS Esingen Fans' }, { chatId: 'a@g.us', name: 'HSV Fans' }];
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, jobQueue, { name: 'mock', fetchGameData: jest.fn() });
+        require('../statusServer.js').initializeStatusServer(activeTickers, jobQueue);
+        dashboard.initializeDashboard(activeTickers, transport);
+
+        server = await dashboard.startDashboard(0, '127.0.0.1', CREDENTIALS);
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        activeTickers.forEach(polling.clearTickerTimers);
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Calls the dashboard API with valid credentials.
+     * @param {string} urlPath - The path, e.g. '/api/groups'.
+     * @param {object} [body] - A JSON body; makes the request a POST.
+     * @returns {Promise<Array>} - [HTTP status, parsed response body].
+     */
+    const call = async (urlPath, body) => {
+        const res = await fetch(baseUrl + urlPath, body === undefined
+            ? { headers: AUTH_HEADER }
+            : { method: 'POST', headers: { ...AUTH_HEADER, 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return [res.status, await res.json()];
+    };
+
+    test('requires a login', async () => {
+        expect((await fetch(`${baseUrl}/`)).status).toBe(401);
+        const wrong = await fetch(`${baseUrl}/api/groups`, { headers: { Authorization: `Basic ${Buffer.from('medien:falsch').toString('base64')}` } });
+        expect(wrong.status).toBe(401);
+
+        const page = await fetch(`${baseUrl}/`, { headers: AUTH_HEADER });
+        expect(await page.text()).toContain('<title>Liveticker-Dashboard</title>');
+    });
+
+    test('schedules and stops tickers and shows what was sent', async () => {
+        const [, groups] = await call('/api/groups');
+        expect(groups).toEqual([
+            { chatId: 'a@g.us', name: 'HSV Fans', ticker: null },
+            { chatId: 'b@g.us', name: 'TuS Esingen Fans', ticker: null }
+        ]);
+
+        expect(await call('/api/groups/a%40g.us/start', { url: 'kein link' })).toEqual([400, { error: 'Die angegebene URL ist ungültig.' }]);
+        expect(await call('/api/groups/a%40g.us/start', { url: GAME_URL, mode: 'recap' })).toEqual([202, { ok: true }]);
+        expect(activeTickers.get('a@g.us')).toMatchObject({ isScheduling: true, mode: 'recap', groupName: 'HSV Fans' });
+        expect(jobQueue).toMatchObject([{ type: 'schedule', chatId: 'a@g.us' }]);
+        expect((await call('/api/groups/a%40g.us/start', { url: GAME_URL }))[0]).toBe(409);
+
+        const [, afterStart] = await call('/api/groups');
+        expect(afterStart[0].ticker).toMatchObject({ state: 'scheduling', mode: 'recap' });
+
+        expect(await call('/api/groups/a%40g.us/stop', {})).toEqual([200, { ok: true }]);
+        expect(activeTickers.get('a@g.us').isScheduling).toBe(false);
+        expect(await call('/api/groups/a%40g.us/stop', {})).toEqual([409, { error: 'In dieser Gruppe läuft kein Ticker.' }]);
+
+        // The outbox spaces out messages, so the stop message follows a moment later
+        let messages = [];
+        for (let attempt = 0; attempt < 20 && messages.length < 2; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            [, messages] = await call('/api/groups/a%40g.us/messages');
+        }
+        expect(messages.map(message => message.text)).toEqual([
+            '⏳ Ticker-Planung für "HSV Fans" wird bearbeitet...',
+            'Laufender/geplanter Live-Ticker in dieser Gruppe gestoppt.'
+        ]);
+    });
+
+    test('starts a scheduled ticker right away', async () => {
+        activeTickers.set('b@g.us', {
+            seen: new Set(), mode: 'live', groupName: 'TuS Esingen Fans', meetingPageUrl: GAME_URL,
+            isScheduled: true, scheduleTimeout: setTimeout(() => {}, 60 * 60 * 1000), recapEvents: []
+        });
+
+        expect(await call('/api/groups/b%40g.us/start-now', {})).toEqual([200, { ok: true }]);
+        expect(activeTickers.get('b@g.us')).toMatchObject({ isPolling: true, isScheduled: false });
+        expect(jobQueue).toMatchObject([{ type: 'poll', chatId: 'b@g.us' }]);
+        expect((await call('/api/groups/b%40g.us/start-now', {}))[0]).toBe(409);
+    });
+
+    test('rejects form posts and oversized bodies', async () => {
+        // What a foreign page could submit with the browser's saved login
+        const form = await fetch(`${baseUrl}/api/groups/a%40g.us/start`, {
+            method: 'POST',
+            headers: { ...AUTH_HEADER, 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `url=${encodeURIComponent(GAME_URL)}`
+        });
+        expect(form.status).toBe(415);
+        expect(activeTickers.has('a@g.us')).toBe(false);
+
+        // The connection is dropped instead of reading the rest of the body
+        await expect(call('/api/groups/a%40g.us/start', { url: GAME_URL, padding: 'x'.repeat(64 * 1024) })).rejects.toThrow();
+        expect(activeTickers.has('a@g.us')).toBe(false);
+    });
+});
@@ -0,0 +1,76 @@
+// test/following.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+const TEAM_URL = 'https://www.handball.net/mannschaften/handball4all.hamburg.1309001';
+const CHAT_ID = '12345@g.us';
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2025-03-01T17:30:00Z').getTime();
+
+const fixture = (id, hoursFromNow, state) => ({
+    id,
+    meetingPageUrl: `https://www.handball.net/spiele/${id}`,
+    startsAt: new Date(NOW + hoursFromNow * HOUR).toISOString(),
+    state,
+    homeTeam: { id: 'handball4all.hamburg.1309001', name: 'HSV Hamburg' },
+    awayTeam: { id: 'handball4all.hamburg.1309002', name: 'TuS Esingen' }
+});
+
+describe('followed teams', () => {
+    let following, store, activeTickers, queueTickerScheduling, fixtures, tmpDir;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        for (const method of ['log', 'error']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-following-'));
+        store = require('../store.js');
+        store.openStore(path.join(tmpDir, 'ticker_state.json'));
+        const transport = createFakeTransport();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+
+        following = require('../following.js');
+        activeTickers = new Map();
+        queueTickerScheduling = jest.fn(async () => {});
+        fixtures = [];
+        following.initializeFollowing(activeTickers, queueTickerScheduling, { fetchTeamFixtures: async () => fixtures });
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('starts the ticker of a game that is already running', async () => {
+        fixtures = [fixture('last-week', -7 * 24, 'post'), fixture('running', -0.5, 'live'), fixture('next-week', 7 * 24, 'pre')];
+        await following.followTeam(TEAM_URL, CHAT_ID, 'HSV Fans', 'live');
+        expect(queueTickerScheduling).toHaveBeenCalledWith('https://www.handball.net/spiele/running', CHAT_ID, 'HSV Fans', 'live');
+
+        // Once it's over, the next game is scheduled instead of the finished one again
+        queueTickerScheduling.mockClear();
+        activeTickers.set(CHAT_ID, { meetingPageUrl: 'https://www.handball.net/spiele/running', finishedAt: NOW });
+        await following.checkFollowedTeams();
+        expect(queueTickerScheduling).toHaveBeenCalledWith('https://www.handball.net/spiele/next-week', CHAT_ID, 'HSV Fans', 'live');
+    });
+
+    test('forgets skipped games once they are over', async () => {
+        fixtures = [fixture('running', -0.5, 'live'), fixture('next-week', 7 * 24, 'pre')];
+        await following.followTeam(TEAM_URL, CHAT_ID, 'HSV Fans', 'live');
+        following.skipFollowedGame(CHAT_ID, 'https://www.handball.net/spiele/running');
+        following.skipFollowedGame(CHAT_ID, 'https://www.handball.net/spiele/next-week');
+
+        await following.checkFollowedTeams();
+        expect(store.loadFollowedTeams()[CHAT_ID].skippedGames).toHaveLength(2);
+
+        jest.setSystemTime(NOW + 3 * HOUR);
+        await following.checkFollowedTeams();
+        expect(store.loadFollowedTeams()[CHAT_ID].skippedGames).toEqual(['https://www.handball.net/spiele/next-week']);
+    });
+});
@@ -0,0 +1,86 @@
+// test/gameFlow.test.js
+const { getGameFlowNotes, getKeyMoments } = require('../gameFlow.js');
+const { analyzeGame } = require('../gamePhase.js');
+
+const tickerState = { language: 'de', teamNames: { home: 'HSV Hamburg', guest: 'TuS Esingen' } };
+
+/**
+ * Builds the goal events of a game from the scoring teams and players.
+ * @param {Array<Array<string>>} goals - [team ('Home' | 'Away'), player] per goal, in order.
+ * @returns {Array<object>} - The goal events in chronological order, one per minute.
+ */
+const buildGoals = goals => {
+    const score = [0, 0];
+    return goals.map(([team, player], index) => {
+        score[team === 'Home' ? 0 : 1]++;
+        const minute = String(index + 1).padStart(2, '0');
+        return { id: `goal-${index + 1}`, type: 'Goal', time: `${minute}:00`, score: score.join('-'), team, message: `Tor durch ${player} (7.)` };
+    });
+};
+
+describe('game flow notes', () => {
+    test('announces runs, the biggest lead and a comeback with the lead change after it', () => {
+        const events = buildGoals([
+            ['Home', 'Max Mustermann'], ['Home', 'Tim Test'], ['Home', 'Tim Test'], ['Home', 'Ole Petersen'],
+            ['Away', 'Jan Beispiel'], ['Away', 'Finn Muster'], ['Away', 'Finn Muster'], ['Away', 'Jan Beispiel'],
+            ['Away', 'Finn Muster']
+        ]);
+        const notes = getGameFlowNotes(events, tickerState);
+
+        expect(notes.get('goal-1')).toBeUndefined();
+        expect(notes.get('goal-3')).toEqual(['🔥 3:0-Lauf für HSV Hamburg', '📈 Höchste Führung des Spiels: HSV Hamburg liegt mit 3 Toren vorne']);
+        expect(notes.get('goal-4')).toEqual(['🔥 4:0-Lauf für HSV Hamburg', '📈 Höchste Führung des Spiels: HSV Hamburg liegt mit 4 Toren vorne']);
+        expect(notes.get('goal-7')).toEqual(['🔥 3:0-Lauf für TuS Esingen']);
+        expect(notes.get('goal-8')).toEqual(['🔥 4:0-Lauf für TuS Esingen', '💪 Aufholjagd: TuS Esingen hat einen Rückstand von 4 Toren wettgemacht!']);
+        expect(notes.get('goal-9')).toEqual(['🔥 5:0-Lauf für TuS Esingen', '🔄 Führungswechsel: TuS Esingen liegt jetzt vorne', '🎩 Hattrick für Finn Muster!']);
+
+        // As key moments, only the end of every run and the biggest lead remain
+        expect(getKeyMoments(events, tickerState)).toEqual([
+            '04:00 🔥 4:0-Lauf für HSV Hamburg',
+            '04:00 📈 Höchste Führung des Spiels: HSV Hamburg liegt mit 4 Toren vorne',
+            '08:00 💪 Aufholjagd: TuS Esingen hat einen Rückstand von 4 Toren wettgemacht!',
+            '09:00 🔥 5:0-Lauf für TuS Esingen',
+            '09:00 🔄 Führungswechsel: TuS Esingen liegt jetzt vorne',
+            '09:00 🎩 Hattrick für Finn Muster!'
+        ]);
+    });
+
+    test('announces a plain equalizer and the milestones of a player', () => {
+        const events = buildGoals([
+            ['Home', 'Max Mustermann'], ['Away', 'Jan Beispiel'], ['Home', 'Max Mustermann'], ['Away', 'Jan Beispiel'],
+            ['Home', 'Max Mustermann'], ['Away', 'Finn Muster'], ['Home', 'Max Mustermann'], ['Away', 'Finn Muster'],
+            ['Home', 'Max Mustermann']
+        ]);
+        const notes = getGameFlowNotes(events, tickerState);
+
+        expect(notes.get('goal-2')).toEqual(['⚖️ Ausgleich durch TuS Esingen!']);
+        expect(notes.get('goal-5')).toEqual(['🎩 Hattrick für Max Mustermann!']);
+        expect(notes.get('goal-9')).toEqual(['🎯 5. Tor für Max Mustermann!']);
+    });
+
+    test('flags the power play after a suspension, with overlapping suspensions as a double power play', () => {
+        const events = [
+            { id: 'p1', type: 'TwoMinutePenalty', time: '08:02', score: '1-1', team: 'Away', message: '2-Minuten Strafe für Paul Test (4.)' },
+            { id: 'p2', type: 'TwoMinutePenalty', time: '09:10', score: '1-1', team: 'Away', message: '2-Minuten Strafe für Jan Beispiel (11.)' },
+            { id: 'p3', type: 'TwoMinutePenalty', time: '20:00', score: '1-1', team: 'Home', message: '2-Minuten Strafe für Tim Test (11.)' }
+        ];
+        const notes = getGameFlowNotes(events, { ...tickerState, language: 'en' });
+
+        expect(notes.get('p1')).toEqual(['➕ HSV Hamburg on the power play until 10:02']);
+        expect(notes.get('p2')).toEqual(['➕➕ HSV Hamburg two players up until 10:02']);
+        expect(notes.get('p3')).toEqual(['➕ TuS Esingen on the power play until 22:00']);
+    });
+
+    test('leaves out the 7m shootout', () => {
+        const events = [
+            { id: 'start', type: 'StartPeriod', time: '00:00', score: '0-0' },
+            { id: 'half', type: 'StopPeriod', time: '30:00', score: '0-0' },
+            { id: 'second', type: 'StartPeriod', time: '30:00', score: '0-0' },
+            { id: 'end', type: 'StopPeriod', time: '60:00', score: '0-0' },
+            { id: 's1', type: 'SevenMeterGoal', time: '60:00', score: '1-0', team: 'Home', message: '7-Meter-Tor durch Max Mustermann (7.)' },
+            { id: 's2', type: 'SevenMeterGoal', time: '60:00', score: '2-0', team: 'Home', message: '7-Meter-Tor durch Max Mustermann (7.)' },
+            { id: 's3', type: 'SevenMeterGoal', time: '60:00', score: '3-0', team: 'Home', message: '7-Meter-Tor durch Max Mustermann (7.)' }
+        ];
+        expect(getGameFlowNotes(events, tickerState, analyzeGame(events)).size).toBe(0);
+    });
+});
@@ -0,0 +1,134 @@
+// test/gamePhase.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+const { analyzeGame } = require('../gamePhase.js');
+const { formatEvent } = require('../utils.js');
+
+const SECOND = 1000;
+
+const start = (id, time) => ({ id, type: 'StartPeriod', time });
+const stop = (id, time, score) => ({ id, type: 'StopPeriod', time, score });
+const goal = (id, time, score, team = 'Home') => ({ id, type: 'Goal', time, score, team, message: 'Tor' });
+const sevenMeter = (id, score, type = 'SevenMeterGoal') => ({ id, type, score, team: 'Home', message: '7m' });
+
+// A cup game: 28:28 after regular time, 31:31 after overtime, decided in the shootout
+const cupGame = [
+    start('s1', '00:00'), stop('e1', '30:00', '14-13'), start('s2', '30:00'), stop('e2', '60:00', '28-28'),
+    start('s3', '60:00'), stop('e3', '65:00', '30-29'), start('s4', '65:00'), stop('e4', '70:00', '31-31'),
+    sevenMeter('p1', '32-31'), sevenMeter('p2', '32-31', 'SevenMeterMissed')
+];
+
+describe('analyzeGame', () => {
+    test('takes the half length of youth games from the first half', () => {
+        const events = [start('s1', '00:00'), stop('e1', '20:00', '9-8'), start('s2', '20:00'), stop('e2', '40:00', '17-15')];
+        const analysis = analyzeGame(events, { state: 'live' });
+
+        expect(analysis).toMatchObject({ halfMinutes: 20, regulationMinutes: 40, isFinished: true, finalScore: '17-15', halftimeScore: '9-8' });
+        expect(analysis.periodEvents).toEqual({ s1: 'gameStart', e1: 'halftime', s2: 'secondHalfStart', e2: 'gameEnd' });
+    });
+
+    test('waits for the feed when regular time ends in a draw', () => {
+        const events = cupGame.slice(0, 4);
+        expect(analyzeGame(events, { state: 'live' })).toMatchObject({ phase: 'regulationEnd', isFinished: false });
+
+        // A league game that really ended in a draw
+        const draw = analyzeGame(events, { state: 'post', homeGoals: 28, awayGoals: 28 });
+        expect(draw).toMatchObject({ phase: 'finished', finalScore: '28-28', decision: null });
+        expect(draw.periodEvents.e2).toBe('gameEnd');
+    });
+
+    test('follows overtime and the 7m shootout until the feed reports the end', () => {
+        const overtime = analyzeGame(cupGame.slice(0, 6), { state: 'live' });
+        expect(overtime).toMatchObject({ phase: 'overtimeBreak', overtimeCount: 1, isFinished: false });
+        expect(overtime.periodEvents).toMatchObject({ e2: 'regulationEnd', s3: 'overtimeStart', e3: 'overtimeHalftime' });
+
+        const shootout = analyzeGame(cupGame, { state: 'live' });
+        expect(shootout).toMatchObject({ phase: 'shootout', hasShootout: true, isFinished: false });
+        expect(shootout.periodEvents).toMatchObject({ s4: 'overtimeSecondHalfStart', e4: 'overtimeEnd', p1: 'shootoutStart' });
+
+        const finished = analyzeGame(cupGame, { state: 'post', homeGoals: 35, awayGoals: 34 });
+        expect(finished).toMatchObject({ isFinished: true, finalScore: '35-34', decision: 'shootout', playedMinutes: 70 });
+    });
+});
+
+describe('formatEvent with a game analysis', () => {
+    const tickerState = { teamNames: { home: 'H', guest: 'G' } };
+
+    test('announces overtime, the shootout and the end after overtime', () => {
+        const analysis = analyzeGame(cupGame, { state: 'live' });
+        const texts = cupGame.map(ev => formatEvent(ev, tickerState, {}, analysis));
+
+        expect(texts[3]).toBe('⏸️ *Ende der regulären Spielzeit*\nH  *28:28* G');
+        expect(texts[4]).toBe('▶️ *Die Verlängerung hat begonnen!*');
+        expect(texts[5]).toBe('⏸️ *Halbzeit der Verlängerung*\nH  *30:29* G');
+        expect(texts[8]).toMatch(/^🎯 \*Siebenmeterwerfen!\*\nH  \*32\*:31  G/);
+
+        const decidedInOvertime = [...cupGame.slice(0, 7), stop('e4', '70:00', '32-31')];
+        const endText = formatEvent(decidedInOvertime[7], tickerState, {}, analyzeGame(decidedInOvertime, { state: 'live' }));
+        expect(endText).toBe('🏁 *Spielende*\nH  *32:31* G\n_nach Verlängerung_');
+    });
+});
+
+describe('game end while polling', () => {
+    let polling, activeTickers, transport, tmpDir, intervals, fetchGameData;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T17:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        polling = require('../polling.js');
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-phase-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+
+        activeTickers = new Map();
+        transport = createFakeTransport();
+        fetchGameData = jest.fn();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, [], { name: 'mock', fetchGameData });
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const feed = (updatedAt, state, events, goals = {}) => ({
+        summary: { updatedAt, state, homeTeam: { name: 'H' }, awayTeam: { name: 'G' }, ...goals },
+        events: events.slice().reverse(),
+        lineup: { home: [], away: [] }
+    });
+
+    test('keeps the ticker running through overtime and the shootout', async () => {
+        activeTickers.set('chat', {
+            seen: new Set(), mode: 'live', meetingPageUrl: 'https://www.handball.net/spiele/game',
+            teamNames: { home: 'H', guest: 'G' }, recapEvents: []
+        });
+        fetchGameData.mockResolvedValue(feed('1', 'live', cupGame.slice(0, 4)));
+        polling.beginActualPolling('chat');
+        await jest.advanceTimersByTimeAsync(5 * SECOND);
+        expect(activeTickers.get('chat').isPolling).toBe(true);
+
+        fetchGameData.mockResolvedValue(feed('2', 'live', cupGame));
+        await jest.advanceTimersByTimeAsync(65 * SECOND);
+        expect(activeTickers.get('chat').isPolling).toBe(true);
+        expect(transport.textsFor('chat').some(text => text.includes('Spielende'))).toBe(false);
+
+        fetchGameData.mockResolvedValue(feed('3', 'post', cupGame, { homeGoals: 35, awayGoals: 34 }));
+        await jest.advanceTimersByTimeAsync(10 * SECOND);
+
+        const texts = transport.textsFor('chat');
+        expect(activeTickers.get('chat').isPolling).toBe(false);
+        expect(texts.filter(text => text.startsWith('🏁 *Spielende*'))).toEqual(['🏁 *Spielende*\nH  *35:34* G\n_nach Siebenmeterwerfen_']);
+        expect(texts.some(text => text.includes('Vielen Dank fürs Mitfiebern'))).toBe(true);
+    });
+});
@@ -0,0 +1,52 @@
+// test/helpers/fakeTransport.js
+const EventEmitter = require('events');
+
+/**
+ * Creates a messaging transport that records every outgoing message instead of sending it.
+ * Incoming messages can be simulated with `receive`.
+ * @returns {EventEmitter} - The fake transport with a `sent` array of { chatId, text, media }.
+ */
+function createFakeTransport() {
+    const transport = new EventEmitter();
+    transport.name = 'fake';
+    transport.sent = [];
+
+    transport.initialize = async () => transport.emit('ready');
+    transport.sendMessage = async (chatId, text) => {
+        transport.sent.push({ chatId, text });
+    };
+    transport.sendMedia = async (chatId, media, caption) => {
+        transport.sent.push({ chatId, text: caption || '', media });
+    };
+    transport.destroy = async () => {};
+
+    /**
+     * Returns the texts sent to a chat.
+     * @param {string} chatId - The chat ID.
+     * @returns {Array<string>} - The message texts in send order.
+     */
+    transport.textsFor = chatId => transport.sent.filter(m => m.chatId === chatId).map(m => m.text);
+
+    /**
+     * Simulates an incoming group message.
+     * @param {string} chatId - The chat ID.
+     * @param {string} body - The message text.
+     * @param {object} [extra] - Additional message fields (chatName, isGroup, senderId, isAdmin).
+     */
+    transport.receive = (chatId, body, extra = {}) => {
+        transport.emit('message', {
+            body,
+            chatId,
+            chatName: 'Testgruppe',
+            isGroup: true,
+            senderId: 'tester',
+            isAdmin: true,
+            reply: text => transport.sendMessage(chatId, text),
+            ...extra
+        });
+    };
+
+    return transport;
+}
+
+module.exports = { createFakeTransport };
@@ -0,0 +1,117 @@
+// test/i18n.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+const { t, getEventLabel, translateFeedMessage, formatDate, formatTime } = require('../i18n.js');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'recordings');
+const GAME_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker';
+const CHAT_ID = '12345@g.us';
+const MINUTE = 60 * 1000;
+
+const mockGenerateContent = jest.fn();
+jest.mock('@google/genai', () => ({
+    GoogleGenAI: jest.fn(() => ({ models: { generateContent: mockGenerateContent } }))
+}));
+
+describe('message catalogs', () => {
+    test('fills in placeholders and falls back to German', () => {
+        expect(t('en', 'error.replaySpeed', { max: 600 })).toContain('between 1 and 600');
+        expect(t('de', 'follow.added', { team: 'HSV', count: 3 })).toBe('⭐ Diese Gruppe folgt jetzt *HSV*. 3 kommende Spiele werden automatisch geplant.');
+        expect(t('fr', 'error.invalidUrl')).toBe('Fehler: Die angegebene URL ist ungültig.');
+        expect(t('en', 'does.not.exist')).toBe('does.not.exist');
+    });
+
+    test('every language has every message and event label', () => {
+        const catalogs = ['de', 'en'].map(language => require(`../locales/${language}.js`));
+        for (const catalog of catalogs) {
+            expect(Object.keys(catalog.messages).sort()).toEqual(Object.keys(catalogs[0].messages).sort());
+            expect(Object.keys(catalog.events).sort()).toEqual(Object.keys(require('../config.js').EVENT_MAP).sort());
+        }
+    });
+
+    test('translates event labels and the German feed texts', () => {
+        expect(getEventLabel('en', 'TwoMinutePenalty')).toBe('2-minute suspension');
+        expect(getEventLabel('de', 'Unknown')).toBe('Ereignis');
+        expect(translateFeedMessage('en', 'Tor durch Max Mustermann (7.)')).toBe('Goal by Max Mustermann (7.)');
+        expect(translateFeedMessage('en', 'Verwarnung für Tim Hansen (13.)')).toBe('Warning for Tim Hansen (13.)');
+        expect(translateFeedMessage('en', 'Etwas Neues')).toBe('Etwas Neues');
+        expect(translateFeedMessage('de', 'Tor durch Max Mustermann (7.)')).toBe('Tor durch Max Mustermann (7.)');
+    });
+
+    test('formats dates and times per language', () => {
+        const date = new Date(2025, 2, 1, 17, 55);
+        expect(formatDate('de', date)).toBe('01.03.2025');
+        expect(formatDate('en', date)).toBe('01/03/2025');
+        expect(formatTime('en', date)).toBe('17:55');
+    });
+});
+
+describe('an English group following a recorded game', () => {
+    let polling, transport, activeTickers, tmpDir, intervals;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T16:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        process.env.GEMINI_API_KEY = 'test-key';
+        mockGenerateContent.mockReset()
+            .mockResolvedValueOnce({ text: 'Keep it tight at the back!' })
+            .mockResolvedValue({ text: '*What a game!*' });
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-i18n-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        polling = require('../polling.js');
+        require('../settings.js').setGroupSetting(CHAT_ID, 'sprache', 'en');
+        const { createDataProvider } = require('../providers/index.js');
+
+        transport = createFakeTransport();
+        activeTickers = new Map();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, [], createDataProvider('snapshots', { directory: RECORDINGS_DIR }));
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        delete process.env.GEMINI_API_KEY;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('sends every message in English and asks the AI for an English summary', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+
+        const texts = transport.textsFor(CHAT_ID);
+        expect(texts[0]).toBe('⏳ Scheduling the ticker for "HSV Fans"...');
+        expect(texts[1]).toMatch(/^✅ Ticker for \*HSV Hamburg\* vs \*TuS Esingen\* is scheduled \(with live updates\) and starts automatically on \d\d\/03\/2025 at about \d\d:55\.$/);
+        expect(texts).toContain('▶️ *The game has started!*');
+        expect(texts).toContain('HSV Hamburg  1:*1* TuS Esingen\n🤾‍♀️ 02:13 | *1*:0 | Goal by Max Mustermann (7.)\n🤾‍♀️ 04:40 | 1:*1* | Goal by Jan Beispiel (11.)\n⚖️ TuS Esingen equalize!');
+        expect(texts).toContain('⏸️ *Halftime*\nHSV Hamburg  *3:1* TuS Esingen');
+        expect(texts).toContain('🏁 *Full time*\nHSV Hamburg  *5:3* TuS Esingen');
+        expect(texts.some(text => text.startsWith('📊 *Game stats:*') && text.includes('Top scorer (HSV Hamburg):* Max Mustermann (3 goals)'))).toBe(true);
+        expect(texts).toContain('🤖 *AI match analysis:*\n\n*What a game!*');
+        expect(texts[texts.length - 1]).toContain('Thanks for cheering along!');
+
+        expect(texts.some(text => text.startsWith('📋 *Halftime report:*') && text.includes('Top scorer (HSV Hamburg):* Max Mustermann (2 goals)'))).toBe(true);
+        expect(texts).toContain('🎙️ *AI halftime talk:*\n\nKeep it tight at the back!');
+
+        const halftimePrompt = mockGenerateContent.mock.calls[0][0].contents;
+        expect(halftimePrompt).toContain('- Halftime score: 3:1');
+        expect(halftimePrompt).toContain('- Course of the game (selected scores): Start: 0:0, 10min: 2:1, 20min: 2:1, 30min: 3:1');
+
+        // The final summary knows what was said at halftime
+        const prompt = mockGenerateContent.mock.calls[1][0].contents;
+        expect(prompt).toContain('in English');
+        expect(prompt).toContain('- Final score: 5:3');
+        expect(prompt).toContain('- Decided: in regular time');
+        expect(prompt).toContain('- Your halftime talk: "Keep it tight at the back!"');
+    });
+});
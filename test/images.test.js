@@ -0,0 +1,156 @@
+// test/images.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'recordings');
+const GAME_DIR = path.join(RECORDINGS_DIR, 'games', 'handball4all.hamburg.8123456');
+const GAME_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker';
+const CHAT_ID = '12345@g.us';
+const MINUTE = 60 * 1000;
+
+const snapshot = file => JSON.parse(fs.readFileSync(path.join(GAME_DIR, file), 'utf8')).data;
+const teamNames = { home: 'HSV Hamburg', guest: 'TuS Esingen' };
+
+describe('scoreboard card', () => {
+    const { buildScoreChartSvg, buildGameCardHtml } = require('../images.js');
+
+    test('draws the score difference as a step line over match time', () => {
+        const svg = buildScoreChartSvg([
+            { type: 'Goal', time: '10:00', score: '1-0' },
+            { type: 'Timeout', time: '15:00' },
+            { type: 'Goal', time: '20:00', score: '1-1' }
+        ], teamNames);
+        expect(svg).toContain('class="score-line" d="M 28.0 110.0 H 138.7 V 82.7 H 249.3 V 110.0 H 692.0"');
+        expect(svg).toContain(">60'</text>");
+        expect(svg).toContain('+3 TuS Esingen');
+    });
+
+    test('scales the time axis and the halftime line to shorter youth halves', () => {
+        const events = [{ type: 'Goal', time: '10:00', score: '1-0' }];
+        // 2×20: halftime at 20' in the middle of a 40' axis
+        const youth = buildScoreChartSvg(events, teamNames, 20);
+        expect(youth).toContain('class="score-line" d="M 28.0 110.0 H 194.0 V 82.7 H 692.0"');
+        expect(youth).toContain('<line x1="360.0" y1="28" x2="360.0"');
+        expect(youth).toContain(">40'</text>");
+        expect(youth).not.toContain(">50'</text>");
+        // 2×25
+        expect(buildScoreChartSvg(events, teamNames, 25)).toMatch(/>50'<\/text>\s*<\/svg>$/);
+    });
+
+    test('shows score, top scorers and suspensions of both teams', () => {
+        const game = snapshot('007.json');
+        const html = buildGameCardHtml({
+            occasion: 'fullTime', teamNames: { home: 'HSV <Hamburg>', guest: 'TuS Esingen' }, score: '5-3',
+            events: game.events.slice().reverse(), lineup: game.lineup, language: 'de'
+        });
+        expect(html).toContain('<p class="occasion">Endstand</p>');
+        expect(html).toContain('<span class="name home">HSV &lt;Hamburg&gt;</span>');
+        expect(html).toContain('<span class="goals">5:3</span>');
+        expect(html).toContain('<ul><li>Max Mustermann <b>3</b></li><li>Ole Petersen <b>1</b></li><li>Lars Probe <b>1</b></li></ul>');
+        expect(html).toContain('<p>Zeitstrafen: 1</p>');
+        expect(html).toContain('Tordifferenz im Spielverlauf');
+    });
+});
+
+describe('scoreboard images during a game', () => {
+    let polling, transport, activeTickers, tmpDir, intervals, launch, page;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T16:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        delete process.env.GEMINI_API_KEY;
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-images-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        polling = require('../polling.js');
+        const { createDataProvider } = require('../providers/index.js');
+
+        page = {
+            setViewport: jest.fn(async () => {}),
+            setContent: jest.fn(async () => {}),
+            $: jest.fn(async () => ({ screenshot: async () => 'iVBORw0KGgo=' })),
+            close: jest.fn(async () => {})
+        };
+        launch = require('puppeteer').launch;
+        launch.mockResolvedValue({ newPage: async () => page, on: jest.fn(), close: jest.fn(async () => {}) });
+        require('../images.js').initializeImages('/usr/bin/chromium');
+
+        transport = createFakeTransport();
+        activeTickers = new Map();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, [], createDataProvider('snapshots', { directory: RECORDINGS_DIR }));
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('sends an image after the halftime and the final whistle', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+
+        const sent = transport.sent.filter(message => message.chatId === CHAT_ID);
+        const images = sent.filter(message => message.media);
+        expect(images).toEqual([
+            { chatId: CHAT_ID, text: '📸 Die erste Halbzeit auf einen Blick', media: { mimetype: 'image/png', data: 'iVBORw0KGgo=', filename: 'halftime.png' } },
+            { chatId: CHAT_ID, text: '📸 Das Spiel auf einen Blick', media: { mimetype: 'image/png', data: 'iVBORw0KGgo=', filename: 'fullTime.png' } }
+        ]);
+        expect(sent[sent.indexOf(images[0]) - 1].text).toBe('⏸️ *Halbzeit*\nHSV Hamburg  *3:1* TuS Esingen');
+        expect(sent[sent.indexOf(images[1]) - 1].text).toBe('🏁 *Spielende*\nHSV Hamburg  *5:3* TuS Esingen');
+        expect(sent[sent.indexOf(images[1]) + 1].text).toContain('Statistiken zum Spiel');
+
+        // One browser for all images, the halftime card only covers the first half
+        expect(launch).toHaveBeenCalledTimes(1);
+        const halftimeHtml = page.setContent.mock.calls[0][0];
+        expect(halftimeHtml).toContain('<span class="goals">3:1</span>');
+        expect(halftimeHtml).toContain('class="score-line" d="M 28.0 110.0 H 52.5 V 82.7 H 79.6 V 110.0 H 133.1 V 82.7 H 268.7 V 55.3 H 692.0"');
+    });
+
+    test('renders outside the poll worker and keeps the image in its place', async () => {
+        let finishRender;
+        page.setContent.mockImplementation(async html => {
+            if (html.includes('Endstand')) await new Promise(resolve => { finishRender = resolve; });
+        });
+
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+
+        // The final messages are queued behind the image that is still rendering
+        expect(transport.textsFor(CHAT_ID).pop()).toBe('🏁 *Spielende*\nHSV Hamburg  *5:3* TuS Esingen');
+        expect(require('../outbox.js').getOutboxStatus().pending).toBeGreaterThan(1);
+
+        finishRender();
+        await jest.advanceTimersByTimeAsync(MINUTE);
+        const sent = transport.sent.filter(message => message.chatId === CHAT_ID);
+        const image = sent.find(message => message.media && message.media.filename === 'fullTime.png');
+        expect(sent[sent.indexOf(image) + 1].text).toContain('Statistiken zum Spiel');
+    });
+
+    test('can be turned off per group and never blocks the ticker', async () => {
+        require('../settings.js').setGroupSetting('other@g.us', 'bilder', 'aus');
+        launch.mockRejectedValue(new Error('Failed to launch the browser process!'));
+
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await polling.startPolling(GAME_URL, 'other@g.us', 'Esingen', 'live');
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+
+        expect(transport.sent.some(message => message.media)).toBe(false);
+        expect(transport.textsFor(CHAT_ID)).toContain('🏁 *Spielende*\nHSV Hamburg  *5:3* TuS Esingen');
+        // Only the group with images tried to render them (halftime and full time)
+        expect(launch).toHaveBeenCalledTimes(2);
+        expect(console.error).toHaveBeenCalledWith('Fehler beim Erstellen des Spielstand-Bildes:', 'Failed to launch the browser process!');
+    });
+});
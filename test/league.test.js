@@ -0,0 +1,99 @@
+// test/league.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'recordings');
+const GAME_DIR = path.join(RECORDINGS_DIR, 'games', 'handball4all.hamburg.8123456');
+const LEAGUE_DIR = path.join(RECORDINGS_DIR, 'leagues', 'handball4all.hamburg.m-ol');
+const GAME_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker';
+const LEAGUE_URL = 'https://www.handball.net/ligen/handball4all.hamburg.m-ol';
+const CHAT_ID = '12345@g.us';
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+const snapshot = file => readJson(path.join(GAME_DIR, file)).data;
+
+describe('!tabelle', () => {
+    let league, store, tmpDir;
+
+    beforeEach(() => {
+        for (const method of ['log', 'error']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-league-'));
+        store = require('../store.js');
+        store.openStore(path.join(tmpDir, 'ticker_state.json'));
+        league = require('../league.js');
+        league.initializeLeague(require('../providers/index.js').createDataProvider('snapshots', { directory: RECORDINGS_DIR }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('shows the table of the running game\'s league with both teams in bold', async () => {
+        const tickerState = { meetingPageUrl: GAME_URL, lastGameData: snapshot('004.json') };
+        expect(await league.formatLeagueTable(CHAT_ID, tickerState, 'de')).toBe(
+            '🏆 *Oberliga Hamburg Männer*\n' +
+            '1. SG Nord · 14 Sp. · 420:370 · 23:5 Pkt.\n' +
+            '*2. HSV Hamburg · 14 Sp. · 401:365 · 21:7 Pkt.*\n' +
+            '3. AMTV Hamburg · 14 Sp. · 390:380 · 16:12 Pkt.\n' +
+            '*4. TuS Esingen · 14 Sp. · 372:379 · 13:15 Pkt.*\n' +
+            '5. Barmstedter MTV · 14 Sp. · 350:398 · 7:21 Pkt.\n' +
+            '6. Buxtehuder SV II · 14 Sp. · 340:381 · 4:24 Pkt.'
+        );
+    });
+
+    test('uses the last archived game when no ticker is running', async () => {
+        expect(await league.formatLeagueTable(CHAT_ID, undefined, 'en')).toBe('The league is not known yet. Please start a ticker for a game of the league first.');
+
+        const game = snapshot('007.json');
+        require('../archive.js').archiveGame(CHAT_ID, { meetingPageUrl: GAME_URL }, game, [], { finalScore: '5-3' });
+        const table = await league.formatLeagueTable(CHAT_ID, undefined, 'en');
+        expect(table).toContain('🏆 *Oberliga Hamburg Männer*\n1. SG Nord · 14 GP · 420:370 · 23:5 pts\n');
+        expect(table).toContain('*2. HSV Hamburg · 14 GP · 401:365 · 21:7 pts*');
+    });
+
+    test('fetches the league through the handball.net HTTP code path', async () => {
+        const { startFakeServer } = require('../providers/fakeServer.js');
+        const { createHandballNetProvider } = require('../providers/handballNet.js');
+        const server = await startFakeServer({
+            games: {},
+            teams: {},
+            leagues: {
+                'handball4all.hamburg.m-ol': {
+                    table: readJson(path.join(LEAGUE_DIR, 'table.json')),
+                    schedule: readJson(path.join(LEAGUE_DIR, 'schedule.json'))
+                }
+            }
+        });
+
+        try {
+            const provider = createHandballNetProvider({ baseUrl: server.url });
+            const table = await provider.fetchLeagueTable(`${LEAGUE_URL}/tabelle`);
+            expect(table[1]).toEqual({
+                rank: 2,
+                team: { id: 'handball4all.hamburg.1309001', name: 'HSV Hamburg' },
+                games: 14, wins: 10, draws: 1, losses: 3, goalsFor: 401, goalsAgainst: 365, points: 21, pointsAgainst: 7
+            });
+            const schedule = await provider.fetchLeagueSchedule(LEAGUE_URL);
+            expect(schedule).toHaveLength(7);
+            expect(schedule.find(game => game.id === 'handball4all.hamburg.8123455')).toMatchObject({
+                meetingPageUrl: 'https://www.handball.net/spiele/handball4all.hamburg.8123455',
+                state: 'post',
+                homeGoals: 31,
+                awayGoals: 27
+            });
+
+            // A league the feed doesn't know
+            league.initializeLeague(provider);
+            const otherLeague = { meetingPageUrl: GAME_URL, lastGameData: { ...snapshot('004.json') } };
+            otherLeague.lastGameData.summary = { ...otherLeague.lastGameData.summary, tournament: { id: 'handball4all.hamburg.w-ol', name: 'Oberliga Frauen' } };
+            expect(await league.formatLeagueTable(CHAT_ID, otherLeague, 'de')).toBe('Die Tabelle konnte nicht geladen werden. Bitte versuchen Sie es später noch einmal.');
+        } finally {
+            await server.close();
+        }
+    });
+});
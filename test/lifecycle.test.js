@@ -0,0 +1,318 @@
+// test/lifecycle.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'recordings');
+const GAME_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker';
+const CHAT_ID = '12345@g.us';
+const MINUTE = 60 * 1000;
+
+describe('ticker lifecycle against a recorded game', () => {
+    let polling, transport, activeTickers, jobQueue, tmpDir, stateFile, intervals;
+
+    const readState = () => JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+
+    // Fresh modules (worker counters, round robin index, store) on the same state file, like a bot restart
+    const startBot = (wrapProvider = provider => provider) => {
+        jest.resetModules();
+        polling = require('../polling.js');
+        require('../store.js').openStore(stateFile);
+        const { createDataProvider } = require('../providers/index.js');
+
+        transport = createFakeTransport();
+        activeTickers = new Map();
+        jobQueue = [];
+        const provider = wrapProvider(createDataProvider('snapshots', { directory: RECORDINGS_DIR }));
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, jobQueue, provider);
+        require('../league.js').initializeLeague(provider);
+
+        // Same loop timings as app.js
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    };
+
+    const stopBot = () => {
+        transport.emit('disconnected', 'shutdown');
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+    };
+
+    beforeEach(() => {
+        // One hour before the recorded throw-off (17:00 UTC)
+        jest.useFakeTimers({ now: new Date('2025-03-01T16:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        delete process.env.GEMINI_API_KEY;
+
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-test-'));
+        stateFile = path.join(tmpDir, 'ticker_state.json');
+        startBot();
+    });
+
+    afterEach(() => {
+        stopBot();
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('live mode: schedules, posts every event, halftime, game end, stats and cleans up', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(1000);
+
+        let texts = transport.textsFor(CHAT_ID);
+        expect(texts[0]).toContain('Ticker-Planung für "HSV Fans"');
+        expect(texts[1]).toContain('*HSV Hamburg* vs *TuS Esingen* ist geplant');
+        expect(activeTickers.get(CHAT_ID).isScheduled).toBe(true);
+        expect(readState().tickers[CHAT_ID]).toMatchObject({ mode: 'live', isScheduled: true, startTime: '2025-03-01T16:55:00.000Z' });
+
+        // Polling starts five minutes before throw-off
+        await jest.advanceTimersByTimeAsync(54 * MINUTE);
+        expect(transport.sent).toHaveLength(2);
+        await jest.advanceTimersByTimeAsync(1 * MINUTE);
+        expect(activeTickers.get(CHAT_ID).isPolling).toBe(true);
+        expect(readState().tickers[CHAT_ID]).toMatchObject({ isPolling: true, isScheduled: false });
+
+        // Let the remaining snapshots play out and the end-of-game messages go out
+        await jest.advanceTimersByTimeAsync(5 * MINUTE);
+        texts = transport.textsFor(CHAT_ID).slice(2);
+
+        expect(texts[0]).toBe('▶️ *Das Spiel hat begonnen!*');
+        // Events from the same poll are bundled, with the latest score on top
+        expect(texts[1]).toBe('HSV Hamburg  1:*1* TuS Esingen\n🤾‍♀️ 02:13 | *1*:0 | Tor durch Max Mustermann (7.)\n🤾‍♀️ 04:40 | 1:*1* | Tor durch Jan Beispiel (11.)\n⚖️ Ausgleich durch TuS Esingen!');
+        expect(texts).toContain('⏸️ *Halbzeit*\nHSV Hamburg  *3:1* TuS Esingen');
+        // The halftime report follows the halftime whistle, with the first-half numbers
+        const report = texts[texts.indexOf('⏸️ *Halbzeit*\nHSV Hamburg  *3:1* TuS Esingen') + 1];
+        expect(report).toContain('📋 *Halbzeitbericht:*');
+        expect(report).toContain('Topscorer (HSV Hamburg):* Max Mustermann (2 Tore)');
+        expect(report).toContain('Zeitstrafen (TuS Esingen):* 1');
+        expect(texts).toContain('▶️ *Die zweite Halbzeit hat begonnen!*');
+        // A single new event goes out on its own
+        expect(texts).toContain('HSV Hamburg  3:*2* TuS Esingen\n🤾‍♀️ Tor durch Finn Muster (18.) ( (33:20))');
+        expect(texts).toContain('🏁 *Spielende*\nHSV Hamburg  *5:3* TuS Esingen');
+
+        // 16 events in 9 messages, plus the halftime report, stats, the matchday and the farewell (no AI texts without a key)
+        expect(texts).toHaveLength(13);
+        const stats = texts[10];
+        expect(stats).toContain('Statistiken zum Spiel');
+        expect(stats).toContain('Topscorer (HSV Hamburg):* Max Mustermann (3 Tore)');
+        expect(stats).toContain('7-Meter (HSV Hamburg):* 1 von 1');
+        expect(stats).toContain('7-Meter (TuS Esingen):* 0 von 1');
+        expect(stats).toContain('Zeitstrafen (TuS Esingen):* 1');
+        // The other results of the matchday and both table positions, from the recorded league data
+        const matchday = texts[11].split('\n');
+        expect(matchday.slice(0, 2)).toEqual(['📋 *Spieltag Oberliga Hamburg Männer:*', 'SG Nord  31:27  Barmstedter MTV']);
+        expect(matchday[2]).toMatch(/^Buxtehuder SV II – AMTV Hamburg \(02\.03\.2025, \d\d:00 Uhr\)$/);
+        expect(matchday.slice(3)).toEqual([
+            '',
+            '🏆 *Tabellenplätze:*',
+            '2. HSV Hamburg · 14 Sp. · 401:365 · 21:7 Pkt.',
+            '4. TuS Esingen · 14 Sp. · 372:379 · 13:15 Pkt.'
+        ]);
+        expect(texts[12]).toContain('Vielen Dank fürs Mitfiebern!');
+
+        const tickerState = activeTickers.get(CHAT_ID);
+        expect(tickerState.isPolling).toBe(false);
+        expect(tickerState.seen.size).toBe(16);
+        expect(readState().tickers[CHAT_ID].seen).toHaveLength(16);
+
+        // No further polls after the final whistle, ticker data is removed after an hour
+        await jest.advanceTimersByTimeAsync(60 * MINUTE);
+        expect(transport.textsFor(CHAT_ID)).toHaveLength(15);
+        expect(jobQueue).toHaveLength(0);
+        expect(activeTickers.has(CHAT_ID)).toBe(false);
+        expect(readState().tickers[CHAT_ID]).toBeUndefined();
+        // The game itself stays in the archive for the season stats
+        const [archived] = require('../store.js').loadArchivedGames(CHAT_ID);
+        expect(archived).toMatchObject({ gameId: 'handball4all.hamburg.8123456', finalScore: '5-3', homeTeam: { name: 'HSV Hamburg' } });
+        expect(archived.events).toHaveLength(16);
+    });
+
+    test('recap mode: sends the legend, buffers events and flushes on period changes', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'recap');
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(transport.textsFor(CHAT_ID)[1]).toContain('im Recap-Modus');
+
+        await jest.advanceTimersByTimeAsync(55 * MINUTE);
+        const texts = transport.textsFor(CHAT_ID).slice(2);
+        expect(texts[0]).toContain('ℹ️ *Ticker-Legende:*');
+
+        // Throw-off is a critical event and is sent right away
+        expect(texts[1]).toContain('📬 *Recap Minute 00 - 00*');
+
+        // Buffered events go out together with the next critical event
+        await jest.advanceTimersByTimeAsync(5 * MINUTE);
+        const recaps = transport.textsFor(CHAT_ID).filter(text => text.startsWith('📬'));
+        expect(recaps.some(text => text.includes('🤾‍♀️ 02:13 | *1*:0 | Tor durch Max Mustermann (7.)'))).toBe(true);
+        expect(recaps.some(text => text.includes('⏸️ 30:00 | *Halbzeit* | *3:1*'))).toBe(true);
+        expect(recaps.some(text => text.includes('⏸️ 60:00 | *Spielende* | *5:3*'))).toBe(true);
+        // Notes on the course of the game follow their event
+        expect(recaps.some(text => text.includes('| 1:1 | 2-Minuten Strafe für Paul Test (4.)\n➕ HSV Hamburg in Überzahl bis 10:02'))).toBe(true);
+        expect(recaps.some(text => text.includes('| *4*:2 | Tor durch Max Mustermann (7.)\n🎩 Hattrick für Max Mustermann!'))).toBe(true);
+
+        // Every event ends up in exactly one recap
+        const recapLines = recaps.flatMap(text => text.split('\n').filter(line => / \d\d:\d\d \| /.test(line)));
+        expect(recapLines).toHaveLength(16);
+        expect(transport.textsFor(CHAT_ID).some(text => text.includes('Statistiken zum Spiel'))).toBe(true);
+    });
+
+    test('a restart mid-game resumes polling without re-sending events', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'recap');
+        // Throw-off, then the first two snapshots (two goals buffered for the next recap)
+        await jest.advanceTimersByTimeAsync(55 * MINUTE + 1000);
+        expect(readState().tickers[CHAT_ID].recapEvents).toHaveLength(2);
+        const sentBeforeRestart = transport.textsFor(CHAT_ID);
+
+        stopBot();
+        startBot();
+        polling.restoreTickers();
+        await jest.advanceTimersByTimeAsync(5 * MINUTE);
+
+        const sentAfterRestart = transport.textsFor(CHAT_ID);
+        expect(sentAfterRestart.some(text => text.includes('Ticker-Legende'))).toBe(false);
+        const allRecapLines = [...sentBeforeRestart, ...sentAfterRestart]
+            .filter(text => text.startsWith('📬'))
+            .flatMap(text => text.split('\n').filter(line => / \d\d:\d\d \| /.test(line)));
+        // Every event exactly once, including the two that were buffered during the restart
+        expect(allRecapLines).toHaveLength(16);
+        expect(new Set(allRecapLines).size).toBe(16);
+        expect(sentAfterRestart.some(text => text.includes('Statistiken zum Spiel'))).toBe(true);
+    });
+
+    test('after a restart, the commands fetch the game data of a finished ticker once', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+        expect(activeTickers.get(CHAT_ID).finishedAt).toBeDefined();
+
+        stopBot();
+        // The restarted bot gets the final snapshot, like the live site after the game
+        let fetches = 0;
+        const finalSnapshot = JSON.parse(fs.readFileSync(path.join(RECORDINGS_DIR, 'games', 'handball4all.hamburg.8123456', '007.json'), 'utf8')).data;
+        startBot(provider => ({
+            ...provider,
+            fetchGameData: async () => {
+                fetches++;
+                return finalSnapshot;
+            }
+        }));
+        polling.restoreTickers();
+        const restored = activeTickers.get(CHAT_ID);
+        expect(restored.lastGameData).toBeUndefined();
+        expect(restored.language).toBe('de');
+
+        const tickerState = await polling.loadMissingGameData(CHAT_ID);
+        await polling.loadMissingGameData(CHAT_ID);
+        expect(fetches).toBe(1);
+        expect(require('../stats.js').formatScoreboard(tickerState, 'de')).toContain('HSV Hamburg  *5:3*  TuS Esingen');
+        expect(await require('../questions.js').answerQuestion(tickerState, 'Wie war der Halbzeitstand?', 'de'))
+            .toBe('⏸️ Halbzeitstand:\nHSV Hamburg  3:1  TuS Esingen');
+        expect(await require('../league.js').formatLeagueTable(CHAT_ID, tickerState, 'de')).toContain('*2. HSV Hamburg');
+    });
+
+    test('after a restart, the commands stay within the request budget', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+
+        stopBot();
+        let fetches = 0;
+        startBot(provider => ({
+            ...provider,
+            fetchGameData: async () => {
+                fetches++;
+                throw new Error('Request failed with status code 503');
+            }
+        }));
+        polling.restoreTickers();
+
+        for (let i = 0; i < 40; i++) await polling.loadMissingGameData(CHAT_ID);
+        expect(fetches).toBe(30);
+        expect(activeTickers.get(CHAT_ID).lastGameData).toBeUndefined();
+    });
+
+    test('a new game after !stop1 starts without the previous game\'s events', async () => {
+        // A second recorded game with its own event IDs
+        const OTHER_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123457/ticker';
+        stopBot();
+        startBot(provider => {
+            const otherGame = require('../providers/index.js').createDataProvider('snapshots', { directory: RECORDINGS_DIR });
+            return {
+                ...provider,
+                fetchGameData: async url => {
+                    if (url !== OTHER_URL) return provider.fetchGameData(url);
+                    const gameData = await otherGame.fetchGameData(GAME_URL);
+                    return {
+                        ...gameData,
+                        summary: { ...gameData.summary, id: 'handball4all.hamburg.8123457' },
+                        events: gameData.events.map(ev => ({ ...ev, id: `other-${ev.id}` }))
+                    };
+                }
+            };
+        });
+
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(55 * MINUTE + 3000);
+        expect(activeTickers.get(CHAT_ID).seen.size).toBeGreaterThan(0);
+        expect(polling.stopTicker(CHAT_ID)).toBe(true);
+        const sentBeforeStart = transport.sent.length;
+        // As if the AI had commented on the first half of the old game
+        activeTickers.get(CHAT_ID).halftimeTalk = 'Esingen hat in der ersten Halbzeit nur zugeschaut.';
+
+        await polling.startPolling(OTHER_URL, CHAT_ID, 'HSV Fans', 'live');
+        expect(activeTickers.get(CHAT_ID).halftimeTalk).toBeUndefined();
+        expect(readState().tickers[CHAT_ID].halftimeTalk).toBeUndefined();
+        await jest.advanceTimersByTimeAsync(10 * MINUTE);
+
+        const texts = transport.textsFor(CHAT_ID).slice(sentBeforeStart);
+        expect(texts.some(text => text.includes('Korrektur'))).toBe(false);
+        // Every event of the new game is posted, including those with the same IDs in the old game
+        expect(texts).toContain('🏁 *Spielende*\nHSV Hamburg  *5:3* TuS Esingen');
+        expect(activeTickers.get(CHAT_ID).seen.size).toBe(16);
+        expect(Object.keys(activeTickers.get(CHAT_ID).fingerprints).every(id => id.startsWith('other-'))).toBe(true);
+    });
+
+    test('a live ticker after a replay of the same game posts every event', async () => {
+        // The replay needs the finished game, the live ticker then gets the snapshots from the start
+        const finalSnapshot = JSON.parse(fs.readFileSync(path.join(RECORDINGS_DIR, 'games', 'handball4all.hamburg.8123456', '007.json'), 'utf8')).data;
+        stopBot();
+        startBot(provider => {
+            let isReplayFetched = false;
+            return {
+                ...provider,
+                fetchGameData: async url => {
+                    if (isReplayFetched) return provider.fetchGameData(url);
+                    isReplayFetched = true;
+                    return finalSnapshot;
+                }
+            };
+        });
+
+        await polling.startReplay(GAME_URL, CHAT_ID, 'HSV Fans', 'live', 600);
+        await jest.advanceTimersByTimeAsync(10 * 1000);
+        expect(transport.textsFor(CHAT_ID).filter(text => text.startsWith('🏁 *Spielende*'))).toHaveLength(1);
+        expect(readState().tickers[CHAT_ID]).toBeUndefined();
+
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        expect(activeTickers.get(CHAT_ID).isReplay).toBeUndefined();
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+
+        expect(transport.textsFor(CHAT_ID).filter(text => text.startsWith('🏁 *Spielende*'))).toHaveLength(2);
+        expect(activeTickers.get(CHAT_ID).seen.size).toBe(16);
+        expect(readState().tickers[CHAT_ID].seen).toHaveLength(16);
+    });
+
+    test('a stopped ticker is skipped by queued jobs and never polls again', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(55 * MINUTE + 1000);
+        // Messages that were already queued are still delivered
+        const sentBeforeStop = transport.sent.length + require('../outbox.js').getOutboxStatus().pending;
+
+        activeTickers.get(CHAT_ID).isPolling = false;
+        await jest.advanceTimersByTimeAsync(10 * MINUTE);
+        expect(transport.sent).toHaveLength(sentBeforeStop);
+    });
+});
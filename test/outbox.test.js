@@ -0,0 +1,140 @@
+// test/outbox.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+const SECOND = 1000;
+
+describe('outbox', () => {
+    let outbox, transport, tmpDir, stateFile;
+
+    // Fresh modules on the same state file, like a bot restart
+    const startBot = () => {
+        jest.resetModules();
+        require('../store.js').openStore(stateFile);
+        outbox = require('../outbox.js');
+        transport = createFakeTransport();
+        outbox.initializeOutbox(transport);
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T17:00:00Z') });
+        for (const method of ['log', 'warn', 'error']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-outbox-'));
+        stateFile = path.join(tmpDir, 'ticker_state.json');
+        startBot();
+        transport.emit('ready');
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Makes the fake transport fail the next sends to a chat.
+     * @param {string} chatId - The chat ID.
+     * @param {number} count - The number of sends that fail.
+     */
+    const failNextSends = (chatId, count) => {
+        const send = transport.sendMessage;
+        let failures = 0;
+        transport.sendMessage = async (targetChatId, text) => {
+            if (targetChatId === chatId && failures < count) {
+                failures++;
+                throw new Error('Evaluation failed');
+            }
+            return send(targetChatId, text);
+        };
+    };
+
+    test('keeps the order of a chat while retrying a failed message', async () => {
+        failNextSends('a', 2);
+        const delivered = outbox.enqueueMessage('a', 'Tor 1:0');
+        outbox.enqueueMessage('a', 'Tor 2:0');
+        outbox.enqueueMessage('b', 'Anpfiff');
+
+        await jest.advanceTimersByTimeAsync(SECOND);
+        // Other chats don't wait for the failing one
+        expect(transport.sent).toEqual([{ chatId: 'b', text: 'Anpfiff' }]);
+        expect(outbox.getOutboxStatus()).toEqual({ pending: 2, retrying: 1, chats: 1 });
+
+        // Retries after 2s and 4s
+        await jest.advanceTimersByTimeAsync(6 * SECOND);
+        expect(transport.textsFor('a')).toEqual(['Tor 1:0', 'Tor 2:0']);
+        expect(await delivered).toBe(true);
+        expect(outbox.getOutboxStatus().pending).toBe(0);
+    });
+
+    test('drops a message that keeps failing', async () => {
+        failNextSends('a', Infinity);
+        const delivered = outbox.enqueueMessage('a', 'Tor 1:0');
+        outbox.enqueueMessage('a', 'Tor 2:0');
+
+        await jest.advanceTimersByTimeAsync(10 * 60 * SECOND);
+        expect(await delivered).toBe(false);
+        expect(outbox.getOutboxStatus().pending).toBe(0);
+        expect(console.error).toHaveBeenCalledWith('[a] Nachricht nach 8 Fehlversuchen verworfen:', 'Evaluation failed');
+    });
+
+    test('spreads out bursts and stays within the budget per minute', async () => {
+        for (let i = 1; i <= 50; i++) outbox.enqueueMessage(`chat-${i % 5}`, `Nachricht ${i}`);
+
+        expect(transport.sent).toHaveLength(1);
+        await jest.advanceTimersByTimeAsync(SECOND);
+        expect(transport.sent).toHaveLength(3);
+
+        await jest.advanceTimersByTimeAsync(58 * SECOND);
+        expect(transport.sent).toHaveLength(40);
+        // Across chats, messages go out in the order they were queued
+        expect(transport.sent.map(message => message.text).slice(0, 3)).toEqual(['Nachricht 1', 'Nachricht 2', 'Nachricht 3']);
+
+        await jest.advanceTimersByTimeAsync(60 * SECOND);
+        expect(transport.sent).toHaveLength(50);
+    });
+
+    test('keeps unsent text messages across a restart and sends them once connected', async () => {
+        transport.emit('disconnected', 'NAVIGATION');
+        outbox.enqueueMessage('a', 'Tor 1:0');
+        outbox.enqueueMedia('a', { mimetype: 'image/png', data: 'iVBORw0KGgo=', filename: 'spielstand.png' }, 'Spielstand');
+        await jest.advanceTimersByTimeAsync(10 * SECOND);
+        expect(transport.sent).toEqual([]);
+
+        // Images aren't written to the state file
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).outbox).toMatchObject([{ id: 1, text: 'Tor 1:0' }]);
+
+        startBot();
+        expect(outbox.getOutboxStatus().pending).toBe(1);
+        // Nothing is sent before the transport is ready
+        outbox.enqueueMessage('b', 'Anpfiff');
+        await jest.advanceTimersByTimeAsync(10 * SECOND);
+        expect(transport.sent).toEqual([]);
+
+        await transport.initialize();
+        await jest.advanceTimersByTimeAsync(SECOND);
+        expect(transport.sent).toEqual([{ chatId: 'a', text: 'Tor 1:0' }, { chatId: 'b', text: 'Anpfiff' }]);
+
+        // New messages get new IDs after the restored ones
+        transport.emit('disconnected', 'NAVIGATION');
+        outbox.enqueueMessage('a', 'Tor 2:0');
+        await jest.advanceTimersByTimeAsync(SECOND);
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).outbox).toMatchObject([{ id: 3, text: 'Tor 2:0' }]);
+    });
+
+    test('writes a burst of messages to the state file at once', async () => {
+        const writeFile = jest.spyOn(fs, 'fsyncSync');
+        transport.emit('disconnected', 'NAVIGATION');
+        writeFile.mockClear();
+        for (let i = 1; i <= 20; i++) outbox.enqueueMessage('a', `Nachricht ${i}`);
+        expect(writeFile).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(SECOND);
+        expect(writeFile).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).outbox).toHaveLength(20);
+    });
+});
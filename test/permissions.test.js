@@ -0,0 +1,138 @@
+// test/permissions.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+const GROUP_ID = '12345@g.us';
+
+describe('ticker control permissions', () => {
+    let permissions, settings, tmpDir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-permissions-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        permissions = require('../permissions.js');
+        settings = require('../settings.js');
+        process.env.BOT_OWNER_IDS = '4917099999999@c.us';
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.BOT_OWNER_IDS;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const member = (senderId, isAdmin = false) => ({ chatId: GROUP_ID, senderId, isAdmin });
+
+    test('only restricts commands that change a ticker', () => {
+        expect(permissions.isControlCommand('!stop1', ['!stop1'])).toBe(true);
+        expect(permissions.isControlCommand('!config', ['!config', 'ki', 'aus'])).toBe(true);
+        expect(permissions.isControlCommand('!config', ['!config'])).toBe(false);
+        expect(permissions.isControlCommand('!follow', ['!follow'])).toBe(false);
+        expect(permissions.isControlCommand('!stand', ['!stand'])).toBe(false);
+    });
+
+    test('allows admins, bot owners and the allow-list', () => {
+        expect(permissions.canControlTicker(member('491701111111@c.us', true))).toBe(true);
+        expect(permissions.canControlTicker(member('4917099999999@c.us'))).toBe(true);
+        expect(permissions.canControlTicker(member('491702222222@c.us'))).toBe(false);
+
+        settings.setGroupSetting(GROUP_ID, 'erlaubt', '+49 170 2222222, 555');
+        expect(permissions.canControlTicker(member('491702222222@c.us'))).toBe(true);
+        expect(permissions.canControlTicker(member('555'))).toBe(true);
+        expect(permissions.canControlTicker(member('491703333333@c.us'))).toBe(false);
+    });
+
+    test('can be opened to every member', () => {
+        settings.setGroupSetting(GROUP_ID, 'nuradmins', 'aus');
+        expect(permissions.canControlTicker(member('491703333333@c.us'))).toBe(true);
+        expect(settings.formatGroupSettings(GROUP_ID)).toContain('• *nuradmins*: aus');
+    });
+});
+
+describe('bot owner commands', () => {
+    let owner, polling, activeTickers, jobQueue, transport, tmpDir;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T16:00:00Z') });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-owner-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        polling = require('../polling.js');
+        owner = require('../owner.js');
+
+        activeTickers = new Map();
+        jobQueue = [];
+        transport = createFakeTransport();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, jobQueue, { name: 'mock', fetchGameData: jest.fn() });
+        owner.initializeOwner(activeTickers);
+
+        activeTickers.set('a@g.us', {
+            groupName: 'HSV Fans', mode: 'live', isPolling: true, meetingPageUrl: 'https://www.handball.net/spiele/a',
+            teamNames: { home: 'HSV Hamburg', guest: 'TuS Esingen' }, seen: new Set(), recapEvents: []
+        });
+        activeTickers.set('b@g.us', {
+            groupName: 'Esingen', mode: 'recap', isScheduled: true, scheduleTimeout: setTimeout(() => {}, 60000),
+            startTime: new Date(2025, 2, 8, 17, 55).toISOString(), meetingPageUrl: 'https://www.handball.net/spiele/b',
+            seen: new Set(), recapEvents: []
+        });
+        jobQueue.push({ type: 'poll', chatId: 'a@g.us' });
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Sends a direct message from the owner and returns the bot's reply.
+     * @param {string} body - The message text.
+     * @returns {Promise<string>} - The reply.
+     */
+    const ownerSays = async body => {
+        const reply = jest.fn();
+        await owner.handleOwnerCommand({ body, chatId: 'owner@c.us', isGroup: false, senderId: 'owner@c.us', reply });
+        return reply.mock.calls[0][0];
+    };
+
+    test('lists the tickers of all groups and the worker load', async () => {
+        const status = await ownerSays('!status');
+        expect(status).toContain('Warteschlange: 1 Jobs · Worker: 0/2 · Anfragen (letzte Minute): 0/30');
+        expect(status).toContain('1. *HSV Fans* (a@g.us)\n   HSV Hamburg vs TuS Esingen · läuft (live)');
+        expect(status).toContain('2. *Esingen* (b@g.us)\n   https://www.handball.net/spiele/b · geplant ab 08.03.2025 17:55 (recap)');
+    });
+
+    test('force-stops a ticker by number or chat ID and tells the group', async () => {
+        expect(await ownerSays('!stop 1')).toBe('Ticker in "HSV Fans" gestoppt.');
+        expect(activeTickers.get('a@g.us').isPolling).toBe(false);
+        expect(jobQueue).toEqual([]);
+        expect(transport.textsFor('a@g.us')).toEqual(['Der Live-Ticker dieser Gruppe wurde vom Bot-Betreiber gestoppt.']);
+
+        expect(await ownerSays('!stop b@g.us')).toBe('Ticker in "Esingen" gestoppt.');
+        expect(await ownerSays('!stop 1')).toContain('läuft nicht');
+        expect(await ownerSays('!stop 7')).toContain('Kein Ticker "7" gefunden');
+    });
+
+    test('broadcasts a notice to every known group in its language', async () => {
+        require('../settings.js').setGroupSetting('c@g.us', 'sprache', 'en');
+
+        // The reply doesn't wait for the delivery, which pauses while the transport is disconnected
+        transport.emit('disconnected', 'test');
+        expect(await ownerSays('!broadcast Wartung heute ab 22 Uhr')).toBe('Hinweis an 3 Gruppen wird gesendet.');
+        expect(transport.sent).toHaveLength(0);
+
+        transport.emit('ready');
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(transport.textsFor('a@g.us')).toEqual(['📢 *Hinweis des Bot-Betreibers:*\n\nWartung heute ab 22 Uhr']);
+        expect(transport.textsFor('c@g.us')).toEqual(['📢 *Notice from the bot owner:*\n\nWartung heute ab 22 Uhr']);
+        expect(await ownerSays('!hilfe')).toContain('!broadcast <Text>');
+    });
+});
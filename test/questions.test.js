@@ -0,0 +1,69 @@
+// test/questions.test.js
+const fs = require('fs');
+const path = require('path');
+
+const GAME_DIR = path.join(__dirname, 'fixtures', 'recordings', 'games', 'handball4all.hamburg.8123456');
+const snapshot = file => JSON.parse(fs.readFileSync(path.join(GAME_DIR, file), 'utf8')).data;
+const teamNames = { home: 'HSV Hamburg', guest: 'TuS Esingen' };
+
+describe('!frag', () => {
+    let ai, answerQuestion, prompts;
+    const finished = { teamNames, lastGameData: snapshot('007.json') };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.resetModules();
+        ai = require('../ai.js');
+        ({ answerQuestion } = require('../questions.js'));
+        prompts = [];
+        ai.initializeAi([
+            { name: 'model', isAi: true, isAvailable: () => true, generateText: async ({ prompt }) => { prompts.push(prompt); return 'Paul Test hat die einzige Zeitstrafe.'; } },
+            require('../aiProviders/index.js').createAiProvider('template')
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('answers the score at a minute without the AI', async () => {
+        expect(await answerQuestion(finished, 'Wie stand es in der 40. Minute?', 'de'))
+            .toBe('⏱️ Stand nach 40 Minuten:\nHSV Hamburg  3:2  TuS Esingen');
+        expect(await answerQuestion(finished, 'What was the score at minute 22?', 'en'))
+            .toBe('⏱️ Score after 22 minutes:\nHSV Hamburg  3:1  TuS Esingen');
+        expect(await answerQuestion(finished, 'Wie war der Halbzeitstand?', 'de'))
+            .toBe('⏸️ Halbzeitstand:\nHSV Hamburg  3:1  TuS Esingen');
+        expect(await answerQuestion({ teamNames, lastGameData: snapshot('003.json') }, 'Wie stand es in der 40. Minute?', 'de'))
+            .toBe('Die 40. Minute wurde (noch) nicht gespielt.');
+        expect(prompts).toHaveLength(0);
+    });
+
+    test('answers player stats and stat leaders without the AI', async () => {
+        expect(await answerQuestion(finished, 'Wie viele Tore hat Mustermann geworfen?', 'de'))
+            .toBe('• Max Mustermann (7): 3 Tore · HSV Hamburg');
+        expect(await answerQuestion(finished, 'How many 7m did jan beispiel score?', 'en'))
+            .toBe('• Jan Beispiel (11): 2 goals, 7m 0 of 1 · TuS Esingen');
+        expect(await answerQuestion(finished, 'Wer hat die meisten Zeitstrafen?', 'de'))
+            .toBe('⏱️ *Die meisten Zeitstrafen:*\n• Paul Test (4): 0 Tore, 1× 2 Min. · TuS Esingen');
+        expect(await answerQuestion({ teamNames, lastGameData: snapshot('001.json') }, 'Wer hat die meisten Tore?', 'de'))
+            .toBe('Bisher ist noch kein Tor gefallen.');
+        expect(prompts).toHaveLength(0);
+    });
+
+    test('asks the AI with the game data as context', async () => {
+        const answer = await answerQuestion(finished, 'Hat Mustermann mehr Tore als Beispiel?', 'de');
+
+        expect(answer).toBe('🤖 Paul Test hat die einzige Zeitstrafe.');
+        expect(prompts).toHaveLength(1);
+        expect(prompts[0]).toContain('Frage: Hat Mustermann mehr Tore als Beispiel?');
+        expect(prompts[0]).toContain('HSV Hamburg  *5:3*  TuS Esingen');
+        expect(prompts[0]).toContain('08:02 | 1:1 | TwoMinutePenalty | 2-Minuten Strafe für Paul Test (4.)');
+        expect(prompts[0]).toContain('• Max Mustermann (7): 3 Tore');
+    });
+
+    test('explains what it can answer when no language model is configured', async () => {
+        ai.initializeAi([require('../aiProviders/index.js').createAiProvider('template')]);
+        expect(await answerQuestion(finished, 'Wer war der beste Torwart?', 'de')).toMatch(/^Das kann ich ohne KI leider nicht beantworten/);
+        expect(await answerQuestion({ teamNames }, 'Wie steht es?', 'de')).toContain('noch keine Daten');
+    });
+});
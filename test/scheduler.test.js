@@ -0,0 +1,156 @@
+// test/scheduler.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+const { getPollInterval, getBackoffDelay } = require('../pollInterval.js');
+
+const SECOND = 1000;
+
+/**
+ * Builds minimal game data with the given events (newest first).
+ */
+const gameWith = (...events) => ({
+    summary: { updatedAt: String(Math.random()), homeTeam: { name: 'H' }, awayTeam: { name: 'G' } },
+    events
+});
+
+describe('getPollInterval', () => {
+    test('polls slowly before throw-off and during halftime', () => {
+        expect(getPollInterval(gameWith())).toBe(60 * SECOND);
+        expect(getPollInterval(gameWith({ type: 'StopPeriod', time: '30:00', score: '15-10' }))).toBe(60 * SECOND);
+    });
+
+    test('polls at the default rate during regular play', () => {
+        expect(getPollInterval(gameWith({ type: 'Goal', time: '20:00', score: '12-7' }))).toBe(20 * SECOND);
+    });
+
+    test('polls faster in the final minutes or when the score is close', () => {
+        expect(getPollInterval(gameWith({ type: 'Goal', time: '20:00', score: '10-9' }))).toBe(10 * SECOND);
+        expect(getPollInterval(gameWith({ type: 'Goal', time: '52:00', score: '28-20' }))).toBe(10 * SECOND);
+        expect(getPollInterval(gameWith({ type: 'Goal', time: '58:30', score: '25-24' }))).toBe(5 * SECOND);
+    });
+
+    test('uses the half length of youth games for the final minutes', () => {
+        const events = [
+            { type: 'Goal', time: '33:00', score: '20-14' },
+            { id: 'e1', type: 'StopPeriod', time: '20:00', score: '11-8' }
+        ];
+        expect(getPollInterval(gameWith(...events))).toBe(10 * SECOND);
+    });
+
+    test('polls fastest during overtime', () => {
+        const events = [
+            { type: 'Goal', time: '62:00', score: '29-28' }, { id: 's3', type: 'StartPeriod', time: '60:00' },
+            { id: 'e2', type: 'StopPeriod', time: '60:00', score: '28-28' }, { id: 'e1', type: 'StopPeriod', time: '30:00', score: '14-14' }
+        ];
+        expect(getPollInterval(gameWith(...events))).toBe(5 * SECOND);
+    });
+
+    test('uses the last event with a score for non-scoring events', () => {
+        const events = [{ type: 'Timeout', time: '21:00' }, { type: 'Goal', time: '20:00', score: '12-7' }];
+        expect(getPollInterval(gameWith(...events))).toBe(20 * SECOND);
+    });
+});
+
+describe('getBackoffDelay', () => {
+    test('doubles with every error up to ten minutes', () => {
+        expect([1, 2, 3, 4, 5, 6, 10].map(getBackoffDelay)).toEqual(
+            [20, 40, 80, 160, 320, 600, 600].map(s => s * SECOND)
+        );
+    });
+});
+
+describe('adaptive scheduler', () => {
+    let polling, activeTickers, jobQueue, tmpDir, intervals, fetchGameData;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T17:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        polling = require('../polling.js');
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-scheduler-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+
+        activeTickers = new Map();
+        jobQueue = [];
+        fetchGameData = jest.fn();
+        require('../outbox.js').initializeOutbox(createFakeTransport());
+        polling.initializePolling(activeTickers, jobQueue, { name: 'mock', fetchGameData });
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const startTickers = count => {
+        for (let i = 0; i < count; i++) {
+            const chatId = `chat-${i}`;
+            activeTickers.set(chatId, {
+                seen: new Set(), mode: 'live', meetingPageUrl: `https://www.handball.net/spiele/game-${i}`,
+                teamNames: { home: 'H', guest: 'G' }, recapEvents: []
+            });
+            polling.beginActualPolling(chatId);
+        }
+    };
+
+    const fetchesPerGame = () => {
+        const counts = {};
+        for (const [url] of fetchGameData.mock.calls) counts[url] = (counts[url] || 0) + 1;
+        return counts;
+    };
+
+    test('polls every parallel game at its own interval instead of round robin', async () => {
+        // Regular play, clear lead: 20 s interval
+        fetchGameData.mockImplementation(async () => gameWith({ id: 1, type: 'Goal', time: '20:00', score: '12-7', team: 'Home' }));
+        startTickers(5);
+
+        await jest.advanceTimersByTimeAsync(100 * SECOND);
+
+        const counts = Object.values(fetchesPerGame());
+        expect(counts).toHaveLength(5);
+        // Round robin every 20 s would have polled each game only once or twice
+        for (const count of counts) expect(count).toBeGreaterThanOrEqual(5);
+    });
+
+    test('backs off exponentially while the feed fails and recovers afterwards', async () => {
+        const fetchTimes = [];
+        fetchGameData.mockImplementation(async () => {
+            fetchTimes.push(Date.now());
+            throw new Error('Request failed with status code 503');
+        });
+        startTickers(1);
+        await jest.advanceTimersByTimeAsync(300 * SECOND);
+
+        const gaps = fetchTimes.slice(1).map((time, i) => Math.round((time - fetchTimes[i]) / SECOND));
+        // 20 s, 40 s, 80 s (plus up to a second of scheduler granularity)
+        expect(gaps.slice(0, 3).map(gap => Math.round(gap / 10) * 10)).toEqual([20, 40, 80]);
+        expect(activeTickers.get('chat-0').consecutiveErrors).toBe(fetchTimes.length);
+
+        fetchGameData.mockImplementation(async () => gameWith({ id: 1, type: 'Goal', time: '20:00', score: '12-7', team: 'Home' }));
+        await jest.advanceTimersByTimeAsync(200 * SECOND);
+        expect(activeTickers.get('chat-0').consecutiveErrors).toBe(0);
+        expect(activeTickers.get('chat-0').pollInterval).toBe(20 * SECOND);
+    });
+
+    test('never exceeds the global request budget', async () => {
+        // Close final minutes: every game wants a poll every 5 s
+        fetchGameData.mockImplementation(async () => gameWith({ id: 1, type: 'Goal', time: '58:00', score: '25-24', team: 'Home' }));
+        startTickers(10);
+
+        await jest.advanceTimersByTimeAsync(60 * SECOND - 1);
+        expect(fetchGameData.mock.calls.length).toBeLessThanOrEqual(30);
+        expect(fetchGameData.mock.calls.length).toBeGreaterThanOrEqual(25);
+
+        // All games still get their turn
+        expect(Object.keys(fetchesPerGame())).toHaveLength(10);
+    });
+});
@@ -0,0 +1,167 @@
+// test/settings.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'recordings');
+const GAME_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker';
+const CHAT_ID = '12345@g.us';
+const MINUTE = 60 * 1000;
+
+describe('group settings', () => {
+    let settings, tmpDir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-settings-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        settings = require('../settings.js');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('falls back to the defaults', () => {
+        expect(settings.getGroupSettings('a')).toEqual(settings.DEFAULT_SETTINGS);
+    });
+
+    test('validates and stores values per chat', () => {
+        settings.setGroupSetting('a', 'intervall', '10');
+        settings.setGroupSetting('a', 'ki', 'aus');
+        settings.setGroupSetting('a', 'ignorieren', 'Timeout, gelbe karte,Warning');
+
+        expect(settings.getGroupSettings('a')).toMatchObject({
+            recapIntervalMinutes: 10, sendAiSummary: false, ignoredEvents: ['Timeout', 'Warning']
+        });
+        expect(settings.getGroupSettings('b')).toEqual(settings.DEFAULT_SETTINGS);
+    });
+
+    test('rejects unknown keys and invalid values', () => {
+        expect(() => settings.setGroupSetting('a', 'lautstärke', '11')).toThrow('Unbekannte Einstellung "lautstärke"');
+        expect(() => settings.setGroupSetting('a', 'intervall', '0')).toThrow('zwischen 1 und 60');
+        expect(() => settings.setGroupSetting('a', 'vorlauf', 'bald')).toThrow('zwischen 0 und 60');
+        expect(() => settings.setGroupSetting('a', 'statistik', 'vielleicht')).toThrow('"an" oder "aus"');
+        // Period events drive the game lifecycle and can't be ignored
+        expect(() => settings.setGroupSetting('a', 'ignorieren', 'StopPeriod')).toThrow('Unbekanntes Event "StopPeriod"');
+        expect(settings.getGroupSettings('a')).toEqual(settings.DEFAULT_SETTINGS);
+    });
+
+    test('configures the commentator persona for the AI', () => {
+        settings.setGroupSetting('a', 'lieblingsteam', 'HSV Hamburg');
+        settings.setGroupSetting('a', 'ton', 'begeistert');
+        settings.setGroupSetting('a', 'laenge', 'lang');
+        settings.setGroupSetting('a', 'insider', 'Max Mustermann: wirft nur mit links; Beispiel: kommt immer zu spät, aber trifft');
+
+        expect(settings.getAiPersona('a')).toEqual({
+            favoriteTeam: 'HSV Hamburg',
+            tone: 'enthusiastic',
+            length: 'long',
+            playerJokes: [
+                { player: 'Max Mustermann', joke: 'wirft nur mit links' },
+                { player: 'Beispiel', joke: 'kommt immer zu spät, aber trifft' }
+            ]
+        });
+        const text = settings.formatGroupSettings('a');
+        expect(text).toContain('• *ton*: begeistert');
+        expect(text).toContain('• *insider*: Max Mustermann: wirft nur mit links; Beispiel: kommt immer zu spät, aber trifft');
+
+        expect(() => settings.setGroupSetting('a', 'ton', 'bissig')).toThrow('neutral, begeistert, sarkastisch');
+        expect(() => settings.setGroupSetting('a', 'insider', 'Max Mustermann')).toThrow('Format: !config insider');
+        expect(() => settings.setGroupSetting('a', 'lieblingsteam', 'x'.repeat(61))).toThrow('höchstens 60 Zeichen');
+
+        settings.setGroupSetting('a', 'lieblingsteam', 'keins');
+        settings.setGroupSetting('a', 'insider', 'keine');
+        expect(settings.getAiPersona('a')).toMatchObject({ favoriteTeam: null, playerJokes: [] });
+    });
+
+    test('resets one or all settings', () => {
+        settings.setGroupSetting('a', 'intervall', '10');
+        settings.setGroupSetting('a', 'abschied', 'aus');
+
+        settings.resetGroupSettings('a', 'intervall');
+        expect(settings.getGroupSettings('a')).toMatchObject({ recapIntervalMinutes: 5, sendFarewell: false });
+        settings.resetGroupSettings('a');
+        expect(settings.getGroupSettings('a')).toEqual(settings.DEFAULT_SETTINGS);
+    });
+
+    test('lists the current values', () => {
+        settings.setGroupSetting('a', 'ignorieren', 'Timeout');
+        const text = settings.formatGroupSettings('a');
+        expect(text).toContain('• *intervall*: 5 min');
+        expect(text).toContain('• *ignorieren*: Timeout');
+        expect(text).toContain('• *ki*: an');
+    });
+});
+
+describe('settings applied to a recorded game', () => {
+    let polling, settings, transport, activeTickers, tmpDir, intervals;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T16:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        delete process.env.GEMINI_API_KEY;
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-settings-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        polling = require('../polling.js');
+        settings = require('../settings.js');
+        const { createDataProvider } = require('../providers/index.js');
+
+        transport = createFakeTransport();
+        activeTickers = new Map();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, [], createDataProvider('snapshots', { directory: RECORDINGS_DIR }));
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('uses the lead time, skips ignored events and leaves out disabled end messages', async () => {
+        settings.setGroupSetting(CHAT_ID, 'vorlauf', '15');
+        settings.setGroupSetting(CHAT_ID, 'ignorieren', 'Gelbe Karte');
+        settings.setGroupSetting(CHAT_ID, 'statistik', 'aus');
+        settings.setGroupSetting(CHAT_ID, 'abschied', 'aus');
+
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(activeTickers.get(CHAT_ID).startTime).toBe('2025-03-01T16:45:00.000Z');
+
+        await jest.advanceTimersByTimeAsync(45 * MINUTE);
+        expect(activeTickers.get(CHAT_ID).isPolling).toBe(true);
+
+        await jest.advanceTimersByTimeAsync(5 * MINUTE);
+        const texts = transport.textsFor(CHAT_ID);
+        expect(texts).toContain('🏁 *Spielende*\nHSV Hamburg  *5:3* TuS Esingen');
+        expect(texts.some(text => text.includes('Verwarnung'))).toBe(false);
+        expect(texts[texts.length - 1]).toBe('🏁 *Spielende*\nHSV Hamburg  *5:3* TuS Esingen');
+    });
+
+    test('restarts a running recap timer with the new interval', async () => {
+        const tickerState = {
+            seen: new Set(), mode: 'recap', meetingPageUrl: GAME_URL, teamNames: { home: 'H', guest: 'G' }, recapEvents: []
+        };
+        activeTickers.set(CHAT_ID, tickerState);
+        await polling.beginActualPolling(CHAT_ID);
+        const previousTimer = tickerState.recapIntervalId;
+
+        settings.setGroupSetting(CHAT_ID, 'intervall', '2');
+        polling.applyGroupSettings(CHAT_ID);
+
+        expect(tickerState.recapIntervalId).not.toBe(previousTimer);
+        expect(console.log).toHaveBeenCalledWith(`[${CHAT_ID}] Recap-Timer gestartet (2 min).`);
+    });
+});
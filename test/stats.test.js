@@ -0,0 +1,95 @@
+// test/stats.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+const { formatScoreboard, formatScorers } = require('../stats.js');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'recordings');
+const GAME_DIR = path.join(RECORDINGS_DIR, 'games', 'handball4all.hamburg.8123456');
+const GAME_URL = 'https://www.handball.net/spiele/handball4all.hamburg.8123456/ticker';
+const CHAT_ID = '12345@g.us';
+const MINUTE = 60 * 1000;
+
+const snapshot = file => JSON.parse(fs.readFileSync(path.join(GAME_DIR, file), 'utf8')).data;
+const teamNames = { home: 'HSV Hamburg', guest: 'TuS Esingen' };
+
+describe('!stand', () => {
+    test('shows score, match time and period of the last fetched data', () => {
+        expect(formatScoreboard({ teamNames, lastGameData: snapshot('003.json') }, 'de'))
+            .toBe('📣 *Aktueller Spielstand*\nHSV Hamburg  *3:1*  TuS Esingen\n⏱️ 27:10 · 1. Halbzeit');
+        expect(formatScoreboard({ teamNames, lastGameData: snapshot('004.json') }, 'en'))
+            .toBe('📣 *Current score*\nHSV Hamburg  *3:1*  TuS Esingen\n⏱️ 30:00 · Halftime break');
+        expect(formatScoreboard({ teamNames, lastGameData: snapshot('007.json') }, 'de')).toContain('*5:3*');
+        expect(formatScoreboard({ teamNames, lastGameData: snapshot('007.json') }, 'de')).toMatch(/· Spielende$/);
+    });
+
+    test('explains when the game has not started yet', () => {
+        expect(formatScoreboard({ teamNames, lastGameData: snapshot('001.json') }, 'de'))
+            .toMatch(/^⏳ \*HSV Hamburg\* vs \*TuS Esingen\* ist noch nicht angepfiffen \(Anwurf am 01\.03\.2025 um \d\d:00 Uhr\)\.$/);
+        expect(formatScoreboard({ teamNames, startsAt: '2025-03-01T17:00:00Z' }, 'de'))
+            .toMatch(/^⏳ \*HSV Hamburg\* vs \*TuS Esingen\* beginnt am 01\.03\.2025/);
+        expect(formatScoreboard({}, 'de')).toContain('noch keine Daten');
+    });
+});
+
+describe('!torschützen', () => {
+    test('lists goals, 7m and suspensions per player, best scorers first', () => {
+        expect(formatScorers({ teamNames, lastGameData: snapshot('004.json') }, 'de')).toBe(
+            '⚽ *Torschützen:*\n' +
+            '*HSV Hamburg*\n' +
+            '• Max Mustermann (7): 2 Tore\n' +
+            '• Lars Probe (9): 1 Tor, 7m 1 von 1\n\n' +
+            '*TuS Esingen*\n' +
+            '• Jan Beispiel (11): 1 Tor, 7m 0 von 1\n' +
+            '• Paul Test (4): 0 Tore, 1× 2 Min.'
+        );
+        expect(formatScorers({ teamNames, lastGameData: snapshot('001.json') }, 'en'))
+            .toBe('⚽ *Scorers:*\n*HSV Hamburg*\nNobody\n\n*TuS Esingen*\nNobody');
+    });
+});
+
+describe('cached game data while polling', () => {
+    let polling, transport, activeTickers, tmpDir, intervals;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T16:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        delete process.env.GEMINI_API_KEY;
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-stats-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        polling = require('../polling.js');
+        const { createDataProvider } = require('../providers/index.js');
+
+        transport = createFakeTransport();
+        activeTickers = new Map();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, [], createDataProvider('snapshots', { directory: RECORDINGS_DIR }));
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('keeps the last fetch in memory only', async () => {
+        await polling.startPolling(GAME_URL, CHAT_ID, 'HSV Fans', 'live');
+        await jest.advanceTimersByTimeAsync(61 * MINUTE);
+
+        const tickerState = activeTickers.get(CHAT_ID);
+        expect(tickerState.lastGameData.summary.state).toBe('post');
+        expect(formatScoreboard(tickerState, 'de')).toBe('📣 *Aktueller Spielstand*\nHSV Hamburg  *5:3*  TuS Esingen\n⏱️ 60:00 · Spielende');
+
+        const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'ticker_state.json'), 'utf8'));
+        expect(stored.tickers[CHAT_ID].lastGameData).toBeUndefined();
+    });
+});
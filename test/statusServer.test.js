@@ -0,0 +1,101 @@
+// test/statusServer.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeTransport } = require('./helpers/fakeTransport.js');
+
+const SECOND = 1000;
+
+const feed = updatedAt => ({
+    summary: { updatedAt, state: 'live', homeTeam: { name: 'H' }, awayTeam: { name: 'G' } },
+    events: [],
+    lineup: { home: [], away: [] }
+});
+
+describe('status and metrics', () => {
+    let polling, metrics, statusServer, activeTickers, jobQueue, transport, tmpDir, intervals, fetchGameData;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-03-01T17:00:00Z') });
+        for (const method of ['log', 'warn', 'error', 'time', 'timeEnd']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-status-'));
+        require('../store.js').openStore(path.join(tmpDir, 'ticker_state.json'));
+        polling = require('../polling.js');
+        metrics = require('../metrics.js');
+        statusServer = require('../statusServer.js');
+
+        activeTickers = new Map();
+        jobQueue = [];
+        transport = metrics.instrumentTransport(createFakeTransport());
+        fetchGameData = jest.fn();
+        require('../outbox.js').initializeOutbox(transport);
+        transport.emit('ready');
+        polling.initializePolling(activeTickers, jobQueue, { name: 'mock', fetchGameData });
+        statusServer.initializeStatusServer(activeTickers, jobQueue);
+        intervals = [setInterval(polling.masterScheduler, 1000), setInterval(polling.dispatcherLoop, 500)];
+    });
+
+    afterEach(() => {
+        intervals.forEach(clearInterval);
+        activeTickers.forEach(polling.clearTickerTimers);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('reports polls, fetch failures and sent messages', async () => {
+        activeTickers.set('chat', {
+            seen: new Set(), mode: 'live', groupName: 'HSV Fans', meetingPageUrl: 'https://www.handball.net/spiele/game',
+            teamNames: { home: 'H', guest: 'G' }, recapEvents: []
+        });
+        await transport.initialize();
+        fetchGameData.mockResolvedValue(feed('1'));
+        polling.beginActualPolling('chat');
+        await jest.advanceTimersByTimeAsync(2 * SECOND);
+
+        fetchGameData.mockRejectedValue(new Error('Netzwerkfehler'));
+        await jest.advanceTimersByTimeAsync(60 * SECOND);
+        await transport.sendMessage('chat', 'Hallo');
+
+        const ticker = statusServer.getStatus().tickers[0];
+        expect(ticker).toMatchObject({
+            chatId: 'chat', groupName: 'HSV Fans', state: 'polling', mode: 'live', teams: { home: 'H', guest: 'G' },
+            lastUpdatedAt: '1', lastPolledAt: '2025-03-01T17:00:00.500Z', consecutiveErrors: 1, errorCount: 1
+        });
+        expect(new Date(ticker.nextPollAt).getTime()).toBeGreaterThan(Date.now());
+
+        const text = statusServer.getMetricsText();
+        expect(text).toContain('liveticker_poll_duration_seconds_count{job="poll"} 1');
+        expect(text).toContain('liveticker_poll_duration_seconds_bucket{job="poll",le="0.1"} 1');
+        expect(text).toContain('liveticker_fetch_failures_total{job="poll"} 1');
+        expect(text).toContain('liveticker_messages_sent_total{kind="text"} 1');
+        expect(text).toContain('liveticker_transport_connected{transport="fake"} 1');
+        expect(text).toContain('liveticker_tickers{state="polling"} 1');
+        expect(text).toContain(`liveticker_ticker_last_poll_timestamp_seconds{chat_id="chat"} ${Math.round(Date.parse('2025-03-01T17:00:00.500Z') / 1000)}`);
+        expect(text).toContain('liveticker_ticker_consecutive_errors{chat_id="chat"} 1');
+
+        transport.emit('disconnected', 'test');
+        expect(statusServer.getMetricsText()).toContain('liveticker_transport_connected{transport="fake"} 0');
+    });
+
+    test('serves /status and /metrics over HTTP', async () => {
+        jest.useRealTimers();
+        const server = await statusServer.startStatusServer(0);
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        try {
+            const status = await fetch(`${baseUrl}/status`);
+            expect(status.headers.get('content-type')).toContain('application/json');
+            expect(await status.json()).toMatchObject({ jobQueue: { length: 0 }, workers: { active: 0, max: 2 }, tickers: [] });
+
+            const metricsResponse = await fetch(`${baseUrl}/metrics`);
+            expect(await metricsResponse.text()).toContain('# TYPE liveticker_poll_duration_seconds histogram');
+            expect((await fetch(`${baseUrl}/other`)).status).toBe(404);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,82 @@
+// test/store.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('state store', () => {
+    let store, tmpDir, stateFile;
+
+    beforeEach(() => {
+        for (const method of ['log', 'error']) {
+            jest.spyOn(console, method).mockImplementation(() => {});
+        }
+        jest.resetModules();
+        store = require('../store.js');
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liveticker-store-'));
+        stateFile = path.join(tmpDir, 'ticker_state.json');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('imports the legacy seen, schedule and follow files on first start', () => {
+        const legacyFiles = {
+            seenFile: path.join(tmpDir, 'seen_tickers.json'),
+            scheduleFile: path.join(tmpDir, 'scheduled_tickers.json'),
+            followFile: path.join(tmpDir, 'followed_teams.json')
+        };
+        fs.writeFileSync(legacyFiles.seenFile, JSON.stringify({ a: ['evt-1', 'evt-2'] }));
+        fs.writeFileSync(legacyFiles.scheduleFile, JSON.stringify({
+            b: { meetingPageUrl: 'https://www.handball.net/spiele/x', startTime: '2025-03-01T16:55:00.000Z', groupName: 'B', mode: 'recap' }
+        }));
+        fs.writeFileSync(legacyFiles.followFile, JSON.stringify({ b: { teams: [], skippedGames: [] } }));
+
+        store.openStore(stateFile, legacyFiles);
+
+        const tickers = store.loadTickers();
+        expect([...tickers.a.seen]).toEqual(['evt-1', 'evt-2']);
+        expect(tickers.b).toMatchObject({ mode: 'recap', isScheduled: true, startTime: '2025-03-01T16:55:00.000Z' });
+        expect(store.loadFollowedTeams()).toEqual({ b: { teams: [], skippedGames: [] } });
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).version).toBe(1);
+    });
+
+    test('round-trips the complete ticker state, without timers and replays', () => {
+        store.openStore(stateFile);
+        const activeTickers = new Map([
+            ['a', {
+                seen: new Set(['evt-1']), mode: 'live', teamNames: { home: 'H', guest: 'G' },
+                lastUpdatedAt: '2025-03-01T17:05:00Z', recapEvents: [{ id: 'evt-2' }], isPolling: true,
+                recapIntervalId: setTimeout(() => {}, 0)
+            }],
+            ['replay', { seen: new Set(), isReplay: true, isPolling: true }]
+        ]);
+        store.saveTickers(activeTickers);
+
+        jest.resetModules();
+        const reopened = require('../store.js');
+        reopened.openStore(stateFile);
+        const tickers = reopened.loadTickers();
+
+        expect(Object.keys(tickers)).toEqual(['a']);
+        expect(tickers.a).toEqual({
+            seen: new Set(['evt-1']), mode: 'live', teamNames: { home: 'H', guest: 'G' },
+            lastUpdatedAt: '2025-03-01T17:05:00Z', recapEvents: [{ id: 'evt-2' }], isPolling: true
+        });
+        expect(fs.existsSync(`${stateFile}.tmp`)).toBe(false);
+    });
+
+    test('moves an unreadable store aside and starts fresh', () => {
+        fs.writeFileSync(stateFile, '{ "version": 1, "tick');
+        store.openStore(stateFile);
+
+        expect(store.loadTickers()).toEqual({});
+        expect(fs.readdirSync(tmpDir).some(file => file.startsWith('ticker_state.json.corrupt-'))).toBe(true);
+    });
+
+    test('refuses a store written by a newer version', () => {
+        fs.writeFileSync(stateFile, JSON.stringify({ version: 99, tickers: {} }));
+        expect(() => store.openStore(stateFile)).toThrow('Version 99');
+    });
+});
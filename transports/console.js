@@ -0,0 +1,60 @@
+// transports/console.js
+const EventEmitter = require('events');
+const readline = require('readline');
+
+/**
+ * Creates a transport for local development: every line typed on stdin is treated as a
+ * message in a single simulated group chat, and all outgoing messages are printed to stdout.
+ * @param {object} [options]
+ * @param {string} [options.chatId='console'] - The ID of the simulated group chat.
+ * @param {string} [options.chatName='Konsole'] - The name of the simulated group chat.
+ * @param {object} [options.input=process.stdin] - The stream to read commands from.
+ * @param {object} [options.output=process.stdout] - The stream to print messages to.
+ * @returns {EventEmitter} - The messaging transport.
+ */
+function createConsoleTransport(options = {}) {
+    const transport = new EventEmitter();
+    const chatId = options.chatId || 'console';
+    const chatName = options.chatName || 'Konsole';
+    const input = options.input || process.stdin;
+    const output = options.output || process.stdout;
+    let rl = null;
+
+    const print = (targetChatId, text) => {
+        output.write(`\n💬 [${targetChatId}]\n${text}\n`);
+    };
+
+    transport.name = 'console';
+
+    transport.initialize = async () => {
+        rl = readline.createInterface({ input, terminal: false });
+        rl.on('line', line => {
+            if (line.trim() === '') return;
+            transport.emit('message', {
+                body: line.trim(),
+                chatId,
+                chatName,
+                isGroup: true,
+                senderId: 'console-user',
+                isAdmin: true, // The local developer controls everything
+                reply: async text => print(chatId, text)
+            });
+        });
+        rl.on('close', () => transport.emit('disconnected', 'stdin closed'));
+        console.log(`Konsolen-Transport aktiv. Befehle für die Gruppe "${chatName}" hier eingeben.`);
+        transport.emit('ready');
+    };
+
+    transport.sendMessage = async (targetChatId, text) => print(targetChatId, text);
+    transport.sendMedia = async (targetChatId, media, caption) => {
+        print(targetChatId, `[Datei: ${media.filename || media.mimetype}]${caption ? `\n${caption}` : ''}`);
+    };
+    transport.destroy = async () => {
+        if (rl) rl.close();
+    };
+    transport.getGroups = async () => [{ chatId, name: chatName }];
+
+    return transport;
+}
+
+module.exports = { createConsoleTransport };
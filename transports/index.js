@@ -0,0 +1,42 @@
+// transports/index.js
+const { createWhatsAppTransport } = require('./whatsapp.js');
+const { createConsoleTransport } = require('./console.js');
+const { createTelegramTransport } = require('./telegram.js');
+
+/*
+ * A messaging transport is an EventEmitter with:
+ *   name                                - A short identifier for logs.
+ *   initialize()                        - Connects to the messaging service.
+ *   sendMessage(chatId, text)           - Sends a text message to a chat.
+ *   sendMedia(chatId, media, caption)   - Sends a file ({ mimetype, data (base64), filename }).
+ *   destroy()                           - Disconnects.
+ *   getGroups()                         - Optional: lists the group chats the bot is in ([{ chatId, name }]).
+ *
+ * Events:
+ *   'ready'                             - The transport is connected.
+ *   'disconnected' (reason)             - The connection was lost.
+ *   'message' (message)                 - An incoming message, normalized to
+ *                                         { body, chatId, chatName, isGroup, senderId, isAdmin, reply(text) }.
+ *                                         `isAdmin` is true if the sender is an admin of the group.
+ */
+const TRANSPORTS = {
+    whatsapp: createWhatsAppTransport,
+    console: createConsoleTransport,
+    telegram: createTelegramTransport
+};
+
+/**
+ * Creates a messaging transport by name.
+ * @param {string} [name='whatsapp'] - The transport name ('whatsapp', 'console' or 'telegram').
+ * @param {object} [options] - Transport specific options (see the individual factories).
+ * @returns {EventEmitter} - The messaging transport.
+ */
+function createTransport(name = 'whatsapp', options = {}) {
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unbekannter Transport "${name}". Verfügbar: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createTransport };
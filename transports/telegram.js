@@ -0,0 +1,139 @@
+// transports/telegram.js
+const EventEmitter = require('events');
+const axios = require('axios');
+
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+const LONG_POLL_TIMEOUT_SECONDS = 30;
+const RETRY_DELAY_MS = 5000;
+
+/**
+ * Turns a Telegram command ("/start1@MyBot <URL>") into the bot's command syntax ("!start1 <URL>").
+ * In groups with privacy mode enabled, Telegram only delivers messages starting with "/".
+ * @param {string} text - The raw message text.
+ * @returns {string} - The normalized message body.
+ */
+function normalizeCommand(text) {
+    if (!text.startsWith('/')) return text;
+    const [command, ...rest] = text.split(' ');
+    return ['!' + command.slice(1).split('@')[0], ...rest].join(' ');
+}
+
+/**
+ * Creates a transport for the Telegram Bot API (long polling via `getUpdates`).
+ * WhatsApp style *bold* markup is sent as Telegram Markdown; messages Telegram can't
+ * parse are resent as plain text.
+ * @param {object} options
+ * @param {string} options.token - The bot token from @BotFather.
+ * @returns {EventEmitter} - The messaging transport.
+ */
+function createTelegramTransport(options) {
+    const transport = new EventEmitter();
+    const apiUrl = `${TELEGRAM_API_URL}/bot${options.token}`;
+    let offset = 0;
+    let isRunning = false;
+
+    const callApi = async (method, params, config = {}) => {
+        const res = await axios.post(`${apiUrl}/${method}`, params, config);
+        return res.data.result;
+    };
+
+    /**
+     * Checks whether a user is an admin of a group chat.
+     * @param {string} chatId - The Telegram chat ID.
+     * @param {string} userId - The Telegram user ID.
+     * @returns {Promise<boolean>} - True for the group's creator and administrators.
+     */
+    const isGroupAdmin = async (chatId, userId) => {
+        try {
+            const member = await callApi('getChatMember', { chat_id: chatId, user_id: userId });
+            return member.status === 'creator' || member.status === 'administrator';
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Telegram-Gruppenrechte:', error.message);
+            return false;
+        }
+    };
+
+    const handleUpdate = async update => {
+        const message = update.message;
+        if (!message || typeof message.text !== 'string') return;
+
+        const chat = message.chat;
+        const chatId = String(chat.id);
+        const body = normalizeCommand(message.text);
+        const isGroup = chat.type === 'group' || chat.type === 'supergroup';
+        const senderId = message.from ? String(message.from.id) : chatId;
+        // Only commands need the sender's rights, so other messages don't cost an API call
+        const isAdmin = isGroup && body.startsWith('!') ? await isGroupAdmin(chatId, senderId) : false;
+        transport.emit('message', {
+            body,
+            chatId,
+            chatName: chat.title || [chat.first_name, chat.last_name].filter(Boolean).join(' '),
+            isGroup,
+            senderId,
+            isAdmin,
+            reply: text => transport.sendMessage(chatId, text)
+        });
+    };
+
+    const pollUpdates = async () => {
+        while (isRunning) {
+            try {
+                const updates = await callApi('getUpdates', { offset, timeout: LONG_POLL_TIMEOUT_SECONDS },
+                    { timeout: (LONG_POLL_TIMEOUT_SECONDS + 10) * 1000 });
+                for (const update of updates) {
+                    offset = update.update_id + 1;
+                    await handleUpdate(update);
+                }
+            } catch (error) {
+                if (!isRunning) break;
+                console.error('Fehler beim Abrufen der Telegram-Updates:', error.message);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+            }
+        }
+    };
+
+    transport.name = 'telegram';
+
+    transport.initialize = async () => {
+        if (!options.token) {
+            throw new Error('TELEGRAM_BOT_TOKEN ist nicht gesetzt.');
+        }
+        const me = await callApi('getMe', {});
+        console.log(`Telegram-Bot @${me.username} verbunden.`);
+        isRunning = true;
+        transport.emit('ready');
+        pollUpdates();
+    };
+
+    transport.sendMessage = async (chatId, text) => {
+        try {
+            return await callApi('sendMessage', { chat_id: chatId, text, parse_mode: 'Markdown' });
+        } catch (error) {
+            // 400 = Telegram couldn't parse the markup, e.g. an unbalanced "*"
+            if (error.response && error.response.status === 400) {
+                return callApi('sendMessage', { chat_id: chatId, text });
+            }
+            throw error;
+        }
+    };
+
+    transport.sendMedia = async (chatId, media, caption) => {
+        const form = new FormData();
+        const isImage = media.mimetype.startsWith('image/');
+        const field = isImage ? 'photo' : 'document';
+        form.append('chat_id', chatId);
+        form.append(field, new Blob([Buffer.from(media.data, 'base64')], { type: media.mimetype }), media.filename || field);
+        if (caption) form.append('caption', caption);
+        return callApi(isImage ? 'sendPhoto' : 'sendDocument', form);
+    };
+
+    transport.destroy = async () => {
+        if (!isRunning) return;
+        isRunning = false;
+        transport.emit('disconnected', 'destroyed');
+    };
+
+    return transport;
+}
+
+module.exports = { createTelegramTransport };
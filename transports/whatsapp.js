@@ -0,0 +1,68 @@
+// transports/whatsapp.js
+const EventEmitter = require('events');
+const qrcode = require('qrcode-terminal');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+
+/**
+ * Creates the WhatsApp transport (whatsapp-web.js).
+ * @param {object} [options]
+ * @param {string} [options.executablePath='/usr/bin/chromium'] - The Chromium binary used by puppeteer.
+ * @returns {EventEmitter} - The messaging transport.
+ */
+function createWhatsAppTransport(options = {}) {
+    const transport = new EventEmitter();
+    const client = new Client({
+        authStrategy: new LocalAuth(),
+        puppeteer: {
+            headless: true, 
+            args: ['--no-sandbox', '--disable-setuid-sandbox'], 
+            executablePath: options.executablePath || '/usr/bin/chromium' 
+        }
+    });
+
+    client.on('qr', qr => {
+        qrcode.generate(qr, { small: true });
+        console.log('QR-Code generiert. Scannen Sie diesen mit WhatsApp.');
+    });
+
+    client.on('ready', () => transport.emit('ready'));
+    client.on('disconnected', reason => transport.emit('disconnected', reason));
+
+    client.on('message', async msg => {
+        try {
+            const chat = await msg.getChat();
+            const senderId = msg.author || msg.from; // 'author' is set for group messages
+            const participant = chat.isGroup && chat.participants
+                ? chat.participants.find(p => p.id._serialized === senderId)
+                : null;
+            transport.emit('message', {
+                body: msg.body,
+                chatId: chat.id._serialized,
+                chatName: chat.name,
+                isGroup: chat.isGroup,
+                senderId,
+                isAdmin: Boolean(participant && (participant.isAdmin || participant.isSuperAdmin)),
+                reply: text => msg.reply(text)
+            });
+        } catch (error) {
+            console.error('Fehler beim Verarbeiten einer WhatsApp-Nachricht:', error);
+        }
+    });
+
+    transport.name = 'whatsapp';
+    transport.initialize = () => client.initialize();
+    transport.sendMessage = (chatId, text) => client.sendMessage(chatId, text);
+    transport.sendMedia = (chatId, media, caption) => {
+        const messageMedia = new MessageMedia(media.mimetype, media.data, media.filename);
+        return client.sendMessage(chatId, messageMedia, { caption });
+    };
+    transport.destroy = () => client.destroy();
+    transport.getGroups = async () => {
+        const chats = await client.getChats();
+        return chats.filter(chat => chat.isGroup).map(chat => ({ chatId: chat.id._serialized, name: chat.name }));
+    };
+
+    return transport;
+}
+
+module.exports = { createWhatsAppTransport };
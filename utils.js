@@ -1,89 +1,32 @@
 // utils.js
 
-const fs = require('fs');
-const path = require('path');
 const { EVENT_MAP } = require('./config.js'); // Import event definitions
-
-// --- DATA PERSISTENCE ---
+const { t, getEventLabel, translateFeedMessage } = require('./i18n.js');
 
 /**
- * Loads the set of seen event IDs for each chat from a JSON file.
- * Populates the activeTickers map with this data on startup.
- * @param {Map} activeTickers - The map storing active ticker states.
- * @param {string} seenFilePath - The path to the 'seen_tickers.json' file.
+ * Converts a match clock string into seconds.
+ * @param {string} time - The match time as "MM:SS" (e.g. "42:17").
+ * @returns {number} - The match time in seconds (0 if it can't be parsed).
  */
-function loadSeenTickers(activeTickers, seenFilePath) {
-    try {
-        const raw = fs.readFileSync(seenFilePath, 'utf8'); // Read file content
-        const data = JSON.parse(raw); // Parse JSON data
-        // Iterate through saved data (chatId -> array of seen IDs)
-        for (const [chatId, seenArray] of Object.entries(data)) {
-            // If this chat isn't already in memory (e.g., from schedule file), add it with its seen events
-            if (!activeTickers.has(chatId)) {
-                activeTickers.set(chatId, { seen: new Set(seenArray) }); // Use a Set for efficient lookups
-            } else {
-                // If ticker state already exists (e.g., loaded from schedule), just add the 'seen' set
-                const existingState = activeTickers.get(chatId);
-                existingState.seen = new Set(seenArray);
-            }
-        }
-        console.log(`Daten für ${Object.keys(data).length} Ticker aus der Datei geladen.`);
-    } catch (e) {
-        // Handle cases where the file doesn't exist (e.g., first run) or is invalid JSON
-        console.log('Keine gespeicherte Ticker-Datei gefunden oder Fehler beim Lesen, starte frisch.');
-    }
+function parseMatchTime(time) {
+    const [minutes, seconds] = String(time).split(':').map(part => parseInt(part, 10));
+    return (minutes || 0) * 60 + (seconds || 0);
 }
 
 /**
- * Saves the current set of seen event IDs for all active tickers to a JSON file.
- * @param {Map} activeTickers - The map storing active ticker states.
- * @param {string} seenFilePath - The path to the 'seen_tickers.json' file.
+ * Formats the score line with both team names, bolding the score of the team that scored.
+ * @param {object} tickerState - The state object for the ticker (contains team names and language).
+ * @param {string} score - The score as "home-guest" (e.g. "12-10").
+ * @param {('Home'|'Away')} [scoringTeam] - The team that scored; without one, nothing is bolded.
+ * @returns {string} - The score line.
  */
-function saveSeenTickers(activeTickers, seenFilePath) {
-    try {
-        const dataToSave = {};
-        // Iterate through all tickers currently in memory
-        for (const [chatId, tickerState] of activeTickers.entries()) {
-            // Convert the Set of seen IDs back to an array for JSON compatibility
-            if (tickerState.seen) {
-                dataToSave[chatId] = [...tickerState.seen];
-            }
-        }
-        // Write the data to the file, formatted with indentation for readability
-        fs.writeFileSync(seenFilePath, JSON.stringify(dataToSave, null, 2), 'utf8');
-    } catch (e) {
-        console.error('Fehler beim Speichern der Ticker-Daten:', e);
-    }
-}
-
-/**
- * Loads the schedule data (details of tickers waiting to start) from a JSON file.
- * @param {string} scheduleFilePath - The path to the 'scheduled_tickers.json' file.
- * @returns {object} - An object mapping chatId to schedule details, or {} on error/no file.
- */
-function loadScheduledTickers(scheduleFilePath) {
-    try {
-        const raw = fs.readFileSync(scheduleFilePath, 'utf8');
-        return JSON.parse(raw); // Return the parsed schedule object
-    } catch (e) {
-        // Handle file not found or invalid JSON
-        console.log('Keine gespeicherte Planungsdatei gefunden oder Fehler beim Lesen.');
-        return {}; // Return empty object to prevent errors in calling code
-    }
-}
-
-/**
- * Saves the current schedule data (tickers waiting to start) to a JSON file.
- * @param {object} scheduledTickers - An object mapping chatId to schedule details.
- * @param {string} scheduleFilePath - The path to the 'scheduled_tickers.json' file.
- */
-function saveScheduledTickers(scheduledTickers, scheduleFilePath) {
-    try {
-        // Write the schedule object to the file, formatted
-        fs.writeFileSync(scheduleFilePath, JSON.stringify(scheduledTickers, null, 2), 'utf8');
-    } catch (e) {
-        console.error('Fehler beim Speichern der geplanten Ticker:', e);
-    }
+function formatScoreLine(tickerState, score, scoringTeam) {
+    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : t(tickerState.language, 'team.home');
+    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : t(tickerState.language, 'team.guest');
+    const [pointsHome, pointsGuest] = score.split('-');
+    if (scoringTeam === 'Home') return `${homeTeamName}  *${pointsHome}*:${pointsGuest}  ${guestTeamName}`;
+    if (scoringTeam) return `${homeTeamName}  ${pointsHome}:*${pointsGuest}* ${guestTeamName}`;
+    return `${homeTeamName}  ${pointsHome}:${pointsGuest}  ${guestTeamName}`;
 }
 
 /**
@@ -91,30 +34,33 @@ function saveScheduledTickers(scheduledTickers, scheduleFilePath) {
  * Applies different layouts based on the event type (goal, penalty, timeout, etc.).
  * Only includes the score line for goal events.
  * @param {object} ev - The event object from the API.
- * @param {object} tickerState - The state object for the current ticker (contains team names).
+ * @param {object} tickerState - The state object for the current ticker (contains team names and language).
  * @param {object} gameSummary - (Not used for StopPeriod anymore, but good to pass for other potential logic)
+ * @param {object} [analysis] - The game analysis from `gamePhase.analyzeGame` (decides halftime, overtime, game end).
  * @returns {string} - The formatted message string, or an empty string for ignored events.
  */
-function formatEvent(ev, tickerState, gameSummary) {
+function formatEvent(ev, tickerState, gameSummary, analysis) {
     // Get basic event info from config, using 'default' as a fallback
     const eventInfo = EVENT_MAP[ev.type] || EVENT_MAP["default"];
-    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : 'Heim';
-    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : 'Gast';
+    const language = tickerState.language;
+    const homeTeamName = tickerState.teamNames ? tickerState.teamNames.home : t(language, 'team.home');
+    const guestTeamName = tickerState.teamNames ? tickerState.teamNames.guest : t(language, 'team.guest');
+    const message = translateFeedMessage(language, ev.message);
     
     const time = ev.time ? ` (${ev.time})` : ''; 
+    const periodEvent = analysis ? analysis.periodEvents[ev.id] : null;
+
+    // The first throw of a 7m shootout gets its own headline
+    if (periodEvent === 'shootoutStart') {
+        return `${t(language, 'period.shootoutStart')}\n${formatEvent(ev, tickerState, gameSummary)}`;
+    }
 
     switch (ev.type) { 
         case "Goal":
         case "SevenMeterGoal": {
-            let scoreLine;
-            const [pointsHome, pointsGuest] = ev.score.split('-')
             // Create score line, bolding the score of the team that scored
-            if (ev.team === 'Home') {
-                scoreLine = `${homeTeamName}  *${pointsHome}*:${pointsGuest}  ${guestTeamName}`;
-            } else {
-                scoreLine = `${homeTeamName}  ${pointsHome}:*${pointsGuest}* ${guestTeamName}`;
-            }
-            return `${scoreLine}\n${eventInfo.emoji} ${ev.message} (${time})`;
+            const scoreLine = formatScoreLine(tickerState, ev.score, ev.team === 'Home' ? 'Home' : 'Away');
+            return `${scoreLine}\n${eventInfo.emoji} ${message} (${time})`;
         }
 
         case "SevenMeterMissed":
@@ -123,45 +69,36 @@ function formatEvent(ev, tickerState, gameSummary) {
         case "Disqualification":
         case "DisqualificationWithReport":
         case "Timeout": 
-            return `${eventInfo.emoji} ${ev.message} (${time})`;
+            return `${eventInfo.emoji} ${message} (${time})`;
 
         case "StartPeriod": 
-            if (ev.time === "00:00") {
-                return `▶️ *Das Spiel hat begonnen!*`;
-            } else {
-                return `▶️ *Die zweite Halbzeit hat begonnen!*`;
-            }       
+            // Without an analysis, fall back to the match clock
+            return t(language, `period.${periodEvent || (ev.time === "00:00" ? 'gameStart' : 'secondHalfStart')}`);
 
         case "StopPeriod": {
-            const [homeScore, awayScore] = ev.score.split('-');
-            const minute = parseInt(ev.time.split(':')[0], 10);
-
-            // If the minute is greater than 30 (e.g., "60:00"), it's the end of the game.
-            if (minute > 30) {
-                 return `🏁 *Spielende*\n${homeTeamName}  *${homeScore}:${awayScore}* ${guestTeamName}`;
-            } else {
-                 // Otherwise (e.g., "30:00"), it's halftime.
-                 return `⏸️ *Halbzeit*\n${homeTeamName}  *${homeScore}:${awayScore}* ${guestTeamName}`;
-            }
+            const [homeScore, awayScore] = (ev.score || '0-0').split('-');
+            const headline = t(language, `period.${periodEvent || 'halftime'}`);
+            const decision = (periodEvent === 'gameEnd' && analysis.decision) ? `\n_${t(language, `decision.${analysis.decision}`)}_` : '';
+            return `${headline}\n${homeTeamName}  *${homeScore}:${awayScore}* ${guestTeamName}${decision}`;
         }
 
         // Fallback for any other unknown or unhandled event types
         default:
-            return `${eventInfo.emoji} ${ev.message || eventInfo.label} (${time})`;
+            return `${eventInfo.emoji} ${message || getEventLabel(language, ev.type)} (${time})`;
     }
 }
 
 /**
  * Formats a single event into a line for the recap message (Emoji-only version).
  * @param {object} ev - The raw event object from the `handball.net` API.
- * @param {object} tickerState - The state object for the ticker.
+ * @param {object} tickerState - The state object for the ticker (contains the language).
  * @returns {string} - The formatted recap line string.
  */
 function formatRecapEventLine(ev, tickerState) {
     const eventInfo = EVENT_MAP[ev.type] || EVENT_MAP["default"];
     const time = ev.time || '--:--';
     let scoreStr = ev.score ? ev.score.replace('-', ':') : '--:--';
-    const detailStr = ev.message || eventInfo.label;
+    const detailStr = translateFeedMessage(tickerState.language, ev.message) || getEventLabel(tickerState.language, ev.type);
 
     switch (ev.type) {
         case "Goal":
@@ -184,12 +121,30 @@ function formatRecapEventLine(ev, tickerState) {
     }
 }
 
+/**
+ * Formats several events that arrived at once into a single live message: the current score
+ * line on top (the score of the team that scored last in bold), followed by one compact line
+ * per event (see `formatRecapEventLine`), each followed by its notes on the course of the game.
+ * @param {Array} events - The events in chronological order (no period events).
+ * @param {object} tickerState - The state object for the ticker (contains team names and language).
+ * @param {Map<string, Array<string>>} [notes] - Notes per event ID (see `gameFlow.getGameFlowNotes`).
+ * @returns {string} - The formatted message string.
+ */
+function formatEventBurst(events, tickerState, notes) {
+    const lines = events.map(ev => [formatRecapEventLine(ev, tickerState), ...((notes && notes.get(ev.id)) || [])].join('\n'));
+    const latestScoredEvent = events.slice().reverse().find(ev => ev.score);
+    if (!latestScoredEvent) return lines.join('\n');
+
+    const lastGoal = events.slice().reverse().find(ev => ev.type === 'Goal' || ev.type === 'SevenMeterGoal');
+    const scoringTeam = lastGoal ? (lastGoal.team === 'Home' ? 'Home' : 'Away') : undefined;
+    return `${formatScoreLine(tickerState, latestScoredEvent.score, scoringTeam)}\n${lines.join('\n')}`;
+}
+
 // Export all functions needed by other modules
 module.exports = {
-    loadSeenTickers,
-    saveSeenTickers,
     formatEvent, // For live mode and critical events
-    loadScheduledTickers,
-    saveScheduledTickers,
-    formatRecapEventLine // For recap mode messages
+    formatEventBurst, // For several live events at once
+    formatRecapEventLine, // For recap mode messages
+    formatScoreLine,
+    parseMatchTime
 };
\ No newline at end of file